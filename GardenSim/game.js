@@ -1,94 +1,57 @@
 // Advanced Garden Game
-const MAX_GARDEN_NAME_LENGTH = 40;
+// Rendering, input and persistence on top of GardenSimulation (garden-sim.js)
 const SLOT_CUSTOM_NAME_KEY_PREFIX = 'gardenSlotCustomName_';
 
-function sanitizeGardenName(name, fallback = '') {
-    if (typeof name !== 'string') {
-        return fallback;
-    }
-
-    const trimmed = name.trim();
-    if (!trimmed) {
-        return fallback;
-    }
-
-    const collapsedWhitespace = trimmed.replace(/\s+/g, ' ');
-    const stripped = collapsedWhitespace.replace(/[<>]/g, '');
-    return stripped.slice(0, MAX_GARDEN_NAME_LENGTH);
+// Portable garden files (.garden.json) written by the slot cards' Export button
+const GARDEN_EXPORT_FORMAT = 'garden-sim-export';
+const GARDEN_EXPORT_VERSION = 1;
+
+// Show a .menu-modal and close it on any of closeButtons, a backdrop click or Escape.
+// Returns the hide function; onHide runs after every close.
+function openMenuModal(modal, { focus = null, closeButtons = [], onHide = null } = {}) {
+    const hide = () => {
+        modal.classList.remove('is-visible');
+        modal.setAttribute('hidden', '');
+        modal.setAttribute('aria-hidden', 'true');
+        document.body.style.overflow = '';
+        closeButtons.forEach(button => button.removeEventListener('click', hide));
+        modal.removeEventListener('click', handleBackdrop);
+        document.removeEventListener('keydown', handleKeydown);
+        if (typeof onHide === 'function') onHide();
+    };
+    const handleBackdrop = (event) => {
+        if (event.target === modal) hide();
+    };
+    const handleKeydown = (event) => {
+        if (event.key === 'Escape') hide();
+    };
+
+    closeButtons.forEach(button => button.addEventListener('click', hide));
+    modal.addEventListener('click', handleBackdrop);
+    document.addEventListener('keydown', handleKeydown);
+
+    modal.removeAttribute('hidden');
+    modal.setAttribute('aria-hidden', 'false');
+    document.body.style.overflow = 'hidden';
+    requestAnimationFrame(() => {
+        modal.classList.add('is-visible');
+        if (focus) focus.focus();
+    });
+    return hide;
 }
 
-class GardenGame {
+class GardenGame extends GardenSimulation {
     constructor(saveSlot, options = {}) {
-        this.saveSlot = saveSlot;
-        const providedName = sanitizeGardenName(options.gardenName, '');
-        this.gardenName = providedName;
-        this._initialGardenName = this.gardenName;
+        super(saveSlot, options);
         this.eventListeners = [];
         
         // Make this game instance globally available
         window.game = this;
         
-        // Core game properties
-        this.money = 100;
-        this.water = 50;
-        this.fertilizer = 20;
-        this.score = 0;
-        this.weather = 'sunny';
-        this.weatherChangeInterval = 5 * 60 * 1000; // 5 minutes
-        this.lastWeatherChange = Date.now();
-        
-        // Seasonal system
-        this.currentSeason = 'spring';
-        this.seasonDay = 1;
-        this.seasonLength = 5; // real-life days per season (5 days = 1 season)
-        this.seasonMultiplier = 1.0;
-        this.seasonStartTime = null; // Will be set on first updateSeason() call
-        
-        // Plant growth stages
-        this.growthStages = ['seed', 'sprout', 'small', 'medium', 'mature'];
-        this.stageMultipliers = [0.1, 0.3, 0.6, 0.8, 1.0]; // harvest value multipliers
-        
-                    // Garden expansion
-        this.gardenSize = 8;
-        this.maxGardenSize = 16; // Increased from 12 to 16
-        this.expansionCost = 5000;
-        
-        // Garden statistics
-        this.stats = {
-            totalPlantsHarvested: 0,
-            totalMoneyEarned: 0,
-            totalWaterUsed: 0,
-            totalFertilizerUsed: 0,
-            plantsByType: {},
-            bestHarvest: 0,
-            longestPlaySession: 0,
-            totalRebirths: 0,
-            sessionStartTime: Date.now(),
-            adminPanelUsed: false,
-            adminPanelUsageCount: 0
-        };
-
-        // Rebirth system
-        this.rebirths = 0;
-        this.rebirthPoints = 0;
-        this.bestRebirthScore = 0;
-        this.currentRunStartTime = this.stats.sessionStartTime;
-        this.rebirthNotificationShown = false;
-        this.prestigeUpgradeCatalog = this.createPrestigeUpgradeCatalog();
-        this.prestigeUpgradeMap = this.prestigeUpgradeCatalog.reduce((map, upgrade) => {
-            map[upgrade.id] = upgrade;
-            return map;
-        }, {});
-        this.prestigeUpgrades = this.createDefaultPrestigeUpgrades();
         this.prestigePanelExpanded = false;
-        
-        // Garden challenges
-        this.challenges = {
-            daily: [],
-            weekly: null,
-            completed: []
-        };
-        this.lastChallengeUpdate = Date.now();
+
+        // Kitchen pot being filled in the kitchen modal (seedType -> count)
+        this.kitchenPot = {};
         
         // Visual feedback
         this.particles = [];
@@ -110,7 +73,8 @@ class GardenGame {
             { id: 'water', label: 'Water', icon: '💧' },
             { id: 'fertilizer', label: 'Fertilizer', icon: '🌱' },
             { id: 'harvest', label: 'Harvest', icon: '✂️' },
-            { id: 'shovel', label: 'Shovel', icon: '⛏️' }
+            { id: 'shovel', label: 'Shovel', icon: '⛏️' },
+            { id: 'treat', label: 'Treat', icon: '🧴' }
         ];
 
         // Cached canvas patterns/textures for grass tiles
@@ -130,91 +94,29 @@ class GardenGame {
         
         // Sound effects (will be implemented)
         this.soundEnabled = true;
-        
-        // Plant types with seasonal availability
-        this.plantTypes = {
-            // Spring seeds
-            'carrot': { name: 'Carrot', cost: 5, growthTime: 10000, harvestValue: 8, season: 'spring', stages: ['🌱', '🌿', '🥕', '🥕', '🥕'] },
-            'lettuce': { name: 'Lettuce', cost: 3, growthTime: 8000, harvestValue: 5, season: 'spring', stages: ['🌱', '🌿', '🥬', '🥬', '🥬'] },
-            'radish': { name: 'Radish', cost: 4, growthTime: 12000, harvestValue: 7, season: 'spring', stages: ['🌱', '🌿', '🌶️', '🌶️', '🌶️'] },
-            'spinach': { name: 'Spinach', cost: 6, growthTime: 15000, harvestValue: 10, season: 'spring', stages: ['🌱', '🌿', '🥬', '🥬', '🥬'] },
-            'peas': { name: 'Peas', cost: 7, growthTime: 18000, harvestValue: 12, season: 'spring', stages: ['🌱', '🌿', '🟢', '🟢', '🟢'] },
-
-            // Summer seeds
-            'tomato': { name: 'Tomato', cost: 8, growthTime: 20000, harvestValue: 15, season: 'summer', stages: ['🌱', '🌿', '🍅', '🍅', '🍅'] },
-            'corn': { name: 'Corn', cost: 12, growthTime: 25000, harvestValue: 20, season: 'summer', stages: ['🌱', '🌿', '🌽', '🌽', '🌽'] },
-            'cucumber': { name: 'Cucumber', cost: 6, growthTime: 16000, harvestValue: 11, season: 'summer', stages: ['🌱', '🌿', '🥒', '🥒', '🥒'] },
-            'zucchini': { name: 'Zucchini', cost: 9, growthTime: 22000, harvestValue: 16, season: 'summer', stages: ['🌱', '🌿', '🥒', '🥒', '🥒'] },
-            'bell_pepper': { name: 'Bell Pepper', cost: 10, growthTime: 22000, harvestValue: 18, season: 'summer', stages: ['🌱', '🌿', '🫑', '🫑', '🫑'] },
-            'avocado': { name: 'Avocado', cost: 14, growthTime: 32000, harvestValue: 26, season: 'summer', stages: ['🌱', '🌿', '🥑', '🥑', '🥑'] },
-            'eggplant': { name: 'Eggplant', cost: 11, growthTime: 24000, harvestValue: 19, season: 'summer', stages: ['🌱', '🌿', '🍆', '🍆', '🍆'] },
-            'hot_pepper': { name: 'Hot Pepper', cost: 9, growthTime: 22000, harvestValue: 18, season: 'summer', stages: ['🌱', '🌿', '🌶️', '🌶️', '🌶️'] },
-
-            // Fall seeds
-            'pumpkin': { name: 'Pumpkin', cost: 25, growthTime: 35000, harvestValue: 45, season: 'fall', stages: ['🌱', '🌿', '🎃', '🎃', '🎃'] },
-            'squash': { name: 'Squash', cost: 15, growthTime: 28000, harvestValue: 25, season: 'fall', stages: ['🌱', '🌿', '🍠', '🍠', '🍠'] },
-            'broccoli': { name: 'Broccoli', cost: 11, growthTime: 24000, harvestValue: 19, season: 'fall', stages: ['🌱', '🌿', '🥦', '🥦', '🥦'] },
-            'cauliflower': { name: 'Cauliflower', cost: 14, growthTime: 26000, harvestValue: 22, season: 'fall', stages: ['🌱', '🌿', '🥦', '🥦', '🥦'] },
-            'cabbage': { name: 'Cabbage', cost: 8, growthTime: 20000, harvestValue: 14, season: 'fall', stages: ['🌱', '🌿', '🥬', '🥬', '🥬'] },
-            'sweet_potato': { name: 'Sweet Potato', cost: 9, growthTime: 24000, harvestValue: 16, season: 'fall', stages: ['🌱', '🌿', '🍠', '🍠', '🍠'] },
-
-            // Winter seeds (greenhouse)
-            'winter_greens': { name: 'Winter Greens', cost: 20, growthTime: 30000, harvestValue: 35, season: 'winter', stages: ['🌱', '🌿', '🥬', '🥬', '🥬'] },
-            'herbs': { name: 'Herbs', cost: 15, growthTime: 25000, harvestValue: 28, season: 'winter', stages: ['🌿', '🌿', '🌿', '🌿', '🌿'] },
-
-            // Year-round seeds
-            'onion': { name: 'Onion', cost: 4, growthTime: 14000, harvestValue: 6, season: 'all', stages: ['🌱', '🌿', '🧅', '🧅', '🧅'] },
-            'garlic': { name: 'Garlic', cost: 5, growthTime: 16000, harvestValue: 8, season: 'all', stages: ['🌱', '🌿', '🧄', '🧄', '🧄'] },
-            'potato': { name: 'Potato', cost: 7, growthTime: 18000, harvestValue: 12, season: 'all', stages: ['🌱', '🌿', '🥔', '🥔', '🥔'] },
-            'celery': { name: 'Celery', cost: 6, growthTime: 15000, harvestValue: 9, season: 'all', stages: ['🌱', '🌿', '🥬', '🥬', '🥬'] },
-            'mushroom': { name: 'Mushroom', cost: 12, growthTime: 20000, harvestValue: 18, season: 'all', stages: ['🍄', '🍄', '🍄', '🍄', '🍄'] },
-
-            // Orchard fruits
-            'apple': { name: 'Apple', cost: 12, growthTime: 26000, harvestValue: 22, season: 'all', stages: ['🌱', '🌿', '🍎', '🍎', '🍎'] },
-            'green_apple': { name: 'Green Apple', cost: 12, growthTime: 26000, harvestValue: 22, season: 'all', stages: ['🌱', '🌿', '🍏', '🍏', '🍏'] },
-            'pear': { name: 'Pear', cost: 13, growthTime: 28000, harvestValue: 23, season: 'all', stages: ['🌱', '🌿', '🍐', '🍐', '🍐'] },
-            'peach': { name: 'Peach', cost: 14, growthTime: 28000, harvestValue: 24, season: 'all', stages: ['🌱', '🌿', '🍑', '🍑', '🍑'] },
-            'cherries': { name: 'Cherries', cost: 10, growthTime: 22000, harvestValue: 20, season: 'all', stages: ['🌱', '🌿', '🍒', '🍒', '🍒'] },
-            'strawberry': { name: 'Strawberry', cost: 9, growthTime: 20000, harvestValue: 19, season: 'spring', stages: ['🌱', '🌿', '🍓', '🍓', '🍓'] },
-            'orange': { name: 'Orange', cost: 11, growthTime: 26000, harvestValue: 22, season: 'summer', stages: ['🌱', '🌿', '🍊', '🍊', '🍊'] },
-            'lemon': { name: 'Lemon', cost: 9, growthTime: 22000, harvestValue: 18, season: 'summer', stages: ['🌱', '🌿', '🍋', '🍋', '🍋'] },
-            'banana': { name: 'Banana', cost: 11, growthTime: 26000, harvestValue: 23, season: 'summer', stages: ['🌱', '🌿', '🍌', '🍌', '🍌'] },
-
-            // Rare seeds (available in multiple seasons)
-            'watermelon': { name: 'Watermelon', cost: 22, growthTime: 32000, harvestValue: 38, season: 'summer', stages: ['🌱', '🌿', '🍉', '🍉', '🍉'], isRare: true },
-            'melon': { name: 'Melon', cost: 18, growthTime: 30000, harvestValue: 30, season: 'summer', stages: ['🌱', '🌿', '🍈', '🍈', '🍈'], isRare: true },
-            'blueberry': { name: 'Blueberry', cost: 17, growthTime: 26000, harvestValue: 29, season: 'summer', stages: ['🌱', '🌿', '🫐', '🫐', '🫐'], isRare: true },
-            'kiwi': { name: 'Kiwi', cost: 22, growthTime: 34000, harvestValue: 38, season: 'fall', stages: ['🌱', '🌿', '🥝', '🥝', '🥝'], isRare: true },
-            'coconut': { name: 'Coconut', cost: 24, growthTime: 36000, harvestValue: 42, season: 'summer', stages: ['🌱', '🌿', '🥥', '🥥', '🥥'], isRare: true },
-            'olive': { name: 'Olive', cost: 21, growthTime: 32000, harvestValue: 36, season: 'fall', stages: ['🌱', '🌿', '🫒', '🫒', '🫒'], isRare: true },
-            'asparagus': { name: 'Asparagus', cost: 13, growthTime: 26000, harvestValue: 21, season: 'spring', stages: ['🌱', '🌿', '🥬', '🥬', '🥬'], isRare: true },
-            'artichoke': { name: 'Artichoke', cost: 16, growthTime: 32000, harvestValue: 28, season: 'fall', stages: ['🌱', '🌿', '🥬', '🥬', '🥬'], isRare: true },
-
-            // Legendary seeds (available year-round but expensive)
-            'grapes': { name: 'Grapes', cost: 22, growthTime: 34000, harvestValue: 36, season: 'all', stages: ['🌱', '🌿', '🍇', '🍇', '🍇'], isLegendary: true },
-            'pineapple': { name: 'Pineapple', cost: 30, growthTime: 50000, harvestValue: 50, season: 'all', stages: ['🌱', '🌿', '🍍', '🍍', '🍍'], isLegendary: true },
-            'mango': { name: 'Mango', cost: 28, growthTime: 48000, harvestValue: 45, season: 'all', stages: ['🌱', '🌿', '🥭', '🥭', '🥭'], isLegendary: true },
-            'dragonfruit': { name: 'Dragonfruit', cost: 35, growthTime: 60000, harvestValue: 60, season: 'all', stages: ['🌱', '🌿', '🐲', '🐲', '🐉'], isLegendary: true }
-        };
+
+        // Soil nutrient overlay on the canvas, toggled by the Soil button
+        this.showSoilOverlay = false;
+
+        // Drag-to-apply: areaSelectMode makes drags box out rectangles; areaDrag is the drag in progress
+        this.areaSelectMode = false;
+        this.areaDrag = null;
+        this.areaDragEndedAt = 0;
+
+        // Category shown in the event log panel ('all' or one of EVENT_LOG_CATEGORIES)
+        this.eventLogFilter = 'all';
         
         // Game state
-        this.selectedSeed = null;
-        this.selectedSprinkler = null;
-        this.selectedDecoration = null;
-        this.currentTool = 'water';
         this.isRunning = true;
-        
-        // Garden grid setup
-        this.gridSize = this.gardenSize;
-        this.cellSize = Math.floor(600 / this.gridSize);
+
+        // Set when the stored save could not be loaded: it is kept as-is and nothing is saved over it
+        this.saveUnreadable = false;
         
         // Adjust cell size for mobile devices
         if (window.innerWidth <= 768) {
             this.cellSize = Math.max(75, Math.floor(window.innerWidth * 0.8 / this.gridSize));
         }
         
-        this.garden = this.initializeGarden();
-        
         // Initialize canvas and context
         const canvasElement = document.getElementById('gardenCanvas');
         if (canvasElement) {
@@ -225,131 +127,14 @@ class GardenGame {
             this.ctx = null;
         }
         
-        // Tool levels and upgrade costs
-        this.toolLevels = {
-            water: 1,
-            fertilizer: 1,
-            shovel: 1,
-            harvest: 1
-        };
-
-        // Unified upgrade pricing model (much more expensive for game-changing tools)
-        // cost(next level) = base * growth^(currentLevel - 1)
-        this.toolUpgradeConfig = {
-            // Expensive curve (one notch harsher)
-            water:      { base: 200, growth: 2.6 },
-            fertilizer: { base: 350, growth: 2.8 },
-            harvest:    { base: 250, growth: 2.6 },
-            shovel:     { base: 50,  growth: 1.6 }
-        };
-
-        this.toolUpgradeCosts = { water: 0, fertilizer: 0, shovel: 0, harvest: 0 };
-        this.recomputeAllToolUpgradeCosts();
-
-        // Base shop prices for essentials (used by dynamic pricing helpers)
-        // Keep these modest; tool levels reduce price via getToolPriceMultiplier()
-        this.waterPriceBase = Number.isFinite(this.waterPriceBase) ? this.waterPriceBase : 5;
-        this.fertilizerPriceBase = Number.isFinite(this.fertilizerPriceBase) ? this.fertilizerPriceBase : 10;
-        
-        // Tool cooldowns
-        this.toolCooldowns = {
-            water: 0,
-            fertilizer: 0
-        };
-        
-        // Plant effects
-        this.plantEffects = {
-            watered: {},
-            fertilized: {}
-        };
-        
-        // Weather system
-        this.weatherEffects = {
-            sunny: { growthMultiplier: 1.0, name: 'Sunny' },
-            rainy: { growthMultiplier: 1.5, name: 'Rainy' },
-            cloudy: { growthMultiplier: 0.8, name: 'Cloudy' },
-            stormy: { growthMultiplier: 2.0, name: 'Stormy' }
-        };
-        
-        // Sprinkler system
-        this.sprinklerTypes = {
-            basic: { price: 50, range: 1, growthBonus: 0.2, waterBonus: 0, fertilizerBonus: 0, color: '#87CEEB', icon: '💧', description: '+20% growth, 1 tile range', duration: 120000 },
-            advanced: { price: 150, range: 2, growthBonus: 0.4, waterBonus: 0.1, fertilizerBonus: 0, color: '#4A90E2', icon: '🌊', description: '+40% growth, +10% water efficiency, 2 tile range', duration: 180000 },
-            premium: { price: 300, range: 2, growthBonus: 0.6, waterBonus: 0.2, fertilizerBonus: 0.1, color: '#9B59B6', icon: '🌈', description: '+60% growth, +20% water, +10% fertilizer, 2 tile range', duration: 240000 },
-            legendary: { price: 500, range: 3, growthBonus: 0.8, waterBonus: 0.3, fertilizerBonus: 0.2, color: '#E74C3C', icon: '⭐', description: '+80% growth, +30% water, +20% fertilizer, 3 tile range', duration: 300000 }
-        };
-        
-        // Decoration system
-        this.decorations = {
-            // Paths & Ground Decorations
-            'stone_path': { name: 'Stone Path', cost: 25, type: 'path', icon: '🛣️', bonus: 'none', description: 'Beautiful stone pathway' },
-            'wooden_path': { name: 'Wooden Path', cost: 15, type: 'path', icon: '🛤️', bonus: 'none', description: 'Rustic wooden walkway' },
-
-            // Statues & Ornaments
-            'garden_gnome': { name: 'Garden Gnome', cost: 100, type: 'statue', icon: '🧙', bonus: '+10% harvest value', description: 'Magical garden guardian' },
-            'bird_bath': { name: 'Bird Bath', cost: 75, type: 'statue', icon: '🛁', bonus: '+15% water efficiency', description: 'Attracts helpful birds' },
-            'sundial': { name: 'Sundial', cost: 200, type: 'statue', icon: '⏰', bonus: '+20% growth boost', description: 'Ancient time-keeping wisdom' },
-            'crystal_fountain': { name: 'Crystal Fountain', cost: 250, type: 'statue', icon: '💎', bonus: '+15% water efficiency', description: 'Sparkling centerpiece' },
-
-            // Fences & Borders
-            'picket_fence': { name: 'Picket Fence', cost: 30, type: 'fence', icon: '🏡', bonus: '+5% plant protection', description: 'Classic garden border' },
-            'stone_wall': { name: 'Stone Wall', cost: 80, type: 'fence', icon: '🧱', bonus: '+10% plant protection', description: 'Sturdy garden defense' },
-
-            // Lighting & Ambience
-            'fairy_lights': { name: 'Fairy Lights', cost: 60, type: 'decoration', icon: '✨', bonus: '+10% growth boost', description: 'Twinkling night ambience' },
-            'fairy_lanterns': { name: 'Fairy Lanterns', cost: 90, type: 'decoration', icon: '🏮', bonus: '+12% growth boost', description: 'Soft glowing lights' },
-            'butterfly_arch': { name: 'Butterfly Arch', cost: 220, type: 'decoration', icon: '🦋', bonus: '+20% growth boost', description: 'Welcoming pollinators' },
-
-            // Seasonal Decorations
-            'christmas_lights': { name: 'Christmas Lights', cost: 150, type: 'seasonal', icon: '🎄', bonus: '+25% winter growth', season: 'winter', description: 'Festive winter cheer' },
-            'halloween_pumpkins': { name: 'Halloween Pumpkins', cost: 100, type: 'seasonal', icon: '🎃', bonus: '+20% harvest value', season: 'fall', description: 'Spooky fall decoration' },
-            'spring_tulips': { name: 'Spring Tulips', cost: 60, type: 'seasonal', icon: '🌷', bonus: '+15% spring growth', season: 'spring', description: 'Fresh spring blooms' },
-            'summer_sunflowers': { name: 'Summer Sunflowers', cost: 70, type: 'seasonal', icon: '🌻', bonus: '+15% summer growth', season: 'summer', description: 'Bright summer beauty' },
-            'autumn_wreath': { name: 'Autumn Wreath', cost: 60, type: 'seasonal', icon: '🍂', bonus: '+15% harvest value', season: 'fall', description: 'Warm fall welcome' },
-
-            // Flower Power (global boosts)
-            'flower_bed': { name: 'Flower Bed', cost: 50, type: 'flower', icon: '🌸', bonus: '+10% growth boost', description: 'Attracts beneficial insects' },
-            'blooming_meadow': { name: 'Blooming Meadow', cost: 180, type: 'flower', icon: '🌼', bonus: 'Global +35% growth boost', description: 'Global +35% growth boost', scope: 'global' },
-            'rose_arcade': { name: 'Rose Arcade', cost: 220, type: 'flower', icon: '🌹', bonus: 'Global +30% harvest value', description: 'Global +30% harvest value', scope: 'global' },
-            'hibiscus_sanctuary': { name: 'Hibiscus Sanctuary', cost: 240, type: 'flower', icon: '🌺', bonus: 'Global +25% water efficiency', description: 'Global +25% water efficiency', scope: 'global' },
-            'rosette_topiary': { name: 'Rosette Topiary', cost: 210, type: 'flower', icon: '🏵️', bonus: 'Global +25% plant protection', description: 'Global +25% plant protection', scope: 'global' },
-            'bouquet_cart': { name: 'Bouquet Cart', cost: 230, type: 'flower', icon: '💐', bonus: 'Global +20% growth boost', description: 'Global +20% growth boost', scope: 'global' },
-            'lotus_pond': { name: 'Lotus Pond', cost: 300, type: 'flower', icon: '🪷', bonus: 'Global +40% growth aura', description: 'Global +40% growth aura', scope: 'global' },
-            'hyacinth_grove': { name: 'Hyacinth Grove', cost: 250, type: 'flower', icon: '🪻', bonus: 'Global +30% water efficiency', description: 'Global +30% water efficiency', scope: 'global' },
-            'white_blossom_circle': { name: 'White Blossom Circle', cost: 200, type: 'flower', icon: '💮', bonus: 'Global +20% plant protection', description: 'Global +20% plant protection', scope: 'global' },
-            'eternal_bloom': { name: 'Eternal Bloom', cost: 260, type: 'flower', icon: '🥀', bonus: 'Global +25% harvest value', description: 'Global +25% harvest value', scope: 'global' }
-        };
-        
         // Auto-save system
-        this.lastAutoSave = Date.now();
+        this.lastAutoSave = this.now();
         this.autoSaveInterval = 60000; // 1 minute
         
         // Sound system
         this.audioContext = null;
         this.initializeSound();
         
-        // Shop inventory (will be initialized in initializeFreshGame)
-        this.shopInventory = {};
-        
-        // Restock system
-        this.lastRestockTime = Date.now();
-        this.restockInterval = 300000; // 5 minutes
-        this.rareRestockChance = 0.25; // 25% chance for rare seeds
-        this.legendaryRestockChance = 0.12; // 12% chance for legendary seeds
-        
-    // Softlock relief cadence and cap (guarantee blessing within 10–30s when softlocked)
-    this.softlockCheckInterval = 10 * 1000; // every 10 seconds
-    this.lastSoftlockCheck = Date.now();
-    this.softlockMissCounter = 0; // counts consecutive eligible checks without blessing
-
-    // Passive growth tuning
-    this.passiveGrowthEnabled = true; // Allow slow growth without boosters
-    this.passiveGrowthBaseMs = 60 * 1000; // Base: ~1 minute per stage (before multipliers)
-    this.passiveIgnoreSeedMultiplier = true; // Universal rate across plants
-    this.passiveIgnoreEnvMultipliers = true; // Ignore weather/season for passive growth
-        
-
-        
         // Only load game and initialize UI if we have a canvas (not for background processing)
         if (this.canvas) {
             this.loadGame();
@@ -366,6 +151,11 @@ class GardenGame {
             this.updateToolDisplay();
             this.updateSprinklerDisplay();
             this.updateAchievementsDisplay();
+            this.updateEventLogDisplay();
+            this.updateAlmanacDisplay();
+            this.updateMarketDisplay();
+            this.updateKitchenDisplay();
+            this.updateOrdersDisplay();
             this.gameLoop();
         }
         
@@ -422,8 +212,7 @@ class GardenGame {
             if (!this.isSeedAvailable(s)) return false;
             // Only show seeds that are in stock when inventory is present
             if (hasInventory) {
-                const inv = this.shopInventory[s];
-                return !!inv && Number(inv.stock) > 0;
+                return Number(this.getSeedStock(s)) > 0;
             }
             return true; // before inventory is ready, allow display
         });
@@ -446,11 +235,13 @@ class GardenGame {
             const plant = this.plantTypes[seed];
             const selected = this.selectedSeed === seed ? ' is-selected' : '';
             const isFav = (this.seedFavorites||[]).includes(seed);
+            // Hybrids are free to plant, so show how many are left in the pouch instead of a price
+            const meta = plant.isHybrid ? `×${this.getSeedStock(seed)}` : `$${plant.cost}`;
             return `
-                <button class="qs-item${selected}" type="button" data-seed="${seed}" role="listitem" aria-pressed="${this.selectedSeed === seed ? 'true' : 'false'}" title="${plant.name} ($${plant.cost})">
+                <button class="qs-item${selected}" type="button" data-seed="${seed}" role="listitem" aria-pressed="${this.selectedSeed === seed ? 'true' : 'false'}" title="${plant.name} (${meta})">
                     <span class="qs-icon">${plant.stages?.[2] || '🌱'}</span>
                     <span class="qs-name">${plant.name}</span>
-                    <span class="qs-meta">$${plant.cost}</span>
+                    <span class="qs-meta">${meta}</span>
                     <span class="qs-fav" data-fav="${isFav ? '1' : '0'}" aria-label="${isFav ? 'Unfavorite' : 'Favorite'} seed">${isFav ? '⭐' : '☆'}</span>
                 </button>
             `;
@@ -531,78 +322,6 @@ class GardenGame {
         });
     }
     
-    // ===== SEASONAL SYSTEM =====
-    updateSeason() {
-        // For new games, always start from Spring Day 1
-        if (!this.seasonStartTime) {
-            this.seasonStartTime = Date.now();
-            this.currentSeason = 'spring';
-            this.seasonDay = 1;
-            this.updateSeasonMultiplier();
-            return;
-        }
-        
-        const now = Date.now();
-        const dayInMs = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
-        const daysSinceStart = Math.floor((now - this.seasonStartTime) / dayInMs);
-        const seasonDay = (daysSinceStart % this.seasonLength) + 1;
-        
-        const seasons = ['spring', 'summer', 'fall', 'winter'];
-        const seasonIndex = Math.floor(daysSinceStart / this.seasonLength) % 4;
-        const newSeason = seasons[seasonIndex];
-        
-        if (newSeason !== this.currentSeason) {
-            this.currentSeason = newSeason;
-            this.seasonDay = 1;
-            this.updateSeasonMultiplier();
-            this.showMessage(`Season changed to ${this.currentSeason}!`, 'info');
-            this.updateSeasonDisplay();
-        } else {
-            this.seasonDay = seasonDay;
-        }
-    }
-    
-    updateSeasonMultiplier() {
-        const seasonMultipliers = {
-            spring: 1.2, // 20% faster growth
-            summer: 1.0, // Normal growth
-            fall: 0.8,   // 20% slower growth
-            winter: 0.6  // 40% slower growth
-        };
-        this.seasonMultiplier = seasonMultipliers[this.currentSeason] || 1.0;
-    }
-    
-    isSeedAvailable(seedType) {
-        const plant = this.plantTypes[seedType];
-        if (!plant) return false;
-        
-        if (plant.season === 'all') return true;
-        return plant.season === this.currentSeason;
-    }
-    
-    // ===== PLANT GROWTH STAGES =====
-    getPlantGrowthStage(plant) {
-        if (!plant) return 0;
-        
-        // Plants now only grow through watering and fertilizing
-        // Return the stored growth stage instead of calculating from time
-        return plant.growthStage || 0;
-    }
-    
-    getHarvestValue(plant) {
-        const plantData = this.plantTypes[plant.type];
-        if (!plantData) return 0;
-        
-        const baseValue = plantData.harvestValue;
-        const stage = this.getPlantGrowthStage(plant);
-        const stageMultiplier = this.stageMultipliers[stage] || 1.0;
-        const decorationBonus = (plant.bonuses?.harvestValue || 0) / 100;
-        const toolBonus = this.harvestBonus || 0;
-        const rebirthMultiplier = 1 + this.getRebirthHarvestBonus();
-        const prestigeMultiplier = 1 + this.getPrestigeHarvestBonus();
-        return Math.floor(baseValue * stageMultiplier * (1 + decorationBonus) * (1 + toolBonus) * rebirthMultiplier * prestigeMultiplier);
-    }
-
     formatKeyLabel(key) {
         if (!key) {
             return '';
@@ -861,6 +580,7 @@ class GardenGame {
 
         const cell = this.garden[row][col];
         const sprinklerAtCell = this.sprinklers.find(s => s.row === row && s.col === col);
+        const machineAtCell = this.getMachineAt(row, col);
 
         let tooltipKey = null;
         let tooltipContent = '';
@@ -872,11 +592,18 @@ class GardenGame {
                 return;
             }
 
-            const harvestValue = Math.max(0, this.getHarvestValue(cell.plant));
+            const harvestValue = Math.max(0, this.getHarvestValue(cell.plant, row, col));
+            // What the harvest would fetch at today's market price
+            const marketValue = Math.floor(harvestValue * this.getMarketIndex(cell.plant.type));
             const stageLabel = this.formatPlantStageLabel(cell.plant);
             const wateredFlag = cell.watered ? 1 : 0;
             const fertilizedFlag = cell.fertilized ? 1 : 0;
-            tooltipKey = `plant:${row}:${col}:${cell.plant.type}:${cell.plant.growthStage}:${cell.plant.isFullyGrown ? 1 : 0}:${harvestValue}:${wateredFlag}:${fertilizedFlag}`;
+            const infection = this.getPlantInfection(cell.plant);
+            const treated = !infection && cell.plant.treatedUntil > this.now();
+            const pestKey = infection ? `${infection.type}${infection.severity}` : (treated ? 'treated' : '');
+            const orchardKey = plantData.perennial || plantData.nightBlooming ? `${cell.plant.harvests || 0}:${Math.floor(this.getPerennialSeasons(cell.plant))}${this.isPlantDormant(cell.plant) ? 'z' : ''}` : '';
+            const underGlass = this.isGreenhouseTile(row, col);
+            tooltipKey = `plant:${row}:${col}:${cell.plant.type}:${cell.plant.growthStage}:${cell.plant.isFullyGrown ? 1 : 0}:${marketValue}:${wateredFlag}:${fertilizedFlag}:${pestKey}:${orchardKey}:${underGlass ? 1 : 0}`;
 
             const statusLabels = [];
             if (cell.watered) {
@@ -907,7 +634,12 @@ class GardenGame {
                 `<div class="garden-tooltip__meta">${stageLabel}</div>`,
                 progressMarkup,
                 statusLine,
-                `<div class="garden-tooltip__value">Harvest Price: $${harvestValue.toLocaleString()}</div>`
+                `<div class="garden-tooltip__value">Harvest Price: $${marketValue.toLocaleString()}</div>`,
+                `<div class="garden-tooltip__note">${this.describeSoil(row, col)}</div>`,
+                plantData.perennial ? `<div class="garden-tooltip__note">${this.describeOrchardTree(cell.plant)}</div>` : '',
+                plantData.nightBlooming ? `<div class="garden-tooltip__note">${this.isPlantDormant(cell.plant) ? '💤 Night bloomer: waiting for nightfall' : '🌙 Night bloomer: growing while it is dark'}</div>` : '',
+                underGlass ? '<div class="garden-tooltip__note">🏡 In the greenhouse: grows in any season, safe from storms</div>' : '',
+                infection || treated ? `<div class="garden-tooltip__status">${this.describeInfection(cell.plant)}</div>` : ''
             ];
             tooltipContent = plantLines.filter(Boolean).join('');
             // Start live progress updates while tooltip is visible
@@ -922,7 +654,7 @@ class GardenGame {
                 return;
             }
 
-            tooltipKey = `decoration:${row}:${col}:${decorationType}:${decorationState.active ? 1 : 0}`;
+            tooltipKey = `decoration:${row}:${col}:${decorationType}:${decorationState.active ? 1 : 0}:${this.isNight() ? 1 : 0}`;
             const typeLabel = this.formatKeyLabel(decorationData.type) || 'Decoration';
             const bonusText = decorationData.bonus && decorationData.bonus.toLowerCase() !== 'none'
                 ? decorationData.bonus
@@ -932,9 +664,27 @@ class GardenGame {
                 `<div class="garden-tooltip__name">${decorationData.icon ? `${decorationData.icon} ` : ''}${decorationData.name}</div>`,
                 `<div class="garden-tooltip__meta">${typeLabel} Decoration</div>`,
                 bonusText ? `<div class="garden-tooltip__note">${bonusText}</div>` : '',
+                decorationData.nightBonus ? `<div class="garden-tooltip__note">🌙 ${decorationData.nightBonus} after dark${this.isNight() ? ' (active)' : ''}</div>` : '',
                 descriptionText ? `<div class="garden-tooltip__note">${descriptionText}</div>` : ''
             ];
             tooltipContent = decorationLines.filter(Boolean).join('');
+        } else if (machineAtCell) {
+            this.stopTooltipProgressUpdater();
+            const machineData = this.machineTypes[machineAtCell.type];
+            const tier = this.getMachineTier(machineAtCell);
+            const status = this.getMachineStatus(machineAtCell);
+            tooltipKey = `machine:${row}:${col}:${machineAtCell.type}:${machineAtCell.tier}:${machineAtCell.seed}:${status.text}`;
+            const seedLine = machineData.action === 'plant' && machineAtCell.seed
+                ? `<div class="garden-tooltip__note">Plants ${this.plantTypes[machineAtCell.seed].name}</div>`
+                : '';
+            const machineLines = [
+                `<div class="garden-tooltip__name">${machineData.icon} ${machineData.name} (tier ${machineAtCell.tier + 1})</div>`,
+                `<div class="garden-tooltip__meta">Range: ${tier.range} · Every ${tier.seconds}s · ⛽ ${tier.fuel} per run</div>`,
+                seedLine,
+                `<div class="garden-tooltip__status">${status.text}</div>`,
+                '<div class="garden-tooltip__note">Click to upgrade or configure</div>'
+            ];
+            tooltipContent = machineLines.filter(Boolean).join('');
         } else if (sprinklerAtCell) {
             const sprinklerData = this.sprinklerTypes[sprinklerAtCell.type];
             if (!sprinklerData) {
@@ -958,6 +708,18 @@ class GardenGame {
             ];
             tooltipContent = sprinklerLines.filter(Boolean).join('');
             this.stopTooltipProgressUpdater();
+        } else if (this.showSoilOverlay) {
+            // Empty tiles only have something to say while the soil overlay is on
+            this.stopTooltipProgressUpdater();
+            const tile = this.soil[row]?.[col];
+            tooltipKey = `soil:${row}:${col}:${tile ? tile.nutrients : ''}:${tile ? tile.lastCrop : ''}`;
+            const lastCropName = tile?.lastCrop ? this.plantTypes[tile.lastCrop]?.name : null;
+            const soilLines = [
+                `<div class="garden-tooltip__name">🪱 Soil</div>`,
+                `<div class="garden-tooltip__meta">${this.describeSoil(row, col)}</div>`,
+                lastCropName ? `<div class="garden-tooltip__note">Last crop: ${lastCropName}</div>` : ''
+            ];
+            tooltipContent = soilLines.filter(Boolean).join('');
         } else {
             this.hideGardenTooltip();
             return;
@@ -1020,8 +782,9 @@ class GardenGame {
         const maxIndex = totalStages - 1;
         const stageIndex = Math.min(Math.max(this.getPlantGrowthStage(cell.plant), 0), maxIndex);
         if (cell.plant.isFullyGrown || stageIndex >= maxIndex) return 1;
+        if (this.isPlantDormant(cell.plant)) return stageIndex / maxIndex;
 
-        const now = Date.now();
+        const now = this.now();
         let fractional = 0;
 
         // Try to infer fractional progress from the active growth mode
@@ -1035,8 +798,10 @@ class GardenGame {
                 // keep water growth as-is with seed multipliers – it's an active boost
                 growthTimePerStage *= this.getSeedGrowthMultiplier(seedType);
             }
-            const decorationGrowthBonus = (cell.plant.bonuses?.growth || 0) / 100;
+            const decorationGrowthBonus = this.getPlantBonus(cell.plant, 'growth') / 100;
             if (decorationGrowthBonus > 0) growthTimePerStage /= (1 + decorationGrowthBonus);
+            growthTimePerStage /= this.getSoilGrowthMultiplier(row, col);
+            growthTimePerStage /= this.getPestGrowthMultiplier(cell.plant);
             const last = cell.lastWaterGrowthCheck || cell.waterGrowthStart;
             fractional = Math.max(0, Math.min(1, (now - last) / growthTimePerStage));
         }
@@ -1045,8 +810,10 @@ class GardenGame {
             let growthTimePerStage = 1500; // base per fertilizer
             const seedType = cell.plant.type;
             growthTimePerStage *= this.getSeedGrowthMultiplier(seedType);
-            const decorationGrowthBonus = (cell.plant.bonuses?.growth || 0) / 100;
+            const decorationGrowthBonus = this.getPlantBonus(cell.plant, 'growth') / 100;
             if (decorationGrowthBonus > 0) growthTimePerStage /= (1 + decorationGrowthBonus);
+            growthTimePerStage /= this.getSoilGrowthMultiplier(row, col);
+            growthTimePerStage /= this.getPestGrowthMultiplier(cell.plant);
             const last = cell.lastFertilizerGrowthCheck || cell.fertilizerGrowthStart;
             fractional = Math.max(0, Math.min(1, (now - last) / growthTimePerStage));
         }
@@ -1057,8 +824,10 @@ class GardenGame {
                 let growthTimePerStage = 30000 / (1 + sprinklerBonus);
                 const seedType = cell.plant.type;
                 growthTimePerStage *= this.getSeedGrowthMultiplier(seedType);
-                const decorationGrowthBonus = (cell.plant.bonuses?.growth || 0) / 100;
+                const decorationGrowthBonus = this.getPlantBonus(cell.plant, 'growth') / 100;
                 if (decorationGrowthBonus > 0) growthTimePerStage /= (1 + decorationGrowthBonus);
+                growthTimePerStage /= this.getSoilGrowthMultiplier(row, col);
+                growthTimePerStage /= this.getPestGrowthMultiplier(cell.plant);
                 fractional = Math.max(0, Math.min(1, (now - cell.lastSprinklerGrowth) / growthTimePerStage));
             }
             // 4) Passive growth fallback
@@ -1068,9 +837,11 @@ class GardenGame {
                     const seedType = cell.plant.type;
                     growthTimePerStage *= this.getSeedGrowthMultiplier(seedType);
                 }
+                growthTimePerStage /= this.getSoilGrowthMultiplier(row, col);
+                growthTimePerStage /= this.getPestGrowthMultiplier(cell.plant);
                 if (!this.passiveIgnoreEnvMultipliers) {
                     const weatherMult = (this.weatherEffects[this.weather]?.growthMultiplier) || 1.0;
-                    const seasonMult = this.seasonMultiplier || 1.0;
+                    const seasonMult = this.getSeasonMultiplierAt(row, col);
                     growthTimePerStage /= weatherMult;
                     growthTimePerStage /= seasonMult;
                 }
@@ -1147,263 +918,6 @@ class GardenGame {
         this.hideGardenTooltip();
     }
     
-    // ===== GARDEN EXPANSION =====
-    expandGarden() {
-        const oldSize = this.gardenSize;
-        if (oldSize >= this.maxGardenSize) {
-            this.showMessage('Garden is already at maximum size!', 'error');
-            return false;
-        }
-        
-        if (this.money < this.expansionCost) {
-            this.showMessage(`Not enough money! Need $${this.expansionCost}`, 'error');
-            return false;
-        }
-        
-        this.money -= this.expansionCost;
-        // Expand by two tiles on every side (total +4 per dimension), but cap at maxGardenSize
-        const proposed = oldSize + 4;
-        const newSize = Math.min(this.maxGardenSize, proposed);
-        this.gardenSize = newSize;
-        this.gridSize = newSize;
-        
-        // Expand the garden array while preserving existing plants, centered in the new grid
-        const oldGarden = this.garden;
-        this.garden = this.initializeGarden();
-        const delta = newSize - oldSize;
-        const offset = Math.floor(delta / 2);
-        for (let row = 0; row < oldSize; row++) {
-            for (let col = 0; col < oldSize; col++) {
-                const src = oldGarden[row][col];
-                if (!src) continue;
-                const dstRow = row + offset;
-                const dstCol = col + offset;
-                if (dstRow >= 0 && dstRow < newSize && dstCol >= 0 && dstCol < newSize) {
-                    this.garden[dstRow][dstCol] = {
-                        plant: src.plant,
-                        decoration: src.decoration,
-                        watered: src.watered,
-                        wateredAt: src.wateredAt,
-                        waterCooldown: src.waterCooldown,
-                        fertilized: src.fertilized,
-                        fertilizedAt: src.fertilizedAt,
-                        fertilizerCooldown: src.fertilizerCooldown,
-                        plantedAt: src.plantedAt
-                    };
-                }
-            }
-        }
-
-        // Shift existing sprinkler coordinates so the layout grows in all directions evenly
-        if (Array.isArray(this.sprinklers) && this.sprinklers.length) {
-            this.sprinklers = this.sprinklers.map(s => ({
-                ...s,
-                row: Math.min(newSize - 1, Math.max(0, s.row + offset)),
-                col: Math.min(newSize - 1, Math.max(0, s.col + offset))
-            }));
-        }
-        
-        // Update expansion cost for next expansion
-        this.expansionCost = Math.floor(this.expansionCost * 1.3);
-        
-        // Update expansion challenge progress
-        this.updateChallengeProgress('expansion', 1);
-        
-        // Resize canvas and cell size to tightly fit the new grid without large borders
-        this.adjustCanvasForMobile();
-        this.showMessage(`Garden expanded to ${this.gardenSize}x${this.gardenSize}!`, 'success');
-        this.updateUI();
-        this.draw();
-        this.saveGame();
-        return true;
-    }
-    
-    // ===== GARDEN CHALLENGES =====
-    generateChallenges() {
-        const now = Date.now();
-        const dayInMs = 24 * 60 * 60 * 1000;
-        const currentDay = Math.floor(now / dayInMs);
-
-        if (!this.challenges || typeof this.challenges !== 'object') {
-            this.challenges = { daily: [], weekly: null, completed: [] };
-        }
-
-        if (!Array.isArray(this.challenges.daily)) {
-            const legacyDaily = this.challenges.daily;
-            this.challenges.daily = [];
-            if (legacyDaily && typeof legacyDaily === 'object') {
-                const legacyCollected = legacyDaily.collected !== undefined ? legacyDaily.collected : legacyDaily.rewardCollected;
-                const migratedDaily = {
-                    ...legacyDaily,
-                    id: legacyDaily.id || `daily-${currentDay}-${Math.random().toString(36).slice(2, 8)}`,
-                    completed: !!legacyDaily.completed
-                };
-                if (legacyCollected !== undefined) {
-                    migratedDaily.collected = legacyCollected;
-                }
-                this.challenges.daily.push(migratedDaily);
-            }
-        }
-
-        if (!Array.isArray(this.challenges.completed)) {
-            this.challenges.completed = [];
-        }
-
-        this.challenges.daily = this.challenges.daily
-            .filter(challenge => challenge && challenge.day === currentDay)
-            .map(challenge => {
-                const collectedFlag = challenge.collected !== undefined ? !!challenge.collected : !!challenge.completed;
-                return {
-                    ...challenge,
-                    type: 'daily',
-                    id: challenge.id || `daily-${currentDay}-${Math.random().toString(36).slice(2, 8)}`,
-                    progress: Math.min(challenge.progress || 0, challenge.target),
-                    completed: !!challenge.completed,
-                    collected: collectedFlag
-                };
-            });
-
-        const existingTypes = new Set(this.challenges.daily.map(challenge => challenge.challengeType));
-        while (this.challenges.daily.length < 3) {
-            const newChallenge = this.createDailyChallenge(currentDay, existingTypes);
-            existingTypes.add(newChallenge.challengeType);
-            this.challenges.daily.push(newChallenge);
-        }
-
-        const weekInMs = 7 * dayInMs;
-        const currentWeek = Math.floor(now / weekInMs);
-
-        if (!this.challenges.weekly || this.challenges.weekly.week !== currentWeek) {
-            this.challenges.weekly = this.createWeeklyChallenge(currentWeek);
-        } else {
-            const weeklyCollected = this.challenges.weekly.collected !== undefined ? !!this.challenges.weekly.collected : !!this.challenges.weekly.completed;
-            this.challenges.weekly = {
-                ...this.challenges.weekly,
-                type: 'weekly',
-                id: this.challenges.weekly.id || `weekly-${currentWeek}-${Math.random().toString(36).slice(2, 8)}`,
-                progress: Math.min(this.challenges.weekly.progress || 0, this.challenges.weekly.target),
-                completed: !!this.challenges.weekly.completed,
-                collected: weeklyCollected,
-                week: currentWeek
-            };
-        }
-    }
-
-    createDailyChallenge(currentDay, existingTypes = new Set()) {
-        const challenges = [
-            { challengeType: 'harvest', target: 20, description: 'Harvest 20 plants', reward: 75 },
-            { challengeType: 'plant', target: 25, description: 'Plant 25 seeds', reward: 60 },
-            { challengeType: 'water', target: 30, description: 'Water 30 plants', reward: 55 },
-            { challengeType: 'money', target: 400, description: 'Earn $400', reward: 80 },
-            { challengeType: 'rare', target: 4, description: 'Harvest 4 rare plants', reward: 120 },
-            { challengeType: 'fertilize', target: 10, description: 'Fertilize 10 plants', reward: 70 }
-        ];
-
-        const available = challenges.filter(challenge => !existingTypes.has(challenge.challengeType));
-        const pool = available.length > 0 ? available : challenges;
-        const challenge = pool[Math.floor(Math.random() * pool.length)];
-
-        return {
-            id: `daily-${currentDay}-${Math.random().toString(36).slice(2, 8)}`,
-            type: 'daily',
-            challengeType: challenge.challengeType,
-            target: challenge.target,
-            description: challenge.description,
-            reward: challenge.reward,
-            day: currentDay,
-            progress: 0,
-            completed: false,
-            collected: false
-        };
-    }
-
-    createWeeklyChallenge(currentWeek) {
-        const challenges = [
-            { challengeType: 'harvest', target: 120, description: 'Harvest 120 plants', reward: 600 },
-            { challengeType: 'plant', target: 160, description: 'Plant 160 seeds', reward: 500 },
-            { challengeType: 'money', target: 3000, description: 'Earn $3000', reward: 700 },
-            { challengeType: 'legendary', target: 8, description: 'Harvest 8 legendary plants', reward: 900 },
-            { challengeType: 'expansion', target: 2, description: 'Expand your garden twice', reward: 800 }
-        ];
-
-        const challenge = challenges[Math.floor(Math.random() * challenges.length)];
-        return {
-            id: `weekly-${currentWeek}-${Math.random().toString(36).slice(2, 8)}`,
-            type: 'weekly',
-            challengeType: challenge.challengeType,
-            target: challenge.target,
-            description: challenge.description,
-            reward: challenge.reward,
-            week: currentWeek,
-            progress: 0,
-            completed: false,
-            collected: false
-        };
-    }
-
-    updateChallengeProgress(type, amount = 1) {
-        if (!this.challenges) {
-            return;
-        }
-
-        const applyProgress = (challenge) => {
-            if (!challenge || challenge.challengeType !== type || challenge.completed) {
-                return;
-            }
-            challenge.progress = Math.min((challenge.progress || 0) + amount, challenge.target);
-            if (challenge.progress >= challenge.target) {
-                this.completeChallenge(challenge);
-            }
-        };
-
-        if (Array.isArray(this.challenges.daily)) {
-            this.challenges.daily.forEach(applyProgress);
-        }
-
-        if (this.challenges.weekly) {
-            applyProgress(this.challenges.weekly);
-        }
-    }
-
-    completeChallenge(challenge) {
-        if (!challenge || challenge.completed) {
-            return;
-        }
-
-        challenge.completed = true;
-        this.showMessage('Challenge complete! Tap to collect your reward.', 'success');
-        this.updateChallengesDisplay();
-        this.saveGame();
-    }
-
-    collectChallengeReward(challengeId, type) {
-        let challenge = null;
-        if (type === 'daily' && Array.isArray(this.challenges.daily)) {
-            challenge = this.challenges.daily.find(item => item.id === challengeId);
-        } else if (type === 'weekly' && this.challenges.weekly && this.challenges.weekly.id === challengeId) {
-            challenge = this.challenges.weekly;
-        }
-
-        if (!challenge || !challenge.completed || challenge.collected) {
-            return;
-        }
-
-        challenge.collected = true;
-        this.money += challenge.reward;
-        this.stats.totalMoneyEarned = (this.stats.totalMoneyEarned || 0) + challenge.reward;
-
-        if (Array.isArray(this.challenges.completed)) {
-            this.challenges.completed.push({ ...challenge, collectedAt: Date.now() });
-            if (this.challenges.completed.length > 50) {
-                this.challenges.completed = this.challenges.completed.slice(-50);
-            }
-        }
-
-        this.showMessage(`Collected $${challenge.reward} from ${type} challenge!`, 'success');
-        this.updateUI();
-        this.saveGame();
-    }
-    
     // ===== VISUAL FEEDBACK =====
     addParticle(x, y, type, value) {
         this.particles.push({
@@ -1419,23 +933,6 @@ class GardenGame {
         });
     }
 
-    // Apply all currently placed global decoration bonuses to a specific cell's plant
-    applyAllGlobalBonusesToCell(row, col) {
-        const cell = this.garden?.[row]?.[col];
-        if (!cell || !cell.plant) return;
-        for (let y = 0; y < this.gridSize; y++) {
-            for (let x = 0; x < this.gridSize; x++) {
-                const deco = this.garden?.[y]?.[x]?.decoration;
-                if (!deco) continue;
-                const data = this.decorations?.[deco.type];
-                if (!data || data.bonus === 'none') continue;
-                if (data.scope === 'global') {
-                    this.applyPlantBonus(row, col, data.bonus);
-                }
-            }
-        }
-    }
-
     // Gentle, soft particle burst for subtle, round feedback at (x, y)
     // kind: 'plant' | 'water' | 'fertilizer' | 'harvest' | 'sprinkler' | 'decoration' | 'remove'
     // count: small number of dots to spawn
@@ -1447,6 +944,7 @@ class GardenGame {
             return; // avoid overdraw on mobile/low-end
         }
         const capped = this.isMobileDevice ? Math.min(count, 8) : count;
+        // Looks only: Math.random leaves the garden's seeded sequence to the game rules
         for (let i = 0; i < capped; i++) {
             const angle = Math.random() * Math.PI * 2;
             const speed = 1.2 + Math.random() * 1.8; // higher velocity outward
@@ -1588,39 +1086,6 @@ class GardenGame {
         });
     }
     
-    // ===== GARDEN STATISTICS =====
-    updateStats(type, amount = 1) {
-        switch (type) {
-            case 'harvest':
-                this.stats.totalPlantsHarvested += amount;
-                break;
-            case 'money':
-                this.stats.totalMoneyEarned += amount;
-                if (amount > this.stats.bestHarvest) {
-                    this.stats.bestHarvest = amount;
-                }
-                break;
-            case 'water':
-                this.stats.totalWaterUsed += amount;
-                break;
-            case 'fertilizer':
-                this.stats.totalFertilizerUsed += amount;
-                break;
-            case 'plant':
-                const plantType = amount;
-                this.stats.plantsByType[plantType] = (this.stats.plantsByType[plantType] || 0) + 1;
-                break;
-        }
-    }
-    
-    updateSessionTime() {
-        const now = Date.now();
-        const sessionTime = now - this.stats.sessionStartTime;
-        if (sessionTime > this.stats.longestPlaySession) {
-            this.stats.longestPlaySession = sessionTime;
-        }
-    }
-    
     // ===== SOUND EFFECTS =====
     initializeSound() {
         try {
@@ -1658,78 +1123,398 @@ class GardenGame {
         }
     }
     
-    toggleSound() {
-        this.soundEnabled = !this.soundEnabled;
-        this.showMessage(`Sound ${this.soundEnabled ? 'enabled' : 'disabled'}!`, 'success');
+    // ===== SOIL OVERLAY =====
+    toggleSoilOverlay() {
+        this.showSoilOverlay = !this.showSoilOverlay;
+        const soilBtn = document.getElementById('soilBtn');
+        if (soilBtn) {
+            soilBtn.setAttribute('aria-pressed', this.showSoilOverlay ? 'true' : 'false');
+        }
+        this.hideGardenTooltip();
+        this.draw();
         this.saveGame();
-        
-        // Update button text
-        const soundBtn = document.getElementById('soundBtn');
-        if (soundBtn) {
-            soundBtn.textContent = this.soundEnabled ? '🔊 Sound' : '🔇 Sound';
+    }
+
+    // ===== UNDO HISTORY UI =====
+    handleHistoryButton(direction) {
+        this.hideGardenTooltip();
+        if (direction < 0) {
+            this.undo();
+        } else {
+            this.redo();
         }
     }
-    
-    initializeGarden() {
-        const garden = [];
-        for (let row = 0; row < this.gridSize; row++) {
-            garden[row] = [];
-            for (let col = 0; col < this.gridSize; col++) {
-                garden[row][col] = {
-                    plant: null,
-                    sprinkler: null,
-                    decoration: null,
-                    watered: false,
-                    wateredAt: null,
-                    waterCooldown: 0,
-                    fertilized: false,
-                    fertilizedAt: null,
-                    fertilizerCooldown: 0,
-                    plantedAt: null
-                };
-            }
+
+    updateHistoryButtons() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        const nextUndo = this.undoStack[this.undoStack.length - 1];
+        const nextRedo = this.redoStack[this.redoStack.length - 1];
+        if (undoBtn) {
+            undoBtn.disabled = !nextUndo;
+            undoBtn.title = nextUndo ? `Undo the ${nextUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+        }
+        if (redoBtn) {
+            redoBtn.disabled = !nextRedo;
+            redoBtn.title = nextRedo ? `Redo the ${nextRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
         }
-        return garden;
     }
-    
-    initializeEventListeners() {
-        if (!this.canvas) {
-            return;
+
+    // ===== AREA ACTIONS UI =====
+    // Press and drag (or touch-drag) to paint the current seed or tool across tiles; in rectangle mode
+    // (the Area button, or Shift while dragging) the drag boxes out a block instead. Nothing happens until release.
+    toggleAreaSelectMode() {
+        this.areaSelectMode = !this.areaSelectMode;
+        const areaBtn = document.getElementById('areaBtn');
+        if (areaBtn) {
+            areaBtn.setAttribute('aria-pressed', this.areaSelectMode ? 'true' : 'false');
         }
-        
-        // Remove any existing event listeners first
-        this.removeEventListeners();
-        
-        // Adjust canvas size for mobile devices
-        this.adjustCanvasForMobile();
+        this.showMessage(this.areaSelectMode ? '⬚ Drag across the garden to select a block of tiles.' : 'Dragging paints tiles again.', 'info');
+    }
 
-        // Prepare quick tool access UI
-        this.initializeToolQuickMenu();
-        this.toolboxButton = document.getElementById('toolboxToggle') || null;
-        if (this.toolboxButton) {
-            this.toolboxButton.setAttribute('aria-expanded', this.toolQuickMenuVisible ? 'true' : 'false');
+    beginAreaDrag(pointer, rectangle) {
+        if (this.readOnly || this.currentTool === 'greenhouse' || this.currentTool === 'machine') return;
+        const cellInfo = this.getCellFromClientPosition(pointer.clientX, pointer.clientY);
+        if (!cellInfo || !cellInfo.withinGrid) return;
+        const start = { row: cellInfo.row, col: cellInfo.col };
+        this.areaDrag = { rectangle, start, end: start, path: [start], moved: false, plan: null };
+    }
+
+    extendAreaDrag(pointer) {
+        const drag = this.areaDrag;
+        const cellInfo = this.getCellFromClientPosition(pointer.clientX, pointer.clientY);
+        if (!drag || !cellInfo) return;
+        const clamp = value => Math.max(0, Math.min(this.gridSize - 1, value));
+        const cell = { row: clamp(cellInfo.row), col: clamp(cellInfo.col) };
+        if (cell.row === drag.end.row && cell.col === drag.end.col) return;
+        // Painting only counts tiles the pointer is actually over, but fills in any it skipped by moving fast
+        if (!drag.rectangle && !cellInfo.withinGrid) return;
+
+        if (!drag.rectangle) {
+            this.getCellsOnLine(drag.end, cell).forEach(step => {
+                if (!drag.path.some(tile => tile.row === step.row && tile.col === step.col)) {
+                    drag.path.push(step);
+                }
+            });
         }
-        this.hideToolQuickMenu();
-        
-        // Helper function to add event listeners and track them
-        const addBtnListener = (element, event, handler) => {
-            if (element) {
-                // Remove any existing listeners first to prevent duplicates
-                element.removeEventListener(event, handler);
-                element.addEventListener(event, handler);
-                this.eventListeners.push({ element, event, handler });
+        drag.end = cell;
+        drag.moved = true;
+        drag.plan = this.planArea(this.getAreaDragTiles());
+
+        this.cancelTouchHover();
+        this.updateAreaPreview();
+        this.draw();
+    }
+
+    // Cells from one tile to another, not counting the first
+    getCellsOnLine(from, to) {
+        const steps = Math.max(Math.abs(to.row - from.row), Math.abs(to.col - from.col));
+        const cells = [];
+        for (let i = 1; i <= steps; i++) {
+            cells.push({
+                row: Math.round(from.row + (to.row - from.row) * i / steps),
+                col: Math.round(from.col + (to.col - from.col) * i / steps)
+            });
+        }
+        return cells;
+    }
+
+    getAreaDragTiles() {
+        const drag = this.areaDrag;
+        if (!drag) return [];
+        if (!drag.rectangle) return drag.path;
+        const tiles = [];
+        for (let row = Math.min(drag.start.row, drag.end.row); row <= Math.max(drag.start.row, drag.end.row); row++) {
+            for (let col = Math.min(drag.start.col, drag.end.col); col <= Math.max(drag.start.col, drag.end.col); col++) {
+                tiles.push({ row, col });
             }
-        };
-        
-        // Canvas event listeners
-        addBtnListener(this.canvas, 'click', (e) => this.handleCanvasClick(e));
-        addBtnListener(this.canvas, 'mousemove', (e) => this.handleMouseMove(e));
-        addBtnListener(this.canvas, 'mouseleave', () => this.hideGardenTooltip());
-        addBtnListener(this.canvas, 'contextmenu', (event) => {
-            event.preventDefault();
-            event.stopPropagation();
-            const pointer = this.getPointerPosition(event);
-            if (!pointer) {
+        }
+        return tiles;
+    }
+
+    // Returns true if the drag covered more than one tile and was applied (the click that follows is then ignored)
+    finishAreaDrag() {
+        const drag = this.areaDrag;
+        if (!drag) return false;
+        const tiles = this.getAreaDragTiles();
+        this.areaDrag = null;
+        this.updateAreaPreview();
+        if (!drag.moved) return false;
+
+        this.areaDragEndedAt = Date.now();
+        this.applyArea(tiles);
+        return true;
+    }
+
+    cancelAreaDrag() {
+        if (!this.areaDrag) return;
+        const wasShown = this.areaDrag.moved;
+        this.areaDrag = null;
+        this.updateAreaPreview();
+        if (wasShown) this.draw();
+    }
+
+    updateAreaPreview() {
+        const preview = document.getElementById('areaPreview');
+        if (!preview) return;
+        const plan = this.areaDrag && this.areaDrag.moved ? this.areaDrag.plan : null;
+        preview.hidden = !plan;
+        if (!plan) return;
+        preview.textContent = this.describeAreaPlan(plan);
+        preview.classList.toggle('is-short', !!plan.shortfall);
+    }
+
+    // Green tiles will be worked, red ones are past where the money or supplies run out
+    drawAreaSelection(offsetX, offsetY) {
+        const drag = this.areaDrag;
+        if (!drag || !drag.moved || !drag.plan) return;
+        const size = this.cellSize;
+        const stepIndex = new Map(drag.plan.steps.map((step, index) => [`${step.row},${step.col}`, index]));
+
+        this.ctx.save();
+        this.getAreaDragTiles().forEach(({ row, col }) => {
+            const index = stepIndex.get(`${row},${col}`);
+            if (index === undefined) {
+                this.ctx.fillStyle = 'rgba(255, 255, 255, 0.18)';
+            } else if (index < drag.plan.affordable) {
+                this.ctx.fillStyle = 'rgba(76, 175, 80, 0.38)';
+            } else {
+                this.ctx.fillStyle = 'rgba(231, 76, 60, 0.38)';
+            }
+            this.ctx.fillRect(offsetX + col * size, offsetY + row * size, size, size);
+        });
+
+        if (drag.rectangle) {
+            const top = Math.min(drag.start.row, drag.end.row);
+            const left = Math.min(drag.start.col, drag.end.col);
+            const rows = Math.abs(drag.start.row - drag.end.row) + 1;
+            const cols = Math.abs(drag.start.col - drag.end.col) + 1;
+            this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([6, 4]);
+            this.ctx.strokeRect(offsetX + left * size + 1, offsetY + top * size + 1, cols * size - 2, rows * size - 2);
+        }
+        this.ctx.restore();
+    }
+
+    describeSoil(row, col) {
+        const nutrients = Math.round(this.getSoilNutrients(row, col));
+        const label = nutrients >= 75 ? 'Rich' : nutrients >= 45 ? 'Healthy' : nutrients >= 20 ? 'Tired' : 'Exhausted';
+        const formatPercent = (multiplier) => {
+            const percent = Math.round((multiplier - 1) * 100);
+            return `${percent > 0 ? '+' : ''}${percent}%`;
+        };
+        return `${label} soil (${nutrients}/100) · Growth ${formatPercent(this.getSoilGrowthMultiplier(row, col))} · Value ${formatPercent(this.getSoilHarvestMultiplier(row, col))}`;
+    }
+
+    describeOrchardTree(plant) {
+        const perennial = this.plantTypes[plant.type].perennial;
+        const ageLabel = { young: 'Young', prime: 'Prime', old: 'Old' }[this.getPerennialAge(plant)];
+        const yieldPercent = Math.round(this.getPerennialYieldMultiplier(plant) * 100);
+        const harvests = plant.harvests || 0;
+        const seasons = Math.floor(this.getPerennialSeasons(plant));
+        const age = seasons < 1 ? 'planted this season' : `${seasons} season${seasons === 1 ? '' : 's'} old`;
+        const parts = [`🌳 ${ageLabel} tree · ${age} · ${harvests} harvest${harvests === 1 ? '' : 's'} · Yield ${yieldPercent}%`];
+        if (this.isPlantDormant(plant)) {
+            parts.push(`💤 Dormant in ${this.currentSeason}`);
+        } else {
+            parts.push(`Rests in ${perennial.dormantIn.join(' & ')}`);
+        }
+        return parts.join(' · ');
+    }
+
+    describeInfection(plant) {
+        const infection = this.getPlantInfection(plant);
+        if (!infection) {
+            return '🧴 Recently treated · safe from pests for now';
+        }
+        const pest = this.pestTypes[infection.type];
+        const growthPenalty = Math.round((1 - this.getPestGrowthMultiplier(plant)) * 100);
+        const valuePenalty = Math.round((1 - this.getPestHarvestMultiplier(plant)) * 100);
+        return `${pest.icon} ${pest.name} (${infection.severity}/${this.pestMaxSeverity}) · Growth -${growthPenalty}% · Value -${valuePenalty}% · Treat for $${pest.treatCost}`;
+    }
+
+    // Red for exhausted soil through yellow at the neutral level to green for rich soil
+    drawSoilOverlay(offsetX, offsetY) {
+        this.ctx.save();
+        const showNumbers = this.cellSize >= 40;
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                const nutrients = this.getSoilNutrients(row, col);
+                const x = offsetX + col * this.cellSize;
+                const y = offsetY + row * this.cellSize;
+                this.ctx.fillStyle = `hsla(${Math.round(nutrients * 1.2)}, 70%, 45%, 0.4)`;
+                this.ctx.fillRect(x, y, this.cellSize, this.cellSize);
+
+                if (showNumbers) {
+                    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+                    this.ctx.font = `bold ${Math.max(10, Math.floor(this.cellSize * 0.18))}px Arial`;
+                    this.ctx.textAlign = 'left';
+                    this.ctx.textBaseline = 'bottom';
+                    this.ctx.fillText(String(Math.round(nutrients)), x + 3, y + this.cellSize - 2);
+                }
+            }
+        }
+        this.ctx.restore();
+    }
+
+    // Glass floor tint under the plants so greenhouse tiles read as indoors
+    drawGreenhouseFloor(offsetX, offsetY) {
+        if (!this.greenhouse) return;
+        const size = this.getGreenhouseSize() * this.cellSize;
+        const x = offsetX + this.greenhouse.col * this.cellSize;
+        const y = offsetY + this.greenhouse.row * this.cellSize;
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(190, 235, 255, 0.35)';
+        this.ctx.fillRect(x, y, size, size);
+        this.ctx.restore();
+    }
+
+    // Frame, glazing bars and a sign drawn over the plants
+    drawGreenhouseFrame(offsetX, offsetY) {
+        if (!this.greenhouse) return;
+        const tiles = this.getGreenhouseSize();
+        const size = tiles * this.cellSize;
+        const x = offsetX + this.greenhouse.col * this.cellSize;
+        const y = offsetY + this.greenhouse.row * this.cellSize;
+        this.ctx.save();
+
+        // Glazing bars on every tile edge, plus a diagonal glint per pane
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.55)';
+        this.ctx.lineWidth = 1;
+        for (let i = 1; i < tiles; i++) {
+            const line = i * this.cellSize;
+            this.ctx.beginPath();
+            this.ctx.moveTo(x + line, y);
+            this.ctx.lineTo(x + line, y + size);
+            this.ctx.moveTo(x, y + line);
+            this.ctx.lineTo(x + size, y + line);
+            this.ctx.stroke();
+        }
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+        for (let row = 0; row < tiles; row++) {
+            for (let col = 0; col < tiles; col++) {
+                const px = x + col * this.cellSize;
+                const py = y + row * this.cellSize;
+                this.ctx.beginPath();
+                this.ctx.moveTo(px + this.cellSize * 0.15, py + this.cellSize * 0.4);
+                this.ctx.lineTo(px + this.cellSize * 0.4, py + this.cellSize * 0.15);
+                this.ctx.stroke();
+            }
+        }
+
+        this.ctx.strokeStyle = '#e8f4f8';
+        this.ctx.lineWidth = Math.max(2, Math.floor(this.cellSize / 16));
+        this.ctx.strokeRect(x + 1, y + 1, size - 2, size - 2);
+
+        this.ctx.font = `${Math.max(12, Math.floor(this.cellSize * 0.3))}px Arial`;
+        this.ctx.textAlign = 'right';
+        this.ctx.textBaseline = 'top';
+        this.ctx.fillText('🏡', x + size - 3, y + 3);
+        this.ctx.restore();
+    }
+
+    // Shop button: place a new greenhouse, or upgrade the one already built
+    handleGreenhouseButton() {
+        if (this.greenhouse) {
+            this.upgradeGreenhouse();
+            return;
+        }
+        const { size, cost } = this.greenhouseLevels[0];
+        if (this.money < cost) {
+            this.showMessage(`Not enough money! A greenhouse costs $${cost}`, 'error');
+            return;
+        }
+        this.selectTool('greenhouse');
+        this.showMessage(`Click a tile in the garden to place the ${size}x${size} greenhouse's top-left corner.`, 'info');
+    }
+
+    updateGreenhouseShopItem() {
+        const priceEl = document.getElementById('greenhousePriceLabel');
+        const button = document.getElementById('greenhouse-btn');
+        const description = document.getElementById('greenhouseDescription');
+        if (!priceEl || !button) return;
+
+        if (!this.greenhouse) {
+            const { size, cost } = this.greenhouseLevels[0];
+            priceEl.textContent = `$${cost}`;
+            button.textContent = '🏡 Build Greenhouse';
+            button.disabled = false;
+            if (description) description.textContent = `A ${size}x${size} greenhouse: crops inside grow in any season and are safe from storms.`;
+            return;
+        }
+        const size = this.getGreenhouseSize();
+        const upgradeCost = this.getGreenhouseUpgradeCost();
+        if (upgradeCost === null) {
+            priceEl.textContent = 'Max level';
+            button.textContent = '🏡 Fully Upgraded';
+            button.disabled = true;
+            if (description) description.textContent = `Your ${size}x${size} greenhouse is as big as it gets.`;
+        } else {
+            const nextSize = this.greenhouseLevels[this.greenhouse.level + 1].size;
+            priceEl.textContent = `$${upgradeCost}`;
+            button.textContent = '🏡 Upgrade Greenhouse';
+            button.disabled = false;
+            if (description) description.textContent = `Grow your ${size}x${size} greenhouse to ${nextSize}x${nextSize}.`;
+        }
+    }
+
+    toggleSound() {
+        this.soundEnabled = !this.soundEnabled;
+        this.showMessage(`Sound ${this.soundEnabled ? 'enabled' : 'disabled'}!`, 'success');
+        this.saveGame();
+        
+        // Update button text
+        const soundBtn = document.getElementById('soundBtn');
+        if (soundBtn) {
+            soundBtn.textContent = this.soundEnabled ? '🔊 Sound' : '🔇 Sound';
+        }
+    }
+    
+    initializeEventListeners() {
+        if (!this.canvas) {
+            return;
+        }
+        
+        // Remove any existing event listeners first
+        this.removeEventListeners();
+        
+        // Adjust canvas size for mobile devices
+        this.adjustCanvasForMobile();
+
+        // Prepare quick tool access UI
+        this.initializeToolQuickMenu();
+        this.toolboxButton = document.getElementById('toolboxToggle') || null;
+        if (this.toolboxButton) {
+            this.toolboxButton.setAttribute('aria-expanded', this.toolQuickMenuVisible ? 'true' : 'false');
+        }
+        this.hideToolQuickMenu();
+        
+        // Helper function to add event listeners and track them
+        const addBtnListener = (element, event, handler) => {
+            if (element) {
+                // Remove any existing listeners first to prevent duplicates
+                element.removeEventListener(event, handler);
+                element.addEventListener(event, handler);
+                this.eventListeners.push({ element, event, handler });
+            }
+        };
+        
+        // Canvas event listeners
+        addBtnListener(this.canvas, 'click', (e) => this.handleCanvasClick(e));
+        addBtnListener(this.canvas, 'mousedown', (e) => {
+            if (e.button === 0) {
+                this.beginAreaDrag(e, this.areaSelectMode || e.shiftKey);
+            }
+        });
+        addBtnListener(document, 'mouseup', () => this.finishAreaDrag());
+        addBtnListener(this.canvas, 'mousemove', (e) => this.handleMouseMove(e));
+        addBtnListener(this.canvas, 'mouseleave', () => this.hideGardenTooltip());
+        addBtnListener(this.canvas, 'contextmenu', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            const pointer = this.getPointerPosition(event);
+            if (!pointer) {
                 this.hideToolQuickMenu();
                 return;
             }
@@ -1759,8 +1544,11 @@ class GardenGame {
             this.lastTouchPointer = { clientX: touch.clientX, clientY: touch.clientY };
 
             this.cancelTouchHover();
+            this.beginAreaDrag(this.lastTouchPointer, this.areaSelectMode);
             this.touchHoverTimer = setTimeout(() => {
                 this.touchHoverTimer = null;
+                // Holding still shows the tooltip instead of starting a drag
+                this.cancelAreaDrag();
                 this.touchHoverActive = true;
                 const pointer = { ...this.lastTouchPointer };
                 const cellInfo = this.getCellFromClientPosition(pointer.clientX, pointer.clientY);
@@ -1784,6 +1572,9 @@ class GardenGame {
             e.preventDefault();
             e.stopPropagation();
             this.cancelTouchHover();
+            if (this.finishAreaDrag()) {
+                return;
+            }
             
             // Only trigger click if it's a short tap (not a scroll)
             const touchEndTime = Date.now();
@@ -1814,6 +1605,7 @@ class GardenGame {
             e.preventDefault();
             e.stopPropagation();
             this.cancelTouchHover();
+            this.cancelAreaDrag();
         });
         
         // Fallback touch event for better mobile compatibility
@@ -1907,6 +1699,23 @@ class GardenGame {
             if (event.key === 'Escape') {
                 closeAllTooltips();
                 this.hideToolQuickMenu();
+                this.cancelAreaDrag();
+            }
+        });
+
+        // Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes; text fields keep their own undo
+        addBtnListener(document, 'keydown', (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+            const target = event.target;
+            if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+            if (document.querySelector('.menu-modal:not([hidden])') || !document.getElementById('gameContainer')?.offsetParent) return;
+            const key = event.key.toLowerCase();
+            if (key === 'z') {
+                event.preventDefault();
+                this.handleHistoryButton(event.shiftKey ? 1 : -1);
+            } else if (key === 'y' && !event.shiftKey) {
+                event.preventDefault();
+                this.handleHistoryButton(1);
             }
         });
 
@@ -1979,6 +1788,24 @@ class GardenGame {
         addBtnListener(document.getElementById('shovel-btn'), 'click', () => {
             this.selectTool('shovel');
         });
+        addBtnListener(document.getElementById('treat-btn'), 'click', () => {
+            this.selectTool('treat');
+        });
+
+        // Barn & Market
+        addBtnListener(document.getElementById('openMarketBtn'), 'click', () => this.showMarketModal());
+        addBtnListener(document.getElementById('barnSellAllBtn'), 'click', () => this.sellAllProduce());
+        addBtnListener(document.getElementById('openKitchenBtn'), 'click', () => this.showKitchenModal());
+        addBtnListener(document.getElementById('openBlueprintsBtn'), 'click', () => this.showBlueprintModal());
+        addBtnListener(document.getElementById('openStatsDashboardBtn'), 'click', () => this.showStatsDashboard());
+        addBtnListener(document.getElementById('seasonSettingsBtn'), 'click', () => this.showSeasonSettings());
+        addBtnListener(document.getElementById('eventLogFilter'), 'change', (event) => {
+            this.eventLogFilter = event.target.value;
+            this.updateEventLogDisplay();
+        });
+        addBtnListener(document.getElementById('eventLogCsvBtn'), 'click', () => this.downloadEventLog('csv'));
+        addBtnListener(document.getElementById('eventLogJsonBtn'), 'click', () => this.downloadEventLog('json'));
+        addBtnListener(document.getElementById('blueprintFillBtn'), 'click', () => this.fillFromBlueprint());
         
         // Tool upgrade buttons
         addBtnListener(document.getElementById('upgrade-water-btn'), 'click', () => this.upgradeTool('water'));
@@ -1988,11 +1815,16 @@ class GardenGame {
         // Garden expansion button
         addBtnListener(document.getElementById('expandBtn'), 'click', () => this.expandGarden());
         addBtnListener(document.getElementById('expandShopBtn'), 'click', () => this.expandGarden());
+        addBtnListener(document.getElementById('greenhouse-btn'), 'click', () => this.handleGreenhouseButton());
         addBtnListener(document.getElementById('upgrade-harvest-btn'), 'click', () => this.upgradeTool('harvest'));
         addBtnListener(document.getElementById('rebirthBtn'), 'click', () => this.handleRebirthClick());
         
         // Sound toggle button
         addBtnListener(document.getElementById('soundBtn'), 'click', () => this.toggleSound());
+        addBtnListener(document.getElementById('soilBtn'), 'click', () => this.toggleSoilOverlay());
+        addBtnListener(document.getElementById('areaBtn'), 'click', () => this.toggleAreaSelectMode());
+        addBtnListener(document.getElementById('undoBtn'), 'click', () => this.handleHistoryButton(-1));
+        addBtnListener(document.getElementById('redoBtn'), 'click', () => this.handleHistoryButton(1));
 
         // Rename garden button
         addBtnListener(document.getElementById('renameGardenBtn'), 'click', () => this.promptRenameGarden());
@@ -2017,6 +1849,12 @@ class GardenGame {
             });
         });
         
+        // Machine shop: pick a machine, then click an empty tile to build it there
+        document.querySelectorAll('.machine-item').forEach(item => {
+            addBtnListener(item, 'click', () => this.selectMachine(item.dataset.machine));
+        });
+        addBtnListener(document.getElementById('buyFuelBtn'), 'click', () => this.buyFuel());
+        
         // Sprinkler tool buttons
         addBtnListener(document.getElementById('sprinkler-basic-btn'), 'click', () => this.selectSprinkler('basic'));
         addBtnListener(document.getElementById('sprinkler-advanced-btn'), 'click', () => this.selectSprinkler('advanced'));
@@ -2445,27 +2283,6 @@ class GardenGame {
         
     }
 
-    // ===== PRICING HELPERS =====
-    // Returns a multiplier based on tool level to reduce shop prices
-    // Each level beyond 1 reduces price by 15%, floored at 20% of base; final price has a hard floor of $1
-    getToolPriceMultiplier(tool) {
-        const lvl = Math.max(1, (this.toolLevels && this.toolLevels[tool]) || 1);
-        const reductionPerLevel = 0.15; // 15% per level beyond level 1
-        // e.g., L1=1.0, L2=0.85, L3=0.70, ... with a floor multiplier of 0.2
-        const mult = 1 - reductionPerLevel * (lvl - 1);
-        return Math.max(0.2, mult);
-    }
-
-    getWaterPurchasePrice() {
-        const unit = Math.floor(this.waterPriceBase * this.getToolPriceMultiplier('water'));
-        return Math.max(1, unit);
-    }
-
-    getFertilizerPurchasePrice() {
-        const unit = Math.floor(this.fertilizerPriceBase * this.getToolPriceMultiplier('fertilizer'));
-        return Math.max(1, unit);
-    }
-    
     initializeDecorationShop() {
         const decorationItems = document.querySelectorAll('.decoration-item');
         const categoryBtns = document.querySelectorAll('.category-btn');
@@ -2555,6 +2372,16 @@ class GardenGame {
                 `;
                 details.appendChild(bonusLine);
 
+                if (decorationData.nightBonus) {
+                    const nightLine = document.createElement('div');
+                    nightLine.className = 'decoration-details__line';
+                    nightLine.innerHTML = `
+                        <span class='decoration-details__label'>After dark</span>
+                        <span class='decoration-details__bonus'>🌙 ${decorationData.nightBonus}</span>
+                    `;
+                    details.appendChild(nightLine);
+                }
+
                 if (decorationData.scope === 'global') {
                     const note = document.createElement('div');
                     note.className = 'decoration-details__note';
@@ -2641,6 +2468,7 @@ class GardenGame {
                     // Clear other selections
                     this.selectedSeed = null;
                     this.selectedSprinkler = null;
+                    this.selectedMachine = null;
                     document.querySelectorAll('.seed-item').forEach(seed => seed.classList.remove('selected'));
                     document.querySelectorAll('.sprinkler-tool').forEach(sprinkler => sprinkler.classList.remove('active'));
                     document.querySelectorAll('.tool-btn').forEach(tool => tool.classList.remove('active'));
@@ -3454,19 +3282,22 @@ class GardenGame {
     
     makeAdminFunctionsGlobal() {
         // Helper function to track admin command usage
-        const trackAdminCommand = () => {
+        const trackAdminCommand = (description) => {
             if (!this.stats.adminPanelUsed) {
                 this.stats.adminPanelUsed = true;
             }
             this.stats.adminPanelUsageCount++;
+            this.logEvent('admin', description);
             this.saveGame();
+            // Keep the state from just before the command so it can be restored from the slot menu
+            saveStore.snapshot(this.saveSlot, 'before admin command');
         };
         // Resources functions
         window.addMoney = () => {
             const amount = parseInt(document.getElementById('addMoneyInput').value) || 0;
             if (amount > 0) {
                 // Track admin command usage
-                trackAdminCommand();
+                trackAdminCommand(`Added $${amount}`);
                 
                 // Completely stop background processing to prevent interference
                 if (window.menuSystem) {
@@ -3483,7 +3314,7 @@ class GardenGame {
                 this.saveGame();
                 
                 // Add a timestamp to prevent background processing from overwriting this change
-                localStorage.setItem(`adminChange_${this.saveSlot}`, Date.now().toString());
+                saveStore.setMeta(this.saveSlot, 'adminChange', Date.now());
                 
 
             }
@@ -3493,7 +3324,7 @@ class GardenGame {
             const amount = parseInt(document.getElementById('setMoneyInput').value) || 0;
             
             // Track admin command usage
-            trackAdminCommand();
+            trackAdminCommand(`Set money to $${amount}`);
             
             // Completely stop background processing to prevent interference
             if (window.menuSystem) {
@@ -3513,14 +3344,14 @@ class GardenGame {
             this.saveGame();
             
             // Add a timestamp to prevent background processing from overwriting this change
-            localStorage.setItem(`adminChange_${this.saveSlot}`, Date.now().toString());
+            saveStore.setMeta(this.saveSlot, 'adminChange', Date.now());
         };
         
         window.addWater = () => {
             const amount = parseInt(document.getElementById('addWaterInput').value) || 0;
             if (amount > 0) {
                 // Track admin command usage
-                trackAdminCommand();
+                trackAdminCommand(`Added ${amount} water`);
                 
                 // Completely stop background processing to prevent interference
                 if (window.menuSystem) {
@@ -3538,7 +3369,7 @@ class GardenGame {
                 this.saveGame();
                 
                 // Add a timestamp to prevent background processing from overwriting this change
-                localStorage.setItem(`adminChange_${this.saveSlot}`, Date.now().toString());
+                saveStore.setMeta(this.saveSlot, 'adminChange', Date.now());
             }
         };
         
@@ -3546,7 +3377,7 @@ class GardenGame {
             const amount = parseInt(document.getElementById('setWaterInput').value) || 0;
             
             // Track admin command usage
-            trackAdminCommand();
+            trackAdminCommand(`Set water to ${amount}`);
             
             // Completely stop background processing to prevent interference
             if (window.menuSystem) {
@@ -3564,14 +3395,14 @@ class GardenGame {
             this.saveGame();
             
             // Add a timestamp to prevent background processing from overwriting this change
-            localStorage.setItem(`adminChange_${this.saveSlot}`, Date.now().toString());
+            saveStore.setMeta(this.saveSlot, 'adminChange', Date.now());
         };
         
         window.addFertilizer = () => {
             const amount = parseInt(document.getElementById('addFertilizerInput').value) || 0;
             if (amount > 0) {
                 // Track admin command usage
-                trackAdminCommand();
+                trackAdminCommand(`Added ${amount} fertilizer`);
                 
                 // Completely stop background processing to prevent interference
                 if (window.menuSystem) {
@@ -3589,7 +3420,7 @@ class GardenGame {
                 this.saveGame();
                 
                 // Add a timestamp to prevent background processing from overwriting this change
-                localStorage.setItem(`adminChange_${this.saveSlot}`, Date.now().toString());
+                saveStore.setMeta(this.saveSlot, 'adminChange', Date.now());
             }
         };
         
@@ -3597,7 +3428,7 @@ class GardenGame {
             const amount = parseInt(document.getElementById('setFertilizerInput').value) || 0;
             
             // Track admin command usage
-            trackAdminCommand();
+            trackAdminCommand(`Set fertilizer to ${amount}`);
             
             // Completely stop background processing to prevent interference
             if (window.menuSystem) {
@@ -3615,14 +3446,14 @@ class GardenGame {
             this.saveGame();
             
             // Add a timestamp to prevent background processing from overwriting this change
-            localStorage.setItem(`adminChange_${this.saveSlot}`, Date.now().toString());
+            saveStore.setMeta(this.saveSlot, 'adminChange', Date.now());
         };
         
         window.addScore = () => {
             const amount = parseInt(document.getElementById('addScoreInput').value) || 0;
             if (amount > 0) {
                 // Track admin command usage
-                trackAdminCommand();
+                trackAdminCommand(`Added ${amount} score`);
                 
                 // Completely stop background processing to prevent interference
                 if (window.menuSystem) {
@@ -3640,7 +3471,7 @@ class GardenGame {
                 this.saveGame();
                 
                 // Add a timestamp to prevent background processing from overwriting this change
-                localStorage.setItem(`adminChange_${this.saveSlot}`, Date.now().toString());
+                saveStore.setMeta(this.saveSlot, 'adminChange', Date.now());
             }
         };
         
@@ -3648,7 +3479,7 @@ class GardenGame {
             const amount = parseInt(document.getElementById('setScoreInput').value) || 0;
             
             // Track admin command usage
-            trackAdminCommand();
+            trackAdminCommand(`Set score to ${amount}`);
             
             // Completely stop background processing to prevent interference
             if (window.menuSystem) {
@@ -3666,7 +3497,7 @@ class GardenGame {
             this.saveGame();
             
             // Add a timestamp to prevent background processing from overwriting this change
-            localStorage.setItem(`adminChange_${this.saveSlot}`, Date.now().toString());
+            saveStore.setMeta(this.saveSlot, 'adminChange', Date.now());
         };
         
         // Shop functions
@@ -3737,7 +3568,7 @@ class GardenGame {
         };
         
         window.restockNow = () => {
-            this.lastRestockTime = Date.now() - this.restockInterval; // restockInterval is already in milliseconds
+            this.lastRestockTime = this.now() - this.restockInterval; // restockInterval is already in milliseconds
             
             this.checkRestock();
             this.showMessage('Shop restocked!', 'success');
@@ -3749,7 +3580,7 @@ class GardenGame {
             const toolType = document.getElementById('toolTypeSelect').value;
             if (toolType && this.toolLevels[toolType]) {
                 // Track admin command usage
-                trackAdminCommand();
+                trackAdminCommand(`Upgraded the ${toolType} tool`);
                 
                 // Admin command: upgrade tool without money cost
                 if (this.toolLevels[toolType] < 5) {
@@ -3785,7 +3616,7 @@ class GardenGame {
             
             if (sprinklerType && this.sprinklerInventory[sprinklerType] !== undefined) {
                 // Track admin command usage
-                trackAdminCommand();
+                trackAdminCommand(`Added ${amount} ${sprinklerType} sprinkler${amount === 1 ? '' : 's'}`);
                 
                 this.sprinklerInventory[sprinklerType] += amount;
                 
@@ -3800,7 +3631,7 @@ class GardenGame {
         
         window.clearSprinklers = () => {
             // Track admin command usage
-            trackAdminCommand();
+            trackAdminCommand('Cleared all sprinklers');
             
             this.sprinklers = [];
             
@@ -3883,7 +3714,7 @@ class GardenGame {
             const achievement = document.getElementById('achievementSelect').value;
             if (achievement && this.achievements[achievement]) {
                 this.unlockAchievement(achievement);
-                this.showMessage(`Achievement "${achievement}" unlocked!`, 'success');
+                this.showMessage(`Achievement "${this.achievementTypes[achievement].name}" is now ${this.getAchievementTierName(this.achievements[achievement].tier)}!`, 'success');
                 this.saveGame();
             } else {
                 this.showMessage('Invalid achievement!', 'error');
@@ -3903,6 +3734,8 @@ class GardenGame {
             this.expansionCost = 1500;
             this.garden = this.initializeGarden();
             this.sprinklers = []; // Clear all sprinklers
+            this.greenhouse = null;
+            this.machines = [];
             this.adjustCanvasForMobile();
             this.showMessage('Garden reset to 8x8 and sprinklers cleared!', 'success');
             this.saveGame();
@@ -3932,7 +3765,7 @@ class GardenGame {
             if (window.menuSystem) {
                 // Clear admin change timestamps for all slots when manually restarting
                 for (let slot = 1; slot <= 3; slot++) {
-                    localStorage.removeItem(`adminChange_${slot}`);
+                    saveStore.removeMeta(slot, 'adminChange');
                 }
                 window.menuSystem.startBackgroundProcessing();
                 this.showMessage('Background processing restarted!', 'success');
@@ -3958,21 +3791,27 @@ class GardenGame {
         
         // Add function to clear corrupted save data
         window.clearCorruptedSaves = () => {
+            if (this.readOnly) {
+                this.showMessage('This garden is read-only in this tab - no saves were cleared.', 'warning');
+                return;
+            }
             console.log('Clearing all corrupted save data...');
             let clearedCount = 0;
             for (let slot = 1; slot <= 3; slot++) {
-                const saveData = localStorage.getItem(`gardenGameSave_${slot}`);
+                const saveData = saveStore.load(slot);
                 if (saveData) {
                     try {
                         const data = JSON.parse(saveData);
                         if (data.saveSlot !== slot) {
                             console.log(`Clearing corrupted save data for slot ${slot} (contains data for slot ${data.saveSlot})`);
-                            localStorage.removeItem(`gardenGameSave_${slot}`);
+                            saveStore.snapshot(slot, 'before clearing corrupted save');
+                            saveStore.remove(slot);
                             clearedCount++;
                         }
                     } catch (error) {
                         console.log(`Clearing corrupted save data for slot ${slot} (JSON parse error)`);
-                        localStorage.removeItem(`gardenGameSave_${slot}`);
+                        saveStore.snapshot(slot, 'before clearing corrupted save');
+                        saveStore.remove(slot);
                         clearedCount++;
                     }
                 }
@@ -3987,8 +3826,15 @@ class GardenGame {
         
         // Add function to reset current slot
         window.resetCurrentSlot = () => {
+            if (this.readOnly) {
+                this.showMessage('This garden is read-only in this tab - it cannot be reset here.', 'warning');
+                return;
+            }
             if (confirm('Are you sure you want to reset the current slot? This will clear all progress.')) {
-                localStorage.removeItem(`gardenGameSave_${this.saveSlot}`);
+                // Keep a snapshot so the reset can be undone from the menu
+                saveStore.snapshot(this.saveSlot, 'before reset');
+                saveStore.remove(this.saveSlot);
+                this.saveUnreadable = false;
                 this.showMessage(`Slot ${this.saveSlot} reset!`, 'success');
                 this.loadGame(); // Reload the current game
             }
@@ -3996,20 +3842,28 @@ class GardenGame {
         
         // Add function to fix current slot if corrupted
         window.fixCurrentSlot = () => {
-            const saveData = localStorage.getItem(`gardenGameSave_${this.saveSlot}`);
+            if (this.readOnly) {
+                this.showMessage('This garden is read-only in this tab - it cannot be fixed here.', 'warning');
+                return;
+            }
+            const saveData = saveStore.load(this.saveSlot);
             if (saveData) {
                 try {
                     const data = JSON.parse(saveData);
                     if (data.saveSlot !== this.saveSlot) {
-                        // Clear the corrupted data and start fresh
-                        localStorage.removeItem(`gardenGameSave_${this.saveSlot}`);
+                        // Clear the corrupted data and start fresh (a snapshot keeps it recoverable)
+                        saveStore.snapshot(this.saveSlot, 'before fix');
+                        saveStore.remove(this.saveSlot);
+                        this.saveUnreadable = false;
                         this.showMessage(`Slot ${this.saveSlot} fixed! Starting fresh.`, 'success');
                         this.loadGame(); // Reload with fresh data
                     } else {
                         this.showMessage(`Slot ${this.saveSlot} is not corrupted.`, 'info');
                     }
                 } catch (error) {
-                    localStorage.removeItem(`gardenGameSave_${this.saveSlot}`);
+                    saveStore.snapshot(this.saveSlot, 'before fix');
+                    saveStore.remove(this.saveSlot);
+                    this.saveUnreadable = false;
                     this.showMessage(`Slot ${this.saveSlot} fixed! Starting fresh.`, 'success');
                     this.loadGame(); // Reload with fresh data
                 }
@@ -4130,7 +3984,7 @@ class GardenGame {
         window.growAllPlants = () => {
             if (window.menuSystem && window.menuSystem.currentGame) {
                 // Track admin command usage
-                trackAdminCommand();
+                trackAdminCommand('Grew all plants');
                 
                 let grownCount = 0;
                 for (let x = 0; x < window.menuSystem.currentGame.gardenSize; x++) {
@@ -4159,7 +4013,7 @@ class GardenGame {
         window.harvestAllPlants = () => {
             if (window.menuSystem && window.menuSystem.currentGame) {
                 // Track admin command usage
-                trackAdminCommand();
+                trackAdminCommand('Harvested all plants');
                 
                 try {
                     let harvestedCount = 0;
@@ -4168,34 +4022,38 @@ class GardenGame {
                         for (let y = 0; y < window.menuSystem.currentGame.gardenSize; y++) {
                             const cell = window.menuSystem.currentGame.garden[x][y];
                             if (cell && cell.plant && cell.plant.type && window.menuSystem.currentGame.getPlantGrowthStage(cell.plant) >= window.menuSystem.currentGame.growthStages.length - 1) {
-                                const value = window.menuSystem.currentGame.getHarvestValue(cell.plant);
+                                const value = window.menuSystem.currentGame.getHarvestValue(cell.plant, x, y);
                                 totalValue += value;
+                                window.menuSystem.currentGame.storeHarvest(cell.plant.type, value);
+                                window.menuSystem.currentGame.applyHarvestToSoil(x, y, cell.plant.type);
                                 
-                                // Clear the cell completely (same as individual harvestPlant)
-                                window.menuSystem.currentGame.garden[x][y] = {
-                                    plant: null,
-                                    watered: false,
-                                    wateredAt: null,
-                                    waterCooldown: 0,
-                                    fertilized: false,
-                                    fertilizedAt: null,
-                                    fertilizerCooldown: 0,
-                                    plantedAt: null
-                                };
+                                if (window.menuSystem.currentGame.plantTypes[cell.plant.type]?.perennial) {
+                                    window.menuSystem.currentGame.regrowPerennial(x, y);
+                                } else {
+                                    // Clear the cell completely (same as individual harvestPlant)
+                                    window.menuSystem.currentGame.garden[x][y] = {
+                                        plant: null,
+                                        watered: false,
+                                        wateredAt: null,
+                                        waterCooldown: 0,
+                                        fertilized: false,
+                                        fertilizedAt: null,
+                                        fertilizerCooldown: 0,
+                                        plantedAt: null
+                                    };
+                                }
                                 harvestedCount++;
                             }
                         }
                     }
-                    window.menuSystem.currentGame.money += totalValue;
-                    window.menuSystem.currentGame.score += totalValue;
-                    
                     // Force save and update
                     window.menuSystem.currentGame.saveGame();
+                    window.menuSystem.currentGame.updateMarketDisplay();
                     window.menuSystem.currentGame.updateUI();
                     window.menuSystem.currentGame.updateShopDisplay();
                     window.menuSystem.currentGame.draw();
                     
-                    window.menuSystem.currentGame.showMessage(`Harvested ${harvestedCount} plants for $${totalValue}!`, 'success');
+                    window.menuSystem.currentGame.showMessage(`Harvested ${harvestedCount} plants worth $${totalValue} into the barn!`, 'success');
                 } catch (error) {
                     console.error('Error in harvestAllPlants:', error);
                     window.menuSystem.currentGame.showMessage('Error during harvest. Try the emergency reset.', 'error');
@@ -4209,7 +4067,7 @@ class GardenGame {
         window.waterAllPlants = () => {
             if (window.menuSystem && window.menuSystem.currentGame) {
                 // Track admin command usage
-                trackAdminCommand();
+                trackAdminCommand('Watered all plants');
                 
                 try {
                     let wateredCount = 0;
@@ -4254,7 +4112,7 @@ class GardenGame {
         window.fertilizeAllPlants = () => {
             if (window.menuSystem && window.menuSystem.currentGame) {
                 // Track admin command usage
-                trackAdminCommand();
+                trackAdminCommand('Fertilized all plants');
                 
                 try {
                     let fertilizedCount = 0;
@@ -4345,6 +4203,8 @@ class GardenGame {
                 this.expansionCost = 1500;
                 this.garden = this.initializeGarden();
                 this.sprinklers = [];
+                this.greenhouse = null;
+                this.machines = [];
                 
                 // Reset game state
                 this.money = 100;
@@ -4425,54 +4285,17 @@ class GardenGame {
         };
         
         window.exportSaveData = () => {
-            const saveData = {
-                slot: this.saveSlot,
-                data: localStorage.getItem(`gardenGameSave_${this.saveSlot}`),
-                exportTime: new Date().toISOString()
-            };
-            const blob = new Blob([JSON.stringify(saveData, null, 2)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `garden-game-slot-${this.saveSlot}-${new Date().toISOString().split('T')[0]}.json`;
-            a.click();
-            URL.revokeObjectURL(url);
-            this.showMessage('Save data exported!', 'success');
+            if (window.menuSystem) {
+                window.menuSystem.exportGarden(this.saveSlot);
+            }
         };
         
         window.importSaveData = () => {
-            const input = document.createElement('input');
-            input.type = 'file';
-            input.accept = '.json';
-            input.onchange = (e) => {
-                const file = e.target.files[0];
-                if (file) {
-                    const reader = new FileReader();
-                    reader.onload = (e) => {
-                        try {
-                            const importData = JSON.parse(e.target.result);
-                            if (importData.slot && importData.data) {
-                                localStorage.setItem(`gardenGameSave_${importData.slot}`, importData.data);
-                                this.showMessage(`Save data imported for slot ${importData.slot}!`, 'success');
-                                if (importData.slot == this.saveSlot) {
-                                    this.loadGame();
-                                }
-                            } else {
-                                this.showMessage('Invalid save data format!', 'error');
-                            }
-                        } catch (error) {
-                            this.showMessage('Error importing save data!', 'error');
-                        }
-                    };
-                    reader.readAsText(file);
-                }
-            };
-            input.click();
+            if (window.menuSystem) {
+                window.menuSystem.promptImportGarden(this.saveSlot);
+            }
         };
         
-
-
-        
         window.setSeason = () => {
             const season = prompt('Enter season (spring/summer/fall/winter):');
             if (season && ['spring', 'summer', 'fall', 'winter'].includes(season)) {
@@ -4518,7 +4341,7 @@ class GardenGame {
                     .finally(() => {
                         // Always clear local storage regardless of server response
                         for (let slot = 1; slot <= 3; slot++) {
-                            localStorage.removeItem(`gardenGameSave_${slot}`);
+                            saveStore.remove(slot);
                         }
                         this.showMessage('All slots cleared!', 'success');
                         if (window.menuSystem) {
@@ -4533,7 +4356,7 @@ class GardenGame {
                 } else {
                     // Fallback: just clear local storage if no token/user info
                     for (let slot = 1; slot <= 3; slot++) {
-                        localStorage.removeItem(`gardenGameSave_${slot}`);
+                        saveStore.remove(slot);
                     }
                     this.showMessage('All slots cleared!', 'success');
                     if (window.menuSystem) {
@@ -4546,7 +4369,7 @@ class GardenGame {
         window.backupGame = () => {
             const backup = {};
             for (let slot = 1; slot <= 3; slot++) {
-                const saveData = localStorage.getItem(`gardenGameSave_${slot}`);
+                const saveData = saveStore.load(slot);
                 if (saveData) {
                     backup[`slot_${slot}`] = saveData;
                 }
@@ -4578,7 +4401,8 @@ class GardenGame {
                             let restoredCount = 0;
                             for (let slot = 1; slot <= 3; slot++) {
                                 if (backup[`slot_${slot}`]) {
-                                    localStorage.setItem(`gardenGameSave_${slot}`, backup[`slot_${slot}`]);
+                                    saveStore.snapshot(slot, 'before import');
+                                    saveStore.save(slot, backup[`slot_${slot}`]);
                                     restoredCount++;
                                 }
                             }
@@ -4599,7 +4423,7 @@ class GardenGame {
     
     selectSeed(seedType) {
         const plantData = this.plantTypes[seedType];
-        const inventory = this.shopInventory[seedType];
+        const stock = this.getSeedStock(seedType);
         
         if (!plantData) {
             console.error(`No plant data found for ${seedType}`);
@@ -4607,7 +4431,7 @@ class GardenGame {
             return;
         }
         
-        if (!inventory) {
+        if (stock === null) {
             console.error(`No inventory found for ${seedType}`);
             this.showMessage(`Error: No inventory data for ${seedType}!`, 'error');
             return;
@@ -4617,13 +4441,14 @@ class GardenGame {
         // Keep a gentle heads-up if the seed can't be planted right now
         if (!this.isSeedAvailable(seedType)) {
             this.showMessage(`${plantData.name} is not available in ${this.currentSeason}.`, 'error');
-        } else if (inventory.stock <= 0) {
+        } else if (stock <= 0) {
             this.showMessage(`${plantData.name} is out of stock.`, 'error');
         } else if (this.money < plantData.cost) {
             this.showMessage(`Selected ${plantData.name}, but you're short on money.`, 'info');
         }
 
         this.selectedSeed = seedType;
+        this.selectedMachine = null;
         
         // Clear all previous selections in shop/tool areas
         document.querySelectorAll('.seed-item').forEach(item => {
@@ -4636,6 +4461,10 @@ class GardenGame {
             btn.classList.remove('active');
         });
         
+        document.querySelectorAll('.machine-item').forEach(item => {
+            item.classList.remove('selected');
+        });
+        
         // Add selection highlight in the shop list if present
         const seedElement = document.querySelector(`[data-seed="${seedType}"]`);
         if (seedElement) {
@@ -4661,6 +4490,7 @@ class GardenGame {
         this.selectedSeed = null;
         this.selectedSprinkler = null;
         this.selectedDecoration = null; // Clear decoration selection when selecting tools
+        this.selectedMachine = null;
         document.querySelectorAll('.seed-item').forEach(item => {
             item.classList.remove('selected');
         });
@@ -4670,6 +4500,9 @@ class GardenGame {
         document.querySelectorAll('.decoration-item').forEach(item => {
             item.classList.remove('selected');
         });
+        document.querySelectorAll('.machine-item').forEach(item => {
+            item.classList.remove('selected');
+        });
         this.highlightQuickMenuSelection();
         // Update shop display when clearing seed selection
         this.updateShopDisplay();
@@ -4682,6 +4515,7 @@ class GardenGame {
         this.currentTool = 'sprinkler';
         this.selectedSeed = null;
         this.selectedDecoration = null; // Clear decoration selection when selecting sprinklers
+        this.selectedMachine = null;
         
         document.querySelectorAll('.tool-btn').forEach(btn => {
             btn.classList.remove('active');
@@ -4701,17 +4535,49 @@ class GardenGame {
         document.querySelectorAll('.decoration-item').forEach(item => {
             item.classList.remove('selected');
         });
+        document.querySelectorAll('.machine-item').forEach(item => {
+            item.classList.remove('selected');
+        });
         // Update shop display when clearing seed selection
         this.updateShopDisplay();
         try { this.updateQuickSeedsBar(); } catch (_) {}
     }
     
+    // Clicking an empty tile then builds the machine there (paid for on placement)
+    selectMachine(machineType) {
+        const machineData = this.machineTypes[machineType];
+        if (!machineData) return;
+        this.selectedMachine = machineType;
+        this.currentTool = 'machine';
+        this.selectedSeed = null;
+        this.selectedSprinkler = null;
+        this.selectedDecoration = null;
+        
+        document.querySelectorAll('.tool-btn').forEach(btn => {
+            btn.classList.remove('active');
+        });
+        document.querySelectorAll('.seed-item, .decoration-item').forEach(item => {
+            item.classList.remove('selected');
+        });
+        document.querySelectorAll('.machine-item').forEach(item => {
+            item.classList.toggle('selected', item.dataset.machine === machineType);
+        });
+        this.showMessage(`Click an empty tile to build the ${machineData.name} ($${machineData.tiers[0].cost}).`, 'info');
+        this.updateShopDisplay();
+        try { this.updateQuickSeedsBar(); } catch (_) {}
+    }
+    
     handleCanvasClick(e) {
         if (!this.canvas) {
             return;
         }
 
         this.hideToolQuickMenu();
+
+        // The click that ends a drag was already handled by the drag
+        if (Date.now() - this.areaDragEndedAt < 400) {
+            return;
+        }
         
         const rect = this.canvas.getBoundingClientRect();
         const scaleX = rect.width ? this.canvas.width / rect.width : 1;
@@ -4756,6 +4622,10 @@ class GardenGame {
             this.hideGardenTooltip();
             return;
         }
+        if (this.areaDrag) {
+            this.extendAreaDrag(pointer);
+            return;
+        }
 
         const cellInfo = this.getCellFromClientPosition(pointer.clientX, pointer.clientY);
         const isTouchEvent = Boolean(e && e.touches && e.touches.length);
@@ -4779,16 +4649,22 @@ class GardenGame {
         const cell = this.garden[row][col];
         const hasSprinklerHere = this.hasSprinkler(row, col);
 
-        if (this.currentTool === 'harvest' && cell.plant && cell.plant.isFullyGrown) {
+        if (this.currentTool === 'greenhouse') {
+            this.canvas.style.cursor = 'crosshair';
+        } else if (this.currentTool === 'machine' && this.selectedMachine && !cell.plant && !cell.decoration && !hasSprinklerHere && !this.hasMachine(row, col)) {
+            this.canvas.style.cursor = 'grab';
+        } else if (this.currentTool === 'harvest' && cell.plant && cell.plant.isFullyGrown) {
             this.canvas.style.cursor = 'crosshair';
         } else if (this.selectedSeed && !cell.plant && !hasSprinklerHere) {
             this.canvas.style.cursor = 'grab';
-        } else if (this.currentTool === 'water' && cell.plant && !cell.watered && cell.waterCooldown <= Date.now()) {
+        } else if (this.currentTool === 'water' && cell.plant && !cell.watered && cell.waterCooldown <= this.now()) {
             this.canvas.style.cursor = 'grab';
-        } else if (this.currentTool === 'fertilizer' && cell.plant && !cell.fertilized && cell.fertilizerCooldown <= Date.now()) {
+        } else if (this.currentTool === 'fertilizer' && cell.plant && !cell.fertilized && cell.fertilizerCooldown <= this.now()) {
             this.canvas.style.cursor = 'grab';
         } else if (this.currentTool === 'shovel' && (cell.plant || hasSprinklerHere)) {
             this.canvas.style.cursor = 'crosshair';
+        } else if (this.currentTool === 'treat' && cell.plant && this.getPlantInfection(cell.plant)) {
+            this.canvas.style.cursor = 'grab';
         } else if (this.currentTool === 'sprinkler' && this.selectedSprinkler && !cell.plant && !hasSprinklerHere) {
             this.canvas.style.cursor = 'grab';
         }
@@ -4802,13 +4678,29 @@ class GardenGame {
         const cell = this.garden[row][col];
         const hasSprinklerHere = this.hasSprinkler(row, col);
         
-        if (this.selectedSeed && !cell.plant && !hasSprinklerHere) {
+        const machineHere = this.getMachineAt(row, col);
+        
+        if (this.currentTool === 'greenhouse') {
+            if (this.buildGreenhouse(row, col)) {
+                this.selectTool('water');
+            }
+        } else if (machineHere) {
+            if (this.currentTool === 'shovel') {
+                this.removeMachine(row, col);
+            } else {
+                this.showMachineModal(row, col);
+            }
+        } else if (this.currentTool === 'machine' && this.selectedMachine) {
+            this.placeMachine(row, col);
+        } else if (this.selectedSeed && !cell.plant && !hasSprinklerHere) {
             this.plantSeed(row, col);
         } else if (this.currentTool === 'harvest' && cell.plant) {
             this.harvestPlant(row, col);
-        } else if (this.currentTool === 'water' && cell.plant && !cell.watered && cell.waterCooldown <= Date.now()) {
+        } else if (this.currentTool === 'treat' && cell.plant) {
+            this.treatPlant(row, col);
+        } else if (this.currentTool === 'water' && cell.plant && !cell.watered && cell.waterCooldown <= this.now()) {
             this.waterPlant(row, col);
-        } else if (this.currentTool === 'fertilizer' && cell.plant && !cell.fertilized && cell.fertilizerCooldown <= Date.now()) {
+        } else if (this.currentTool === 'fertilizer' && cell.plant && !cell.fertilized && cell.fertilizerCooldown <= this.now()) {
             this.fertilizePlant(row, col);
         } else if (this.currentTool === 'shovel' && (cell.plant || hasSprinklerHere)) {
             if (cell.plant) {
@@ -4839,1509 +4731,712 @@ class GardenGame {
         }
     }
     
-    hasSprinkler(row, col) {
-        return this.sprinklers.some(s => s.row === row && s.col === col);
-    }
-    
-    getSprinklerBonus(row, col) {
-        let totalBonus = 0;
-        this.sprinklers.forEach(sprinkler => {
-            const distance = Math.max(Math.abs(sprinkler.row - row), Math.abs(sprinkler.col - col));
-            if (distance <= this.sprinklerTypes[sprinkler.type].range) {
-                totalBonus += this.sprinklerTypes[sprinkler.type].growthBonus;
-            }
-        });
-        return totalBonus;
-    }
-    
-    getSprinklerWaterBonus(row, col) {
-        let totalBonus = 0;
-        this.sprinklers.forEach(sprinkler => {
-            const distance = Math.max(Math.abs(sprinkler.row - row), Math.abs(sprinkler.col - col));
-            if (distance <= this.sprinklerTypes[sprinkler.type].range) {
-                totalBonus += this.sprinklerTypes[sprinkler.type].waterBonus;
-            }
-        });
-        return totalBonus;
-    }
-    
-    getSprinklerFertilizerBonus(row, col) {
-        let totalBonus = 0;
-        this.sprinklers.forEach(sprinkler => {
-            const distance = Math.max(Math.abs(sprinkler.row - row), Math.abs(sprinkler.col - col));
-            if (distance <= this.sprinklerTypes[sprinkler.type].range) {
-                totalBonus += this.sprinklerTypes[sprinkler.type].fertilizerBonus;
-            }
+    // Admin function to check current growth rates for all seeds
+    showGrowthRates() {
+        const allSeeds = Object.keys(this.plantTypes);
+        allSeeds.forEach(seedType => {
+            const multiplier = this.getSeedGrowthMultiplier(seedType);
+            const waterTime = (2000 * multiplier / 1000).toFixed(1);
+            const fertilizerTime = (1500 * multiplier / 1000).toFixed(1);
+            const sprinklerTime = (30000 * multiplier / 1000).toFixed(0);
+            
+            console.log(`${seedType}: ${multiplier}x (Water: ${waterTime}s, Fertilizer: ${fertilizerTime}s, Sprinkler: ${sprinklerTime}s)`);
         });
-        return totalBonus;
+        
+        this.showMessage('Growth rates logged to console!', 'info');
     }
     
-    // Function to handle continuous growth from watering and fertilizing
-    checkContinuousGrowth(row, col) {
-        const cell = this.garden[row][col];
-        if (!cell || !cell.plant || cell.plant.isFullyGrown) return;
+    draw() {
+        if (!this.canvas || !this.ctx) {
+            return;
+        }
         
-        const now = Date.now();
-        const plantData = this.plantTypes[cell.plant.type];
-        if (!plantData) return;
-        
-        // Check water-based continuous growth
-        if (cell.watered && cell.waterGrowthStart && cell.waterGrowthDuration) {
-            const waterGrowthElapsed = now - cell.waterGrowthStart;
-            if (waterGrowthElapsed < cell.waterGrowthDuration) {
-                // Calculate growth progress (1 stage per 2 seconds when watered)
-                let growthTimePerStage = 2000; // 2 seconds per stage (base)
-                
-                // Apply custom growth rate multiplier
-                const seedType = cell.plant.type;
-                const growthMultiplier = this.getSeedGrowthMultiplier(seedType);
-                growthTimePerStage *= growthMultiplier;
-
-                const decorationGrowthBonus = (cell.plant.bonuses?.growth || 0) / 100;
-                if (decorationGrowthBonus > 0) {
-                    growthTimePerStage /= (1 + decorationGrowthBonus);
-                }
-                
-                const lastWaterGrowthCheck = cell.lastWaterGrowthCheck || cell.waterGrowthStart;
-                const timeSinceLastCheck = now - lastWaterGrowthCheck;
-                const growthProgress = timeSinceLastCheck / growthTimePerStage;
-                
+        // Ensure globalAlpha is reset to 1 at the start of each draw cycle
+        this.ctx.globalAlpha = 1;
+        
+        // Calculate the actual grid dimensions
+        const gridWidth = this.gridSize * this.cellSize;
+        const gridHeight = this.gridSize * this.cellSize;
+        
+        // Calculate center position to center the grid in the canvas
+        const offsetX = (this.canvas.width - gridWidth) / 2;
+        const offsetY = (this.canvas.height - gridHeight) / 2;
+        
+        // Fill the entire canvas background
+        this.ctx.fillStyle = '#f8f9fa';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
-                
-                if (growthProgress >= 1) {
-                    // Advance growth stage
-                    if (cell.plant.growthStage < this.growthStages.length - 1) {
-                        cell.plant.growthStage++;
-                        cell.lastWaterGrowthCheck = now;
-                        
-                        // Check if fully mature
-                        if (cell.plant.growthStage >= this.growthStages.length - 1) {
-                            cell.plant.isFullyGrown = true;
-                            this.maybeUnlockSpeedGrower(row, col);
-                        }
-                        
-                        this.saveGame();
-                        this.updateUI();
-                        this.draw(); // Force immediate redraw to show growth
-                    }
-                }
-            } else {
-                // Water growth period ended
-                cell.watered = false;
-                cell.waterGrowthStart = null;
-                cell.waterGrowthDuration = null;
-                cell.lastWaterGrowthCheck = null;
-            }
+        // Ensure the external per-cell tile texture is loading
+        if (!this.tileTextureLoaded && !this._tileTextureAttempted) {
+            // Fire and forget; on load we'll trigger a redraw
+            this.loadGrassTileTexture();
         }
-        
-        // Check fertilizer-based continuous growth
-        if (cell.fertilized && cell.fertilizerGrowthStart && cell.fertilizerGrowthDuration) {
-            const fertilizerGrowthElapsed = now - cell.fertilizerGrowthStart;
-            if (fertilizerGrowthElapsed < cell.fertilizerGrowthDuration) {
-                // Calculate growth progress (1 stage per 1.5 seconds when fertilized)
-                let growthTimePerStage = 1500; // 1.5 seconds per stage (base)
-                
-                // Apply custom growth rate multiplier
-                const seedType = cell.plant.type;
-                const growthMultiplier = this.getSeedGrowthMultiplier(seedType);
-                growthTimePerStage *= growthMultiplier;
 
-                const decorationGrowthBonus = (cell.plant.bonuses?.growth || 0) / 100;
-                if (decorationGrowthBonus > 0) {
-                    growthTimePerStage /= (1 + decorationGrowthBonus);
-                }
-                
-                const lastFertilizerGrowthCheck = cell.lastFertilizerGrowthCheck || cell.fertilizerGrowthStart;
-                const timeSinceLastCheck = now - lastFertilizerGrowthCheck;
-                const growthProgress = timeSinceLastCheck / growthTimePerStage;
-                
+        if (this.tileTextureLoaded && this.tileTextureImage) {
+            // Draw the provided tile image into each grid cell (crisp, per-tile texture)
+            this.ctx.save();
+            const hadSmoothing = typeof this.ctx.imageSmoothingEnabled === 'boolean' ? this.ctx.imageSmoothingEnabled : undefined;
+            if (typeof this.ctx.imageSmoothingEnabled === 'boolean') this.ctx.imageSmoothingEnabled = false;
 
-                
-                if (growthProgress >= 1) {
-                    // Advance growth stage
-                    if (cell.plant.growthStage < this.growthStages.length - 1) {
-                        cell.plant.growthStage++;
-                        cell.lastFertilizerGrowthCheck = now;
-                        
-                        // Check if fully mature
-                        if (cell.plant.growthStage >= this.growthStages.length - 1) {
-                            cell.plant.isFullyGrown = true;
-                            this.maybeUnlockSpeedGrower(row, col);
-                        }
-                        
-                        this.saveGame();
-                        this.updateUI();
-                        this.draw(); // Force immediate redraw to show growth
-                    }
+            const sx = 0, sy = 0, sw = this.tileTextureImage.naturalWidth || 16, sh = this.tileTextureImage.naturalHeight || 16;
+            for (let row = 0; row < this.gridSize; row++) {
+                for (let col = 0; col < this.gridSize; col++) {
+                    const dx = offsetX + col * this.cellSize;
+                    const dy = offsetY + row * this.cellSize;
+                    this.ctx.drawImage(this.tileTextureImage, sx, sy, sw, sh, dx, dy, this.cellSize, this.cellSize);
                 }
-            } else {
-                // Fertilizer growth period ended
-                cell.fertilized = false;
-                cell.fertilizerGrowthStart = null;
-                cell.fertilizerGrowthDuration = null;
-                cell.lastFertilizerGrowthCheck = null;
             }
-        }
-    }
-    
-    // Passive growth: slow stage advancement even without water/fertilizer/sprinkler
-    // Intentionally conservative so boosters remain meaningfully faster
-    checkPassiveGrowth(row, col) {
-        const cell = this.garden[row][col];
-        if (!cell || !cell.plant || cell.plant.isFullyGrown) return;
-        if (!this.passiveGrowthEnabled) return;
-        
-        // Skip if any active boosted growth is ongoing (water/fertilizer window)
-        const now = Date.now();
-        const waterActive = cell.watered && cell.waterGrowthStart && cell.waterGrowthDuration && (now - cell.waterGrowthStart) < cell.waterGrowthDuration;
-        const fertActive = cell.fertilized && cell.fertilizerGrowthStart && cell.fertilizerGrowthDuration && (now - cell.fertilizerGrowthStart) < cell.fertilizerGrowthDuration;
-        if (waterActive || fertActive) return;
-        
-        // Skip passive tick if sprinkler growth applies to this tile
-        const sprinklerBonus = this.getSprinklerBonus(row, col);
-        if (sprinklerBonus > 0) return;
-        
-        const plantData = this.plantTypes[cell.plant.type];
-        if (!plantData) return;
-        
-        // Base time per stage for passive growth
-        let growthTimePerStage = Number.isFinite(this.passiveGrowthBaseMs) && this.passiveGrowthBaseMs > 0
-            ? this.passiveGrowthBaseMs
-            : 2 * 60 * 1000; // fallback: 2 minutes
-        
-        // Apply seed-specific growth multiplier only if enabled
-        if (!this.passiveIgnoreSeedMultiplier) {
-            const seedType = cell.plant.type;
-            const growthMultiplier = this.getSeedGrowthMultiplier(seedType);
-            growthTimePerStage *= growthMultiplier;
+
+            if (hadSmoothing !== undefined) this.ctx.imageSmoothingEnabled = hadSmoothing;
+            this.ctx.restore();
+        } else {
+            // Fallback: solid green until the image loads to avoid any pattern repeat artifacts
+            this.ctx.fillStyle = '#79c76b';
+            this.ctx.fillRect(offsetX, offsetY, gridWidth, gridHeight);
         }
         
-        // Apply decorations that boost growth (same semantics as other growth paths)
-        const decorationGrowthBonus = (cell.plant.bonuses?.growth || 0) / 100;
-        if (decorationGrowthBonus > 0) {
-            growthTimePerStage /= (1 + decorationGrowthBonus);
-        }
+        // Slightly more visible grid lines (still subtle) and pixel-crisp alignment
+        const crisp = (v) => Math.round(v) + 0.5; // align 1px strokes to device pixels
+    this.ctx.strokeStyle = 'rgba(34, 139, 34, 0.55)'; // slightly stronger for more clarity
+        this.ctx.lineWidth = 1;
         
-        // Apply weather and seasonal multipliers only if enabled (higher means faster growth => divide time)
-        if (!this.passiveIgnoreEnvMultipliers) {
-            const weatherMult = (this.weatherEffects[this.weather]?.growthMultiplier) || 1.0;
-            const seasonMult = this.seasonMultiplier || 1.0;
-            growthTimePerStage /= weatherMult;
-            growthTimePerStage /= seasonMult;
+        // Draw grid lines only within the grid area, offset by the center position
+        for (let i = 0; i <= this.gridSize; i++) {
+            const vx = crisp(offsetX + i * this.cellSize);
+            const hy = crisp(offsetY + i * this.cellSize);
+            
+            // Vertical line
+            this.ctx.beginPath();
+            this.ctx.moveTo(vx, crisp(offsetY));
+            this.ctx.lineTo(vx, crisp(offsetY + gridHeight));
+            this.ctx.stroke();
+            
+            // Horizontal line
+            this.ctx.beginPath();
+            this.ctx.moveTo(crisp(offsetX), hy);
+            this.ctx.lineTo(crisp(offsetX + gridWidth), hy);
+            this.ctx.stroke();
         }
         
-        // Track per-cell passive timing
-        if (!cell.lastPassiveGrowth) {
-            cell.lastPassiveGrowth = now;
-            return;
+        // Soil tint goes under the plants so they stay readable
+        if (this.showSoilOverlay) {
+            this.drawSoilOverlay(offsetX, offsetY);
         }
+        this.drawGreenhouseFloor(offsetX, offsetY);
         
-        const elapsed = now - cell.lastPassiveGrowth;
-        if (elapsed >= growthTimePerStage) {
-            if (cell.plant.growthStage < this.growthStages.length - 1) {
-                cell.plant.growthStage++;
-                cell.lastPassiveGrowth = now;
+        // Draw plants first
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                const cell = this.garden[row][col];
+                const x = offsetX + col * this.cellSize;
+                const y = offsetY + row * this.cellSize;
                 
-                // Fully grown check
-                if (cell.plant.growthStage >= this.growthStages.length - 1) {
-                    cell.plant.isFullyGrown = true;
-                    this.maybeUnlockSpeedGrower(row, col);
+                if (cell.plant) {
+                    this.drawPlant(row, col, cell, offsetX, offsetY);
                 }
-                
-                // Persist and reflect
-                this.saveGame();
-                this.updateUI();
-                this.draw();
             }
         }
-    }
-    
-    // Helper functions to identify seed rarity
-    isRareSeed(seedType) {
-        const rareSeeds = ['watermelon', 'melon', 'blueberry', 'kiwi', 'coconut', 'olive', 'asparagus', 'artichoke'];
-        return rareSeeds.includes(seedType);
-    }
-    
-    isLegendarySeed(seedType) {
-        const legendarySeeds = ['dragonfruit', 'pineapple', 'mango', 'grapes'];
-        return legendarySeeds.includes(seedType);
-    }
-    
-    // Admin function to check current growth rates for all seeds
-    showGrowthRates() {
-        const allSeeds = Object.keys(this.plantTypes);
-        allSeeds.forEach(seedType => {
-            const multiplier = this.getSeedGrowthMultiplier(seedType);
-            const waterTime = (2000 * multiplier / 1000).toFixed(1);
-            const fertilizerTime = (1500 * multiplier / 1000).toFixed(1);
-            const sprinklerTime = (30000 * multiplier / 1000).toFixed(0);
-            
-            console.log(`${seedType}: ${multiplier}x (Water: ${waterTime}s, Fertilizer: ${fertilizerTime}s, Sprinkler: ${sprinklerTime}s)`);
+        
+        // Draw sprinklers last (as overlays) - but only for empty cells
+        this.sprinklers.forEach(sprinkler => {
+            const cell = this.garden[sprinkler.row][sprinkler.col];
+            if (!cell.plant) {
+                this.drawSprinkler(sprinkler.row, sprinkler.col, sprinkler.type, offsetX, offsetY);
+            }
         });
         
-        this.showMessage('Growth rates logged to console!', 'info');
-    }
-    
-    // New flexible growth rate system - customize individual seed growth speeds
-    getSeedGrowthMultiplier(seedType) {
-        // Custom growth multipliers for individual seeds
-        const customGrowthRates = {
-            // Fast growing seeds (0.5x time = 2x faster)
-            'carrot': 0.5,
-            'lettuce': 0.5,
-            'radish': 0.5,
-            'spinach': 0.6,
-            'tomato': 0.7,
-            
-            // Normal growing seeds (1.0x time = standard speed)
-            'corn': 1.0,
-            'potato': 1.0,
-            'bell_pepper': 1.0,
-            'hot_pepper': 0.9,
-            'cucumber': 1.0,
-            'onion': 1.0,
-            'garlic': 1.0,
-            'broccoli': 1.0,
-            'cauliflower': 1.0,
-            'cabbage': 1.0,
-            'squash': 1.0,
-            'winter_greens': 1.0,
-            'herbs': 1.0,
-            'peas': 1.0,
-            'mushroom': 0.9,
-            
-            // Slow growing seeds (1.5x time = 1.5x slower)
-            'pumpkin': 1.5,
-            'sweet_potato': 1.4,
-            'eggplant': 1.5,
-            'avocado': 1.6,
-            
-            // Rare seeds - individual growth rates
-            'watermelon': 2.5,
-            'melon': 2.2,
-            'blueberry': 2.0,
-            'kiwi': 1.8,
-            'coconut': 2.6,
-            'olive': 2.4,
-            'asparagus': 2.0,
-            'artichoke': 2.8,
-            
-            // Legendary seeds - individual growth rates
-            'dragonfruit': 4.0,   // Slowest legendary (very rare)
-            'pineapple': 3.5,     // Very slow growing
-            'mango': 2.8,         // Faster than other legendary seeds
-            'grapes': 3.6,
-
-            // Orchard fruits
-            'apple': 1.6,
-            'green_apple': 1.6,
-            'pear': 1.7,
-            'peach': 1.7,
-            'cherries': 1.3,
-            'strawberry': 1.2,
-            'orange': 1.5,
-            'lemon': 1.2,
-            'banana': 1.8
-        };
+        this.machines.forEach(machine => this.drawMachine(machine, offsetX, offsetY));
         
-        // Return custom rate if defined, otherwise use rarity-based fallback
-        if (customGrowthRates.hasOwnProperty(seedType)) {
-            return customGrowthRates[seedType];
+        // Draw decorations
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                const cell = this.garden[row][col];
+                if (cell.decoration) {
+                    this.drawDecoration(row, col, cell.decoration, offsetX, offsetY);
+                }
+            }
         }
+
+        // Darken the garden after dusk and let glowing decorations shine through
+        this.drawNightTint();
+
+        this.drawBlueprintGhosts(offsetX, offsetY);
+        this.drawGreenhouseFrame(offsetX, offsetY);
+        this.drawAreaSelection(offsetX, offsetY);
         
-        // Fallback to old rarity system for any undefined seeds
-        if (this.isLegendarySeed(seedType)) {
-            return 3.0;
-        } else if (this.isRareSeed(seedType)) {
-            return 2.0;
-        }
+        // Draw particles
+        this.drawParticles();
+        
+        // Update season display in HTML (seasonal info is now in HTML, not canvas)
+        this.updateSeasonDisplay();
         
-        return 1.0; // Default normal speed
+        // Ensure globalAlpha is reset to 1 at the end of each draw cycle
+        this.ctx.globalAlpha = 1;
     }
     
-    // New function to check if sprinklers should advance plant growth
-    checkSprinklerGrowth(row, col) {
-        const cell = this.garden[row][col];
-        if (!cell || !cell.plant || cell.plant.isFullyGrown) return;
-        
-        const plantData = this.plantTypes[cell.plant.type];
-        if (!plantData) return;
-        
-        // Check if plant is within sprinkler range
-        const sprinklerBonus = this.getSprinklerBonus(row, col);
-        if (sprinklerBonus > 0) {
-            // Calculate continuous growth based on time
-            const now = Date.now();
-            
-            // Initialize lastSprinklerGrowth if it doesn't exist
-            if (!cell.lastSprinklerGrowth) {
-                cell.lastSprinklerGrowth = now;
-                return; // Skip this frame to start timing from now
-            }
-            
-            const timeSinceLastCheck = now - cell.lastSprinklerGrowth;
-            
-            // Growth rate: 1 stage per 30 seconds with sprinkler (base)
-            let growthTimePerStage = 30000; // 30 seconds per stage (base)
-            
-            // Apply sprinkler growth bonus (faster growth with better sprinklers)
-            growthTimePerStage = growthTimePerStage / (1 + sprinklerBonus);
-            
-            // Apply custom growth rate multiplier
-            const seedType = cell.plant.type;
-            const growthMultiplier = this.getSeedGrowthMultiplier(seedType);
-            growthTimePerStage *= growthMultiplier;
+        // Create or reuse a repeating pixel-art grass pattern for the grid background
+        getGrassPattern(tilePx = 16) {
+            if (!this.ctx) return null;
+            // Convert requested pixel size to an integer scale of an 8x8 pixel-art tile
+            const scale = Math.max(1, Math.floor((tilePx | 0) / 8));
+            const size = 8 * scale; // final tile dimension in pixels
+            const cacheKey = `s${scale}`;
+            if (this.grassPatternCache && this.grassPatternCache[cacheKey]) return this.grassPatternCache[cacheKey];
 
-            const decorationGrowthBonus = (cell.plant.bonuses?.growth || 0) / 100;
-            if (decorationGrowthBonus > 0) {
-                growthTimePerStage /= (1 + decorationGrowthBonus);
-            }
-            
-            const growthProgress = timeSinceLastCheck / growthTimePerStage;
-            
-            if (growthProgress >= 1) {
-                // Advance growth stage
-                if (cell.plant.growthStage < this.growthStages.length - 1) {
-                    cell.plant.growthStage++;
-                    cell.lastSprinklerGrowth = now;
-                    
-                    // Show growth message
-                    this.showMessage(`${plantData.name} grew from sprinkler!`, 'success');
-                    console.log(`${plantData.name} grew to stage ${cell.plant.growthStage + 1}/${this.growthStages.length} from sprinkler`);
-                    
-                    // Check if fully mature
-                    if (cell.plant.growthStage >= this.growthStages.length - 1) {
-                        cell.plant.isFullyGrown = true;
-                        this.maybeUnlockSpeedGrower(row, col);
+            const cvs = (typeof OffscreenCanvas !== 'undefined') ? new OffscreenCanvas(size, size) : document.createElement('canvas');
+            cvs.width = size;
+            cvs.height = size;
+            const g = cvs.getContext('2d');
+            if (!g) return null;
+
+            // Keep it pixelated
+            if (typeof g.imageSmoothingEnabled === 'boolean') g.imageSmoothingEnabled = false;
+
+            const s = scale; // pixel block size for each of the 8x8 pattern pixels
+
+            // Palette: base, light, dark
+            const base = '#79c76b';
+            const light = '#8fd77f';
+            const dark = '#5ea452';
+
+            // 8x8 pixel-art pattern indices (0=base, 1=light, 2=dark)
+            const map = [
+                [0,1,0,0,1,0,0,2],
+                [0,0,2,0,0,1,0,0],
+                [1,0,0,1,0,0,2,0],
+                [0,2,0,0,1,0,0,1],
+                [0,0,1,0,0,2,0,0],
+                [2,0,0,1,0,0,1,0],
+                [0,1,0,0,2,0,0,1],
+                [0,0,2,0,0,1,0,0]
+            ];
+
+            // Paint base first for solid background
+            g.fillStyle = base;
+            g.fillRect(0, 0, size, size);
+
+            // Paint light and dark pixels scaled by s for crisp edges
+            for (let y = 0; y < 8; y++) {
+                for (let x = 0; x < 8; x++) {
+                    const idx = map[y][x];
+                    if (idx === 1) {
+                        g.fillStyle = light;
+                        g.fillRect(x * s, y * s, s, s);
+                    } else if (idx === 2) {
+                        g.fillStyle = dark;
+                        g.fillRect(x * s, y * s, s, s);
                     }
-                    
-                    // Save game and update UI
-                    this.saveGame();
-                    this.updateUI();
-                    this.draw(); // Force immediate redraw to show growth
                 }
             }
+
+            const pattern = this.ctx.createPattern(cvs, 'repeat');
+            if (!this.grassPatternCache) this.grassPatternCache = {};
+            this.grassPatternCache[cacheKey] = pattern;
+            return pattern;
         }
-    }
-    
-    // Check sprinkler growth for all plants in the garden
-    checkAllSprinklerGrowth() {
-        for (let row = 0; row < this.gridSize; row++) {
-            for (let col = 0; col < this.gridSize; col++) {
-                this.checkSprinklerGrowth(row, col);
-            }
-        }
-    }
-    
-    // Unlock Speed Grower if a plant reached maturity within 30 seconds of planting
-    maybeUnlockSpeedGrower(row, col) {
-        try {
-            if (!this.achievements || !this.achievements.speedGrower || this.achievements.speedGrower.unlocked) return;
-            const cell = this.garden?.[row]?.[col];
-            if (!cell || !cell.plant || !cell.plant.isFullyGrown) return;
-            const plantedAt = Number(cell.plantedAt || cell.plant.plantedAt);
-            if (!Number.isFinite(plantedAt) || plantedAt <= 0) return;
-            const now = Date.now();
-            if ((now - plantedAt) <= 30000) {
-                this.unlockAchievement('speedGrower');
-                this.achievementStats.speedGrowerUnlocked = true;
-            }
-        } catch (e) {
-            console.warn('maybeUnlockSpeedGrower error:', e);
-        }
-    }
-    
-    plantSeed(row, col) {
-        const seedType = this.selectedSeed;
-        
-        // Validate seed selection
-        if (!seedType) {
-            this.showMessage('No seed selected!', 'error');
-            this.playSound('error');
-            return;
-        }
-        
-        const seedData = this.plantTypes[seedType];
-        const inventory = this.shopInventory[seedType];
-        const baseCost = this.getSeedBaseCost(seedData);
-        const effectiveCost = this.getDiscountedSeedCost(baseCost);
-        
-        // Validate seed data
-        if (!seedData) {
-            console.error(`No plant data found for ${seedType}`);
-            this.showMessage(`Error: Invalid seed type ${seedType}!`, 'error');
-            this.playSound('error');
+
+        // Load external grass tile image once; resolves true if loaded, false if failed
+        async loadGrassTileTexture(src = this.tileTexturePath) {
+            if (this.tileTextureLoaded) return true;
+            if (this._tileTextureAttempted && !this.tileTextureImage) return false;
+            this._tileTextureAttempted = true;
+            return new Promise((resolve) => {
+                const img = new Image();
+                img.onload = () => {
+                    this.tileTextureImage = img;
+                    this.tileTextureLoaded = true;
+                    try { requestAnimationFrame(() => this.draw()); } catch (_) {}
+                    resolve(true);
+                };
+                img.onerror = () => {
+                    // If plus sign path failed, try URL-encoded fallback once
+                    if (src.includes('+')) {
+                        const alt = src.replace('+', '%2B');
+                        // Avoid infinite loop by calling a fresh Image inside this branch
+                        const img2 = new Image();
+                        img2.onload = () => {
+                            this.tileTextureImage = img2;
+                            this.tileTextureLoaded = true;
+                            try { requestAnimationFrame(() => this.draw()); } catch (_) {}
+                            resolve(true);
+                        };
+                        img2.onerror = () => {
+                            this.tileTextureImage = null;
+                            this.tileTextureLoaded = false;
+                            resolve(false);
+                        };
+                        try {
+                            img2.decoding = 'async';
+                            img2.src = encodeURI(alt);
+                            return;
+                        } catch (e) {
+                            // fall through to failure
+                        }
+                    }
+                    this.tileTextureImage = null;
+                    this.tileTextureLoaded = false;
+                    resolve(false);
+                };
+                try {
+                    img.decoding = 'async';
+                    img.src = encodeURI(src);
+                } catch (e) {
+                    this.tileTextureImage = null;
+                    resolve(false);
+                }
+            });
+        }
+    
+    drawPlant(row, col, cell, offsetX, offsetY) {
+        if (!this.ctx) {
             return;
         }
         
-        if (!inventory) {
-            console.error(`No inventory found for ${seedType}`);
-            this.showMessage(`Error: No inventory data for ${seedType}!`, 'error');
-            this.playSound('error');
+        if (!cell.plant || !cell.plant.type) {
             return;
         }
         
-        // Check seasonal availability
-        if (!this.isSeedAvailable(seedType)) {
-            this.showMessage(`${seedData.name} is not available in ${this.currentSeason}!`, 'error');
-            this.playSound('error');
+        const x = offsetX + col * this.cellSize + this.cellSize / 2;
+        const y = offsetY + row * this.cellSize + this.cellSize / 2;
+        const plantData = this.plantTypes[cell.plant.type];
+        
+        if (!plantData) {
             return;
         }
         
-        // Validate stock
-        if (inventory.stock <= 0) {
-            this.showMessage(`${seedData.name} is out of stock!`, 'error');
-            this.playSound('error');
-            return;
+        // Draw soil
+        this.ctx.fillStyle = '#8B4513';
+        this.ctx.fillRect(offsetX + col * this.cellSize + 2, offsetY + row * this.cellSize + this.cellSize * 0.7, 
+                         this.cellSize - 4, this.cellSize * 0.3);
+        
+        this.ctx.font = `${this.cellSize * 0.6}px Arial`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        
+        // Determine plant color based on state
+        if (cell.plant.isFullyGrown) {
+            this.ctx.fillStyle = plantData.color;
+        } else if (cell.fertilized) {
+            this.ctx.fillStyle = '#FFD700';
+        } else if (cell.watered) {
+            this.ctx.fillStyle = '#228B22';
+        } else {
+            this.ctx.fillStyle = '#8FBC8F';
         }
         
-        // Validate money
-        if (this.money < effectiveCost) {
-            this.showMessage(`Not enough money! Need $${effectiveCost.toLocaleString()}`, 'error');
-            this.playSound('error');
-            return;
+        // Draw the plant stage - use growthStage for visual display
+        // Dormant orchard trees are drawn faded with a sleep mark
+        const dormant = this.isPlantDormant(cell.plant);
+        if (dormant) this.ctx.globalAlpha = 0.55;
+        const stage = this.getPlantGrowthStage(cell.plant);
+        if (plantData.stages && plantData.stages[stage]) {
+            this.ctx.fillText(plantData.stages[stage], x, y);
+        } else {
+            // Fallback to a simple plant emoji if stages are not available
+            this.ctx.fillText('🌱', x, y);
+        }
+        if (dormant) {
+            this.ctx.globalAlpha = 1;
+            this.ctx.font = `${this.cellSize * 0.22}px Arial`;
+            this.ctx.fillText('💤', offsetX + col * this.cellSize + this.cellSize * 0.8, offsetY + row * this.cellSize + this.cellSize * 0.22);
         }
         
-        // Check if there's already a plant here
-        const cell = this.garden[row][col];
-        if (cell.plant) {
-            this.showMessage('There\'s already a plant here!', 'error');
-            this.playSound('error');
-            return;
+        if (cell.watered) {
+            this.ctx.fillStyle = '#87CEEB';
+            this.ctx.globalAlpha = 0.7;
+            this.ctx.fillRect(offsetX + col * this.cellSize + 2, offsetY + row * this.cellSize + 2, 
+                             this.cellSize - 4, 4);
+            this.ctx.globalAlpha = 1;
         }
         
-        // Check if there's a sprinkler here
-        if (this.hasSprinkler(row, col)) {
-            this.showMessage('Cannot plant on a sprinkler!', 'error');
-            this.playSound('error');
-            return;
+        if (cell.fertilized) {
+            this.ctx.fillStyle = '#FFD700';
+            this.ctx.globalAlpha = 0.7;
+            this.ctx.fillRect(offsetX + col * this.cellSize + 2, offsetY + row * this.cellSize + this.cellSize - 6, 
+                             this.cellSize - 4, 4);
+            this.ctx.globalAlpha = 1;
         }
         
-        // All validations passed, proceed with planting
+        if (cell.waterCooldown > this.now()) {
+            this.ctx.strokeStyle = '#FF6B6B';
+            this.ctx.lineWidth = 2;
+            this.ctx.strokeRect(offsetX + col * this.cellSize + 1, offsetY + row * this.cellSize + 1, 
+                               this.cellSize - 2, this.cellSize - 2);
+        }
         
-        // Deduct money and reduce stock
-            this.money -= effectiveCost;
-            inventory.stock--;
-            
-        // Create the plant with growth stages
-        const plantObject = {
-                    type: seedType,
-                    stage: 0,
-                    plantedAt: Date.now(),
-            isFullyGrown: false,
-            growthStage: 0,
-            purchaseCost: effectiveCost
-        };
+        if (cell.plant.isFullyGrown) {
+            this.ctx.strokeStyle = '#FFD700';
+            this.ctx.lineWidth = 3;
+            this.ctx.strokeRect(offsetX + col * this.cellSize + 4, offsetY + row * this.cellSize + 4, 
+                               this.cellSize - 8, this.cellSize - 8);
+        }
         
-        // Create the garden cell with the plant
-        this.garden[row][col] = {
-            plant: plantObject,
-                watered: false,
-                wateredAt: null,
-                waterCooldown: 0,
-                fertilized: false,
-                fertilizedAt: null,
-                fertilizerCooldown: 0,
-                plantedAt: Date.now()
-            };
+        // Infected plants get a tint that deepens with severity, a dashed border and the pest's icon
+        const infection = this.getPlantInfection(cell.plant);
+        if (infection) {
+            const pest = this.pestTypes[infection.type];
+            const left = offsetX + col * this.cellSize;
+            const top = offsetY + row * this.cellSize;
+            this.ctx.fillStyle = pest.color;
+            this.ctx.globalAlpha = 0.12 * infection.severity;
+            this.ctx.fillRect(left + 2, top + 2, this.cellSize - 4, this.cellSize - 4);
+            this.ctx.globalAlpha = 1;
+            this.ctx.strokeStyle = pest.color;
+            this.ctx.lineWidth = infection.severity;
+            this.ctx.setLineDash([4, 3]);
+            this.ctx.strokeRect(left + 2, top + 2, this.cellSize - 4, this.cellSize - 4);
+            this.ctx.setLineDash([]);
+            this.ctx.font = `${this.cellSize * 0.25}px Arial`;
+            this.ctx.fillText(pest.icon, left + this.cellSize * 0.22, top + this.cellSize * 0.22);
+        }
         
-        // Apply any existing global decoration bonuses to this new plant so globals affect newly planted seeds
-        this.applyAllGlobalBonusesToCell(row, col);
+        // Check if this plant is affected by a sprinkler and show indicator
+        const affectedBySprinkler = this.sprinklers.some(sprinkler => {
+            const distance = Math.max(Math.abs(sprinkler.row - row), Math.abs(sprinkler.col - col));
+            return distance <= this.sprinklerTypes[sprinkler.type].range;
+        });
         
-        // Verify the plant was actually created
-        if (!this.garden[row][col].plant) {
-            this.showMessage(`Error: Failed to plant ${seedData.name}!`, 'error');
+        if (affectedBySprinkler) {
+            // Show a tiny sprinkler indicator in the corner
+            const sprinkler = this.sprinklers.find(s => {
+                const distance = Math.max(Math.abs(s.row - row), Math.abs(s.col - col));
+                return distance <= this.sprinklerTypes[s.type].range;
+            });
+            if (sprinkler) {
+                const sprinklerData = this.sprinklerTypes[sprinkler.type];
+                this.ctx.fillStyle = sprinklerData.color;
+                this.ctx.globalAlpha = 0.8;
+                this.ctx.beginPath();
+                this.ctx.arc(offsetX + col * this.cellSize + this.cellSize - 3, 
+                             offsetY + row * this.cellSize + 3, 2, 0, 2 * Math.PI);
+                this.ctx.fill();
+                this.ctx.globalAlpha = 1;
+            }
+        }
+    }
+    
+    drawSprinkler(row, col, type, offsetX, offsetY) {
+        if (!this.ctx) {
             return;
         }
-            
-            this.showMessage(`Planted ${seedData.name}!`, 'success');
-            this.playSound('plant');
-            this.achievementStats.plantsPlanted++;
-            this.achievementStats.differentPlantsPlanted.add(seedType);
-            
-            // Update daily challenge progress for planting
-            this.updateChallengeProgress('plant', 1);
-            
-            // Add plant particle effect
-            const x = (col * this.cellSize) + (this.cellSize / 2);
-            const y = (row * this.cellSize) + (this.cellSize / 2);
-            this.addParticle(x, y, 'plant', '');
-            // Gentle soft burst
-            this.spawnGentleBurst(x, y, 'plant', 12);
-        
-        // Save immediately to ensure plant is persisted
-        this.saveGame();
         
-        // Update UI immediately and force redraw
-            this.updateUI();
-        this.draw(); // Force immediate redraw to show the new plant
+        const x = offsetX + col * this.cellSize + this.cellSize / 2;
+        const y = offsetY + row * this.cellSize + this.cellSize / 2;
+        const sprinklerData = this.sprinklerTypes[type];
         
-        // Keep seed selected for continued planting
-        // (Removed seed selection clearing to allow multiple plantings of same seed)
+        // Find the sprinkler data to get expiration info
+        const sprinkler = this.sprinklers.find(s => s.row === row && s.col === col);
+        const now = this.now();
+        const timeLeft = sprinkler ? sprinkler.expiresAt - now : 0;
+        const timeLeftMinutes = Math.floor(timeLeft / 60000);
+        const timeLeftSeconds = Math.floor((timeLeft % 60000) / 1000);
         
-        // Update shop display to reflect stock changes
-            this.updateShopDisplay();
-            
-        // Force another save and update after a brief delay to ensure everything is saved
-        setTimeout(() => {
-            this.saveGame();
-            this.updateShopDisplay();
-            this.draw(); // Force another redraw
-        }, 100);
-    }
-    
-    waterPlant(row, col) {
+        // Check if there's a plant in this cell
         const cell = this.garden[row][col];
-        const now = Date.now();
+        const hasPlant = cell && cell.plant;
         
-        if (cell.waterCooldown > now) {
-            const remainingTime = Math.ceil((cell.waterCooldown - now) / 1000);
-            this.showMessage(`Water cooldown: ${remainingTime}s remaining`, 'error');
-            return;
+        // Only draw sprinkler background if there's no plant
+        if (!hasPlant) {
+        this.ctx.fillStyle = sprinklerData.color;
+            this.ctx.globalAlpha = 0.6;
+            this.ctx.fillRect(offsetX + col * this.cellSize + 2, offsetY + row * this.cellSize + 2, 
+                             this.cellSize - 4, this.cellSize - 4);
+        this.ctx.globalAlpha = 1;
         }
         
-        const plantWaterBonus = (cell.plant?.bonuses?.waterEfficiency || 0) / 100;
-        const sprinklerWaterBonus = this.getSprinklerWaterBonus(row, col);
-        const totalWaterBonus = sprinklerWaterBonus + plantWaterBonus;
-        const waterUsed = Math.max(0, Math.ceil(1 - totalWaterBonus));
-
-        if (this.water <= 0 && waterUsed > 0) {
-            this.showMessage('No water left!', 'error');
-            this.playSound('error');
-            return;
+        // Draw sprinkler icon - only show if no plant, or as tiny indicator if plant present
+        if (!hasPlant) {
+        this.ctx.font = `${this.cellSize * 0.4}px Arial`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = 'white';
+        this.ctx.fillText(sprinklerData.icon, x, y);
+        } else {
+            // Just show a tiny dot in the corner when plant is present
+            this.ctx.fillStyle = sprinklerData.color;
+            this.ctx.globalAlpha = 0.9;
+            this.ctx.beginPath();
+            this.ctx.arc(offsetX + col * this.cellSize + this.cellSize - 4, 
+                         offsetY + row * this.cellSize + 4, 2, 0, 2 * Math.PI);
+            this.ctx.fill();
+            this.ctx.globalAlpha = 1;
         }
         
-        if (this.water > 0 || waterUsed === 0) {
-            if (waterUsed > 0) {
-                this.water -= waterUsed;
-                this.updateStats('water', waterUsed);
-            }
-            
-            const effectiveWaterBonus = totalWaterBonus;
-            const bonusSegments = [];
-            if (sprinklerWaterBonus > 0) {
-                bonusSegments.push(`${Math.round(sprinklerWaterBonus * 100)}% from sprinklers`);
-            }
-            if (plantWaterBonus > 0) {
-                bonusSegments.push(`${Math.round(plantWaterBonus * 100)}% from decorations`);
-            }
-            const bonusText = bonusSegments.length ? ` (${bonusSegments.join(' + ')})` : '';
-            
-            const growthDuration = Math.round(8000 * (1 + effectiveWaterBonus));
-            
-            cell.watered = true;
-            cell.wateredAt = now;
-            cell.waterCooldown = now + 8000;
-            
-            // Start continuous growth when watered
-            if (cell.plant && cell.plant.growthStage < this.growthStages.length - 1) {
-                const plantData = this.plantTypes[cell.plant.type];
-                this.showMessage(`${plantData.name} watered! Will grow continuously for ${(growthDuration / 1000).toFixed(1)} seconds!${bonusText}`, 'success');
-                
-                // Set up continuous growth tracking
-                cell.waterGrowthStart = now;
-                cell.waterGrowthDuration = growthDuration;
-            } else {
-                const plantData = this.plantTypes[cell.plant.type];
-                this.showMessage(`${plantData.name} watered! (Already fully grown)${bonusText}`, 'success');
-            }
-            
-            // Update daily challenge progress for watering
-            this.updateChallengeProgress('water', 1);
-            
-            this.playSound('water');
-            this.achievementStats.plantsWatered++;
-            
-            // Add water particle effect
-            const x = (col * this.cellSize) + (this.cellSize / 2);
-            const y = (row * this.cellSize) + (this.cellSize / 2);
-            this.addParticle(x, y, 'water', '');
-            // Gentle soft burst
-            this.spawnGentleBurst(x, y, 'water', 12);
-            
-            this.updateUI();
-            this.saveGame();
+        // Draw timer if less than 1 minute remaining
+        if (timeLeft > 0 && timeLeft < 60000) {
+            this.ctx.font = `${this.cellSize * 0.15}px Arial`;
+            this.ctx.fillStyle = '#FF6B6B';
+            this.ctx.fillText(`${timeLeftSeconds}s`, x, y + this.cellSize * 0.4);
+        } else if (timeLeft > 0 && timeLeft < 300000) { // Less than 5 minutes
+            this.ctx.font = `${this.cellSize * 0.15}px Arial`;
+            this.ctx.fillStyle = '#FFA500';
+            this.ctx.fillText(`${timeLeftMinutes}m`, x, y + this.cellSize * 0.4);
         }
-    }
-    
-    fertilizePlant(row, col) {
-        const cell = this.garden[row][col];
-        const now = Date.now();
         
-        if (cell.fertilizerCooldown > now) {
-            const remainingTime = Math.ceil((cell.fertilizerCooldown - now) / 1000);
-            this.showMessage(`Fertilizer cooldown: ${remainingTime}s remaining`, 'error');
-            return;
-        }
+        // Draw range indicator
+        this.ctx.strokeStyle = sprinklerData.color;
+        this.ctx.lineWidth = 1;
+        this.ctx.globalAlpha = 0.2;
+        
+        // Draw range circle
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, sprinklerData.range * this.cellSize, 0, 2 * Math.PI);
+        this.ctx.stroke();
         
-            const fertilizerBonus = this.getSprinklerFertilizerBonus(row, col);
-            const fertilizerUsed = fertilizerBonus > 0 ? 0 : 1; // Existing behavior: any bonus grants free fertilizer
+        // Reset globalAlpha
+        this.ctx.globalAlpha = 1;
+    }
 
-            if (this.fertilizer <= 0 && fertilizerUsed > 0) {
-                this.showMessage('No fertilizer left!', 'error');
-                this.playSound('error');
-                return;
-            }
+    drawMachine(machine, offsetX, offsetY) {
+        const machineData = this.machineTypes[machine.type];
+        const tier = this.getMachineTier(machine);
+        const left = offsetX + machine.col * this.cellSize;
+        const top = offsetY + machine.row * this.cellSize;
+        const status = this.getMachineStatus(machine);
+        this.ctx.save();
 
-            if (this.fertilizer > 0 || fertilizerUsed === 0) {
-                const fertilizerEfficiency = 1 + fertilizerBonus; // e.g., 1.1 for 10% bonus
+        this.ctx.fillStyle = machineData.color;
+        this.ctx.globalAlpha = 0.7;
+        this.ctx.fillRect(left + 2, top + 2, this.cellSize - 4, this.cellSize - 4);
+        this.ctx.globalAlpha = 1;
 
-                if (fertilizerUsed > 0) {
-                    this.fertilizer -= fertilizerUsed;
-                    this.updateStats('fertilizer', fertilizerUsed);
-                }
-            
-            cell.fertilized = true;
-            cell.fertilizedAt = now;
-            cell.fertilizerCooldown = now + 12000;
-            
-            // Start continuous growth when fertilized
-            if (cell.plant && cell.plant.growthStage < this.growthStages.length - 1) {
-                const plantData = this.plantTypes[cell.plant.type];
-                const bonusText = fertilizerBonus > 0 ? ` (${Math.round(fertilizerBonus * 100)}% fertilizer efficiency from sprinkler!)` : '';
-                this.showMessage(`${plantData.name} fertilized! Will grow continuously for 12 seconds!${bonusText}`, 'success');
-                
-                // Set up continuous growth tracking
-                cell.fertilizerGrowthStart = now;
-                cell.fertilizerGrowthDuration = 12000; // 12 seconds of continuous growth
-            } else {
-                const plantData = this.plantTypes[cell.plant.type];
-                const bonusText = fertilizerBonus > 0 ? ` (${Math.round(fertilizerBonus * 100)}% fertilizer efficiency from sprinkler!)` : '';
-                this.showMessage(`${plantData.name} fertilized! (Already fully grown)${bonusText}`, 'success');
-            }
-            
-            this.playSound('fertilizer');
-            this.achievementStats.plantsFertilized++;
-            
-            // Add fertilizer particle effect
-            const x = (col * this.cellSize) + (this.cellSize / 2);
-            const y = (row * this.cellSize) + (this.cellSize / 2);
-            this.addParticle(x, y, 'fertilizer', '');
-            // Gentle soft burst
-            this.spawnGentleBurst(x, y, 'fertilizer', 12);
-
-            this.updateChallengeProgress('fertilize', 1);
-            
-            this.updateUI();
-            this.saveGame();
+        this.ctx.font = `${this.cellSize * 0.45}px Arial`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(machineData.icon, left + this.cellSize / 2, top + this.cellSize / 2);
+
+        // One pip per tier along the bottom edge
+        this.ctx.fillStyle = 'white';
+        for (let i = 0; i <= machine.tier; i++) {
+            this.ctx.beginPath();
+            this.ctx.arc(left + 6 + i * 6, top + this.cellSize - 6, 2, 0, 2 * Math.PI);
+            this.ctx.fill();
         }
+
+        if (status.state === 'stalled') {
+            this.ctx.font = `${Math.max(10, this.cellSize * 0.25)}px Arial`;
+            this.ctx.textAlign = 'right';
+            this.ctx.textBaseline = 'top';
+            this.ctx.fillText('⚠️', left + this.cellSize - 2, top + 2);
+        }
+
+        // Dashed square over the tiles it works
+        const reach = tier.range * this.cellSize;
+        this.ctx.strokeStyle = machineData.color;
+        this.ctx.globalAlpha = 0.35;
+        this.ctx.lineWidth = 1;
+        if (typeof this.ctx.setLineDash === 'function') this.ctx.setLineDash([4, 4]);
+        this.ctx.strokeRect(left - reach, top - reach, this.cellSize + reach * 2, this.cellSize + reach * 2);
+        this.ctx.restore();
     }
     
-    harvestPlant(row, col) {
-        const cell = this.garden[row][col];
-        if (cell.plant) {
-            const plantData = this.plantTypes[cell.plant.type];
-            
-            // Calculate harvest value with growth stages and bonus from upgraded harvest tool
-            const baseValue = plantData.harvestValue;
-            const growthStage = this.getPlantGrowthStage(cell.plant);
-            const stageMultiplier = this.stageMultipliers[growthStage] || 1.0;
-            const bonusMultiplier = 1 + this.harvestBonus;
-            const rebirthMultiplier = 1 + this.getRebirthHarvestBonus();
-            const prestigeMultiplier = 1 + this.getPrestigeHarvestBonus();
-            const harvestDecorationBonus = (cell.plant.bonuses?.harvestValue || 0) / 100;
-            const baseHarvest = Math.floor(baseValue * stageMultiplier);
-            const finalValue = Math.floor(baseHarvest * bonusMultiplier * rebirthMultiplier * prestigeMultiplier * (1 + harvestDecorationBonus));
-            
-            this.money += finalValue;
-            this.score += finalValue;
-            this.achievementStats.totalHarvests++;
-            this.achievementStats.totalMoney += finalValue;
-            
-            // Update statistics
-            this.updateStats('harvest', 1);
-            this.updateStats('money', finalValue);
-            this.updateStats('plant', cell.plant.type);
-            
-            // Update challenge progress
-            this.updateChallengeProgress('harvest', 1);
-            this.updateChallengeProgress('money', finalValue);
-            
-            // Update rare/legendary challenge progress
-            if (plantData.isRare) {
-                this.updateChallengeProgress('rare', 1);
-                this.achievementStats.rareHarvests++;
-            }
-            if (plantData.isLegendary) {
-                this.updateChallengeProgress('legendary', 1);
-                this.achievementStats.legendaryHarvests++;
-            }
-            
-            // Add particle effect
-            const x = (col * this.cellSize) + (this.cellSize / 2);
-            const y = (row * this.cellSize) + (this.cellSize / 2);
-            this.addParticle(x, y, 'money', finalValue);
-            // Gentle soft burst
-            this.spawnGentleBurst(x, y, 'harvest', 14);
+    drawDecoration(row, col, decoration, offsetX, offsetY) {
+        if (!this.ctx) {
+            return;
+        }
+        
+        const decorationData = this.decorations[decoration.type];
+        if (!decorationData) {
+            return;
+        }
+        
+        const x = offsetX + col * this.cellSize + this.cellSize / 2;
+        const y = offsetY + row * this.cellSize + this.cellSize / 2;
+        
+        // Draw decoration background
+        this.ctx.fillStyle = '#f8f9fa';
+        this.ctx.globalAlpha = 0.8;
+        this.ctx.fillRect(offsetX + col * this.cellSize + 2, offsetY + row * this.cellSize + 2, 
+                         this.cellSize - 4, this.cellSize - 4);
+        this.ctx.globalAlpha = 1;
+        
+        // Draw decoration icon
+        this.ctx.font = `${this.cellSize * 0.6}px Arial`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = '#6c757d';
+        this.ctx.fillText(decorationData.icon, x, y);
+        
+        // Add glow effect for active decorations
+        if (decoration.active) {
+            this.ctx.shadowColor = '#FFD700';
+            this.ctx.shadowBlur = 5;
+            this.ctx.fillText(decorationData.icon, x, y);
+            this.ctx.shadowBlur = 0;
+        }
+        
+        // Add border for seasonal decorations
+        if (decorationData.type === 'seasonal') {
+            this.ctx.strokeStyle = '#FFD700';
+            this.ctx.lineWidth = 2;
+            this.ctx.strokeRect(offsetX + col * this.cellSize + 1, offsetY + row * this.cellSize + 1, 
+                               this.cellSize - 2, this.cellSize - 2);
+        }
+        
+        // Draw decoration range indicator
+        if (decorationData.bonus && decorationData.bonus !== 'none') {
+            this.ctx.strokeStyle = '#28a745';
+            this.ctx.lineWidth = 1;
+            const range = decorationData.range ?? 1;
             
-            // Show bonus message if harvest tool is upgraded
-            if (this.harvestBonus > 0 || harvestDecorationBonus > 0 || this.rebirths > 0 || this.getPrestigeHarvestBonus() > 0) {
-                const bonusAmount = finalValue - baseHarvest;
-                const bonusBreakdown = [];
-                if (this.harvestBonus > 0) {
-                    bonusBreakdown.push(`${Math.round(this.harvestBonus * 100)}% tool bonus`);
-                }
-                if (harvestDecorationBonus > 0) {
-                    bonusBreakdown.push(`${Math.round(harvestDecorationBonus * 100)}% decoration bonus`);
-                }
-                if (this.rebirths > 0) {
-                    bonusBreakdown.push(`${Math.round(this.getRebirthHarvestBonus() * 100)}% rebirth boost`);
-                }
-                if (this.getPrestigeHarvestBonus() > 0) {
-                    bonusBreakdown.push(`${Math.round(this.getPrestigeHarvestBonus() * 100)}% prestige bonus`);
-                }
-                const breakdownText = bonusBreakdown.length ? ` (+$${bonusAmount} from ${bonusBreakdown.join(' & ')})` : '';
-                this.showMessage(`Harvested ${plantData.name} for $${finalValue}!${breakdownText}`, 'success');
+            if (decorationData.scope === 'global') {
+                this.ctx.globalAlpha = 0.35;
+                this.ctx.beginPath();
+                this.ctx.arc(x, y, this.cellSize * 0.45, 0, 2 * Math.PI);
+                this.ctx.stroke();
             } else {
-                this.showMessage(`Harvested ${plantData.name} for $${finalValue}!`, 'success');
+                this.ctx.globalAlpha = 0.2;
+                this.ctx.strokeRect(
+                    offsetX + (col - range) * this.cellSize,
+                    offsetY + (row - range) * this.cellSize,
+                    this.cellSize * (range * 2 + 1),
+                    this.cellSize * (range * 2 + 1)
+                );
             }
-            this.playSound('harvest');
-            this.playSound('money');
-            
-            // Clear the cell completely
-            this.garden[row][col] = {
-                plant: null,
-                watered: false,
-                wateredAt: null,
-                waterCooldown: 0,
-                fertilized: false,
-                fertilizedAt: null,
-                fertilizerCooldown: 0,
-                plantedAt: null
-            };
-            
-            this.updateUI();
-            this.saveGame();
-        }
-    }
-    
-    removePlant(row, col) {
-        const cell = this.garden[row][col];
-        if (cell.plant) {
-            const plantData = this.plantTypes[cell.plant.type];
-            const baseCost = this.getSeedBaseCost(plantData);
-            const purchaseCost = cell.plant?.purchaseCost ?? baseCost;
-            const refundAmount = this.grantShovelRefund(purchaseCost, row, col);
-            const refundRatePercent = Math.round(this.getShovelRefundRate() * 100);
-            const refundText = refundAmount > 0 ? ` Returned ${refundRatePercent}% ($${refundAmount}).` : '';
-            this.showMessage(`Removed ${plantData.name}!${refundText}`, refundAmount > 0 ? 'success' : 'info');
-            
-            this.garden[row][col] = {
-                plant: null,
-                watered: false,
-                wateredAt: null,
-                waterCooldown: 0,
-                fertilized: false,
-                fertilizedAt: null,
-                fertilizerCooldown: 0,
-                plantedAt: null
-            };
-            // Gentle soft burst for shovel/remove
-            const x = (col * this.cellSize) + (this.cellSize / 2);
-            const y = (row * this.cellSize) + (this.cellSize / 2);
-            this.spawnGentleBurst(x, y, 'remove', 10);
             
-            this.updateUI();
-            this.saveGame();
+            this.ctx.globalAlpha = 1;
         }
     }
     
-    updatePlants() {
-        this.updatePlantsSilent();
-    }
-    
-    updatePlantsSilent() {
-        const now = Date.now();
-        
-        // Check for expired sprinklers
-        this.sprinklers = this.sprinklers.filter(sprinkler => {
-            if (now >= sprinkler.expiresAt) {
-                const sprinklerData = this.sprinklerTypes[sprinkler.type];
-                const durationMinutes = Math.floor(sprinklerData.duration / 60000);
-                this.showMessage(`${sprinkler.type} sprinkler expired after ${durationMinutes} minutes!`, 'info');
-                return false; // Remove expired sprinkler
+    drawNightTint() {
+        const darkness = this.getNightLevel();
+        if (darkness <= 0) return;
+
+        const gridWidth = this.gridSize * this.cellSize;
+        const offsetX = (this.canvas.width - gridWidth) / 2;
+        const offsetY = (this.canvas.height - gridWidth) / 2;
+
+        // Dusk and dawn are warmer than the deep blue of full night
+        this.ctx.save();
+        this.ctx.fillStyle = darkness < 1 ? `rgba(70, 40, 90, ${0.3 * darkness})` : 'rgba(16, 22, 60, 0.45)';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Halos are drawn additively so they brighten the tint underneath
+        const twinkle = 0.85 + 0.15 * Math.sin(Date.now() / 400);
+        this.ctx.globalCompositeOperation = 'lighter';
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                const decoration = this.garden[row][col].decoration;
+                const glow = decoration && this.decorations[decoration.type]?.glow;
+                if (!glow) continue;
+
+                const x = offsetX + col * this.cellSize + this.cellSize / 2;
+                const y = offsetY + row * this.cellSize + this.cellSize / 2;
+                const radius = this.cellSize * 1.2;
+                const halo = this.ctx.createRadialGradient(x, y, 0, x, y, radius);
+                halo.addColorStop(0, glow);
+                halo.addColorStop(1, 'rgba(0, 0, 0, 0)');
+                this.ctx.globalAlpha = 0.6 * darkness * twinkle;
+                this.ctx.fillStyle = halo;
+                this.ctx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
             }
-            return true; // Keep active sprinkler
-        });
-        
+        }
+        this.ctx.restore();
+
+        // Redraw the lights themselves on top so they stay bright
+        this.ctx.save();
+        this.ctx.font = `${this.cellSize * 0.6}px Arial`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
         for (let row = 0; row < this.gridSize; row++) {
             for (let col = 0; col < this.gridSize; col++) {
-                const cell = this.garden[row][col];
-                if (cell.plant && !cell.plant.isFullyGrown) {
-                    const plantData = this.plantTypes[cell.plant.type];
-                    const timeSincePlanted = now - cell.plantedAt;
-                    const growthProgress = timeSincePlanted / plantData.growthTime;
-                    
-                    if (cell.watered && cell.wateredAt && (now - cell.wateredAt) > 15000) {
-                        cell.watered = false;
-                        cell.wateredAt = null;
-                    }
-                    
-                    if (cell.fertilized && cell.fertilizedAt && (now - cell.fertilizedAt) > 20000) {
-                        cell.fertilized = false;
-                        cell.fertilizedAt = null;
-                    }
-                    
-                    let growthMultiplier = 0.3;
-                    if (cell.watered) growthMultiplier = 1.8;
-                    if (cell.fertilized) growthMultiplier = 2.5;
-                    if (cell.watered && cell.fertilized) growthMultiplier = 3.2;
-                    
-                    // Apply sprinkler effects
-                    const sprinklerBonus = this.getSprinklerBonus(row, col);
-                    growthMultiplier += sprinklerBonus;
-                    
-                    // Apply weather effects
-                    growthMultiplier *= this.weatherEffects[this.weather].growthMultiplier;
-                    
-                    // Apply seasonal effects
-                    growthMultiplier *= this.seasonMultiplier;
-                    
-                    // Plants now only grow when watered or fertilized
-                    // No automatic growth updates in the game loop
-                    
-                    // Check if plant is fully mature for achievement tracking
-                    const currentStage = this.getPlantGrowthStage(cell.plant);
-                    if (currentStage >= this.growthStages.length - 1 && !cell.plant.isFullyGrown) {
-                        cell.plant.isFullyGrown = true;
-                    }
-                    
-                    // Check for continuous growth from watering and fertilizing
-                    this.checkContinuousGrowth(row, col);
-                    
-                    // Check for sprinkler growth
-                    this.checkSprinklerGrowth(row, col);
-                    
-                    // Check for slow passive growth (no boosters)
-                    this.checkPassiveGrowth(row, col);
-                }
+                const decoration = this.garden[row][col].decoration;
+                const decorationData = decoration && this.decorations[decoration.type];
+                if (!decorationData?.glow) continue;
+
+                this.ctx.shadowColor = decorationData.glow;
+                this.ctx.shadowBlur = 12 * darkness;
+                this.ctx.globalAlpha = darkness;
+                this.ctx.fillText(decorationData.icon, offsetX + col * this.cellSize + this.cellSize / 2, offsetY + row * this.cellSize + this.cellSize / 2);
             }
         }
+        this.ctx.restore();
     }
     
-    checkRestock() {
-        this.checkRestockSilent();
-    }
-    
-    checkRestockSilent() {
-        const now = Date.now();
-        const timeSinceLastRestock = now - this.lastRestockTime;
+    drawRangeIndicator(row, col, type, offsetX, offsetY) {
+        if (!this.ctx) return;
         
-        if (timeSinceLastRestock >= this.restockInterval) {
-            this.restockShopSilent();
-            this.lastRestockTime = now;
-            this.updateShopDisplay(); // Force update the shop display
-        }
-    }
-    
-    restockShop() {
-        this.restockShopSilent();
-        this.updateShopDisplay();
-        this.showMessage('Shop restocked!', 'info');
+        const x = offsetX + col * this.cellSize + this.cellSize / 2;
+        const y = offsetY + row * this.cellSize + this.cellSize / 2;
+        const sprinklerData = this.sprinklerTypes[type];
+        
+        // Draw range indicator
+        this.ctx.strokeStyle = sprinklerData.color;
+        this.ctx.lineWidth = 1;
+        this.ctx.globalAlpha = 0.3;
+        
+        // Draw range circle
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, sprinklerData.range * this.cellSize, 0, 2 * Math.PI);
+        this.ctx.stroke();
+        
+        // Reset globalAlpha
+        this.ctx.globalAlpha = 1;
     }
     
-    restockShopSilent() {
-        let restockedSeeds = [];
+    // Function to show which plants are affected by bonuses
+    showBonusInfo(row, col) {
+        const cell = this.garden[row][col];
+        if (!cell.plant) return;
         
-        for (const [seedType, inventory] of Object.entries(this.shopInventory)) {
-            const plantData = this.plantTypes[seedType];
-            
-            if (inventory.stock < inventory.maxStock) {
-                let shouldRestock = true;
-                let restockAmount = inventory.restockAmount;
-                
-                // Check rare and legendary restock chances
-                if (plantData.isRare && Math.random() > this.rareRestockChance) {
-                    shouldRestock = false;
-                }
-                if (plantData.isLegendary && Math.random() > this.legendaryRestockChance) {
-                    shouldRestock = false;
-                }
+        const plant = cell.plant;
+        const bonusInfo = [];
+        const globalBonuses = new Set();
+        
+        for (let y = 0; y < this.gridSize; y++) {
+            for (let x = 0; x < this.gridSize; x++) {
+                const nearbyCell = this.garden[y][x];
+                if (!nearbyCell.decoration) continue;
+                const decorationData = this.decorations[nearbyCell.decoration.type];
+                if (!decorationData || !decorationData.bonus || decorationData.bonus === 'none') continue;
                 
-                if (shouldRestock) {
-                    // For rare and legendary seeds, give higher quantities when they do restock
-                    if (plantData.isRare) {
-                        restockAmount = inventory.restockAmount * 3; // Triple the amount
-                    } else if (plantData.isLegendary) {
-                        restockAmount = inventory.restockAmount * 5; // 5x the amount
-                    }
-                    
-                    // Ensure we don't exceed max stock
-                    restockAmount = Math.min(
-                        restockAmount,
-                        inventory.maxStock - inventory.stock
-                    );
-                    
-                    if (restockAmount > 0) {
-                        const oldStock = inventory.stock;
-                        inventory.stock += restockAmount;
-                        restockedSeeds.push(`${plantData.name} (${oldStock}→${inventory.stock})`);
-                    }
+                if (decorationData.scope === 'global') {
+                    globalBonuses.add(`${decorationData.name}: ${decorationData.bonus}`);
+                } else if (Math.abs(y - row) <= (decorationData.range ?? 1) && Math.abs(x - col) <= (decorationData.range ?? 1)) {
+                    bonusInfo.push(`${decorationData.name}: ${decorationData.bonus}`);
                 }
             }
         }
         
-        if (restockedSeeds.length > 0) {
-            this.showMessage(`Shop restocked: ${restockedSeeds.join(', ')}`, 'info');
-            
-            // Force immediate shop display update
-            setTimeout(() => {
-                this.updateShopDisplay();
-            }, 100);
+        bonusInfo.push(...globalBonuses);
+        
+        // Check for sprinkler bonuses
+        this.sprinklers.forEach(sprinkler => {
+            const distance = Math.max(Math.abs(sprinkler.row - row), Math.abs(sprinkler.col - col));
+            if (distance <= this.sprinklerTypes[sprinkler.type].range) {
+                const sprinklerData = this.sprinklerTypes[sprinkler.type];
+                bonusInfo.push(`${sprinkler.type} sprinkler: +${Math.round(sprinklerData.growthBonus * 100)}% growth`);
+            }
+        });
+        
+        if (bonusInfo.length > 0) {
+            this.showMessage(`Plant bonuses: ${bonusInfo.join(', ')}`, 'info');
         }
     }
     
-    draw() {
-        if (!this.canvas || !this.ctx) {
-            return;
-        }
+    drawSeasonalInfo() {
+        if (!this.ctx) return;
         
-        // Ensure globalAlpha is reset to 1 at the start of each draw cycle
-        this.ctx.globalAlpha = 1;
+        // Draw season indicator in top-right corner to avoid interference with plants
+        this.ctx.save();
+        this.ctx.fillStyle = '#333';
+        this.ctx.font = '16px Arial';
+        this.ctx.textAlign = 'right';
+        this.ctx.textBaseline = 'top';
         
-        // Calculate the actual grid dimensions
-        const gridWidth = this.gridSize * this.cellSize;
-        const gridHeight = this.gridSize * this.cellSize;
+        var seasonColors = {
+            spring: '#90EE90',
+            summer: '#FFD700',
+            fall: '#FF8C00',
+            winter: '#87CEEB'
+        };
         
-        // Calculate center position to center the grid in the canvas
-        const offsetX = (this.canvas.width - gridWidth) / 2;
-        const offsetY = (this.canvas.height - gridHeight) / 2;
-        
-        // Fill the entire canvas background
-        this.ctx.fillStyle = '#f8f9fa';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-
-        // Ensure the external per-cell tile texture is loading
-        if (!this.tileTextureLoaded && !this._tileTextureAttempted) {
-            // Fire and forget; on load we'll trigger a redraw
-            this.loadGrassTileTexture();
-        }
-
-        if (this.tileTextureLoaded && this.tileTextureImage) {
-            // Draw the provided tile image into each grid cell (crisp, per-tile texture)
-            this.ctx.save();
-            const hadSmoothing = typeof this.ctx.imageSmoothingEnabled === 'boolean' ? this.ctx.imageSmoothingEnabled : undefined;
-            if (typeof this.ctx.imageSmoothingEnabled === 'boolean') this.ctx.imageSmoothingEnabled = false;
-
-            const sx = 0, sy = 0, sw = this.tileTextureImage.naturalWidth || 16, sh = this.tileTextureImage.naturalHeight || 16;
-            for (let row = 0; row < this.gridSize; row++) {
-                for (let col = 0; col < this.gridSize; col++) {
-                    const dx = offsetX + col * this.cellSize;
-                    const dy = offsetY + row * this.cellSize;
-                    this.ctx.drawImage(this.tileTextureImage, sx, sy, sw, sh, dx, dy, this.cellSize, this.cellSize);
-                }
-            }
-
-            if (hadSmoothing !== undefined) this.ctx.imageSmoothingEnabled = hadSmoothing;
-            this.ctx.restore();
-        } else {
-            // Fallback: solid green until the image loads to avoid any pattern repeat artifacts
-            this.ctx.fillStyle = '#79c76b';
-            this.ctx.fillRect(offsetX, offsetY, gridWidth, gridHeight);
-        }
-        
-        // Slightly more visible grid lines (still subtle) and pixel-crisp alignment
-        const crisp = (v) => Math.round(v) + 0.5; // align 1px strokes to device pixels
-    this.ctx.strokeStyle = 'rgba(34, 139, 34, 0.55)'; // slightly stronger for more clarity
-        this.ctx.lineWidth = 1;
-        
-        // Draw grid lines only within the grid area, offset by the center position
-        for (let i = 0; i <= this.gridSize; i++) {
-            const vx = crisp(offsetX + i * this.cellSize);
-            const hy = crisp(offsetY + i * this.cellSize);
-            
-            // Vertical line
-            this.ctx.beginPath();
-            this.ctx.moveTo(vx, crisp(offsetY));
-            this.ctx.lineTo(vx, crisp(offsetY + gridHeight));
-            this.ctx.stroke();
-            
-            // Horizontal line
-            this.ctx.beginPath();
-            this.ctx.moveTo(crisp(offsetX), hy);
-            this.ctx.lineTo(crisp(offsetX + gridWidth), hy);
-            this.ctx.stroke();
-        }
-        
-        // Draw plants first
-        for (let row = 0; row < this.gridSize; row++) {
-            for (let col = 0; col < this.gridSize; col++) {
-                const cell = this.garden[row][col];
-                const x = offsetX + col * this.cellSize;
-                const y = offsetY + row * this.cellSize;
-                
-                if (cell.plant) {
-                    this.drawPlant(row, col, cell, offsetX, offsetY);
-                }
-            }
-        }
-        
-        // Draw sprinklers last (as overlays) - but only for empty cells
-        this.sprinklers.forEach(sprinkler => {
-            const cell = this.garden[sprinkler.row][sprinkler.col];
-            if (!cell.plant) {
-                this.drawSprinkler(sprinkler.row, sprinkler.col, sprinkler.type, offsetX, offsetY);
-            }
-        });
-        
-        // Draw decorations
-        for (let row = 0; row < this.gridSize; row++) {
-            for (let col = 0; col < this.gridSize; col++) {
-                const cell = this.garden[row][col];
-                if (cell.decoration) {
-                    this.drawDecoration(row, col, cell.decoration, offsetX, offsetY);
-                }
-            }
-        }
-        
-        // Draw particles
-        this.drawParticles();
-        
-        // Update season display in HTML (seasonal info is now in HTML, not canvas)
-        this.updateSeasonDisplay();
-        
-        // Ensure globalAlpha is reset to 1 at the end of each draw cycle
-        this.ctx.globalAlpha = 1;
-    }
-    
-        // Create or reuse a repeating pixel-art grass pattern for the grid background
-        getGrassPattern(tilePx = 16) {
-            if (!this.ctx) return null;
-            // Convert requested pixel size to an integer scale of an 8x8 pixel-art tile
-            const scale = Math.max(1, Math.floor((tilePx | 0) / 8));
-            const size = 8 * scale; // final tile dimension in pixels
-            const cacheKey = `s${scale}`;
-            if (this.grassPatternCache && this.grassPatternCache[cacheKey]) return this.grassPatternCache[cacheKey];
-
-            const cvs = (typeof OffscreenCanvas !== 'undefined') ? new OffscreenCanvas(size, size) : document.createElement('canvas');
-            cvs.width = size;
-            cvs.height = size;
-            const g = cvs.getContext('2d');
-            if (!g) return null;
-
-            // Keep it pixelated
-            if (typeof g.imageSmoothingEnabled === 'boolean') g.imageSmoothingEnabled = false;
-
-            const s = scale; // pixel block size for each of the 8x8 pattern pixels
-
-            // Palette: base, light, dark
-            const base = '#79c76b';
-            const light = '#8fd77f';
-            const dark = '#5ea452';
-
-            // 8x8 pixel-art pattern indices (0=base, 1=light, 2=dark)
-            const map = [
-                [0,1,0,0,1,0,0,2],
-                [0,0,2,0,0,1,0,0],
-                [1,0,0,1,0,0,2,0],
-                [0,2,0,0,1,0,0,1],
-                [0,0,1,0,0,2,0,0],
-                [2,0,0,1,0,0,1,0],
-                [0,1,0,0,2,0,0,1],
-                [0,0,2,0,0,1,0,0]
-            ];
-
-            // Paint base first for solid background
-            g.fillStyle = base;
-            g.fillRect(0, 0, size, size);
-
-            // Paint light and dark pixels scaled by s for crisp edges
-            for (let y = 0; y < 8; y++) {
-                for (let x = 0; x < 8; x++) {
-                    const idx = map[y][x];
-                    if (idx === 1) {
-                        g.fillStyle = light;
-                        g.fillRect(x * s, y * s, s, s);
-                    } else if (idx === 2) {
-                        g.fillStyle = dark;
-                        g.fillRect(x * s, y * s, s, s);
-                    }
-                }
-            }
-
-            const pattern = this.ctx.createPattern(cvs, 'repeat');
-            if (!this.grassPatternCache) this.grassPatternCache = {};
-            this.grassPatternCache[cacheKey] = pattern;
-            return pattern;
-        }
-
-        // Load external grass tile image once; resolves true if loaded, false if failed
-        async loadGrassTileTexture(src = this.tileTexturePath) {
-            if (this.tileTextureLoaded) return true;
-            if (this._tileTextureAttempted && !this.tileTextureImage) return false;
-            this._tileTextureAttempted = true;
-            return new Promise((resolve) => {
-                const img = new Image();
-                img.onload = () => {
-                    this.tileTextureImage = img;
-                    this.tileTextureLoaded = true;
-                    try { requestAnimationFrame(() => this.draw()); } catch (_) {}
-                    resolve(true);
-                };
-                img.onerror = () => {
-                    // If plus sign path failed, try URL-encoded fallback once
-                    if (src.includes('+')) {
-                        const alt = src.replace('+', '%2B');
-                        // Avoid infinite loop by calling a fresh Image inside this branch
-                        const img2 = new Image();
-                        img2.onload = () => {
-                            this.tileTextureImage = img2;
-                            this.tileTextureLoaded = true;
-                            try { requestAnimationFrame(() => this.draw()); } catch (_) {}
-                            resolve(true);
-                        };
-                        img2.onerror = () => {
-                            this.tileTextureImage = null;
-                            this.tileTextureLoaded = false;
-                            resolve(false);
-                        };
-                        try {
-                            img2.decoding = 'async';
-                            img2.src = encodeURI(alt);
-                            return;
-                        } catch (e) {
-                            // fall through to failure
-                        }
-                    }
-                    this.tileTextureImage = null;
-                    this.tileTextureLoaded = false;
-                    resolve(false);
-                };
-                try {
-                    img.decoding = 'async';
-                    img.src = encodeURI(src);
-                } catch (e) {
-                    this.tileTextureImage = null;
-                    resolve(false);
-                }
-            });
-        }
-    
-    drawPlant(row, col, cell, offsetX, offsetY) {
-        if (!this.ctx) {
-            return;
-        }
-        
-        if (!cell.plant || !cell.plant.type) {
-            return;
-        }
-        
-        const x = offsetX + col * this.cellSize + this.cellSize / 2;
-        const y = offsetY + row * this.cellSize + this.cellSize / 2;
-        const plantData = this.plantTypes[cell.plant.type];
-        
-        if (!plantData) {
-            return;
-        }
-        
-        // Draw soil
-        this.ctx.fillStyle = '#8B4513';
-        this.ctx.fillRect(offsetX + col * this.cellSize + 2, offsetY + row * this.cellSize + this.cellSize * 0.7, 
-                         this.cellSize - 4, this.cellSize * 0.3);
-        
-        this.ctx.font = `${this.cellSize * 0.6}px Arial`;
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
-        
-        // Determine plant color based on state
-        if (cell.plant.isFullyGrown) {
-            this.ctx.fillStyle = plantData.color;
-        } else if (cell.fertilized) {
-            this.ctx.fillStyle = '#FFD700';
-        } else if (cell.watered) {
-            this.ctx.fillStyle = '#228B22';
-        } else {
-            this.ctx.fillStyle = '#8FBC8F';
-        }
-        
-        // Draw the plant stage - use growthStage for visual display
-        const stage = this.getPlantGrowthStage(cell.plant);
-        if (plantData.stages && plantData.stages[stage]) {
-            this.ctx.fillText(plantData.stages[stage], x, y);
-        } else {
-            // Fallback to a simple plant emoji if stages are not available
-            this.ctx.fillText('🌱', x, y);
-        }
-        
-        if (cell.watered) {
-            this.ctx.fillStyle = '#87CEEB';
-            this.ctx.globalAlpha = 0.7;
-            this.ctx.fillRect(offsetX + col * this.cellSize + 2, offsetY + row * this.cellSize + 2, 
-                             this.cellSize - 4, 4);
-            this.ctx.globalAlpha = 1;
-        }
-        
-        if (cell.fertilized) {
-            this.ctx.fillStyle = '#FFD700';
-            this.ctx.globalAlpha = 0.7;
-            this.ctx.fillRect(offsetX + col * this.cellSize + 2, offsetY + row * this.cellSize + this.cellSize - 6, 
-                             this.cellSize - 4, 4);
-            this.ctx.globalAlpha = 1;
-        }
-        
-        if (cell.waterCooldown > Date.now()) {
-            this.ctx.strokeStyle = '#FF6B6B';
-            this.ctx.lineWidth = 2;
-            this.ctx.strokeRect(offsetX + col * this.cellSize + 1, offsetY + row * this.cellSize + 1, 
-                               this.cellSize - 2, this.cellSize - 2);
-        }
-        
-        if (cell.plant.isFullyGrown) {
-            this.ctx.strokeStyle = '#FFD700';
-            this.ctx.lineWidth = 3;
-            this.ctx.strokeRect(offsetX + col * this.cellSize + 4, offsetY + row * this.cellSize + 4, 
-                               this.cellSize - 8, this.cellSize - 8);
-        }
-        
-        // Check if this plant is affected by a sprinkler and show indicator
-        const affectedBySprinkler = this.sprinklers.some(sprinkler => {
-            const distance = Math.max(Math.abs(sprinkler.row - row), Math.abs(sprinkler.col - col));
-            return distance <= this.sprinklerTypes[sprinkler.type].range;
-        });
-        
-        if (affectedBySprinkler) {
-            // Show a tiny sprinkler indicator in the corner
-            const sprinkler = this.sprinklers.find(s => {
-                const distance = Math.max(Math.abs(s.row - row), Math.abs(s.col - col));
-                return distance <= this.sprinklerTypes[s.type].range;
-            });
-            if (sprinkler) {
-                const sprinklerData = this.sprinklerTypes[sprinkler.type];
-                this.ctx.fillStyle = sprinklerData.color;
-                this.ctx.globalAlpha = 0.8;
-                this.ctx.beginPath();
-                this.ctx.arc(offsetX + col * this.cellSize + this.cellSize - 3, 
-                             offsetY + row * this.cellSize + 3, 2, 0, 2 * Math.PI);
-                this.ctx.fill();
-                this.ctx.globalAlpha = 1;
-            }
-        }
-    }
-    
-    drawSprinkler(row, col, type, offsetX, offsetY) {
-        if (!this.ctx) {
-            return;
-        }
-        
-        const x = offsetX + col * this.cellSize + this.cellSize / 2;
-        const y = offsetY + row * this.cellSize + this.cellSize / 2;
-        const sprinklerData = this.sprinklerTypes[type];
-        
-        // Find the sprinkler data to get expiration info
-        const sprinkler = this.sprinklers.find(s => s.row === row && s.col === col);
-        const now = Date.now();
-        const timeLeft = sprinkler ? sprinkler.expiresAt - now : 0;
-        const timeLeftMinutes = Math.floor(timeLeft / 60000);
-        const timeLeftSeconds = Math.floor((timeLeft % 60000) / 1000);
-        
-        // Check if there's a plant in this cell
-        const cell = this.garden[row][col];
-        const hasPlant = cell && cell.plant;
-        
-        // Only draw sprinkler background if there's no plant
-        if (!hasPlant) {
-        this.ctx.fillStyle = sprinklerData.color;
-            this.ctx.globalAlpha = 0.6;
-            this.ctx.fillRect(offsetX + col * this.cellSize + 2, offsetY + row * this.cellSize + 2, 
-                             this.cellSize - 4, this.cellSize - 4);
-        this.ctx.globalAlpha = 1;
-        }
-        
-        // Draw sprinkler icon - only show if no plant, or as tiny indicator if plant present
-        if (!hasPlant) {
-        this.ctx.font = `${this.cellSize * 0.4}px Arial`;
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
-        this.ctx.fillStyle = 'white';
-        this.ctx.fillText(sprinklerData.icon, x, y);
-        } else {
-            // Just show a tiny dot in the corner when plant is present
-            this.ctx.fillStyle = sprinklerData.color;
-            this.ctx.globalAlpha = 0.9;
-            this.ctx.beginPath();
-            this.ctx.arc(offsetX + col * this.cellSize + this.cellSize - 4, 
-                         offsetY + row * this.cellSize + 4, 2, 0, 2 * Math.PI);
-            this.ctx.fill();
-            this.ctx.globalAlpha = 1;
-        }
-        
-        // Draw timer if less than 1 minute remaining
-        if (timeLeft > 0 && timeLeft < 60000) {
-            this.ctx.font = `${this.cellSize * 0.15}px Arial`;
-            this.ctx.fillStyle = '#FF6B6B';
-            this.ctx.fillText(`${timeLeftSeconds}s`, x, y + this.cellSize * 0.4);
-        } else if (timeLeft > 0 && timeLeft < 300000) { // Less than 5 minutes
-            this.ctx.font = `${this.cellSize * 0.15}px Arial`;
-            this.ctx.fillStyle = '#FFA500';
-            this.ctx.fillText(`${timeLeftMinutes}m`, x, y + this.cellSize * 0.4);
-        }
-        
-        // Draw range indicator
-        this.ctx.strokeStyle = sprinklerData.color;
-        this.ctx.lineWidth = 1;
-        this.ctx.globalAlpha = 0.2;
-        
-        // Draw range circle
-        this.ctx.beginPath();
-        this.ctx.arc(x, y, sprinklerData.range * this.cellSize, 0, 2 * Math.PI);
-        this.ctx.stroke();
-        
-        // Reset globalAlpha
-        this.ctx.globalAlpha = 1;
-    }
-    
-    drawDecoration(row, col, decoration, offsetX, offsetY) {
-        if (!this.ctx) {
-            return;
-        }
-        
-        const decorationData = this.decorations[decoration.type];
-        if (!decorationData) {
-            return;
-        }
-        
-        const x = offsetX + col * this.cellSize + this.cellSize / 2;
-        const y = offsetY + row * this.cellSize + this.cellSize / 2;
-        
-        // Draw decoration background
-        this.ctx.fillStyle = '#f8f9fa';
-        this.ctx.globalAlpha = 0.8;
-        this.ctx.fillRect(offsetX + col * this.cellSize + 2, offsetY + row * this.cellSize + 2, 
-                         this.cellSize - 4, this.cellSize - 4);
-        this.ctx.globalAlpha = 1;
-        
-        // Draw decoration icon
-        this.ctx.font = `${this.cellSize * 0.6}px Arial`;
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
-        this.ctx.fillStyle = '#6c757d';
-        this.ctx.fillText(decorationData.icon, x, y);
-        
-        // Add glow effect for active decorations
-        if (decoration.active) {
-            this.ctx.shadowColor = '#FFD700';
-            this.ctx.shadowBlur = 5;
-            this.ctx.fillText(decorationData.icon, x, y);
-            this.ctx.shadowBlur = 0;
-        }
-        
-        // Add border for seasonal decorations
-        if (decorationData.type === 'seasonal') {
-            this.ctx.strokeStyle = '#FFD700';
-            this.ctx.lineWidth = 2;
-            this.ctx.strokeRect(offsetX + col * this.cellSize + 1, offsetY + row * this.cellSize + 1, 
-                               this.cellSize - 2, this.cellSize - 2);
-        }
-        
-        // Draw decoration range indicator
-        if (decorationData.bonus && decorationData.bonus !== 'none') {
-            this.ctx.strokeStyle = '#28a745';
-            this.ctx.lineWidth = 1;
-            const range = decorationData.range ?? 1;
-            
-            if (decorationData.scope === 'global') {
-                this.ctx.globalAlpha = 0.35;
-                this.ctx.beginPath();
-                this.ctx.arc(x, y, this.cellSize * 0.45, 0, 2 * Math.PI);
-                this.ctx.stroke();
-            } else {
-                this.ctx.globalAlpha = 0.2;
-                this.ctx.strokeRect(
-                    offsetX + (col - range) * this.cellSize,
-                    offsetY + (row - range) * this.cellSize,
-                    this.cellSize * (range * 2 + 1),
-                    this.cellSize * (range * 2 + 1)
-                );
-            }
-            
-            this.ctx.globalAlpha = 1;
-        }
-    }
-    
-    drawRangeIndicator(row, col, type, offsetX, offsetY) {
-        if (!this.ctx) return;
-        
-        const x = offsetX + col * this.cellSize + this.cellSize / 2;
-        const y = offsetY + row * this.cellSize + this.cellSize / 2;
-        const sprinklerData = this.sprinklerTypes[type];
-        
-        // Draw range indicator
-        this.ctx.strokeStyle = sprinklerData.color;
-        this.ctx.lineWidth = 1;
-        this.ctx.globalAlpha = 0.3;
-        
-        // Draw range circle
-        this.ctx.beginPath();
-        this.ctx.arc(x, y, sprinklerData.range * this.cellSize, 0, 2 * Math.PI);
-        this.ctx.stroke();
-        
-        // Reset globalAlpha
-        this.ctx.globalAlpha = 1;
-    }
-    
-    // Function to show which plants are affected by bonuses
-    showBonusInfo(row, col) {
-        const cell = this.garden[row][col];
-        if (!cell.plant) return;
-        
-        const plant = cell.plant;
-        const bonusInfo = [];
-        const globalBonuses = new Set();
-        
-        for (let y = 0; y < this.gridSize; y++) {
-            for (let x = 0; x < this.gridSize; x++) {
-                const nearbyCell = this.garden[y][x];
-                if (!nearbyCell.decoration) continue;
-                const decorationData = this.decorations[nearbyCell.decoration.type];
-                if (!decorationData || !decorationData.bonus || decorationData.bonus === 'none') continue;
-                
-                if (decorationData.scope === 'global') {
-                    globalBonuses.add(`${decorationData.name}: ${decorationData.bonus}`);
-                } else if (Math.abs(y - row) <= (decorationData.range ?? 1) && Math.abs(x - col) <= (decorationData.range ?? 1)) {
-                    bonusInfo.push(`${decorationData.name}: ${decorationData.bonus}`);
-                }
-            }
-        }
-        
-        bonusInfo.push(...globalBonuses);
-        
-        // Check for sprinkler bonuses
-        this.sprinklers.forEach(sprinkler => {
-            const distance = Math.max(Math.abs(sprinkler.row - row), Math.abs(sprinkler.col - col));
-            if (distance <= this.sprinklerTypes[sprinkler.type].range) {
-                const sprinklerData = this.sprinklerTypes[sprinkler.type];
-                bonusInfo.push(`${sprinkler.type} sprinkler: +${Math.round(sprinklerData.growthBonus * 100)}% growth`);
-            }
-        });
-        
-        if (bonusInfo.length > 0) {
-            this.showMessage(`Plant bonuses: ${bonusInfo.join(', ')}`, 'info');
-        }
-    }
-    
-    drawSeasonalInfo() {
-        if (!this.ctx) return;
-        
-        // Draw season indicator in top-right corner to avoid interference with plants
-        this.ctx.save();
-        this.ctx.fillStyle = '#333';
-        this.ctx.font = '16px Arial';
-        this.ctx.textAlign = 'right';
-        this.ctx.textBaseline = 'top';
-        
-        var seasonColors = {
-            spring: '#90EE90',
-            summer: '#FFD700',
-            fall: '#FF8C00',
-            winter: '#87CEEB'
-        };
-        
-        var seasonEmojis = {
-            spring: '🌸',
-            summer: '☀️',
-            fall: '🍂',
-            winter: '❄️'
-        };
+        var seasonEmojis = {
+            spring: '🌸',
+            summer: '☀️',
+            fall: '🍂',
+            winter: '❄️'
+        };
         
         // Season display is now handled by HTML elements, not canvas drawing
         
@@ -6362,6 +5457,26 @@ class GardenGame {
             
             const seasonText = seasonEmojis[this.currentSeason] + ' ' + this.currentSeason.charAt(0).toUpperCase() + this.currentSeason.slice(1) + ' (Day ' + this.seasonDay + ')';
             seasonTextElement.textContent = seasonText;
+
+            const dayPhaseElement = document.getElementById('dayPhaseText');
+            if (dayPhaseElement) {
+                const phase = this.getDayPhase();
+                const phaseLabels = {
+                    dawn: '🌅 Dawn',
+                    day: '☀️ Day',
+                    dusk: '🌇 Dusk',
+                    night: '🌙 Night: night bloomers growing'
+                };
+                dayPhaseElement.textContent = phaseLabels[phase];
+                dayPhaseElement.dataset.phase = phase;
+            }
+
+            const festivalElement = document.getElementById('festivalText');
+            if (festivalElement) {
+                const festivals = (this.activeFestivals || []).map(id => this.festivalTypes[id]);
+                festivalElement.textContent = festivals.map(festival => `${festival.icon} ${festival.name}: ${festival.description}`).join(' · ');
+                festivalElement.hidden = festivals.length === 0;
+            }
             
             // Force a reflow to ensure the DOM updates
             seasonTextElement.offsetHeight;
@@ -6404,6 +5519,10 @@ class GardenGame {
         if (fertilizerElement) {
             fertilizerElement.textContent = this.fertilizer;
         }
+        const fuelElement = document.getElementById('fuel');
+        if (fuelElement) {
+            fuelElement.textContent = this.fuel;
+        }
         if (scoreElement) {
             scoreElement.textContent = this.score;
         }
@@ -6437,6 +5556,15 @@ class GardenGame {
         if (soundBtn) {
             soundBtn.textContent = this.soundEnabled ? '🔊 Sound' : '🔇 Sound';
         }
+        const soilBtn = document.getElementById('soilBtn');
+        if (soilBtn) {
+            soilBtn.setAttribute('aria-pressed', this.showSoilOverlay ? 'true' : 'false');
+        }
+        const areaBtn = document.getElementById('areaBtn');
+        if (areaBtn) {
+            areaBtn.setAttribute('aria-pressed', this.areaSelectMode ? 'true' : 'false');
+        }
+        this.updateHistoryButtons();
         // Refresh bonuses in case values changed
         this.updateBonusesPopup();
 
@@ -6445,6 +5573,8 @@ class GardenGame {
         if (expandPriceEl) {
             expandPriceEl.textContent = `$${this.expansionCost}`;
         }
+        this.updateGreenhouseShopItem();
+        this.updateBlueprintDisplay();
         // Keep Quick Seeds in sync with inventory/selection changes
         try { this.updateQuickSeedsBar(); } catch (_) {}
     }
@@ -6498,10 +5628,6 @@ class GardenGame {
         window.addEventListener('orientationchange', reflow);
     }
 
-    defaultGardenName() {
-        return `Garden Slot ${this.saveSlot}`;
-    }
-
     updateGardenTitle() {
         const titleElement = document.getElementById('gardenTitle');
         if (!titleElement) {
@@ -6512,7 +5638,7 @@ class GardenGame {
             ? this.gardenName
             : this.defaultGardenName();
 
-        titleElement.textContent = resolvedName;
+        titleElement.textContent = this.activeBadge ? `${this.activeBadge} ${resolvedName}` : resolvedName;
         titleElement.setAttribute('title', resolvedName);
     }
 
@@ -6523,10 +5649,9 @@ class GardenGame {
             : this.defaultGardenName();
 
         const sanitized = sanitizeGardenName(rawName, '');
-        const finalName = sanitized && sanitized.length > 0 ? sanitized : this.defaultGardenName();
+        const finalName = super.setGardenName(rawName);
         const nameChanged = finalName !== previousResolved;
 
-        this.gardenName = finalName;
         this.updateGardenTitle();
 
         if (shouldSave && nameChanged) {
@@ -6686,10 +5811,17 @@ class GardenGame {
                         const nameElement = seedElement.querySelector('.seed-name');
                         if (nameElement) {
                             let displayName = seedData.name;
-                            if (seedData.isLegendary) {
+                            if (seedData.season !== 'all' && seedData.season !== this.currentSeason) {
+                                // Only offered out of season because a greenhouse is built
+                                displayName += ' (GREENHOUSE)';
+                            } else if (seedData.reputation) {
+                                displayName += ' (EXCLUSIVE)';
+                            } else if (seedData.isLegendary) {
                                 displayName += ' (LEGENDARY)';
                             } else if (seedData.isRare) {
                                 displayName += ' (RARE)';
+                            } else if (seedData.perennial) {
+                                displayName += ' (PERENNIAL)';
                             }
                             nameElement.textContent = displayName;
                         }
@@ -6742,6 +5874,10 @@ class GardenGame {
                 const price = this.getFertilizerPurchasePrice();
                 fertLabel.textContent = `$${Number(price).toLocaleString()}`;
             }
+            const fuelLabel = document.getElementById('fuelPriceLabel');
+            if (fuelLabel) {
+                fuelLabel.textContent = `$${Number(this.fuelCanPrice).toLocaleString()}`;
+            }
         } catch (e) {
             // Non-fatal UI update issue
         }
@@ -6850,29 +5986,774 @@ class GardenGame {
                 challengeElement.appendChild(collectedStatus);
             }
 
-            return challengeElement;
+            return challengeElement;
+        };
+
+        if (Array.isArray(this.challenges.daily) && this.challenges.daily.length > 0) {
+            const dailyHeader = document.createElement('h4');
+            dailyHeader.textContent = '📅 Daily Challenges';
+            dailyHeader.className = 'challenges-subheader';
+            challengesList.appendChild(dailyHeader);
+
+            this.challenges.daily.forEach((challenge, index) => {
+                const title = `Daily Challenge ${index + 1}`;
+                challengesList.appendChild(renderChallenge(challenge, title, '📅'));
+            });
+        }
+
+        if (this.challenges.weekly) {
+            const weeklyHeader = document.createElement('h4');
+            weeklyHeader.textContent = '📆 Weekly Challenge';
+            weeklyHeader.className = 'challenges-subheader';
+            challengesList.appendChild(weeklyHeader);
+
+            challengesList.appendChild(renderChallenge(this.challenges.weekly, 'Weekly Challenge', '📆'));
+        }
+    }
+
+    // Seed Almanac: every hybrid in the catalog, with undiscovered ones showing a single parent as a hint
+    updateAlmanacDisplay() {
+        const almanacList = document.getElementById('almanac-list');
+        if (!almanacList) return;
+
+        const hybridTypes = Object.keys(this.hybridTypes);
+        const discoveredCount = hybridTypes.filter(type => this.almanac[type]).length;
+        const progress = document.getElementById('almanacProgress');
+        if (progress) {
+            progress.textContent = `${discoveredCount} of ${hybridTypes.length} hybrids discovered`;
+        }
+
+        almanacList.innerHTML = '';
+        const nameOf = (seedType) => this.plantTypes[seedType]?.name || this.formatKeyLabel(seedType);
+
+        hybridTypes.forEach(hybridType => {
+            const hybrid = this.hybridTypes[hybridType];
+            const entry = this.almanac[hybridType];
+            const [firstParent, secondParent] = hybrid.parents;
+
+            const item = document.createElement('div');
+            item.className = `almanac-item ${entry ? 'discovered' : 'undiscovered'}`;
+
+            const icon = document.createElement('div');
+            icon.className = 'almanac-icon';
+            icon.textContent = entry ? hybrid.stages[hybrid.stages.length - 1] : '❔';
+
+            const info = document.createElement('div');
+            info.className = 'almanac-info';
+
+            const name = document.createElement('div');
+            name.className = 'almanac-name';
+            name.textContent = entry ? hybrid.name : '???';
+
+            const parents = document.createElement('div');
+            parents.className = 'almanac-parents';
+            parents.textContent = entry ? `${nameOf(firstParent)} × ${nameOf(secondParent)}` : `${nameOf(firstParent)} × ?`;
+
+            info.appendChild(name);
+            info.appendChild(parents);
+
+            if (entry) {
+                const details = document.createElement('div');
+                details.className = 'almanac-details';
+                const season = hybrid.season === 'all' ? 'Any season' : this.formatKeyLabel(hybrid.season);
+                details.textContent = `${season} · $${hybrid.harvestValue} · Bred ${entry.bred} · Harvested ${entry.harvested}`;
+                info.appendChild(details);
+            }
+
+            item.appendChild(icon);
+            item.appendChild(info);
+
+            if (entry) {
+                const seeds = this.getSeedStock(hybridType);
+                const plantBtn = document.createElement('button');
+                plantBtn.type = 'button';
+                plantBtn.className = 'almanac-plant-btn';
+                plantBtn.textContent = `Plant (${seeds})`;
+                plantBtn.disabled = seeds <= 0;
+                plantBtn.addEventListener('click', () => this.selectSeed(hybridType));
+                item.appendChild(plantBtn);
+            }
+
+            almanacList.appendChild(item);
+        });
+    }
+
+    // ===== BARN & MARKET UI =====
+    updateMarketDisplay() {
+        const summary = document.getElementById('barnSummary');
+        const sellAllBtn = document.getElementById('barnSellAllBtn');
+        const { count, worth } = this.getBarnTotals();
+        if (summary) {
+            summary.textContent = count > 0
+                ? `${count} crop${count === 1 ? '' : 's'} stored · worth $${worth.toLocaleString()} today`
+                : 'The barn is empty. Harvested crops are stored here until you sell them.';
+        }
+        if (sellAllBtn) {
+            sellAllBtn.disabled = count === 0;
+        }
+
+        const modal = document.getElementById('marketModal');
+        if (modal && !modal.hasAttribute('hidden')) {
+            this.renderMarketList();
+        }
+        // Which orders can be delivered depends on the barn
+        this.updateOrdersDisplay();
+    }
+
+    // Inline SVG line of the last marketHistoryLength price readings
+    buildPriceSparkline(history) {
+        const width = 80;
+        const height = 24;
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('class', 'market-sparkline');
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('aria-hidden', 'true');
+        if (history.length < 2) return svg;
+
+        const min = Math.min(...history);
+        const max = Math.max(...history);
+        const span = max - min || 1;
+        const points = history.map((value, i) => {
+            const x = (i / (history.length - 1)) * width;
+            const y = height - 2 - ((value - min) / span) * (height - 4);
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        });
+        const line = document.createElementNS(svgNS, 'polyline');
+        line.setAttribute('points', points.join(' '));
+        line.setAttribute('class', history[history.length - 1] >= history[0] ? 'rising' : 'falling');
+        svg.appendChild(line);
+        return svg;
+    }
+
+    renderMarketList() {
+        const list = document.getElementById('marketList');
+        const intro = document.getElementById('marketIntro');
+        const sellAllBtn = document.getElementById('marketSellAllBtn');
+        if (!list) return;
+
+        const { count, worth } = this.getBarnTotals();
+        if (intro) {
+            intro.textContent = count > 0
+                ? `${count} crop${count === 1 ? '' : 's'} in the barn, worth $${worth.toLocaleString()} at today's prices. Every sale pushes that crop's price down until demand recovers.`
+                : `The barn is empty. It is ${this.formatKeyLabel(this.currentSeason)}: crops out of season sell for more.`;
+        }
+        if (sellAllBtn) {
+            sellAllBtn.disabled = count === 0;
+        }
+
+        list.innerHTML = '';
+        Object.keys(this.barn).forEach(seedType => {
+            const plant = this.plantTypes[seedType];
+            const stored = this.barn[seedType];
+            const index = this.getMarketIndex(seedType);
+            const percent = Math.round((index - 1) * 100);
+
+            const item = document.createElement('li');
+
+            const label = document.createElement('div');
+            label.className = 'market-list__label';
+            const name = document.createElement('strong');
+            name.textContent = `${plant.stages[plant.stages.length - 1]} ${plant.name} ×${stored.count}`;
+            const meta = document.createElement('span');
+            meta.className = 'market-list__meta';
+            meta.textContent = `$${Math.floor((stored.value / stored.count) * index)} each · ${percent >= 0 ? '+' : ''}${percent}% vs. normal`;
+            label.appendChild(name);
+            label.appendChild(meta);
+
+            const sparkline = this.buildPriceSparkline(this.marketPrices[seedType]?.history || []);
+
+            const sellOneBtn = document.createElement('button');
+            sellOneBtn.type = 'button';
+            sellOneBtn.className = 'menu-modal__btn menu-modal__btn--secondary';
+            sellOneBtn.textContent = 'Sell 1';
+            sellOneBtn.addEventListener('click', () => this.sellProduce(seedType, 1));
+
+            const sellTypeBtn = document.createElement('button');
+            sellTypeBtn.type = 'button';
+            sellTypeBtn.className = 'menu-modal__btn menu-modal__btn--primary';
+            sellTypeBtn.textContent = `Sell all $${this.getProduceSaleValue(seedType, stored.count).toLocaleString()}`;
+            sellTypeBtn.addEventListener('click', () => this.sellProduce(seedType));
+
+            item.appendChild(label);
+            item.appendChild(sparkline);
+            item.appendChild(sellOneBtn);
+            item.appendChild(sellTypeBtn);
+            list.appendChild(item);
+        });
+    }
+
+    // ===== ORDER BOARD UI =====
+    updateOrdersDisplay() {
+        const ordersList = document.getElementById('ordersList');
+        if (!ordersList) return;
+
+        const summary = document.getElementById('reputationSummary');
+        if (summary) {
+            const nextSeed = this.getExclusiveSeeds().find(seedType => this.plantTypes[seedType].reputation > this.reputation);
+            const nextText = nextSeed
+                ? ` · ${this.plantTypes[nextSeed].name} seeds at ${this.plantTypes[nextSeed].reputation}`
+                : ' · All exclusive seeds unlocked';
+            summary.textContent = `⭐ Reputation ${this.reputation} / ${this.maxReputation}${nextText}`;
+        }
+
+        ordersList.innerHTML = '';
+        if (this.orders.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'orders-empty';
+            empty.textContent = 'No orders right now. Villagers post new ones every few minutes.';
+            ordersList.appendChild(empty);
+            return;
+        }
+
+        this.orders.forEach(order => {
+            const villager = this.villagers[order.villager];
+            const ready = this.canFulfillOrder(order);
+
+            const item = document.createElement('div');
+            item.className = `order-item ${ready ? 'ready' : ''}`;
+
+            const header = document.createElement('div');
+            header.className = 'order-header';
+            header.textContent = `${villager.icon} ${villager.name}`;
+
+            const wants = document.createElement('div');
+            wants.className = 'order-items';
+            wants.textContent = Object.entries(order.items).map(([seedType, count]) => {
+                const plant = this.plantTypes[seedType];
+                const have = Math.min(this.barn[seedType]?.count || 0, count);
+                return `${plant.stages[plant.stages.length - 1]} ${plant.name} ${have}/${count}`;
+            }).join(' · ');
+
+            const terms = document.createElement('div');
+            terms.className = 'order-terms';
+            const due = new Date(order.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            terms.textContent = `$${order.reward.toLocaleString()} · +${order.reputation} reputation · due ${due}`;
+
+            const actions = document.createElement('div');
+            actions.className = 'order-actions';
+            const deliverBtn = document.createElement('button');
+            deliverBtn.type = 'button';
+            deliverBtn.className = 'order-btn order-btn--deliver';
+            deliverBtn.textContent = 'Deliver';
+            deliverBtn.disabled = !ready;
+            deliverBtn.addEventListener('click', () => this.fulfillOrder(order.id));
+            const declineBtn = document.createElement('button');
+            declineBtn.type = 'button';
+            declineBtn.className = 'order-btn';
+            declineBtn.textContent = 'Decline';
+            declineBtn.addEventListener('click', () => this.declineOrder(order.id));
+            actions.appendChild(deliverBtn);
+            actions.appendChild(declineBtn);
+
+            item.appendChild(header);
+            item.appendChild(wants);
+            item.appendChild(terms);
+            item.appendChild(actions);
+            ordersList.appendChild(item);
+        });
+    }
+
+    // ===== MACHINES UI =====
+    renderMachinePanel(row, col) {
+        const machine = this.getMachineAt(row, col);
+        const title = document.getElementById('machineModalTitle');
+        const intro = document.getElementById('machineIntro');
+        const stats = document.getElementById('machineStats');
+        const seedRow = document.getElementById('machineSeedRow');
+        const seedSelect = document.getElementById('machineSeedSelect');
+        const upgradeBtn = document.getElementById('machineUpgradeBtn');
+        if (!machine || !title || !stats || !upgradeBtn) return;
+
+        const machineData = this.machineTypes[machine.type];
+        const tier = this.getMachineTier(machine);
+        const upgradeCost = this.getMachineUpgradeCost(machine);
+        title.textContent = `${machineData.icon} ${machineData.name}`;
+        if (intro) intro.textContent = `${machineData.description}. Each run that finds work burns fuel; you have ⛽ ${this.fuel}.`;
+
+        const rows = [
+            [`Tier ${machine.tier + 1} of ${machineData.tiers.length}`, `Range ${tier.range} · every ${tier.seconds}s · ⛽ ${tier.fuel} per run`],
+            ['Status', this.getMachineStatus(machine).text]
+        ];
+        if (upgradeCost !== null) {
+            const next = machineData.tiers[machine.tier + 1];
+            rows.push([`Next tier: $${upgradeCost}`, `Range ${next.range} · every ${next.seconds}s · ⛽ ${next.fuel} per run`]);
+        }
+        stats.innerHTML = '';
+        rows.forEach(([label, detail]) => {
+            const item = document.createElement('li');
+            const text = document.createElement('div');
+            text.className = 'market-list__label';
+            const name = document.createElement('strong');
+            name.textContent = label;
+            const meta = document.createElement('span');
+            meta.className = 'market-list__meta';
+            meta.textContent = detail;
+            text.appendChild(name);
+            text.appendChild(meta);
+            item.appendChild(text);
+            stats.appendChild(item);
+        });
+
+        if (seedRow && seedSelect) {
+            seedRow.hidden = machineData.action !== 'plant';
+            if (machineData.action === 'plant') {
+                seedSelect.innerHTML = '';
+                const off = document.createElement('option');
+                off.value = '';
+                off.textContent = '— Off —';
+                seedSelect.appendChild(off);
+                Object.keys(this.plantTypes)
+                    .filter(seedType => this.shopInventory[seedType] || this.hybridTypes[seedType])
+                    .sort((a, b) => this.plantTypes[a].name.localeCompare(this.plantTypes[b].name))
+                    .forEach(seedType => {
+                        const option = document.createElement('option');
+                        option.value = seedType;
+                        option.textContent = this.plantTypes[seedType].name;
+                        seedSelect.appendChild(option);
+                    });
+                seedSelect.value = machine.seed || '';
+            }
+        }
+
+        upgradeBtn.textContent = upgradeCost === null ? 'Fully upgraded' : `Upgrade ($${upgradeCost})`;
+        upgradeBtn.disabled = upgradeCost === null || this.money < upgradeCost;
+    }
+
+    showMachineModal(row, col) {
+        const modal = document.getElementById('machineModal');
+        const closeBtn = document.getElementById('machineCloseBtn');
+        const upgradeBtn = document.getElementById('machineUpgradeBtn');
+        const seedSelect = document.getElementById('machineSeedSelect');
+        if (!modal || !closeBtn || !upgradeBtn || !seedSelect) return;
+
+        const handleUpgrade = () => {
+            this.upgradeMachine(row, col);
+            this.renderMachinePanel(row, col);
+        };
+        const handleSeed = () => {
+            this.setMachineSeed(row, col, seedSelect.value || null);
+            this.renderMachinePanel(row, col);
+            this.draw();
+        };
+        openMenuModal(modal, {
+            focus: closeBtn,
+            closeButtons: [closeBtn],
+            onHide: () => {
+                upgradeBtn.removeEventListener('click', handleUpgrade);
+                seedSelect.removeEventListener('change', handleSeed);
+            }
+        });
+        upgradeBtn.addEventListener('click', handleUpgrade);
+        seedSelect.addEventListener('change', handleSeed);
+        this.renderMachinePanel(row, col);
+    }
+
+    // ===== BLUEPRINTS UI =====
+    // Ghost tiles show what the shown blueprint still needs; a red dashed outline marks tiles where something else is in the way
+    drawBlueprintGhosts(offsetX, offsetY) {
+        const blueprint = this.getActiveBlueprint();
+        if (!blueprint || !this.ctx) return;
+        const size = this.cellSize;
+
+        this.ctx.save();
+        this.ctx.font = `${size * 0.55}px Arial`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.getBlueprintTiles(blueprint).forEach(tile => {
+            const state = this.getBlueprintTileState(tile);
+            if (state === 'done') return;
+            const x = offsetX + tile.col * size;
+            const y = offsetY + tile.row * size;
+            if (state === 'blocked') {
+                this.ctx.globalAlpha = 0.8;
+                this.ctx.strokeStyle = '#e74c3c';
+                this.ctx.lineWidth = 2;
+                this.ctx.setLineDash([4, 3]);
+                this.ctx.strokeRect(x + 2, y + 2, size - 4, size - 4);
+                this.ctx.setLineDash([]);
+                return;
+            }
+            this.ctx.globalAlpha = 0.18;
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.fillRect(x + 2, y + 2, size - 4, size - 4);
+            this.ctx.globalAlpha = 0.4;
+            this.ctx.fillText(this.getBlueprintIcon(tile), x + size / 2, y + size / 2);
+        });
+        this.ctx.restore();
+    }
+
+    getBlueprintIcon(tile) {
+        if (tile.kind === 'crop') {
+            const stages = this.plantTypes[tile.type].stages;
+            return stages[stages.length - 1];
+        }
+        if (tile.kind === 'sprinkler') return this.sprinklerTypes[tile.type].icon;
+        return this.decorations[tile.type].icon;
+    }
+
+    describeBlueprint(blueprint) {
+        const counts = { crop: 0, sprinkler: 0, decoration: 0 };
+        blueprint.tiles.forEach(tile => {
+            counts[tile.kind]++;
+        });
+        const parts = [];
+        if (counts.crop) parts.push(`${counts.crop} crop${counts.crop === 1 ? '' : 's'}`);
+        if (counts.sprinkler) parts.push(`${counts.sprinkler} sprinkler${counts.sprinkler === 1 ? '' : 's'}`);
+        if (counts.decoration) parts.push(`${counts.decoration} decoration${counts.decoration === 1 ? '' : 's'}`);
+        return `${parts.join(' · ')} · ${blueprint.size}×${blueprint.size}`;
+    }
+
+    updateBlueprintDisplay() {
+        const summary = document.getElementById('blueprintSummary');
+        const fillBtn = document.getElementById('blueprintFillBtn');
+        const blueprint = this.getActiveBlueprint();
+        const fill = blueprint ? this.getBlueprintFillCost(blueprint) : null;
+        if (summary) {
+            if (!blueprint) {
+                summary.textContent = this.blueprints.length > 0
+                    ? 'Show a blueprint to see its layout over the garden.'
+                    : 'Save your layout to rebuild it after a harvest or rebirth.';
+            } else {
+                const replant = this.autoReplant ? ' · auto-replant on' : '';
+                summary.textContent = `📐 ${blueprint.name}: ${fill.tiles > 0 ? `${fill.tiles} tile${fill.tiles === 1 ? '' : 's'} to fill` : 'all in place'}${replant}`;
+            }
+        }
+        if (fillBtn) {
+            fillBtn.disabled = !fill || fill.tiles === 0;
+            fillBtn.textContent = fill && fill.tiles > 0 ? `Fill ($${fill.money.toLocaleString()})` : 'Fill';
+        }
+
+        const modal = document.getElementById('blueprintModal');
+        if (modal && !modal.hasAttribute('hidden')) {
+            this.renderBlueprints();
+        }
+    }
+
+    renderBlueprints() {
+        const list = document.getElementById('blueprintList');
+        const autoReplant = document.getElementById('blueprintAutoReplant');
+        if (!list) return;
+        if (autoReplant) autoReplant.checked = this.autoReplant;
+
+        const makeButton = (label, className, onClick, disabled = false) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `menu-modal__btn ${className}`;
+            button.textContent = label;
+            button.disabled = disabled;
+            button.addEventListener('click', onClick);
+            return button;
+        };
+
+        list.innerHTML = '';
+        if (this.blueprints.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'No blueprints yet. Lay out your garden, then save it here.';
+            list.appendChild(empty);
+        }
+        this.blueprints.forEach(blueprint => {
+            const shown = blueprint.name === this.activeBlueprint;
+            const fill = this.getBlueprintFillCost(blueprint);
+            const item = document.createElement('li');
+            const label = document.createElement('div');
+            label.className = 'market-list__label';
+            const name = document.createElement('strong');
+            name.textContent = `${shown ? '👁️ ' : ''}${blueprint.name}`;
+            const meta = document.createElement('span');
+            meta.className = 'market-list__meta';
+            meta.textContent = this.describeBlueprint(blueprint);
+            label.appendChild(name);
+            label.appendChild(meta);
+            item.appendChild(label);
+            item.appendChild(makeButton(shown ? 'Hide' : 'Show', 'menu-modal__btn--secondary', () => {
+                this.showBlueprint(shown ? null : blueprint.name);
+                this.updateBlueprintDisplay();
+            }));
+            item.appendChild(makeButton(fill.tiles > 0 ? `Fill $${fill.money.toLocaleString()}` : 'Filled', 'menu-modal__btn--primary', () => {
+                this.fillFromBlueprint(blueprint.name);
+            }, fill.tiles === 0 || this.readOnly));
+            item.appendChild(makeButton('Delete', 'menu-modal__btn--secondary', () => {
+                this.deleteBlueprint(blueprint.name);
+                this.updateBlueprintDisplay();
+            }));
+            list.appendChild(item);
+        });
+    }
+
+    showBlueprintModal() {
+        const modal = document.getElementById('blueprintModal');
+        const closeBtn = document.getElementById('blueprintCloseBtn');
+        const saveBtn = document.getElementById('blueprintSaveBtn');
+        const nameInput = document.getElementById('blueprintNameInput');
+        const autoReplant = document.getElementById('blueprintAutoReplant');
+        if (!modal || !closeBtn || !saveBtn || !nameInput || !autoReplant) return;
+
+        const handleSave = () => {
+            if (this.saveBlueprint(nameInput.value)) {
+                nameInput.value = '';
+            }
+            this.updateBlueprintDisplay();
+        };
+        const handleKeydown = (event) => {
+            if (event.key === 'Enter') handleSave();
+        };
+        const handleAutoReplant = () => {
+            this.setAutoReplant(autoReplant.checked);
+            this.updateBlueprintDisplay();
+        };
+        openMenuModal(modal, {
+            focus: nameInput,
+            closeButtons: [closeBtn],
+            onHide: () => {
+                saveBtn.removeEventListener('click', handleSave);
+                nameInput.removeEventListener('keydown', handleKeydown);
+                autoReplant.removeEventListener('change', handleAutoReplant);
+            }
+        });
+        saveBtn.addEventListener('click', handleSave);
+        nameInput.addEventListener('keydown', handleKeydown);
+        autoReplant.addEventListener('change', handleAutoReplant);
+        nameInput.value = this.activeBlueprint || '';
+        this.renderBlueprints();
+    }
+
+    // ===== SEASON SETTINGS UI =====
+    showSeasonSettings() {
+        const modal = document.getElementById('seasonSettingsModal');
+        const closeBtn = document.getElementById('seasonSettingsCloseBtn');
+        const modeSelect = document.getElementById('seasonModeSelect');
+        const hemisphereSelect = document.getElementById('hemisphereSelect');
+        if (!modal || !closeBtn || !modeSelect || !hemisphereSelect) return;
+
+        const handleMode = () => {
+            this.setSeasonMode(modeSelect.value);
+            this.renderSeasonSettings();
+        };
+        const handleHemisphere = () => {
+            this.setHemisphere(hemisphereSelect.value);
+            this.renderSeasonSettings();
+        };
+        openMenuModal(modal, {
+            focus: modeSelect,
+            closeButtons: [closeBtn],
+            onHide: () => {
+                modeSelect.removeEventListener('change', handleMode);
+                hemisphereSelect.removeEventListener('change', handleHemisphere);
+            }
+        });
+        modeSelect.addEventListener('change', handleMode);
+        hemisphereSelect.addEventListener('change', handleHemisphere);
+        this.renderSeasonSettings();
+    }
+
+    renderSeasonSettings() {
+        const modeSelect = document.getElementById('seasonModeSelect');
+        const hemisphereSelect = document.getElementById('hemisphereSelect');
+        const hemisphereRow = document.getElementById('hemisphereRow');
+        const list = document.getElementById('festivalList');
+        if (!modeSelect || !hemisphereSelect || !list) return;
+
+        const calendar = this.seasonMode === 'calendar';
+        modeSelect.value = this.seasonMode;
+        modeSelect.disabled = this.readOnly;
+        hemisphereSelect.value = this.hemisphere;
+        hemisphereSelect.disabled = this.readOnly;
+        if (hemisphereRow) hemisphereRow.hidden = !calendar;
+
+        list.innerHTML = '';
+        Object.entries(this.festivalTypes).forEach(([id, festival]) => {
+            const { from, to } = this.getFestivalDates(id);
+            const running = this.isFestivalRunning(id);
+            const item = document.createElement('li');
+            if (running) item.className = 'festival-running';
+            const label = document.createElement('div');
+            label.className = 'market-list__label';
+            const name = document.createElement('strong');
+            name.textContent = `${festival.icon} ${festival.name}${running ? ' · on now' : ''}`;
+            const meta = document.createElement('span');
+            meta.className = 'market-list__meta';
+            const dates = from === to ? this.formatFestivalDate(from) : `${this.formatFestivalDate(from)} to ${this.formatFestivalDate(to)}`;
+            meta.textContent = `${dates} · ${festival.description}`;
+            label.appendChild(name);
+            label.appendChild(meta);
+            item.appendChild(label);
+            list.appendChild(item);
+        });
+        if (!calendar) {
+            const note = document.createElement('li');
+            note.textContent = 'Festivals are only held when seasons follow the real calendar.';
+            list.appendChild(note);
+        }
+    }
+
+    // ===== KITCHEN UI =====
+    updateKitchenDisplay() {
+        const buffsLine = document.getElementById('kitchenBuffs');
+        if (buffsLine) {
+            const now = this.now();
+            const running = Object.values(this.activeBuffs).filter(buff => buff.expiresAt > now);
+            buffsLine.textContent = running.map(buff => {
+                const recipe = this.recipeTypes[buff.recipe];
+                const until = new Date(buff.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+                return `${recipe.icon} ${this.describeBuff(recipe.buff)} until ${until}`;
+            }).join(' · ');
+            buffsLine.hidden = running.length === 0;
+        }
+
+        const modal = document.getElementById('kitchenModal');
+        if (modal && !modal.hasAttribute('hidden')) {
+            this.renderKitchen();
+        }
+    }
+
+    describeIngredients(ingredients) {
+        return Object.entries(ingredients)
+            .map(([seedType, count]) => `${count}× ${this.plantTypes[seedType]?.name || this.formatKeyLabel(seedType)}`)
+            .join(' + ');
+    }
+
+    renderKitchen() {
+        const pot = document.getElementById('kitchenPot');
+        const pantry = document.getElementById('kitchenPantry');
+        const book = document.getElementById('kitchenRecipes');
+        const cookBtn = document.getElementById('kitchenCookBtn');
+        if (!pot || !pantry || !book) return;
+
+        // Drop anything from the pot that the barn no longer has
+        Object.keys(this.kitchenPot).forEach(seedType => {
+            const available = this.barn[seedType]?.count || 0;
+            this.kitchenPot[seedType] = Math.min(this.kitchenPot[seedType], available);
+            if (this.kitchenPot[seedType] <= 0) delete this.kitchenPot[seedType];
+        });
+
+        const makeButton = (label, className, onClick, disabled = false) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `menu-modal__btn ${className}`;
+            button.textContent = label;
+            button.disabled = disabled;
+            button.addEventListener('click', onClick);
+            return button;
+        };
+        const makeLabel = (title, detail) => {
+            const label = document.createElement('div');
+            label.className = 'market-list__label';
+            const name = document.createElement('strong');
+            name.textContent = title;
+            const meta = document.createElement('span');
+            meta.className = 'market-list__meta';
+            meta.textContent = detail;
+            label.appendChild(name);
+            label.appendChild(meta);
+            return label;
         };
 
-        if (Array.isArray(this.challenges.daily) && this.challenges.daily.length > 0) {
-            const dailyHeader = document.createElement('h4');
-            dailyHeader.textContent = '📅 Daily Challenges';
-            dailyHeader.className = 'challenges-subheader';
-            challengesList.appendChild(dailyHeader);
+        pot.innerHTML = '';
+        const produce = Object.keys(this.barn);
+        if (produce.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'The barn is empty. Harvest some crops to cook with.';
+            pot.appendChild(empty);
+        }
+        produce.forEach(seedType => {
+            const plant = this.plantTypes[seedType];
+            const inPot = this.kitchenPot[seedType] || 0;
+            const item = document.createElement('li');
+            item.appendChild(makeLabel(`${plant.stages[plant.stages.length - 1]} ${plant.name}`, `${inPot} in the pot · ${this.barn[seedType].count} in the barn`));
+            item.appendChild(makeButton('−', 'menu-modal__btn--secondary', () => {
+                this.kitchenPot[seedType] = inPot - 1;
+                this.renderKitchen();
+            }, inPot <= 0));
+            item.appendChild(makeButton('+', 'menu-modal__btn--secondary', () => {
+                this.kitchenPot[seedType] = inPot + 1;
+                this.renderKitchen();
+            }, inPot >= this.barn[seedType].count));
+            pot.appendChild(item);
+        });
+        if (cookBtn) {
+            cookBtn.disabled = Object.keys(this.kitchenPot).length === 0;
+        }
+
+        pantry.innerHTML = '';
+        const dishes = Object.keys(this.pantry);
+        if (dishes.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'No dishes yet.';
+            pantry.appendChild(empty);
+        }
+        dishes.forEach(recipeId => {
+            const recipe = this.recipeTypes[recipeId];
+            const item = document.createElement('li');
+            item.appendChild(makeLabel(`${recipe.icon} ${recipe.name} ×${this.pantry[recipeId]}`, recipe.buff ? `${this.describeBuff(recipe.buff)} for ${recipe.buff.minutes} min` : 'A treat for the market'));
+            if (recipe.buff) {
+                item.appendChild(makeButton('Serve', 'menu-modal__btn--secondary', () => this.serveDish(recipeId)));
+            }
+            item.appendChild(makeButton(`Sell $${recipe.value}`, 'menu-modal__btn--primary', () => this.sellDish(recipeId)));
+            pantry.appendChild(item);
+        });
 
-            this.challenges.daily.forEach((challenge, index) => {
-                const title = `Daily Challenge ${index + 1}`;
-                challengesList.appendChild(renderChallenge(challenge, title, '📅'));
-            });
-        }
+        // Undiscovered recipes only hint at their size and one ingredient, like the Seed Almanac
+        book.innerHTML = '';
+        Object.keys(this.recipeTypes).forEach(recipeId => {
+            const recipe = this.recipeTypes[recipeId];
+            const entry = this.recipeBook[recipeId];
+            const item = document.createElement('li');
+            if (entry) {
+                const effect = recipe.buff ? this.describeBuff(recipe.buff) : `sells for $${recipe.value}`;
+                item.appendChild(makeLabel(`${recipe.icon} ${recipe.name}`, `${this.describeIngredients(recipe.ingredients)} · ${effect} · Cooked ${entry.cooked}`));
+                item.appendChild(makeButton('Fill pot', 'menu-modal__btn--secondary', () => {
+                    this.kitchenPot = { ...recipe.ingredients };
+                    this.renderKitchen();
+                }));
+            } else {
+                const ingredientTypes = Object.keys(recipe.ingredients);
+                const total = Object.values(recipe.ingredients).reduce((sum, count) => sum + count, 0);
+                const hint = this.plantTypes[ingredientTypes[0]]?.name || this.formatKeyLabel(ingredientTypes[0]);
+                item.appendChild(makeLabel('❔ ???', `${total} ingredients, including ${hint}`));
+            }
+            book.appendChild(item);
+        });
+    }
 
-        if (this.challenges.weekly) {
-            const weeklyHeader = document.createElement('h4');
-            weeklyHeader.textContent = '📆 Weekly Challenge';
-            weeklyHeader.className = 'challenges-subheader';
-            challengesList.appendChild(weeklyHeader);
+    showKitchenModal() {
+        const modal = document.getElementById('kitchenModal');
+        const closeBtn = document.getElementById('kitchenCloseBtn');
+        const cookBtn = document.getElementById('kitchenCookBtn');
+        if (!modal || !closeBtn || !cookBtn) return;
 
-            challengesList.appendChild(renderChallenge(this.challenges.weekly, 'Weekly Challenge', '📆'));
-        }
+        this.kitchenPot = {};
+        const handleCook = () => {
+            if (this.cookDish(this.kitchenPot)) {
+                this.kitchenPot = {};
+            }
+            this.renderKitchen();
+        };
+        openMenuModal(modal, {
+            focus: closeBtn,
+            closeButtons: [closeBtn],
+            onHide: () => cookBtn.removeEventListener('click', handleCook)
+        });
+        cookBtn.addEventListener('click', handleCook);
+        this.renderKitchen();
+    }
+
+    showMarketModal() {
+        const modal = document.getElementById('marketModal');
+        const closeBtn = document.getElementById('marketCloseBtn');
+        const sellAllBtn = document.getElementById('marketSellAllBtn');
+        if (!modal || !closeBtn || !sellAllBtn) return;
+
+        const handleSellAll = () => this.sellAllProduce();
+        openMenuModal(modal, {
+            focus: closeBtn,
+            closeButtons: [closeBtn],
+            onHide: () => sellAllBtn.removeEventListener('click', handleSellAll)
+        });
+        sellAllBtn.addEventListener('click', handleSellAll);
+        this.renderMarketList();
     }
     
     updateStatsDisplay() {
@@ -6912,6 +6793,206 @@ class GardenGame {
         });
     }
 
+    // ===== EVENT LOG UI =====
+    updateEventLogDisplay() {
+        const list = document.getElementById('eventLogList');
+        const filter = document.getElementById('eventLogFilter');
+        if (!list || !this.eventLog) return;
+        if (filter) filter.value = this.eventLogFilter;
+
+        const entries = this.getEventLog(this.eventLogFilter);
+        list.innerHTML = '';
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'event-log-empty';
+            empty.textContent = 'Nothing logged yet.';
+            list.appendChild(empty);
+            return;
+        }
+        const today = new Date(this.now()).toDateString();
+        entries.forEach(entry => {
+            const date = new Date(entry.at);
+            const item = document.createElement('li');
+            item.className = `event-log-entry event-log-entry--${entry.category}`;
+            const time = document.createElement('time');
+            time.dateTime = date.toISOString();
+            time.textContent = date.toDateString() === today
+                ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+                : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+            time.title = date.toLocaleString();
+            const category = document.createElement('span');
+            category.className = 'event-log-category';
+            category.textContent = entry.category;
+            const message = document.createElement('span');
+            message.className = 'event-log-message';
+            message.textContent = entry.message;
+            item.appendChild(time);
+            item.appendChild(category);
+            item.appendChild(message);
+            list.appendChild(item);
+        });
+    }
+
+    downloadEventLog(format) {
+        if (this.eventLog.length === 0) {
+            this.showMessage('The event log is empty.', 'info');
+            return;
+        }
+        const name = (this.gardenName || this.defaultGardenName()).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || `garden-slot-${this.saveSlot}`;
+        const suffix = this.eventLogFilter === 'all' ? '' : `-${this.eventLogFilter}`;
+        const blob = new Blob([this.exportEventLog(format, this.eventLogFilter)], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${name}-events${suffix}.${format}`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // ===== STATS DASHBOARD UI =====
+    showStatsDashboard() {
+        const modal = document.getElementById('statsDashboardModal');
+        const closeBtn = document.getElementById('statsDashboardCloseBtn');
+        if (!modal || !closeBtn) return;
+        openMenuModal(modal, { focus: closeBtn, closeButtons: [closeBtn] });
+        this.renderStatsDashboard();
+    }
+
+    // Inline SVG line chart; each series is { label, points: [{ at, value }] } on a shared time axis
+    buildLineChart(series, formatValue = value => value.toLocaleString()) {
+        const width = 320;
+        const height = 120;
+        const pad = 4;
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('class', 'dashboard-chart');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('preserveAspectRatio', 'none');
+        svg.setAttribute('role', 'img');
+
+        const points = series.flatMap(line => line.points);
+        if (points.length < 2) return svg;
+        const start = Math.min(...points.map(point => point.at));
+        const span = (Math.max(...points.map(point => point.at)) - start) || 1;
+        const max = Math.max(1, ...points.map(point => point.value));
+        svg.setAttribute('aria-label', `${series.map(line => line.label).join(', ')}; peak ${formatValue(max)}`);
+
+        series.forEach((line, index) => {
+            if (line.points.length < 2) return;
+            const polyline = document.createElementNS(svgNS, 'polyline');
+            polyline.setAttribute('points', line.points.map(point => {
+                const x = pad + ((point.at - start) / span) * (width - pad * 2);
+                const y = height - pad - (point.value / max) * (height - pad * 2);
+                return `${x.toFixed(1)},${y.toFixed(1)}`;
+            }).join(' '));
+            polyline.setAttribute('class', `dashboard-chart__line dashboard-chart__line--${index}`);
+            svg.appendChild(polyline);
+        });
+        const peak = document.createElementNS(svgNS, 'text');
+        peak.setAttribute('x', pad);
+        peak.setAttribute('y', 12);
+        peak.setAttribute('class', 'dashboard-chart__peak');
+        peak.textContent = formatValue(max);
+        svg.appendChild(peak);
+        return svg;
+    }
+
+    buildChartLegend(series) {
+        const legend = document.createElement('div');
+        legend.className = 'dashboard-legend';
+        series.forEach((line, index) => {
+            const key = document.createElement('span');
+            key.className = `dashboard-legend__key dashboard-legend__key--${index}`;
+            key.textContent = line.label;
+            legend.appendChild(key);
+        });
+        return legend;
+    }
+
+    // A labelled bar scaled against the largest value in its group
+    buildDashboardBar(label, value, max, className) {
+        const row = document.createElement('div');
+        row.className = 'dashboard-bar';
+        const text = document.createElement('span');
+        text.className = 'dashboard-bar__label';
+        text.textContent = label;
+        const track = document.createElement('div');
+        track.className = 'dashboard-bar__track';
+        const fill = document.createElement('div');
+        fill.className = `dashboard-bar__fill ${className}`;
+        fill.style.width = `${max > 0 ? Math.round((value / max) * 100) : 0}%`;
+        track.appendChild(fill);
+        row.appendChild(text);
+        row.appendChild(track);
+        return row;
+    }
+
+    formatRunDuration(ms) {
+        const minutes = Math.floor(ms / 60000);
+        return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+    }
+
+    renderStatsDashboard() {
+        const intro = document.getElementById('statsDashboardIntro');
+        const income = document.getElementById('dashboardIncome');
+        const harvests = document.getElementById('dashboardHarvests');
+        const care = document.getElementById('dashboardCare');
+        const runs = document.getElementById('dashboardRuns');
+        if (!income || !harvests || !care || !runs) return;
+        const money = value => `$${value.toLocaleString()}`;
+        const current = this.summarizeRun();
+
+        if (intro) {
+            intro.textContent = `Run ${current.run + 1}: ${this.formatRunDuration(current.endedAt - current.startedAt)} so far, ${money(current.earned)} earned (${money(current.incomePerHour)}/h). Snapshots are taken every ${Math.round(this.statSnapshotInterval / 60000)} minutes of play.`;
+        }
+
+        income.innerHTML = '';
+        const incomeSeries = [{ label: 'Income per hour', points: this.getIncomeSeries() }];
+        income.appendChild(this.buildLineChart(incomeSeries, money));
+
+        harvests.innerHTML = '';
+        const harvestSeries = this.getHarvestSeries().map(line => ({ label: line.name, points: line.points }));
+        if (harvestSeries.length === 0) {
+            harvests.textContent = 'No harvests yet this run.';
+        } else {
+            harvests.appendChild(this.buildLineChart(harvestSeries));
+            harvests.appendChild(this.buildChartLegend(harvestSeries));
+        }
+
+        care.innerHTML = '';
+        const returns = this.getCareReturns();
+        [['💧 Water', returns.water], ['🌿 Fertilizer', returns.fertilizer]].forEach(([label, entry]) => {
+            const max = Math.max(entry.spent, entry.returned);
+            const ratio = entry.spent > 0 ? ` · ${(entry.returned / entry.spent).toFixed(1)}× return` : '';
+            const heading = document.createElement('p');
+            heading.className = 'dashboard-care__heading';
+            heading.textContent = `${label}: ${entry.used.toLocaleString()} used${ratio}`;
+            care.appendChild(heading);
+            care.appendChild(this.buildDashboardBar(`Bought ${money(entry.spent)}`, entry.spent, max, 'dashboard-bar__fill--spend'));
+            care.appendChild(this.buildDashboardBar(`Harvests ${money(entry.returned)}`, entry.returned, max, 'dashboard-bar__fill--return'));
+        });
+
+        runs.innerHTML = '';
+        const comparison = this.getRunComparison().slice().reverse();
+        const bestRate = Math.max(...comparison.map(run => run.incomePerHour));
+        comparison.forEach(run => {
+            const item = document.createElement('li');
+            const label = document.createElement('div');
+            label.className = 'market-list__label';
+            const name = document.createElement('strong');
+            name.textContent = `Run ${run.run + 1}${run.current ? ' (current)' : ''}`;
+            const meta = document.createElement('span');
+            meta.className = 'market-list__meta';
+            const topCrop = run.topCrop ? ` · mostly ${this.plantTypes[run.topCrop]?.name || this.formatKeyLabel(run.topCrop)}` : '';
+            meta.textContent = `${this.formatRunDuration(run.endedAt - run.startedAt)} · ${money(run.earned)} earned · ${run.harvests} harvests · score ${run.score.toLocaleString()}${topCrop}`;
+            label.appendChild(name);
+            label.appendChild(meta);
+            label.appendChild(this.buildDashboardBar(`${money(run.incomePerHour)}/h`, run.incomePerHour, bestRate, run.current ? 'dashboard-bar__fill--return' : 'dashboard-bar__fill--run'));
+            item.appendChild(label);
+            runs.appendChild(item);
+        });
+    }
+
     getMessageContainer() {
         if (this.messageContainer && document.body.contains(this.messageContainer)) {
             return this.messageContainer;
@@ -7034,30 +7115,16 @@ class GardenGame {
         }
         
         try {
-            // Update season
-            this.updateSeason();
-        
-        this.updatePlants();
-        this.checkRestock();
-        this.updateWeather();
-        this.checkStormDamage();
-        this.checkAutoSave();
-        this.checkAchievements();
-            this.generateChallenges();
-            
-            // Check sprinkler growth for all plants
-            this.checkAllSprinklerGrowth();
-            
-            // Periodically check for softlock and bless the player with a cheap fruit if needed
-            this.checkSoftlockRelief();
+            // Advance seasons, growth, shop, weather and challenges; a read-only view only redraws
+            if (!this.readOnly) {
+                this.tick();
+                this.checkAutoSave();
+            }
             
             // Note: updateShopDisplay is now only called when needed, not in the game loop
             
             // Update particles
             this.updateParticles();
-            
-            // Update session time
-            this.updateSessionTime();
         
         // Only draw if we have a canvas (for background processing, canvas might be null)
         if (this.canvas && this.ctx) {
@@ -7072,115 +7139,6 @@ class GardenGame {
         this.animationFrameId = requestAnimationFrame(() => this.gameLoop());
     }
 
-    // Softlock relief: grant a fully grown cheap fruit on a random empty tile
-    // Runs every softlockCheckInterval (10s). If softlocked, 50% chance each check,
-    // but forces a blessing on the 3rd consecutive eligible check to cap wait at <=30s.
-    checkSoftlockRelief() {
-        const now = Date.now();
-        if (!this.lastSoftlockCheck) this.lastSoftlockCheck = 0;
-        if ((now - this.lastSoftlockCheck) < (this.softlockCheckInterval || 180000)) {
-            return;
-        }
-        this.lastSoftlockCheck = now;
-
-        // Determine if the player is softlocked: no affordable seeds and at least one empty tile
-        const hasEmptyTile = (() => {
-            for (let r = 0; r < this.gridSize; r++) {
-                for (let c = 0; c < this.gridSize; c++) {
-                    const cell = this.garden[r][c];
-                    if (!cell.plant && !this.hasSprinkler(r, c)) return true;
-                }
-            }
-            return false;
-        })();
-        if (!hasEmptyTile) {
-            this.softlockMissCounter = 0;
-            return;
-        }
-
-        // Is there any seed the player can afford right now?
-        const canAffordAny = (() => {
-            let affordable = false;
-            for (const [seedType, inv] of Object.entries(this.shopInventory)) {
-                const plantData = this.plantTypes[seedType];
-                if (!plantData || !inv || inv.stock <= 0) continue;
-                if (!this.isSeedAvailable(seedType)) continue;
-                const baseCost = this.getSeedBaseCost(plantData);
-                const price = this.getDiscountedSeedCost(baseCost);
-                if (this.money >= price) { affordable = true; break; }
-            }
-            return affordable;
-        })();
-
-        // Not softlocked if we can afford something; reset miss counter
-        if (canAffordAny) {
-            this.softlockMissCounter = 0;
-            return;
-        }
-
-        // Softlocked path: increment consecutive miss counter
-        if (!Number.isFinite(this.softlockMissCounter)) this.softlockMissCounter = 0;
-        this.softlockMissCounter += 1;
-
-        // Chance gating to feel occasional, but force on the 3rd eligible check
-        const shouldBless = (this.softlockMissCounter >= 3) || (Math.random() < 0.5);
-        if (!shouldBless) {
-            return;
-        }
-
-        // Choose a very cheap fruit type; prefer lettuce if available, else carrot, else any
-        const candidateTypes = ['lettuce', 'carrot'];
-        let chosenType = candidateTypes.find(t => this.plantTypes[t]);
-        if (!chosenType) {
-            // Fallback to any defined plant type
-            const keys = Object.keys(this.plantTypes || {});
-            if (!keys.length) return;
-            chosenType = keys[0];
-        }
-
-        // Pick a random empty tile
-        const empties = [];
-        for (let r = 0; r < this.gridSize; r++) {
-            for (let c = 0; c < this.gridSize; c++) {
-                const cell = this.garden[r][c];
-                if (!cell.plant && !this.hasSprinkler(r, c)) empties.push([r, c]);
-            }
-        }
-        if (!empties.length) {
-            this.softlockMissCounter = 0;
-            return;
-        }
-        const [row, col] = empties[Math.floor(Math.random() * empties.length)];
-
-        const plantObject = {
-            type: chosenType,
-            stage: this.growthStages.length - 1,
-            plantedAt: now,
-            isFullyGrown: true,
-            growthStage: this.growthStages.length - 1,
-            purchaseCost: 0
-        };
-
-        this.garden[row][col] = {
-            plant: plantObject,
-            watered: false,
-            wateredAt: null,
-            waterCooldown: 0,
-            fertilized: false,
-            fertilizedAt: null,
-            fertilizerCooldown: 0,
-            plantedAt: now
-        };
-
-        const plantName = this.plantTypes[chosenType]?.name || chosenType;
-        this.showMessage(`✨ A blessing arrives: ${plantName}!`, 'success');
-        // Reset the miss counter after a successful blessing
-        this.softlockMissCounter = 0;
-        this.saveGame();
-        this.updateUI();
-        this.draw();
-    }
-    
     checkPerformance() {
         // Check if the game has been running too long without a break
         const now = Date.now();
@@ -7336,78 +7294,26 @@ class GardenGame {
             return;
         }
         
-        // Validate money is not negative
-        if (this.money < 0) {
-            console.error(`Invalid money value: ${this.money}, setting to 0`);
-            this.money = 0;
+        if (this.readOnly) {
+            console.log(`Skipping save for slot ${this.saveSlot} - the garden is open in another tab`);
+            return;
+        }
+
+        if (this.saveUnreadable) {
+            console.log(`Skipping save for slot ${this.saveSlot} - the stored save could not be loaded and is kept unchanged`);
+            return;
         }
         
-        // Validate sprinkler inventory is not negative
-        Object.keys(this.sprinklerInventory).forEach(type => {
-            if (this.sprinklerInventory[type] < 0) {
-                console.error(`Invalid sprinkler inventory for ${type}: ${this.sprinklerInventory[type]}, setting to 0`);
-                this.sprinklerInventory[type] = 0;
-            }
-        });
-        
-        const nameForStorage = sanitizeGardenName(this.gardenName, this.defaultGardenName());
-        this.gardenName = nameForStorage;
+        const saveData = this.getSaveData();
         this.updateGardenTitle();
-
-        const saveData = {
-            saveSlot: this.saveSlot, // Include saveSlot in the save data for verification
-            money: this.money,
-            water: this.water,
-            fertilizer: this.fertilizer,
-            score: this.score,
-            gardenName: nameForStorage,
-            garden: this.garden,
-            shopInventory: this.shopInventory,
-            lastRestockTime: this.lastRestockTime,
-            restockInterval: this.restockInterval,
-            toolLevels: this.toolLevels,
-            toolUpgradeCosts: this.toolUpgradeCosts,
-            harvestBonus: this.harvestBonus,
-            weather: this.weather,
-            achievements: this.achievements,
-            achievementStats: {
-                ...this.achievementStats,
-                differentPlantsPlanted: Array.from(this.achievementStats.differentPlantsPlanted)
-            },
-            sprinklerInventory: this.sprinklerInventory,
-            sprinklers: this.sprinklers,
-            soundEnabled: this.soundEnabled,
-            rebirths: this.rebirths,
-            rebirthPoints: this.rebirthPoints,
-            bestRebirthScore: this.bestRebirthScore,
-            currentRunStartTime: this.currentRunStartTime,
-            prestigeUpgrades: this.prestigeUpgrades,
-
-            // New features
-            currentSeason: this.currentSeason,
-            seasonDay: this.seasonDay,
-            seasonMultiplier: this.seasonMultiplier,
-            seasonStartTime: this.seasonStartTime,
-            gardenSize: this.gardenSize,
-            expansionCost: this.expansionCost,
-            stats: this.stats,
-            challenges: this.challenges,
-            lastChallengeUpdate: this.lastChallengeUpdate,
-
-            // Quick Seeds preferences
-            seedRecent: Array.isArray(this.seedRecent) ? this.seedRecent : [],
-
-            saveTime: Date.now()
-        };
         
-        const saveKey = `gardenGameSave_${this.saveSlot}`;
-        console.log(`Saving to localStorage key: ${saveKey}`);
+        console.log(`Saving to save store slot ${this.saveSlot}`);
         console.log(`Save data slot verification: ${saveData.saveSlot}`);
         
-        localStorage.setItem(saveKey, JSON.stringify(saveData));
+        saveStore.save(this.saveSlot, JSON.stringify(saveData));
         
         // Also save a timestamp for when this save was created
-        localStorage.setItem(`lastSaveTime_${this.saveSlot}`, Date.now().toString());
+        saveStore.setMeta(this.saveSlot, 'lastSaveTime', Date.now());
         
         console.log(`Game saved to slot ${this.saveSlot} at ${new Date().toLocaleTimeString()}`);
         console.log(`Save data: money=${this.money}, sprinklerInventory=`, this.sprinklerInventory);
@@ -7433,7 +7339,7 @@ class GardenGame {
         }
         
         // Verify the save was successful by reading it back
-        const savedData = localStorage.getItem(saveKey);
+        const savedData = saveStore.load(this.saveSlot);
         if (savedData) {
             try {
                 const parsedData = JSON.parse(savedData);
@@ -7446,21 +7352,63 @@ class GardenGame {
                 console.error(`Error verifying save data:`, error);
             }
         } else {
-            console.error(`Save verification failed! No data found in localStorage for key ${saveKey}`);
+            console.error(`Save verification failed! No data found in the save store for slot ${this.saveSlot}`);
         }
     }
     
+    getSaveData() {
+        return {
+            ...super.getSaveData(),
+            soundEnabled: this.soundEnabled,
+            soilOverlay: this.showSoilOverlay,
+
+            // Quick Seeds preferences
+            seedRecent: Array.isArray(this.seedRecent) ? this.seedRecent : []
+        };
+    }
+
+    applySaveData(data) {
+        if (data.soundEnabled !== undefined) this.soundEnabled = data.soundEnabled;
+        this.showSoilOverlay = !!data.soilOverlay;
+
+        // Load Quick Seeds preferences
+        if (Array.isArray(data.seedRecent)) this.seedRecent = data.seedRecent; else this.seedRecent = this.seedRecent || [];
+
+        super.applySaveData(data);
+    }
+
+    // Read the slot back shortly after a protected save and re-save if it does not match
+    verifySavedState(label, matchesSaved) {
+        setTimeout(() => {
+            const savedData = saveStore.load(this.saveSlot);
+            if (!savedData) {
+                return;
+            }
+            try {
+                const parsed = JSON.parse(savedData);
+                if (!matchesSaved(parsed)) {
+                    console.error(`[${new Date().toLocaleTimeString()}] Save verification failed for ${label}! Re-saving.`);
+                    this.saveGameWithProtection();
+                } else {
+                    console.log(`[${new Date().toLocaleTimeString()}] Save verification successful for ${label}`);
+                }
+            } catch (error) {
+                console.error(`[${new Date().toLocaleTimeString()}] Error verifying save:`, error);
+            }
+        }, 100);
+    }
+    
     saveGameWithProtection() {
         console.log(`[${new Date().toLocaleTimeString()}] saveGameWithProtection called for slot ${this.saveSlot}`);
         
         // Set a protection timestamp to prevent background processing from overwriting
-        localStorage.setItem(`adminChange_${this.saveSlot}`, Date.now().toString());
+        saveStore.setMeta(this.saveSlot, 'adminChange', Date.now());
         
         // Call the regular saveGame method
         this.saveGame();
         
         // Set another protection timestamp after saving
-        localStorage.setItem(`lastSaveTime_${this.saveSlot}`, Date.now().toString());
+        saveStore.setMeta(this.saveSlot, 'lastSaveTime', Date.now());
         
         console.log(`[${new Date().toLocaleTimeString()}] Save protection applied for slot ${this.saveSlot}`);
     }
@@ -7534,278 +7482,6 @@ class GardenGame {
         console.log('UI state cleared completely');
     }
 
-    createDefaultShopInventory() {
-        return {
-            carrot: { stock: 7, maxStock: 10, restockAmount: 5 },
-            lettuce: { stock: 8, maxStock: 10, restockAmount: 5 },
-            tomato: { stock: 6, maxStock: 8, restockAmount: 4 },
-            corn: { stock: 4, maxStock: 6, restockAmount: 3 },
-            cucumber: { stock: 6, maxStock: 8, restockAmount: 4 },
-            zucchini: { stock: 5, maxStock: 7, restockAmount: 3 },
-            radish: { stock: 8, maxStock: 10, restockAmount: 5 },
-            spinach: { stock: 7, maxStock: 9, restockAmount: 4 },
-            peas: { stock: 8, maxStock: 10, restockAmount: 5 },
-            onion: { stock: 6, maxStock: 8, restockAmount: 4 },
-            garlic: { stock: 5, maxStock: 7, restockAmount: 3 },
-            potato: { stock: 6, maxStock: 8, restockAmount: 4 },
-            celery: { stock: 6, maxStock: 8, restockAmount: 4 },
-            bell_pepper: { stock: 4, maxStock: 6, restockAmount: 3 },
-            hot_pepper: { stock: 5, maxStock: 7, restockAmount: 3 },
-            avocado: { stock: 4, maxStock: 6, restockAmount: 3 },
-            eggplant: { stock: 4, maxStock: 6, restockAmount: 3 },
-            sweet_potato: { stock: 5, maxStock: 7, restockAmount: 3 },
-            mushroom: { stock: 4, maxStock: 6, restockAmount: 3 },
-            winter_greens: { stock: 4, maxStock: 6, restockAmount: 3 },
-            herbs: { stock: 6, maxStock: 8, restockAmount: 4 },
-            broccoli: { stock: 3, maxStock: 5, restockAmount: 2 },
-            cauliflower: { stock: 2, maxStock: 4, restockAmount: 2 },
-            cabbage: { stock: 5, maxStock: 7, restockAmount: 3 },
-            squash: { stock: 5, maxStock: 7, restockAmount: 3 },
-            pumpkin: { stock: 2, maxStock: 3, restockAmount: 1 },
-            watermelon: { stock: 2, maxStock: 3, restockAmount: 1 },
-            melon: { stock: 3, maxStock: 4, restockAmount: 2 },
-            blueberry: { stock: 3, maxStock: 4, restockAmount: 2 },
-            strawberry: { stock: 6, maxStock: 8, restockAmount: 4 },
-            banana: { stock: 6, maxStock: 8, restockAmount: 4 },
-            apple: { stock: 6, maxStock: 8, restockAmount: 4 },
-            green_apple: { stock: 5, maxStock: 7, restockAmount: 3 },
-            pear: { stock: 5, maxStock: 7, restockAmount: 3 },
-            peach: { stock: 5, maxStock: 7, restockAmount: 3 },
-            cherries: { stock: 6, maxStock: 8, restockAmount: 4 },
-            orange: { stock: 6, maxStock: 8, restockAmount: 4 },
-            lemon: { stock: 6, maxStock: 8, restockAmount: 4 },
-            kiwi: { stock: 2, maxStock: 3, restockAmount: 1 },
-            coconut: { stock: 1, maxStock: 2, restockAmount: 1 },
-            olive: { stock: 2, maxStock: 3, restockAmount: 1 },
-            asparagus: { stock: 3, maxStock: 4, restockAmount: 2 },
-            artichoke: { stock: 2, maxStock: 3, restockAmount: 1 },
-            grapes: { stock: 3, maxStock: 4, restockAmount: 2 },
-            pineapple: { stock: 1, maxStock: 2, restockAmount: 1 },
-            mango: { stock: 2, maxStock: 3, restockAmount: 1 },
-            dragonfruit: { stock: 1, maxStock: 1, restockAmount: 1 }
-        };
-    }
-
-    createDefaultSprinklerInventory() {
-        return {
-            basic: 0,
-            advanced: 0,
-            premium: 0,
-            legendary: 0
-        };
-    }
-
-    createPrestigeUpgradeCatalog() {
-        return [
-            {
-                id: 'harvestMastery',
-                name: 'Harvest Mastery',
-                icon: '🌾',
-                description: 'Each level adds +5% permanent harvest value.',
-                baseCost: 4,
-                costGrowth: 2,
-                maxLevel: 10
-            },
-            {
-                id: 'seedEconomy',
-                name: 'Seed Saver',
-                icon: '',
-                description: 'Each level reduces seed prices by 4% (up to 24%).',
-                baseCost: 3,
-                costGrowth: 1,
-                maxLevel: 6
-            },
-            {
-                id: 'starterKit',
-                name: 'Starter Kit',
-                icon: '🎁',
-                description: 'Each level grants +$150, +40 water, +25 fertilizer at the start of a run.',
-                baseCost: 5,
-                costGrowth: 3,
-                maxLevel: 5
-            }
-        ];
-    }
-
-    createDefaultPrestigeUpgrades() {
-        const upgrades = {};
-        if (Array.isArray(this.prestigeUpgradeCatalog)) {
-            this.prestigeUpgradeCatalog.forEach(upgrade => {
-                upgrades[upgrade.id] = { level: 0 };
-            });
-        }
-        return upgrades;
-    }
-
-    normalizePrestigeUpgrades(rawUpgrades = {}) {
-        const normalized = this.createDefaultPrestigeUpgrades();
-        Object.keys(normalized).forEach(id => {
-            const stored = rawUpgrades?.[id];
-            let level = 0;
-            if (stored && typeof stored === 'object') {
-                level = stored.level;
-            } else if (typeof stored === 'number') {
-                level = stored;
-            }
-
-            if (!Number.isFinite(level)) {
-                level = 0;
-            }
-
-            level = Math.max(0, Math.floor(level));
-            const maxLevel = this.prestigeUpgradeMap?.[id]?.maxLevel ?? 0;
-            if (maxLevel > 0) {
-                level = Math.min(level, maxLevel);
-            }
-            normalized[id].level = level;
-        });
-        return normalized;
-    }
-
-    getRebirthTargetScore() {
-        const baseTarget = 5000;
-        const scalingFactor = 1.75;
-        return Math.floor(baseTarget * Math.pow(scalingFactor, this.rebirths));
-    }
-
-    getRebirthHarvestIncrement() {
-        return 0.25;
-    }
-
-    getRebirthHarvestBonus() {
-        return this.rebirths * this.getRebirthHarvestIncrement();
-    }
-
-    getRebirthStartingResourceMultiplier() {
-        return 1 + (this.rebirths * 0.15);
-    }
-
-    getPrestigeUpgradeLevel(upgradeId) {
-        return this.prestigeUpgrades?.[upgradeId]?.level ?? 0;
-    }
-
-    // Global multiplier to make prestige upgrades cheaper in tokens
-    // Assumption: reduce costs by 30% (multiplier = 0.7). Adjust here if needed.
-    getPrestigeCostMultiplier() {
-        return 0.7;
-    }
-
-    getPrestigeUpgradeCost(upgradeId) {
-        const config = this.prestigeUpgradeMap?.[upgradeId];
-        if (!config) {
-            return Number.POSITIVE_INFINITY;
-        }
-        const level = this.getPrestigeUpgradeLevel(upgradeId);
-        const rawCost = config.baseCost + (config.costGrowth * level);
-        const scaled = rawCost * this.getPrestigeCostMultiplier();
-        return Math.max(1, Math.floor(scaled));
-    }
-
-    getPrestigeSeedDiscount() {
-        const level = this.getPrestigeUpgradeLevel('seedEconomy');
-        if (level <= 0) {
-            return 0;
-        }
-        return Math.min(level * 0.04, 0.4);
-    }
-
-    getPrestigeSeedCostMultiplier() {
-        return Math.max(0.3, 1 - this.getPrestigeSeedDiscount());
-    }
-
-    getDiscountedSeedCost(baseCost) {
-        const cost = Number.isFinite(baseCost) ? baseCost : 0;
-        const multiplier = this.getPrestigeSeedCostMultiplier();
-        return Math.max(1, Math.round(cost * multiplier));
-    }
-
-    getSeedBaseCost(seedData) {
-        if (!seedData || typeof seedData !== 'object') {
-            return 0;
-        }
-        if (Number.isFinite(seedData.cost)) {
-            return seedData.cost;
-        }
-        if (Number.isFinite(seedData.price)) {
-            return seedData.price;
-        }
-        return 0;
-    }
-
-    getPrestigeHarvestBonus() {
-        const level = this.getPrestigeUpgradeLevel('harvestMastery');
-        if (level <= 0) {
-            return 0;
-        }
-        return level * 0.05;
-    }
-
-    getPrestigeStartingResources() {
-        const level = this.getPrestigeUpgradeLevel('starterKit');
-        if (level <= 0) {
-            return { money: 0, water: 0, fertilizer: 0 };
-        }
-        return {
-            money: level * 150,
-            water: level * 40,
-            fertilizer: level * 25
-        };
-    }
-
-    getPrestigeEffectDetails(upgradeId, level) {
-        const resolvedLevel = Math.max(0, level);
-        const formatNumber = (value) => Number(value || 0).toLocaleString();
-
-        switch (upgradeId) {
-            case 'harvestMastery': {
-                const total = Math.round(resolvedLevel * 5);
-                return resolvedLevel > 0 ? `+${total}% harvest value` : 'No harvest bonus yet';
-            }
-            case 'seedEconomy': {
-                const total = Math.round(resolvedLevel * 4);
-                return resolvedLevel > 0 ? `${total}% seed discount` : 'No seed discount yet';
-            }
-            case 'starterKit': {
-                if (resolvedLevel <= 0) {
-                    return 'No starting resource bonus yet';
-                }
-                const money = formatNumber(resolvedLevel * 150);
-                const water = formatNumber(resolvedLevel * 40);
-                const fertilizer = formatNumber(resolvedLevel * 25);
-                return `Start with +$${money}, +${water} water, +${fertilizer} fertilizer`;
-            }
-            default:
-                return '';
-        }
-    }
-
-    calculatePrestigeRefundTotal() {
-        if (!this.prestigeUpgrades || !this.prestigeUpgradeMap) {
-            return 0;
-        }
-
-        let total = 0;
-        Object.keys(this.prestigeUpgrades).forEach(upgradeId => {
-            const config = this.prestigeUpgradeMap[upgradeId];
-            if (!config) {
-                return;
-            }
-            const level = this.getPrestigeUpgradeLevel(upgradeId);
-            if (level <= 0) {
-                return;
-            }
-
-            const n = level;
-            const base = Number(config.baseCost || 0);
-            const growth = Number(config.costGrowth || 0);
-            const refund = (n / 2) * ((2 * base) + ((n - 1) * growth));
-            // Scale refund by the same cost multiplier to match current pricing
-            total += refund * this.getPrestigeCostMultiplier();
-        });
-
-        return Math.max(0, Math.floor(total));
-    }
-
     respecPrestigeUpgrades() {
         const refundable = this.calculatePrestigeRefundTotal();
         if (refundable <= 0) {
@@ -7813,114 +7489,29 @@ class GardenGame {
             return;
         }
 
-        const confirmed = window.confirm('Respec prestige upgrades? This will refund all spent tokens and reset upgrade levels.');
-        if (!confirmed) {
-            return;
-        }
-
-        this.prestigeUpgrades = this.createDefaultPrestigeUpgrades();
-        this.rebirthPoints = Math.max(0, (this.rebirthPoints || 0) + refundable);
-        this.saveGame();
-        this.updatePrestigeStoreUI();
-        this.showMessage(`Prestige upgrades reset. Refunded ${refundable.toLocaleString()} token${refundable === 1 ? '' : 's'}.`, 'success');
-    }
-
-    canRebirth() {
-        return this.score >= this.getRebirthTargetScore();
-    }
-
-    handleRebirthClick() {
-        if (!this.canRebirth()) {
-            const remaining = Math.max(0, this.getRebirthTargetScore() - this.score);
-            this.showMessage(`Keep growing! ${remaining.toLocaleString()} more score needed.`, 'info');
-            return;
-        }
-
-        const confirmation = window.confirm('♻️ Ready to rebirth? This will reset your garden, seeds, and upgrades in exchange for a permanent harvest boost.');
-        if (confirmation) {
-            this.performRebirth();
-        }
-    }
-
-    performRebirth() {
-        const currentTarget = this.getRebirthTargetScore();
-        const runScore = this.score;
-        const runStart = this.stats.sessionStartTime || this.currentRunStartTime || Date.now();
-        const now = Date.now();
-        const runDuration = now - runStart;
-
-        if (runDuration > (this.stats.longestPlaySession || 0)) {
-            this.stats.longestPlaySession = runDuration;
-        }
-
-        this.bestRebirthScore = Math.max(this.bestRebirthScore || 0, runScore);
-
-        const rewardPoints = Math.max(1, Math.floor(runScore / Math.max(1, currentTarget)));
-    this.rebirthPoints = Math.floor((this.rebirthPoints || 0) + rewardPoints);
-
-        this.rebirths += 1;
-        this.stats.totalRebirths = (this.stats.totalRebirths || 0) + 1;
-
-        this.currentRunStartTime = now;
-        this.stats.sessionStartTime = now;
-        this.rebirthNotificationShown = false;
-
-    this.gardenSize = 8;
-    this.gridSize = this.gardenSize;
-    this.cellSize = Math.floor(600 / this.gridSize);
-    this.expansionCost = 1500;
-        this.garden = this.initializeGarden();
-
-        this.shopInventory = this.createDefaultShopInventory();
-        this.sprinklerInventory = this.createDefaultSprinklerInventory();
-        this.sprinklers = [];
-        this.lastRestockTime = now;
-
-    this.toolLevels = { water: 1, fertilizer: 1, shovel: 1, harvest: 1 };
-    this.recomputeAllToolUpgradeCosts();
-        this.harvestBonus = 0;
-
-        this.selectedSeed = null;
-        this.selectedSprinkler = null;
-        this.selectedDecoration = null;
-        this.currentTool = 'water';
-        this.toolCooldowns = { water: 0, fertilizer: 0 };
-        this.plantEffects = { watered: {}, fertilized: {} };
-
-        const resourceMultiplier = this.getRebirthStartingResourceMultiplier();
-    const prestigeStartingBonus = this.getPrestigeStartingResources();
-    this.money = Math.floor(100 * resourceMultiplier) + (prestigeStartingBonus.money || 0);
-    this.water = Math.floor(50 * resourceMultiplier) + (prestigeStartingBonus.water || 0);
-    this.fertilizer = Math.floor(20 * resourceMultiplier) + (prestigeStartingBonus.fertilizer || 0);
-        this.score = 0;
-
-        this.currentSeason = 'spring';
-        this.seasonDay = 1;
-        this.seasonMultiplier = 1.0;
-        this.seasonStartTime = null;
-        this.weather = 'sunny';
-        this.lastWeatherChange = now;
-
-        this.challenges = { daily: [], weekly: null, completed: [] };
-        this.lastChallengeUpdate = now;
-        this.generateChallenges();
-
-        this.particles = [];
-        this.animations = [];
+        const confirmed = window.confirm('Respec prestige upgrades? This will refund all spent tokens and reset upgrade levels.');
+        if (!confirmed) {
+            return;
+        }
 
-    // Recalculate canvas for the reset size
-    this.adjustCanvasForMobile();
-    this.updateUI();
-        this.updateToolDisplay();
-        this.updateSprinklerDisplay();
-        this.updateAchievementsDisplay();
+        this.prestigeUpgrades = this.createDefaultPrestigeUpgrades();
+        this.rebirthPoints = Math.max(0, (this.rebirthPoints || 0) + refundable);
         this.saveGame();
+        this.updatePrestigeStoreUI();
+        this.showMessage(`Prestige upgrades reset. Refunded ${refundable.toLocaleString()} token${refundable === 1 ? '' : 's'}.`, 'success');
+    }
+
+    handleRebirthClick() {
+        if (!this.canRebirth()) {
+            const remaining = Math.max(0, this.getRebirthTargetScore() - this.score);
+            this.showMessage(`Keep growing! ${remaining.toLocaleString()} more score needed.`, 'info');
+            return;
+        }
 
-    const totalBonusPercent = Math.round(this.getRebirthHarvestBonus() * 100);
-    const nextBonusPercent = Math.round(this.getRebirthHarvestIncrement() * 100);
-    const tokenText = rewardPoints === 1 ? '1 token' : `${rewardPoints} tokens`;
-    this.showMessage(`Rebirth complete! Permanent harvest bonus is now +${totalBonusPercent}%. You earned ${tokenText}. Next rebirth adds another +${nextBonusPercent}%.`, 'success');
-        this.playSound('achievement');
+        const confirmation = window.confirm('♻️ Ready to rebirth? This will reset your garden, seeds, barn produce, and upgrades in exchange for a permanent harvest boost.');
+        if (confirmation) {
+            this.performRebirth();
+        }
     }
 
     updateRebirthUI() {
@@ -8155,1023 +7746,212 @@ class GardenGame {
             button.className = 'prestige-upgrade-btn';
             button.dataset.upgradeId = upgrade.id;
 
-            if (isMaxed) {
-                button.textContent = 'Maxed';
-                button.disabled = true;
-                button.title = 'Fully upgraded';
-            } else {
-                button.textContent = affordable ? `Spend ${cost} token${cost === 1 ? '' : 's'}` : `Need ${cost} token${cost === 1 ? '' : 's'}`;
-                button.disabled = !affordable;
-                button.title = affordable ? 'Spend prestige tokens for this upgrade' : 'Rebirth to earn more tokens';
-                if (affordable) {
-                    button.addEventListener('click', () => this.purchasePrestigeUpgrade(upgrade.id));
-                }
-            }
-
-            actions.appendChild(button);
-
-            card.appendChild(header);
-            card.appendChild(body);
-            card.appendChild(actions);
-
-            fragment.appendChild(card);
-        });
-
-        listElement.appendChild(fragment);
-
-        this.updatePrestigePanelVisibility();
-        // Also refresh active bonuses summary on any UI rebuild
-        this.updateActiveBonusesDisplay();
-        this.updateBonusesPopup();
-    }
-
-    purchasePrestigeUpgrade(upgradeId) {
-        const config = this.prestigeUpgradeMap?.[upgradeId];
-        if (!config) {
-            return;
-        }
-
-        if (!this.prestigeUpgrades[upgradeId]) {
-            this.prestigeUpgrades[upgradeId] = { level: 0 };
-        }
-
-        const currentLevel = this.getPrestigeUpgradeLevel(upgradeId);
-        if (currentLevel >= config.maxLevel) {
-            this.showMessage(`${config.name} is already at maximum level.`, 'info');
-            return;
-        }
-
-        const cost = this.getPrestigeUpgradeCost(upgradeId);
-        const tokens = this.rebirthPoints || 0;
-        if (tokens < cost) {
-            const missing = cost - tokens;
-            this.showMessage(`Need ${missing} more token${missing === 1 ? '' : 's'} for ${config.name}.`, 'error');
-            return;
-        }
-
-        this.rebirthPoints = Math.max(0, Math.floor(tokens - cost));
-    const newLevel = Math.min(currentLevel + 1, config.maxLevel);
-    this.prestigeUpgrades[upgradeId].level = newLevel;
-
-        const effectSummary = this.getPrestigeEffectDetails(upgradeId, newLevel);
-        this.showMessage(`${config.name} upgraded to Lv.${newLevel}! ${effectSummary}.`, 'success');
-        this.playSound('achievement');
-
-        this.updateRebirthUI();
-        this.updateShopDisplay();
-        this.updateBonusesPopup();
-        this.saveGame();
-    }
-
-
-    initializeFreshGame() {
-        console.log(`Initializing fresh game for slot ${this.saveSlot}`);
-
-        const pendingName = this._initialGardenName ?? this.gardenName;
-        this.setGardenName(pendingName, { shouldSave: false });
-        this._initialGardenName = null;
-        
-        // CRITICAL: Clear any existing save data for this slot from localStorage
-        const saveKey = `gardenGameSave_${this.saveSlot}`;
-        localStorage.removeItem(saveKey);
-        console.log(`Cleared existing save data for slot ${this.saveSlot} from localStorage`);
-
-    const runStart = Date.now();
-    this.rebirths = 0;
-    this.rebirthPoints = 0;
-    this.bestRebirthScore = 0;
-    this.currentRunStartTime = runStart;
-    this.rebirthNotificationShown = false;
-    this.prestigeUpgrades = this.createDefaultPrestigeUpgrades();
-        
-        // Initialize fresh garden
-        this.garden = this.initializeGarden();
-        
-        // Initialize fresh inventories with correct structure
-        this.shopInventory = this.createDefaultShopInventory();
-        this.sprinklerInventory = this.createDefaultSprinklerInventory();
-        
-        // Reset other game state
-        this.money = 100;
-        this.water = 50;
-        this.fertilizer = 20;
-    const prestigeStartingBonus = this.getPrestigeStartingResources();
-    this.money += prestigeStartingBonus.money || 0;
-    this.water += prestigeStartingBonus.water || 0;
-    this.fertilizer += prestigeStartingBonus.fertilizer || 0;
-        this.score = 0;
-        this.sprinklers = [];
-    this.lastRestockTime = runStart;
-    this.weather = 'sunny';
-    this.lastWeatherChange = runStart;
-        
-        // Reset tool levels and upgrade costs
-        this.toolLevels = {
-            water: 1,
-            fertilizer: 1,
-            shovel: 1,
-            harvest: 1
-        };
-        // Use unified pricing model for next-level costs
-        this.recomputeAllToolUpgradeCosts();
-        
-        // Harvest bonus from upgraded harvest tool
-        this.harvestBonus = 0;
-        this.toolCooldowns = { water: 0, fertilizer: 0 };
-        this.plantEffects = { watered: {}, fertilized: {} };
-    this.selectedSeed = null;
-    this.selectedSprinkler = null;
-    this.selectedDecoration = null;
-    this.currentTool = 'water';
-        
-
-        
-        // Initialize new features
-        this.currentSeason = 'spring';
-        this.seasonDay = 1;
-        this.seasonMultiplier = 1.0;
-        this.seasonStartTime = null; // Will be set on first updateSeason() call
-    this.gardenSize = 8;
-    this.expansionCost = 1500;
-        
-        // Initialize statistics
-        this.stats = {
-            totalPlantsHarvested: 0,
-            totalMoneyEarned: 0,
-            totalWaterUsed: 0,
-            totalFertilizerUsed: 0,
-            plantsByType: {},
-            bestHarvest: 0,
-            longestPlaySession: 0,
-            totalRebirths: 0,
-            sessionStartTime: runStart,
-            adminPanelUsed: false,
-            adminPanelUsageCount: 0
-        };
-        
-        // Initialize challenges
-        this.challenges = {
-            daily: [],
-            weekly: null,
-            completed: []
-        };
-    this.lastChallengeUpdate = runStart;
-        
-        // Initialize visual feedback
-        this.particles = [];
-        this.animations = [];
-        
-        // Reset achievements with correct structure
-        this.achievements = {
-            firstHarvest: { unlocked: false, name: 'First Harvest', description: 'Harvest your first crop' },
-            moneyMaker: { unlocked: false, name: 'Money Maker', description: 'Earn $100 total' },
-            plantMaster: { unlocked: false, name: 'Plant Master', description: 'Plant 10 different crops' },
-            waterWizard: { unlocked: false, name: 'Water Wizard', description: 'Water 20 plants' },
-            fertilizerFanatic: { unlocked: false, name: 'Fertilizer Fanatic', description: 'Use fertilizer 15 times' },
-            speedGrower: { unlocked: false, name: 'Speed Grower', description: 'Grow a crop in under 30 seconds' },
-            rareCollector: { unlocked: false, name: 'Rare Collector', description: 'Harvest 5 rare crops' },
-            legendaryFarmer: { unlocked: false, name: 'Legendary Farmer', description: 'Harvest 3 legendary crops' }
-        };
-        
-        this.achievementStats = {
-            totalHarvests: 0,
-            totalMoney: 0,
-            plantsPlanted: 0,
-            plantsWatered: 0,
-            plantsFertilized: 0,
-            rareHarvests: 0,
-            legendaryHarvests: 0,
-            differentPlantsPlanted: new Set(),
-            speedGrowerUnlocked: false
-        };
-        
-        // Save the fresh game immediately
-        this.saveGame();
-        console.log(`Fresh game initialized and saved for slot ${this.saveSlot}`);
-        
-        // Generate challenges for the new game
-        this.generateChallenges();
-        
-        // Update UI
-        if (this.canvas) {
-            this.updateUI();
-            this.updateShopDisplay();
-            this.updateToolDisplay();
-            this.updateSprinklerDisplay();
-            this.updateAchievementsDisplay();
-            this.updateChallengesDisplay();
-            this.updateSeasonDisplay();
-        }
-    }
-    
-    loadGame(slot) {
-        console.log(`Loading game for slot ${slot}`);
-        
-        // Validate slot number
-        if (slot < 1 || slot > 3) {
-            console.error(`Invalid slot number: ${slot}`);
-            return;
-        }
-        
-        // CRITICAL: Stop background processing immediately to prevent interference
-        this.stopBackgroundProcessing();
-        
-        // CRITICAL: Clear all background games to prevent any interference
-        this.backgroundGames.clear();
-        
-        if (this.currentGame) {
-            console.log(`Stopping current game instance for slot ${this.currentGame.saveSlot}`);
-            // Properly stop the old game instance
-            this.currentGame.isRunning = false;
-            this.currentGame.stopGame();
-            
-            // Clear any admin change timestamps from the old slot to prevent interference
-            if (this.currentGame.saveSlot) {
-                localStorage.removeItem(`adminChange_${this.currentGame.saveSlot}`);
-            }
-            
-            // CRITICAL: Force garbage collection by clearing all references
-            this.currentGame.garden = null;
-            this.currentGame.shopInventory = null;
-            this.currentGame.sprinklerInventory = null;
-            this.currentGame.sprinklers = null;
-            this.currentGame.achievementStats = null;
-            
-            // Clear the old game instance completely
-            this.currentGame = null;
-        }
-        
-        // CRITICAL: Clear any existing event listeners to prevent duplicates
-        const menuBtn = document.getElementById('menuBtn');
-        const saveBtn = document.getElementById('saveBtn');
-        
-        // Remove existing event listeners by cloning and replacing elements
-        if (menuBtn) {
-            const newMenuBtn = menuBtn.cloneNode(true);
-            menuBtn.parentNode.replaceChild(newMenuBtn, menuBtn);
-        }
-        if (saveBtn) {
-            const newSaveBtn = saveBtn.cloneNode(true);
-            saveBtn.parentNode.replaceChild(newSaveBtn, saveBtn);
-        }
-        
-        // Hide menu and show game
-        document.getElementById('mainMenu').style.display = 'none';
-        document.getElementById('gameContainer').style.display = 'block';
-        
-        // CRITICAL: Clear any existing notifications from previous slots
-        const existingMessages = document.querySelectorAll('[style*="position: fixed"][style*="top: 20px"][style*="right: 20px"]');
-        existingMessages.forEach(msg => {
-            if (msg.parentNode) {
-                msg.parentNode.removeChild(msg);
-            }
-        });
-        
-        // CRITICAL: Clear any existing UI state to prevent bleeding
-        this.clearUIState();
-        
-        // CRITICAL: Force a longer delay to ensure all cleanup is complete
-        setTimeout(() => {
-            // Create new game instance with the correct slot
-            console.log(`About to create GardenGame with slot: ${slot}`);
-            this.currentGame = new GardenGame(slot, { gardenName: initialName });
-            console.log(`Created new GardenGame instance for slot ${slot} with name "${this.currentGame.gardenName}"`);
-            
-            // Verify the game was created with the correct slot
-            if (this.currentGame.saveSlot !== slot) {
-                console.error(`Game created with wrong slot! Expected: ${slot}, Got: ${this.currentGame.saveSlot}`);
-                console.error(`This could cause the slot loading issue you're experiencing`);
-                // Force the correct slot and reload
-                this.currentGame.saveSlot = slot;
-                this.currentGame.loadGame(); // Reload with correct slot
-                console.log(`Forced saveSlot to ${slot} and reloaded`);
-            }
-            
-            console.log(`Current game slot is now: ${this.currentGame.saveSlot}`);
-            console.log(`Current game instance ID: ${this.currentGame.instanceId}`);
-            
-            // Add event listeners to the new elements
-            const newMenuBtn = document.getElementById('menuBtn');
-            const newSaveBtn = document.getElementById('saveBtn');
-            
-            if (newMenuBtn) {
-                newMenuBtn.addEventListener('click', () => {
-                    this.returnToMenu();
-                });
-            }
-            
-            if (newSaveBtn) {
-                newSaveBtn.addEventListener('click', () => {
-                    this.currentGame.saveGame();
-                    this.currentGame.showMessage('Game saved manually!', 'success');
-                    this.updateSaveSlots();
-                });
-            }
-            
-            // Force update the save slots display to reflect the current state
-            this.updateSaveSlots();
-            
-            // CRITICAL: Keep background processing disabled to prevent state bleeding
-            console.log(`Background processing remains disabled to prevent cross-slot interference`);
-        }, 200); // Increased delay to ensure cleanup is complete
-    }
-    
-    // Sound System
-    initializeSound() {
-        try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        } catch (error) {
-            console.log('Audio not supported');
-        }
-    }
-    
-    playSound(type) {
-        if (!this.soundEnabled || !this.audioContext) return;
-        
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
-        
-        oscillator.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
-        
-        const sounds = {
-            plant: { frequency: 440, duration: 0.1 },
-            harvest: { frequency: 880, duration: 0.2 },
-            water: { frequency: 330, duration: 0.15 },
-            fertilizer: { frequency: 550, duration: 0.15 },
-            money: { frequency: 660, duration: 0.1 },
-            error: { frequency: 220, duration: 0.3 },
-            achievement: { frequency: 1100, duration: 0.5 }
-        };
-        
-        const sound = sounds[type];
-        if (sound) {
-            oscillator.frequency.setValueAtTime(sound.frequency, this.audioContext.currentTime);
-            gainNode.gain.setValueAtTime(0.1, this.audioContext.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + sound.duration);
-            oscillator.start(this.audioContext.currentTime);
-            oscillator.stop(this.audioContext.currentTime + sound.duration);
-        }
-    }
-    
-    // Tool Upgrade System
-    getToolUpgradeCostForNext(toolType) {
-        const level = (this.toolLevels && this.toolLevels[toolType]) || 1;
-        const cfg = (this.toolUpgradeConfig && this.toolUpgradeConfig[toolType]) || { base: 100, growth: 2 };
-        const cost = Math.floor(cfg.base * Math.pow(cfg.growth, Math.max(0, level - 1)));
-        return Math.max(1, cost);
-    }
-
-    recomputeToolUpgradeCost(toolType) {
-        if (!this.toolUpgradeCosts) this.toolUpgradeCosts = {};
-        this.toolUpgradeCosts[toolType] = this.getToolUpgradeCostForNext(toolType);
-    }
+            if (isMaxed) {
+                button.textContent = 'Maxed';
+                button.disabled = true;
+                button.title = 'Fully upgraded';
+            } else {
+                button.textContent = affordable ? `Spend ${cost} token${cost === 1 ? '' : 's'}` : `Need ${cost} token${cost === 1 ? '' : 's'}`;
+                button.disabled = !affordable;
+                button.title = affordable ? 'Spend prestige tokens for this upgrade' : 'Rebirth to earn more tokens';
+                if (affordable) {
+                    button.addEventListener('click', () => this.purchasePrestigeUpgrade(upgrade.id));
+                }
+            }
 
-    recomputeAllToolUpgradeCosts() {
-        const tools = ['water', 'fertilizer', 'harvest', 'shovel'];
-        tools.forEach(t => this.recomputeToolUpgradeCost(t));
-        return this.toolUpgradeCosts;
-    }
+            actions.appendChild(button);
 
-    upgradeTool(toolType) {
-        const currentLevel = this.toolLevels[toolType];
-        
-        if (currentLevel >= 5) {
-            this.showMessage(`${toolType} tool is already at maximum level!`, 'error');
-            return;
-        }
-        
-        const upgradeCost = this.getToolUpgradeCostForNext(toolType);
-        
-        // Check if player has enough money
-        if (this.money < upgradeCost) {
-            this.showMessage(`Not enough money! Need $${upgradeCost}`, 'error');
-            return;
-        }
-        
-        // Deduct money and upgrade tool
-        this.money -= upgradeCost;
-        this.toolLevels[toolType]++;
+            card.appendChild(header);
+            card.appendChild(body);
+            card.appendChild(actions);
 
-        // Compute cost for the next level from the unified model
-        this.recomputeToolUpgradeCost(toolType);
-        
-        // Add resource bonuses for water and fertilizer tools
-        if (toolType === 'water') {
-            this.water += 10;
-        } else if (toolType === 'fertilizer') {
-            this.fertilizer += 5;
-        } else if (toolType === 'harvest') {
-            // Increase harvest bonus by 10% per level
-            this.harvestBonus += 0.1;
-        }
+            fragment.appendChild(card);
+        });
 
-        const newLevel = this.toolLevels[toolType];
-        let upgradeMessage = `${toolType} tool upgraded to level ${newLevel}!`;
-        if (toolType === 'shovel') {
-            const refundPercent = Math.round(this.getShovelRefundRate() * 100);
-            upgradeMessage += ` Salvage refunds now ${refundPercent}%.`;
-        }
+        listElement.appendChild(fragment);
 
-        this.showMessage(upgradeMessage, 'success');
-        this.playSound('achievement');
-        
-        // Add upgrade particle effect (show in center of screen)
-        const x = this.canvas.width / 2;
-        const y = this.canvas.height / 2;
-        this.addParticle(x, y, 'upgrade', toolType);
-        
-        this.updateToolDisplay();
-        this.updateUI();
+        this.updatePrestigePanelVisibility();
+        // Also refresh active bonuses summary on any UI rebuild
+        this.updateActiveBonusesDisplay();
         this.updateBonusesPopup();
-        this.saveGame();
-    }
-
-    getShovelRefundRate() {
-        const shovelLevel = (this.toolLevels && this.toolLevels.shovel) || 1;
-        const ratePerLevel = 0.1;
-        const calculatedRate = shovelLevel * ratePerLevel;
-        return Math.min(calculatedRate, 0.5);
     }
 
-    calculateShovelRefund(cost) {
-        if (!cost) {
-            return 0;
-        }
-        const refundRate = this.getShovelRefundRate();
-        if (refundRate <= 0) {
-            return 0;
-        }
-        return Math.max(1, Math.round(cost * refundRate));
-    }
 
-    grantShovelRefund(cost, row, col) {
-        const refundAmount = this.calculateShovelRefund(cost);
-        if (refundAmount <= 0) {
-            return 0;
-        }
-        this.money += refundAmount;
-        const x = (col * this.cellSize) + (this.cellSize / 2);
-        const y = (row * this.cellSize) + (this.cellSize / 2);
-        this.addParticle(x, y, 'money', refundAmount);
-        this.playSound('money');
-        return refundAmount;
-    }
-    
-    updateToolDisplay() {
-        // Update tool level displays
-        Object.keys(this.toolLevels).forEach(tool => {
-            const levelElement = document.querySelector(`#${tool}-btn .tool-level`);
-            if (levelElement) {
-                levelElement.textContent = `Lv.${this.toolLevels[tool]}`;
-            }
-        });
-        
-        // Update upgrade button costs and states
-        Object.keys(this.toolUpgradeCosts).forEach(tool => {
-            const upgradeBtn = document.getElementById(`upgrade-${tool}-btn`);
-            if (upgradeBtn) {
-                const costElement = upgradeBtn.querySelector('.upgrade-cost');
-                if (costElement) {
-                    if (this.toolLevels[tool] >= 5) {
-                        costElement.textContent = 'MAX';
-                        upgradeBtn.disabled = true;
-                    } else {
-                        costElement.textContent = `$${this.toolUpgradeCosts[tool]}`;
-                        upgradeBtn.disabled = false;
-                    }
-                }
-            }
-        });
-    }
-    
-    // Sprinkler System
-    buySprinkler(sprinklerType) {
-        const sprinklerData = this.sprinklerTypes[sprinklerType];
-        
-        console.log(`[${new Date().toLocaleTimeString()}] Attempting to buy ${sprinklerType} sprinkler. Current money: $${this.money}, Cost: $${sprinklerData.price}`);
-        console.log(`[${new Date().toLocaleTimeString()}] Current sprinkler inventory:`, this.sprinklerInventory);
-        
-        // Validate sprinkler type exists
-        if (!sprinklerData) {
-            console.error(`Invalid sprinkler type: ${sprinklerType}`);
-            this.showMessage('Invalid sprinkler type!', 'error');
-            return;
-        }
-        
-        // Validate money is sufficient
-        if (this.money < sprinklerData.price) {
-            console.log(`[${new Date().toLocaleTimeString()}] Not enough money to buy ${sprinklerType} sprinkler. Have: $${this.money}, Need: $${sprinklerData.price}`);
-            this.showMessage('Not enough money!', 'error');
-            return;
-        }
+    loadGame(slot) {
+        console.log(`Loading game for slot ${slot}`);
         
-        // Validate money is not negative
-        if (this.money < 0) {
-            console.error(`[${new Date().toLocaleTimeString()}] Money is negative: $${this.money}, setting to 0`);
-            this.money = 0;
-            this.showMessage('Money error detected and fixed!', 'error');
+        // Validate slot number
+        if (slot < 1 || slot > 3) {
+            console.error(`Invalid slot number: ${slot}`);
             return;
         }
         
-        // Store the old values for comparison
-        const oldMoney = this.money;
-        const oldInventory = { ...this.sprinklerInventory };
-        
-        // Perform the purchase
-        this.money -= sprinklerData.price;
-        this.sprinklerInventory[sprinklerType]++;
-        
-        console.log(`[${new Date().toLocaleTimeString()}] Successfully bought ${sprinklerType} sprinkler. Money: $${oldMoney} -> $${this.money}, Inventory: ${oldInventory[sprinklerType]} -> ${this.sprinklerInventory[sprinklerType]}`);
-        
-        // Update UI immediately
-        this.showMessage(`Bought ${sprinklerType} sprinkler!`, 'success');
-        this.playSound('money');
-        this.updateSprinklerDisplay();
-        this.updateUI();
+        // CRITICAL: Stop background processing immediately to prevent interference
+        this.stopBackgroundProcessing();
         
-        // Force immediate save with protection
-        this.saveGameWithProtection();
+        // CRITICAL: Clear all background games to prevent any interference
+        this.backgroundGames.clear();
         
-        // Verify the save was successful
-        setTimeout(() => {
-            const savedData = localStorage.getItem(`gardenGameSave_${this.saveSlot}`);
-            if (savedData) {
-                try {
-                    const parsed = JSON.parse(savedData);
-                    if (parsed.money !== this.money || parsed.sprinklerInventory[sprinklerType] !== this.sprinklerInventory[sprinklerType]) {
-                        console.error(`[${new Date().toLocaleTimeString()}] Save verification failed! Expected money: $${this.money}, saved: $${parsed.money}`);
-                        console.error(`[${new Date().toLocaleTimeString()}] Expected ${sprinklerType} inventory: ${this.sprinklerInventory[sprinklerType]}, saved: ${parsed.sprinklerInventory[sprinklerType]}`);
-                        // Force a re-save
-                        this.saveGameWithProtection();
-                    } else {
-                        console.log(`[${new Date().toLocaleTimeString()}] Save verification successful for ${sprinklerType} purchase`);
-                    }
-                } catch (error) {
-                    console.error(`[${new Date().toLocaleTimeString()}] Error verifying save:`, error);
-                }
+        if (this.currentGame) {
+            console.log(`Stopping current game instance for slot ${this.currentGame.saveSlot}`);
+            // Properly stop the old game instance
+            this.currentGame.isRunning = false;
+            this.currentGame.stopGame();
+            
+            // Clear any admin change timestamps from the old slot to prevent interference
+            if (this.currentGame.saveSlot) {
+                saveStore.removeMeta(this.currentGame.saveSlot, 'adminChange');
             }
-        }, 100);
-    }
-    
-    buyWater() {
-        const waterCost = this.getWaterPurchasePrice();
-        if (this.money >= waterCost) {
-            this.money -= waterCost;
-            this.water += 1;
-            this.updateUI();
-            this.showMessage(`💧 Water purchased for $${waterCost}! You can now water your plants.`, 'success');
-            this.playSound('success');
-            this.saveGame();
-        } else {
-            this.showMessage(`Not enough money to buy water! Cost: $${waterCost}`, 'error');
-            this.playSound('error');
-        }
-    }
-    
-    buyFertilizer() {
-        const fertilizerCost = this.getFertilizerPurchasePrice();
-        if (this.money >= fertilizerCost) {
-            this.money -= fertilizerCost;
-            this.fertilizer += 1;
-            this.updateUI();
-            this.showMessage(`🌱 Fertilizer purchased for $${fertilizerCost}! You can now fertilize your plants.`, 'success');
-            this.playSound('success');
-            this.saveGame();
-        } else {
-            this.showMessage(`Not enough money to buy fertilizer! Cost: $${fertilizerCost}`, 'error');
-            this.playSound('error');
-        }
-    }
-    
-    placeSprinkler(row, col) {
-        console.log(`[${new Date().toLocaleTimeString()}] Attempting to place sprinkler at (${row}, ${col})`);
-        console.log(`[${new Date().toLocaleTimeString()}] Selected sprinkler: ${this.selectedSprinkler}`);
-        console.log(`[${new Date().toLocaleTimeString()}] Current sprinkler inventory:`, this.sprinklerInventory);
-        
-        // Validate selected sprinkler
-        if (!this.selectedSprinkler) {
-            console.error(`[${new Date().toLocaleTimeString()}] No sprinkler selected`);
-            this.showMessage('No sprinkler selected!', 'error');
-            return;
-        }
-        
-        // Validate sprinkler type exists
-        if (!this.sprinklerTypes[this.selectedSprinkler]) {
-            console.error(`[${new Date().toLocaleTimeString()}] Invalid sprinkler type: ${this.selectedSprinkler}`);
-            this.showMessage('Invalid sprinkler type!', 'error');
-            return;
-        }
-        
-        // Validate inventory
-        if (!this.sprinklerInventory[this.selectedSprinkler] || this.sprinklerInventory[this.selectedSprinkler] <= 0) {
-            console.error(`[${new Date().toLocaleTimeString()}] No ${this.selectedSprinkler} sprinklers available. Inventory: ${this.sprinklerInventory[this.selectedSprinkler]}`);
-            this.showMessage('No sprinklers available!', 'error');
-            return;
+            
+            // CRITICAL: Force garbage collection by clearing all references
+            this.currentGame.garden = null;
+            this.currentGame.shopInventory = null;
+            this.currentGame.sprinklerInventory = null;
+            this.currentGame.sprinklers = null;
+            this.currentGame.achievementStats = null;
+            
+            // Clear the old game instance completely
+            this.currentGame = null;
         }
         
-        // Validate coordinates
-        if (row < 0 || row >= this.gridSize || col < 0 || col >= this.gridSize) {
-            console.error(`[${new Date().toLocaleTimeString()}] Invalid coordinates: (${row}, ${col})`);
-            this.showMessage('Invalid placement location!', 'error');
-            return;
-        }
+        // CRITICAL: Clear any existing event listeners to prevent duplicates
+        const menuBtn = document.getElementById('menuBtn');
+        const saveBtn = document.getElementById('saveBtn');
         
-        // Check if there's already a plant at this location
-        const cell = this.garden[row][col];
-        if (cell.plant) {
-            console.log(`[${new Date().toLocaleTimeString()}] Cannot place sprinkler on plant at (${row}, ${col})`);
-            this.showMessage('Cannot place sprinkler on a plant!', 'error');
-            return;
+        // Remove existing event listeners by cloning and replacing elements
+        if (menuBtn) {
+            const newMenuBtn = menuBtn.cloneNode(true);
+            menuBtn.parentNode.replaceChild(newMenuBtn, menuBtn);
         }
-        
-        // Check if there's already a sprinkler at this location
-        const existingSprinkler = this.sprinklers.find(s => s.row === row && s.col === col);
-        if (existingSprinkler) {
-            console.log(`[${new Date().toLocaleTimeString()}] Cannot place sprinkler on existing sprinkler at (${row}, ${col})`);
-            this.showMessage('Cannot place sprinkler on another sprinkler!', 'error');
-            return;
+        if (saveBtn) {
+            const newSaveBtn = saveBtn.cloneNode(true);
+            saveBtn.parentNode.replaceChild(newSaveBtn, saveBtn);
         }
         
-        // Store old values for comparison
-        const oldInventory = this.sprinklerInventory[this.selectedSprinkler];
-        const oldSprinklerCount = this.sprinklers.length;
-        
-        console.log(`[${new Date().toLocaleTimeString()}] Placing ${this.selectedSprinkler} sprinkler at (${row}, ${col}). Inventory before: ${oldInventory}`);
-        
-        // Place the sprinkler
-        const sprinklerData = this.sprinklerTypes[this.selectedSprinkler];
-        const now = Date.now();
-        const newSprinkler = {
-            type: this.selectedSprinkler,
-            row: row,
-            col: col,
-            placedAt: now,
-            expiresAt: now + sprinklerData.duration
-        };
-        
-        this.sprinklers.push(newSprinkler);
-        this.sprinklerInventory[this.selectedSprinkler]--;
-        
-        console.log(`[${new Date().toLocaleTimeString()}] Successfully placed sprinkler. Inventory after: ${this.sprinklerInventory[this.selectedSprinkler]}, Total sprinklers: ${this.sprinklers.length}`);
-        
-        // Update UI
-        this.showMessage(`${this.selectedSprinkler} sprinkler placed!`, 'success');
-        this.playSound('plant');
-        
-        // Add sprinkler particle effect
-        const x = (col * this.cellSize) + (this.cellSize / 2);
-        const y = (row * this.cellSize) + (this.cellSize / 2);
-        this.addParticle(x, y, 'sprinkler', '');
-    // Gentle soft burst
-    this.spawnGentleBurst(x, y, 'sprinkler', 12);
-        
-        this.updateSprinklerDisplay();
-        
-        // Force immediate save with protection
-        this.saveGameWithProtection();
+        // Hide menu and show game
+        document.getElementById('mainMenu').style.display = 'none';
+        document.getElementById('gameContainer').style.display = 'block';
         
-        // Verify the save was successful
-        setTimeout(() => {
-            const savedData = localStorage.getItem(`gardenGameSave_${this.saveSlot}`);
-            if (savedData) {
-                try {
-                    const parsed = JSON.parse(savedData);
-                    if (parsed.sprinklerInventory[this.selectedSprinkler] !== this.sprinklerInventory[this.selectedSprinkler] || 
-                        parsed.sprinklers.length !== this.sprinklers.length) {
-                        console.error(`[${new Date().toLocaleTimeString()}] Save verification failed for sprinkler placement!`);
-                        console.error(`Expected ${this.selectedSprinkler} inventory: ${this.sprinklerInventory[this.selectedSprinkler]}, saved: ${parsed.sprinklerInventory[this.selectedSprinkler]}`);
-                        console.error(`Expected sprinkler count: ${this.sprinklers.length}, saved: ${parsed.sprinklers.length}`);
-                        // Force a re-save
-                        this.saveGameWithProtection();
-                    } else {
-                        console.log(`[${new Date().toLocaleTimeString()}] Save verification successful for sprinkler placement`);
-                    }
-                } catch (error) {
-                    console.error(`[${new Date().toLocaleTimeString()}] Error verifying save:`, error);
-                }
+        // CRITICAL: Clear any existing notifications from previous slots
+        const existingMessages = document.querySelectorAll('[style*="position: fixed"][style*="top: 20px"][style*="right: 20px"]');
+        existingMessages.forEach(msg => {
+            if (msg.parentNode) {
+                msg.parentNode.removeChild(msg);
             }
-        }, 100);
-    }
-    
-    removeSprinkler(row, col) {
-        const sprinklerIndex = this.sprinklers.findIndex(s => s.row === row && s.col === col);
-        if (sprinklerIndex !== -1) {
-            const sprinkler = this.sprinklers[sprinklerIndex];
-            this.sprinklerInventory[sprinkler.type]++;
-            this.sprinklers.splice(sprinklerIndex, 1);
-            this.showMessage(`${sprinkler.type} sprinkler removed!`, 'info');
-            // Gentle soft burst for remove
-            const x = (col * this.cellSize) + (this.cellSize / 2);
-            const y = (row * this.cellSize) + (this.cellSize / 2);
-            this.spawnGentleBurst(x, y, 'remove', 10);
-            this.updateSprinklerDisplay();
-            this.saveGame();
-        }
-    }
-    
-    placeDecoration(row, col) {
-        console.log(`Attempting to place decoration at (${row}, ${col})`);
-        console.log(`Selected decoration: ${this.selectedDecoration}`);
-        
-        // Validate selected decoration
-        if (!this.selectedDecoration) {
-            console.error('No decoration selected');
-            this.showMessage('No decoration selected!', 'error');
-            return;
-        }
-        
-        // Validate decoration type exists
-        if (!this.decorations[this.selectedDecoration]) {
-            console.error(`Invalid decoration type: ${this.selectedDecoration}`);
-            this.showMessage('Invalid decoration type!', 'error');
-            return;
-        }
-        
-        // Validate coordinates
-        if (row < 0 || row >= this.gridSize || col < 0 || col >= this.gridSize) {
-            console.error(`Invalid coordinates: (${row}, ${col})`);
-            this.showMessage('Invalid placement location!', 'error');
-            return;
-        }
-        
-        // Check if there's already something at this location
-        const cell = this.garden[row][col];
-        if (cell.plant || cell.sprinkler || cell.decoration) {
-            console.log(`Cannot place decoration at (${row}, ${col}) - space occupied`);
-            this.showMessage('Cannot place decoration here - space occupied!', 'error');
-            return;
-        }
-        
-        // Check if player has enough money
-        const decorationData = this.decorations[this.selectedDecoration];
-        if (this.money < decorationData.cost) {
-            console.log(`Not enough money for ${this.selectedDecoration}. Need: ${decorationData.cost}, Have: ${this.money}`);
-            this.showMessage(`Not enough money! Need $${decorationData.cost}`, 'error');
-            return;
-        }
-        
-        // Check seasonal restrictions
-        if (decorationData.season && decorationData.season !== this.currentSeason && decorationData.season !== 'all') {
-            console.log(`Cannot place ${this.selectedDecoration} in ${this.currentSeason} season`);
-            this.showMessage(`This decoration is only available in ${decorationData.season}!`, 'error');
-            return;
-        }
-        
-        console.log(`Placing ${this.selectedDecoration} at (${row}, ${col})`);
-        
-        // Place the decoration
-        this.garden[row][col].decoration = {
-            type: this.selectedDecoration,
-            placedAt: Date.now(),
-            active: true
-        };
-        
-        // Deduct money
-        this.money -= decorationData.cost;
-        
-        // Apply decoration bonuses to nearby plants
-        this.applyDecorationBonuses(row, col);
-        
-        // Update UI
-        this.showMessage(`${decorationData.name} placed!`, 'success');
-        this.playSound('plant');
-        
-        // Add decoration particle effect
-        const x = (col * this.cellSize) + (this.cellSize / 2);
-        const y = (row * this.cellSize) + (this.cellSize / 2);
-        this.addParticle(x, y, 'decoration', decorationData.icon);
-    // Gentle soft burst
-    this.spawnGentleBurst(x, y, 'decoration', 12);
-        
-        this.updateUI();
-        this.updateActiveBonusesDisplay();
-        this.updateBonusesPopup();
-        this.saveGame();
-    }
-    
-    removeDecoration(row, col) {
-        const cell = this.garden[row][col];
-        if (cell.decoration) {
-            const placedDecoration = cell.decoration;
-            const decorationData = this.decorations[placedDecoration.type];
-
-            // Remove decoration bonuses before clearing cell state
-            this.removeDecorationBonuses(row, col, placedDecoration);
-
-            const refundAmount = this.grantShovelRefund(decorationData.cost, row, col);
-            const refundRatePercent = Math.round(this.getShovelRefundRate() * 100);
-            const refundText = refundAmount > 0 ? ` Returned ${refundRatePercent}% ($${refundAmount}).` : '';
-
-            this.garden[row][col].decoration = null;
-
-            this.showMessage(`${decorationData.name} removed!${refundText}`, refundAmount > 0 ? 'success' : 'info');
-            // Gentle soft burst for remove
-            const x = (col * this.cellSize) + (this.cellSize / 2);
-            const y = (row * this.cellSize) + (this.cellSize / 2);
-            this.spawnGentleBurst(x, y, 'remove', 10);
-            this.updateActiveBonusesDisplay();
-            this.updateBonusesPopup();
-            this.updateUI();
-            this.saveGame();
-        }
-    }
-    
-    applyDecorationBonuses(row, col) {
-        const decoration = this.garden[row][col].decoration;
-        if (!decoration) return;
+        });
         
-        const decorationData = this.decorations[decoration.type];
-        if (!decorationData || decorationData.bonus === 'none') return;
+        // CRITICAL: Clear any existing UI state to prevent bleeding
+        this.clearUIState();
         
-        const range = decorationData.range ?? 1;
-
-        if (decorationData.scope === 'global') {
-            for (let y = 0; y < this.gridSize; y++) {
-                for (let x = 0; x < this.gridSize; x++) {
-                    if (this.garden[y][x].plant) {
-                        this.applyPlantBonus(y, x, decorationData.bonus);
-                    }
-                }
-            }
-            return;
-        }
-
-        // Apply to local area around the decoration
-        for (let y = Math.max(0, row - range); y <= Math.min(this.gridSize - 1, row + range); y++) {
-            for (let x = Math.max(0, col - range); x <= Math.min(this.gridSize - 1, col + range); x++) {
-                if (this.garden[y][x].plant) {
-                    this.applyPlantBonus(y, x, decorationData.bonus);
-                }
+        // CRITICAL: Force a longer delay to ensure all cleanup is complete
+        setTimeout(() => {
+            // Create new game instance with the correct slot
+            console.log(`About to create GardenGame with slot: ${slot}`);
+            this.currentGame = new GardenGame(slot, { gardenName: initialName });
+            console.log(`Created new GardenGame instance for slot ${slot} with name "${this.currentGame.gardenName}"`);
+            
+            // Verify the game was created with the correct slot
+            if (this.currentGame.saveSlot !== slot) {
+                console.error(`Game created with wrong slot! Expected: ${slot}, Got: ${this.currentGame.saveSlot}`);
+                console.error(`This could cause the slot loading issue you're experiencing`);
+                // Force the correct slot and reload
+                this.currentGame.saveSlot = slot;
+                this.currentGame.loadGame(); // Reload with correct slot
+                console.log(`Forced saveSlot to ${slot} and reloaded`);
             }
-        }
-    }
-    
-    removeDecorationBonuses(row, col, decorationOverride = null) {
-        const decoration = decorationOverride || this.garden[row][col].decoration;
-        if (!decoration) return;
-        
-        const decorationData = this.decorations[decoration.type];
-        if (!decorationData || decorationData.bonus === 'none') return;
-        
-        const range = decorationData.range ?? 1;
-
-        if (decorationData.scope === 'global') {
-            for (let y = 0; y < this.gridSize; y++) {
-                for (let x = 0; x < this.gridSize; x++) {
-                    if (this.garden[y][x].plant) {
-                        this.removePlantBonus(y, x, decorationData.bonus);
-                    }
-                }
+            
+            console.log(`Current game slot is now: ${this.currentGame.saveSlot}`);
+            console.log(`Current game instance ID: ${this.currentGame.instanceId}`);
+            
+            // Add event listeners to the new elements
+            const newMenuBtn = document.getElementById('menuBtn');
+            const newSaveBtn = document.getElementById('saveBtn');
+            
+            if (newMenuBtn) {
+                newMenuBtn.addEventListener('click', () => {
+                    this.returnToMenu();
+                });
             }
-            return;
-        }
-
-        for (let y = Math.max(0, row - range); y <= Math.min(this.gridSize - 1, row + range); y++) {
-            for (let x = Math.max(0, col - range); x <= Math.min(this.gridSize - 1, col + range); x++) {
-                if (this.garden[y][x].plant) {
-                    this.removePlantBonus(y, x, decorationData.bonus);
-                }
+            
+            if (newSaveBtn) {
+                newSaveBtn.addEventListener('click', () => {
+                    this.currentGame.saveGame();
+                    this.currentGame.showMessage('Game saved manually!', 'success');
+                    this.updateSaveSlots();
+                });
             }
-        }
-    }
-    
-    applyPlantBonus(row, col, bonus) {
-        const plant = this.garden[row][col].plant;
-        if (!plant) return;
-        
-        // Initialize plant bonuses if they don't exist
-        if (!plant.bonuses) {
-            plant.bonuses = {};
-        }
-        
-        // Apply the specific bonus
-        if (bonus.includes('plant protection')) {
-            const protectionAmount = parseInt(bonus.match(/(\d+)%/)[1]);
-            plant.bonuses.protection = (plant.bonuses.protection || 0) + protectionAmount;
-            console.log(`Applied ${protectionAmount}% plant protection to plant at (${row}, ${col})`);
-        } else if (bonus.includes('growth')) {
-            const growthAmount = parseInt(bonus.match(/(\d+)%/)[1]);
-            plant.bonuses.growth = (plant.bonuses.growth || 0) + growthAmount;
-            console.log(`Applied ${growthAmount}% growth bonus to plant at (${row}, ${col})`);
-        } else if (bonus.includes('harvest value')) {
-            const harvestAmount = parseInt(bonus.match(/(\d+)%/)[1]);
-            plant.bonuses.harvestValue = (plant.bonuses.harvestValue || 0) + harvestAmount;
-            console.log(`Applied ${harvestAmount}% harvest value bonus to plant at (${row}, ${col})`);
-        } else if (bonus.includes('water efficiency')) {
-            const waterAmount = parseInt(bonus.match(/(\d+)%/)[1]);
-            plant.bonuses.waterEfficiency = (plant.bonuses.waterEfficiency || 0) + waterAmount;
-            console.log(`Applied ${waterAmount}% water efficiency bonus to plant at (${row}, ${col})`);
-        }
+            
+            // Force update the save slots display to reflect the current state
+            this.updateSaveSlots();
+            
+            // CRITICAL: Keep background processing disabled to prevent state bleeding
+            console.log(`Background processing remains disabled to prevent cross-slot interference`);
+        }, 200); // Increased delay to ensure cleanup is complete
     }
     
-    removePlantBonus(row, col, bonus) {
-        const plant = this.garden[row][col].plant;
-        if (!plant || !plant.bonuses) return;
-        
-        // Remove the specific bonus
-        if (bonus.includes('plant protection')) {
-            const protectionAmount = parseInt(bonus.match(/(\d+)%/)[1]);
-            plant.bonuses.protection = Math.max(0, (plant.bonuses.protection || 0) - protectionAmount);
-            console.log(`Removed ${protectionAmount}% plant protection from plant at (${row}, ${col})`);
-        } else if (bonus.includes('growth')) {
-            const growthAmount = parseInt(bonus.match(/(\d+)%/)[1]);
-            plant.bonuses.growth = Math.max(0, (plant.bonuses.growth || 0) - growthAmount);
-            console.log(`Removed ${growthAmount}% growth bonus from plant at (${row}, ${col})`);
-        } else if (bonus.includes('harvest value')) {
-            const harvestAmount = parseInt(bonus.match(/(\d+)%/)[1]);
-            plant.bonuses.harvestValue = Math.max(0, (plant.bonuses.harvestValue || 0) - harvestAmount);
-            console.log(`Removed ${harvestAmount}% harvest value bonus from plant at (${row}, ${col})`);
-        } else if (bonus.includes('water efficiency')) {
-            const waterAmount = parseInt(bonus.match(/(\d+)%/)[1]);
-            plant.bonuses.waterEfficiency = Math.max(0, (plant.bonuses.waterEfficiency || 0) - waterAmount);
-            console.log(`Removed ${waterAmount}% water efficiency bonus from plant at (${row}, ${col})`);
+    // Sound System
+    initializeSound() {
+        try {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        } catch (error) {
+            console.log('Audio not supported');
         }
     }
     
-    // Storm damage system
-    checkStormDamage() {
-        if (this.weather !== 'stormy') return;
+    playSound(type) {
+        if (!this.soundEnabled || !this.audioContext) return;
         
-        // Only check for storm damage every 30 seconds during stormy weather
-        const now = Date.now();
-        if (!this.lastStormDamageCheck) {
-            this.lastStormDamageCheck = now;
-        }
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
         
-        if (now - this.lastStormDamageCheck < 30000) return; // 30 seconds
-        this.lastStormDamageCheck = now;
+        oscillator.connect(gainNode);
+        gainNode.connect(this.audioContext.destination);
         
-        console.log(`Storm damage check triggered at ${new Date().toLocaleTimeString()}`);
+        const sounds = {
+            plant: { frequency: 440, duration: 0.1 },
+            harvest: { frequency: 880, duration: 0.2 },
+            water: { frequency: 330, duration: 0.15 },
+            fertilizer: { frequency: 550, duration: 0.15 },
+            money: { frequency: 660, duration: 0.1 },
+            error: { frequency: 220, duration: 0.3 },
+            achievement: { frequency: 1100, duration: 0.5 }
+        };
         
-        let damagedPlants = 0;
-        let protectedPlants = 0;
+        const sound = sounds[type];
+        if (sound) {
+            oscillator.frequency.setValueAtTime(sound.frequency, this.audioContext.currentTime);
+            gainNode.gain.setValueAtTime(0.1, this.audioContext.currentTime);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + sound.duration);
+            oscillator.start(this.audioContext.currentTime);
+            oscillator.stop(this.audioContext.currentTime + sound.duration);
+        }
+    }
+    
+    updateToolDisplay() {
+        // Update tool level displays
+        Object.keys(this.toolLevels).forEach(tool => {
+            const levelElement = document.querySelector(`#${tool}-btn .tool-level`);
+            if (levelElement) {
+                levelElement.textContent = `Lv.${this.toolLevels[tool]}`;
+            }
+        });
         
-        // Check all plants in the garden
-        for (let row = 0; row < this.gridSize; row++) {
-            for (let col = 0; col < this.gridSize; col++) {
-                const cell = this.garden[row][col];
-                if (cell.plant) {
-                    const protection = cell.plant.bonuses?.protection || 0;
-                    
-                    // 15% chance of storm damage per plant (reduced by protection)
-                    const damageChance = Math.max(0, 15 - protection);
-                    const random = Math.random() * 100;
-                    
-                    if (random < damageChance) {
-                        // Plant gets damaged
-                        console.log(`Storm damage check: Plant at (${row}, ${col}) hit! Random: ${random.toFixed(1)}, Damage chance: ${damageChance}%`);
-                        this.damagePlant(row, col);
-                        damagedPlants++;
-                    } else if (protection > 0 && random >= 15) {
-                        // Only count as protected if they would have been damaged without protection
-                        // (random >= 15 means they would have been damaged without protection)
-                        protectedPlants++;
+        // Update upgrade button costs and states
+        Object.keys(this.toolUpgradeCosts).forEach(tool => {
+            const upgradeBtn = document.getElementById(`upgrade-${tool}-btn`);
+            if (upgradeBtn) {
+                const costElement = upgradeBtn.querySelector('.upgrade-cost');
+                if (costElement) {
+                    if (this.toolLevels[tool] >= 5) {
+                        costElement.textContent = 'MAX';
+                        upgradeBtn.disabled = true;
+                    } else {
+                        costElement.textContent = `$${this.toolUpgradeCosts[tool]}`;
+                        upgradeBtn.disabled = false;
                     }
                 }
             }
-        }
-        
-        // Show feedback to player
-        if (damagedPlants > 0 || protectedPlants > 0) {
-            let message = '';
-            if (damagedPlants > 0) {
-                message += `⛈️ Storm damaged ${damagedPlants} unprotected plants!`;
-                this.addParticle('damage', this.canvas.width / 2, this.canvas.height / 2);
-            }
-            if (protectedPlants > 0) {
-                if (message) message += ' ';
-                message += `🛡️ ${protectedPlants} plants were protected by fences!`;
-            }
-            this.showMessage(message, damagedPlants > 0 ? 'warning' : 'info');
-        }
-    }
-    
-    damagePlant(row, col) {
-        const plant = this.garden[row][col].plant;
-        if (!plant) return;
-        
-        // Reduce plant growth stage by 1 (but not below seed stage)
-        const currentStage = plant.growthStage || 0;
-        if (currentStage > 0) {
-            plant.growthStage = currentStage - 1;
-            plant.recentlyDamaged = true; // Mark as recently damaged
-            
-            // Update isFullyGrown status
-            const maxStage = this.growthStages.length - 1;
-            plant.isFullyGrown = (plant.growthStage >= maxStage);
-            
-            console.log(`Plant at (${row}, ${col}) was damaged by storm, regressed to stage ${plant.growthStage}, isFullyGrown: ${plant.isFullyGrown}`);
-            
-            // Add visual feedback
-            this.addParticle('damage', 
-                col * this.cellSize + this.cellSize / 2, 
-                row * this.cellSize + this.cellSize / 2
-            );
-            
-            // Force a redraw to show the stage change immediately
-            this.draw();
-        }
+        });
     }
     
     updateSprinklerDisplay() {
@@ -9191,47 +7971,73 @@ class GardenGame {
     
     updateAchievementsDisplay() {
         const achievementsList = document.getElementById('achievements-list');
-        if (!achievementsList) return;
+        if (!achievementsList || !this.achievements) return;
         
         achievementsList.innerHTML = '';
-        
-        const achievementIcons = {
-            firstHarvest: '🌾',
-            moneyMaker: '💰',
-            plantMaster: '🌱',
-            waterWizard: '💧',
-            fertilizerFanatic: '🌿',
-            speedGrower: '⚡',
-            rareCollector: '⭐',
-            legendaryFarmer: '🌟'
-        };
-        
-        const achievementRequirements = {
-            firstHarvest: 'Harvest your first crop',
-            moneyMaker: 'Earn $100 total',
-            plantMaster: 'Plant 10 different crops',
-            waterWizard: 'Water 20 plants',
-            fertilizerFanatic: 'Use fertilizer 15 times',
-            speedGrower: 'Grow a crop in under 30 seconds',
-            rareCollector: 'Harvest 5 rare crops',
-            legendaryFarmer: 'Harvest 3 legendary crops'
-        };
+        const medals = ['🥉', '🥈', '🥇'];
+
+        // Earned badges can be worn beside the garden name
+        const badges = this.getEarnedBadges();
+        if (badges.length > 0) {
+            const badgeRow = document.createElement('div');
+            badgeRow.className = 'achievement-badges';
+            badgeRow.innerHTML = '<span class="achievement-badges__label">Badge:</span>';
+            [null, ...badges].forEach(badge => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = `achievement-badge${badge === this.activeBadge ? ' is-active' : ''}`;
+                button.textContent = badge || 'None';
+                button.title = badge ? `Wear the ${badge} badge` : 'Wear no badge';
+                button.setAttribute('aria-pressed', badge === this.activeBadge ? 'true' : 'false');
+                button.addEventListener('click', () => {
+                    this.setActiveBadge(badge);
+                    this.updateAchievementsDisplay();
+                });
+                badgeRow.appendChild(button);
+            });
+            achievementsList.appendChild(badgeRow);
+        }
         
         Object.keys(this.achievements).forEach(achievementId => {
-            const achievement = this.achievements[achievementId];
-            const icon = achievementIcons[achievementId] || '🏆';
-            const requirement = achievementRequirements[achievementId] || achievement.description;
+            if (!this.achievementTypes[achievementId]) return;
+            const progress = this.getAchievementProgress(achievementId);
+            const { type } = progress;
             
             const achievementElement = document.createElement('div');
-            achievementElement.className = `achievement-item ${achievement.unlocked ? 'unlocked' : 'locked'}`;
+            achievementElement.className = `achievement-item ${progress.tier > 0 ? 'unlocked' : 'locked'}${progress.hidden ? ' hidden-achievement' : ''}${progress.complete ? ' complete' : ''}`;
+            
+            if (progress.hidden) {
+                achievementElement.innerHTML = `
+                    <div class="achievement-icon">❔</div>
+                    <div class="achievement-info">
+                        <div class="achievement-name">???</div>
+                        <div class="achievement-description">Hidden achievement. Keep playing to discover it.</div>
+                    </div>
+                    <div class="achievement-status">HIDDEN</div>
+                `;
+                achievementsList.appendChild(achievementElement);
+                return;
+            }
+
+            const earnedMedals = medals.slice(0, progress.tier).join('');
+            const requirement = progress.complete
+                ? `${this.describeAchievementGoal(achievementId, progress.tier)}. All tiers complete!`
+                : `${this.describeAchievementGoal(achievementId, progress.tier)} · Reward: ${this.describeAchievementReward(progress.next.reward)}`;
+            const progressText = progress.complete
+                ? progress.value.toLocaleString()
+                : `${Math.min(progress.value, progress.next.threshold).toLocaleString()} / ${progress.next.threshold.toLocaleString()}`;
             
             achievementElement.innerHTML = `
-                <div class="achievement-icon">${icon}</div>
+                <div class="achievement-icon">${type.icon}</div>
                 <div class="achievement-info">
-                    <div class="achievement-name">${achievement.name}</div>
+                    <div class="achievement-name">${type.name} <span class="achievement-medals">${earnedMedals}</span></div>
                     <div class="achievement-description">${requirement}</div>
+                    <div class="achievement-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${progress.percent}">
+                        <div class="achievement-progress__fill" style="width: ${progress.percent}%"></div>
+                    </div>
+                    <div class="achievement-progress__text">${progressText}</div>
                 </div>
-                <div class="achievement-status">${achievement.unlocked ? 'UNLOCKED' : 'LOCKED'}</div>
+                <div class="achievement-status">${progress.tier > 0 ? this.getAchievementTierName(progress.tier).toUpperCase() : 'LOCKED'}</div>
             `;
             
             achievementsList.appendChild(achievementElement);
@@ -9239,35 +8045,6 @@ class GardenGame {
     }
 
     // ===== ACTIVE BONUSES DISPLAY =====
-    computeGlobalBonusesSummary() {
-        const totals = { growth: 0, harvest: 0, water: 0, protection: 0 };
-        const items = {};
-        for (let r = 0; r < this.gridSize; r++) {
-            for (let c = 0; c < this.gridSize; c++) {
-                const deco = this.garden?.[r]?.[c]?.decoration;
-                if (!deco) continue;
-                const data = this.decorations?.[deco.type];
-                if (!data || data.bonus === 'none') continue;
-                if (data.scope !== 'global') continue;
-
-                // Track items count by type
-                if (!items[deco.type]) {
-                    items[deco.type] = { name: data.name || deco.type, icon: data.icon || '🌸', count: 0, bonus: data.bonus };
-                }
-                items[deco.type].count += 1;
-
-                // Parse percent from bonus string
-                const match = String(data.bonus).match(/(\d+)%/);
-                const pct = match ? parseInt(match[1], 10) : 0;
-                if (/harvest value/i.test(data.bonus)) totals.harvest += pct;
-                else if (/water efficiency/i.test(data.bonus)) totals.water += pct;
-                else if (/protection/i.test(data.bonus)) totals.protection += pct;
-                else if (/growth/i.test(data.bonus)) totals.growth += pct;
-            }
-        }
-        return { totals, items };
-    }
-
     updateActiveBonusesDisplay() {
         const list = document.getElementById('activeBonusesList');
         if (!list) return;
@@ -9302,125 +8079,30 @@ class GardenGame {
         list.innerHTML = entries.filter(Boolean).join('');
     }
     
-    // Weather System
-    updateWeather() {
-        const oldWeather = this.weather;
-        this.updateWeatherSilent();
-        
-        // Show weather change message if weather actually changed
-        if (oldWeather !== this.weather) {
-            const weatherName = this.weatherEffects[this.weather].name;
-            this.showMessage(`🌤️ Weather changed to ${weatherName}!`, 'info');
-            
-            // Special warning for stormy weather
-            if (this.weather === 'stormy') {
-                this.showMessage(`⛈️ Stormy weather can damage unprotected plants!`, 'warning');
-            }
-        }
-    }
-    
-    updateWeatherSilent() {
-        const now = Date.now();
-        if (now - this.lastWeatherChange >= this.weatherChangeInterval) {
-            const weatherTypes = Object.keys(this.weatherEffects);
-            const currentIndex = weatherTypes.indexOf(this.weather);
-            const nextIndex = (currentIndex + 1) % weatherTypes.length;
-            this.weather = weatherTypes[nextIndex];
-            this.lastWeatherChange = now;
-            
-            // Don't show weather change message in silent mode
-            // this.showMessage(`Weather changed to ${this.weatherEffects[this.weather].name}!`, 'info');
-            // this.updateUI();
-        }
-    }
-    
     // Auto-save System
     checkAutoSave() {
         this.checkAutoSaveSilent();
     }
     
     checkAutoSaveSilent() {
-        const now = Date.now();
+        const now = this.now();
         if (now - this.lastAutoSave >= this.autoSaveInterval) {
             this.saveGame();
             this.lastAutoSave = now;
         }
     }
     
-    // Achievement System
-    checkAchievements() {
-        this.checkAchievementsSilent();
-    }
-    
-    checkAchievementsSilent() {
-        // First Harvest
-        if (this.achievementStats.totalHarvests >= 1) {
-            this.unlockAchievement('firstHarvest');
-        }
-        
-        // Money Maker
-        if (this.achievementStats.totalMoney >= 100) {
-            this.unlockAchievement('moneyMaker');
-        }
-        
-        // Water Wizard
-        if (this.achievementStats.plantsWatered >= 20) {
-            this.unlockAchievement('waterWizard');
-        }
-        
-        // Plant Master
-        if (this.achievementStats.differentPlantsPlanted.size >= 10) {
-            this.unlockAchievement('plantMaster');
-        }
-        
-        // Fertilizer Fanatic
-        if (this.achievementStats.plantsFertilized >= 15) {
-            this.unlockAchievement('fertilizerFanatic');
-        }
-        
-        // Rare Collector
-        if (this.achievementStats.rareHarvests >= 5) {
-            this.unlockAchievement('rareCollector');
-        }
-        
-        // Legendary Farmer
-        if (this.achievementStats.legendaryHarvests >= 3) {
-            this.unlockAchievement('legendaryFarmer');
-        }
-        
-        // Speed Grower achievement is handled when a plant becomes fully grown within time limit
-    }
-    
-    unlockAchievement(achievementId) {
-        // Guard against invalid ids
-        if (!this.achievements || !this.achievements[achievementId]) return;
-        // If already unlocked, do nothing
-        if (this.achievements[achievementId].unlocked) return;
-        
-        this.unlockAchievementSilent(achievementId);
-        this.showMessage(`Achievement Unlocked: ${this.achievements[achievementId].name}!`, 'success');
-        this.playSound('achievement');
-        this.updateAchievementsDisplay();
-        this.updateUI();
-        // Persist immediately so unlock survives reloads
-        this.saveGame();
-    }
-    
-    unlockAchievementSilent(achievementId) {
-        this.achievements[achievementId].unlocked = true;
-    }
-    
     // Admin Panel
     initializeAdminPanel() {
         window.admin = {
             setRestockTime: (minutes) => {
                 this.restockInterval = minutes * 60000;
-                this.lastRestockTime = Date.now();
+                this.lastRestockTime = this.now();
                 console.log(`Restock time set to ${minutes} minutes`);
             },
             restockNow: () => {
                 this.restockShop();
-                this.lastRestockTime = Date.now();
+                this.lastRestockTime = this.now();
                 console.log('Shop restocked manually');
             },
             setStock: (seedType, amount) => {
@@ -9544,6 +8226,8 @@ class GardenGame {
                 console.log('🌤️ WEATHER & ENVIRONMENT:');
                 console.log('  admin.setWeather(weatherType) - Set weather (sunny/rainy/cloudy/stormy)');
                 console.log('  admin.setWeatherTime(minutes) - Set weather change interval');
+                console.log('  admin.getSeed() - Show the garden\'s random seed and position');
+                console.log('  admin.setSeed(seed, state) - Replay events from a seed (state optional)');
                 console.log('');
                 console.log('💧 SPRINKLER SYSTEM:');
                 console.log('  admin.addSprinkler(type, amount) - Add sprinklers (basic/advanced/premium/legendary)');
@@ -9675,23 +8359,25 @@ class GardenGame {
             showAchievements: () => {
                 console.log('🏆 Achievements:');
                 Object.keys(this.achievements).forEach(id => {
-                    const achievement = this.achievements[id];
-                    const status = achievement.unlocked ? '✅ UNLOCKED' : '🔒 LOCKED';
-                    console.log(`  ${achievement.name}: ${status} - ${achievement.description}`);
+                    const progress = this.getAchievementProgress(id);
+                    const status = progress.tier > 0 ? `✅ ${this.getAchievementTierName(progress.tier).toUpperCase()}` : '🔒 LOCKED';
+                    const goal = progress.complete ? 'all tiers complete' : this.describeAchievementGoal(id, progress.tier);
+                    console.log(`  ${progress.type.name}: ${status} - ${goal} (${progress.value.toLocaleString()})`);
                 });
             },
             unlockAchievement: (achievementId) => {
                 if (this.achievements[achievementId]) {
-                    if (!this.achievements[achievementId].unlocked) {
+                    const type = this.achievementTypes[achievementId];
+                    if (this.achievements[achievementId].tier < type.tiers.length) {
                         this.unlockAchievement(achievementId);
-                        console.log(`✅ Achievement "${this.achievements[achievementId].name}" unlocked!`);
+                        console.log(`✅ Achievement "${type.name}" reached ${this.getAchievementTierName(this.achievements[achievementId].tier)}!`);
                     } else {
-                        console.log(`ℹ️ Achievement "${this.achievements[achievementId].name}" is already unlocked`);
+                        console.log(`ℹ️ Achievement "${type.name}" is already at Gold`);
                     }
                 } else {
                     console.log('❌ Available achievements:');
                     Object.keys(this.achievements).forEach(id => {
-                        console.log(`  ${id}: ${this.achievements[id].name}`);
+                        console.log(`  ${id}: ${this.achievementTypes[id].name}`);
                     });
                 }
             },
@@ -9707,9 +8393,24 @@ class GardenGame {
             },
             setWeatherTime: (minutes) => {
                 this.weatherChangeInterval = minutes * 60000;
-                this.lastWeatherChange = Date.now();
+                this.lastWeatherChange = this.now();
                 console.log(`🌤️ Weather change interval set to ${minutes} minutes`);
             },
+            getSeed: () => {
+                console.log(`🎲 Random seed: ${this.rngSeed} (state ${this.rngState})`);
+                return { seed: this.rngSeed, state: this.rngState };
+            },
+            setSeed: (seed, state) => {
+                const numericSeed = Number(seed);
+                if (!Number.isFinite(numericSeed)) {
+                    console.log('❌ Seed must be a number');
+                    return;
+                }
+                this.seedRandom(numericSeed);
+                if (Number.isFinite(Number(state))) this.rngState = Number(state) >>> 0;
+                this.saveGame();
+                console.log(`🎲 Random seed set to ${this.rngSeed} (state ${this.rngState})`);
+            },
             addSprinkler: (type, amount) => {
                 if (this.sprinklerTypes[type]) {
                     this.sprinklerInventory[type] += amount;
@@ -9743,168 +8444,85 @@ class GardenGame {
         };
     }
     
+    initializeFreshGame() {
+        // CRITICAL: Clear any existing save data for this slot from the save store
+        // (never from a read-only view, or over a save that could not be loaded)
+        if (!this.readOnly && !this.saveUnreadable) {
+            saveStore.remove(this.saveSlot);
+            console.log(`Cleared existing save data for slot ${this.saveSlot} from the save store`);
+        }
+
+        super.initializeFreshGame();
+
+        // Update UI
+        if (this.canvas) {
+            this.updateUI();
+            this.updateShopDisplay();
+            this.updateToolDisplay();
+            this.updateSprinklerDisplay();
+            this.updateAchievementsDisplay();
+            this.updateEventLogDisplay();
+            this.updateChallengesDisplay();
+            this.updateAlmanacDisplay();
+            this.updateMarketDisplay();
+            this.updateKitchenDisplay();
+            this.updateOrdersDisplay();
+            this.updateSeasonDisplay();
+        }
+    }
+
     loadGame() {
         console.log(`GardenGame.loadGame() called for slot ${this.saveSlot}`);
         
-        const saveKey = `gardenGameSave_${this.saveSlot}`;
-        const saveData = localStorage.getItem(saveKey);
+        const saveData = saveStore.load(this.saveSlot);
         
         if (saveData) {
+            let data;
             try {
-                const data = JSON.parse(saveData);
+                data = JSON.parse(saveData);
                 
                 // Validate that the save data belongs to this slot
                 if (data.saveSlot !== this.saveSlot) {
-                    console.error(`Save data mismatch! Expected slot ${this.saveSlot}, but data contains slot ${data.saveSlot}`);
-                    console.log(`Clearing corrupted save data and starting fresh`);
-                    localStorage.removeItem(saveKey);
-                    this.initializeFreshGame();
-                    return;
-                }
-                
-                // Load game state with deep copying to prevent shared references
-                this.money = Math.max(0, data.money || 100);
-                this.water = Math.max(0, data.water || 50);
-                this.fertilizer = Math.max(0, data.fertilizer || 20);
-                this.score = Math.max(0, data.score || 0);
-                
-                // Deep copy garden data to prevent cross-slot interference
-                if (data.garden) {
-                    this.garden = JSON.parse(JSON.stringify(data.garden));
-                }
-                
-                // Deep copy shop inventory to prevent cross-slot interference
-                if (data.shopInventory) {
-                    this.shopInventory = JSON.parse(JSON.stringify(data.shopInventory));
-                    // Validate shop inventory data
-                    Object.keys(this.shopInventory).forEach(seedType => {
-                        if (this.shopInventory[seedType].stock < 0) {
-                            this.shopInventory[seedType].stock = 0;
-                        }
-                    });
-                }
-                
-                this.lastRestockTime = data.lastRestockTime || Date.now();
-                if (data.restockInterval) this.restockInterval = data.restockInterval;
-                
-                // Load tool data
-                if (data.toolLevels) this.toolLevels = data.toolLevels;
-                // Ignore legacy saved upgrade costs; recompute from new model for balance
-                this.recomputeAllToolUpgradeCosts();
-                if (data.harvestBonus !== undefined) this.harvestBonus = data.harvestBonus;
-                
-                // Load weather data
-                if (data.weather) this.weather = data.weather;
-                
-                // Load achievements
-                if (data.achievements) this.achievements = data.achievements;
-                if (data.achievementStats) {
-                    this.achievementStats = data.achievementStats;
-                    if (Array.isArray(this.achievementStats.differentPlantsPlanted)) {
-                        this.achievementStats.differentPlantsPlanted = new Set(this.achievementStats.differentPlantsPlanted);
-                    } else if (!this.achievementStats.differentPlantsPlanted) {
-                        this.achievementStats.differentPlantsPlanted = new Set();
-                    }
-                }
-                
-                // Deep copy sprinkler inventory to prevent cross-slot interference
-                if (data.sprinklerInventory) {
-                    this.sprinklerInventory = JSON.parse(JSON.stringify(data.sprinklerInventory));
-                    // Validate sprinkler inventory data
-                    Object.keys(this.sprinklerInventory).forEach(type => {
-                        if (this.sprinklerInventory[type] < 0) {
-                            this.sprinklerInventory[type] = 0;
-                        }
-                    });
-                }
-                
-                // Deep copy sprinklers to prevent cross-slot interference
-                if (data.sprinklers) {
-                    this.sprinklers = JSON.parse(JSON.stringify(data.sprinklers));
-                    // Handle both old and new sprinkler formats
-                    this.sprinklers = this.sprinklers.map(sprinkler => {
-                        if (sprinkler.expiresAt) {
-                            return sprinkler; // Already has timer data
-                        } else {
-                            // Convert old format to new format with timer
-                            const sprinklerData = this.sprinklerTypes[sprinkler.type];
-                            const now = Date.now();
-                            return {
-                                ...sprinkler,
-                                placedAt: now,
-                                expiresAt: now + sprinklerData.duration
-                            };
-                        }
-                    });
+                    throw new Error(`Save data mismatch! Expected slot ${this.saveSlot}, but data contains slot ${data.saveSlot}`);
                 }
                 
-                if (data.soundEnabled !== undefined) this.soundEnabled = data.soundEnabled;
-                const savedRebirths = Number(data.rebirths);
-                this.rebirths = Number.isFinite(savedRebirths) && savedRebirths >= 0 ? savedRebirths : 0;
-
-                const savedTokens = Number(data.rebirthPoints);
-                this.rebirthPoints = Number.isFinite(savedTokens) && savedTokens >= 0 ? savedTokens : 0;
-
-                const savedBestScore = Number(data.bestRebirthScore);
-                this.bestRebirthScore = Number.isFinite(savedBestScore) && savedBestScore >= 0 ? savedBestScore : 0;
-
-                const savedRunStart = Number(data.currentRunStartTime);
-                this.currentRunStartTime = Number.isFinite(savedRunStart) && savedRunStart > 0 ? savedRunStart : Date.now();
-                this.rebirthNotificationShown = false;
-                this.prestigeUpgrades = this.normalizePrestigeUpgrades(data.prestigeUpgrades);
-                
+                this.applySaveData(data);
+                console.log(`Successfully loaded game for slot ${this.saveSlot}`);
+            } catch (error) {
+                this.handleUnreadableSave(error);
+                return;
+            }
 
-                
-                // Load new features
-                if (data.currentSeason) this.currentSeason = data.currentSeason;
-                if (data.seasonDay) this.seasonDay = data.seasonDay;
-                if (data.seasonMultiplier) this.seasonMultiplier = data.seasonMultiplier;
-                if (data.seasonStartTime) this.seasonStartTime = data.seasonStartTime;
-                if (data.gardenSize) {
-                    this.gardenSize = data.gardenSize;
-                    this.gridSize = this.gardenSize;
-                    this.cellSize = Math.floor(600 / this.gridSize);
-                }
-                if (data.expansionCost) this.expansionCost = data.expansionCost;
-                if (data.stats) this.stats = data.stats;
-                if (this.stats && this.stats.totalRebirths === undefined) {
-                    this.stats.totalRebirths = this.rebirths;
-                }
-                if (this.stats && (!this.stats.sessionStartTime || Number.isNaN(this.stats.sessionStartTime))) {
-                    this.stats.sessionStartTime = this.currentRunStartTime;
+            // Fast-forward whatever should have happened while the garden was closed
+            // (a read-only view shows the save as the other tab left it)
+            let awayReport = null;
+            if (!this.readOnly) {
+                try {
+                    awayReport = this.catchUpOfflineProgress(data.saveTime);
+                } catch (error) {
+                    // Drop the half-finished catch-up and carry on from the save as it was written
+                    console.error(`Offline catch-up failed for slot ${this.saveSlot}:`, error);
+                    this.applySaveData(data);
+                    awayReport = null;
                 }
-                if (data.challenges) this.challenges = data.challenges;
-                if (data.lastChallengeUpdate) this.lastChallengeUpdate = data.lastChallengeUpdate;
-
-                // Load Quick Seeds preferences
-                if (Array.isArray(data.seedRecent)) this.seedRecent = data.seedRecent; else this.seedRecent = this.seedRecent || [];
-
-                
-                this.setGardenName(data.gardenName, { shouldSave: false });
-                console.log(`Successfully loaded game for slot ${this.saveSlot}`);
-                
-                // Generate challenges if they don't exist
-                this.generateChallenges();
-                
-                // Ensure upgrade costs reflect new balance
-                this.recomputeAllToolUpgradeCosts();
+            }
+            if (awayReport) {
+                this.saveGame();
+            }
 
-                // Update UI if canvas is available
-                if (this.canvas) {
-                    this.updateUI();
-                    this.updateToolDisplay();
-                    this.updateSprinklerDisplay();
-                    this.updateAchievementsDisplay();
-                    this.updateChallengesDisplay();
-                    this.updateSeasonDisplay();
-                    try { this.updateQuickSeedsBar(); } catch (_) {}
+            // Update UI if canvas is available
+            if (this.canvas) {
+                this.updateUI();
+                this.updateToolDisplay();
+                this.updateSprinklerDisplay();
+                this.updateAchievementsDisplay();
+                this.updateEventLogDisplay();
+                this.updateChallengesDisplay();
+                this.updateSeasonDisplay();
+                try { this.updateQuickSeedsBar(); } catch (_) {}
+                if (awayReport) {
+                    try { this.showAwaySummary(awayReport); } catch (_) {}
                 }
-                
-            } catch (error) {
-                console.error(`Error loading game for slot ${this.saveSlot}:`, error);
-                console.log(`Clearing corrupted save data and starting fresh`);
-                localStorage.removeItem(saveKey);
-                this.initializeFreshGame();
             }
         } else {
             console.log(`No save data found for slot ${this.saveSlot}, starting fresh game`);
@@ -9912,24 +8530,159 @@ class GardenGame {
         }
     }
     
-    // Get garden data for multiplayer sharing
-    getGardenData() {
-        return {
-            money: this.money,
-            water: this.water,
-            fertilizer: this.fertilizer,
-            score: this.score,
-            weather: this.weather,
-            currentSeason: this.currentSeason,
-            seasonDay: this.seasonDay,
-            garden: this.garden,
-            stats: this.stats,
-            rebirths: this.rebirths,
-            gardenName: this.gardenName,
-            saveSlot: this.saveSlot
-        };
+    // The stored save stays untouched (it can still be restored from a snapshot or exported);
+    // this session plays a fresh garden that is never saved
+    handleUnreadableSave(error) {
+        console.error(`Error loading game for slot ${this.saveSlot}:`, error);
+        this.saveUnreadable = true;
+        this.initializeFreshGame();
+        this.showMessage(`Garden Slot ${this.saveSlot} could not be loaded. Its save was kept unchanged and nothing from this session will be saved over it - restore a snapshot from the menu.`, 'error');
     }
-    
+
+    // ===== READ-ONLY VIEW =====
+    setReadOnly(readOnly) {
+        this.readOnly = readOnly;
+        const container = document.getElementById('gameContainer');
+        const banner = document.getElementById('readOnlyBanner');
+        if (container) {
+            container.classList.toggle('is-read-only', readOnly);
+        }
+        if (banner) {
+            if (readOnly) {
+                banner.removeAttribute('hidden');
+            } else {
+                banner.setAttribute('hidden', '');
+            }
+        }
+    }
+
+    // Show the latest state written by the tab that owns this slot
+    refreshFromStore() {
+        const saveData = saveStore.load(this.saveSlot);
+        if (!saveData) {
+            return;
+        }
+        try {
+            this.applySaveData(JSON.parse(saveData));
+        } catch (error) {
+            console.error(`Unable to refresh read-only view of slot ${this.saveSlot}:`, error);
+            return;
+        }
+        this.updateUI();
+        this.updateShopDisplay();
+        this.updateToolDisplay();
+        this.updateSprinklerDisplay();
+        this.updateAchievementsDisplay();
+        this.updateEventLogDisplay();
+        this.updateChallengesDisplay();
+        this.updateAlmanacDisplay();
+        this.updateMarketDisplay();
+        this.updateKitchenDisplay();
+        this.updateOrdersDisplay();
+        this.updateSeasonDisplay();
+        this.draw();
+    }
+
+    // ===== WHILE YOU WERE AWAY =====
+    formatAwayDuration(ms) {
+        const totalMinutes = Math.max(1, Math.round(ms / 60000));
+        const days = Math.floor(totalMinutes / 1440);
+        const hours = Math.floor((totalMinutes % 1440) / 60);
+        const minutes = totalMinutes % 60;
+        const parts = [];
+        if (days) parts.push(`${days}d`);
+        if (hours) parts.push(`${hours}h`);
+        if (minutes && !days) parts.push(`${minutes}m`);
+        return parts.join(' ');
+    }
+
+    buildAwaySummaryLines(report) {
+        const lines = [];
+        const nameOf = (seedType) => this.plantTypes[seedType]?.name || this.formatKeyLabel(seedType);
+
+        const matured = Object.entries(report.matured);
+        if (report.stagesGrown > 0) {
+            let line = `🌱 Your plants grew ${report.stagesGrown} stage${report.stagesGrown === 1 ? '' : 's'}`;
+            if (matured.length) {
+                line += ` — ready to harvest: ${matured.map(([type, count]) => `${count}× ${nameOf(type)}`).join(', ')}`;
+            }
+            lines.push(line);
+        }
+        if (report.damaged > 0) {
+            lines.push(`⛈️ Storms damaged ${report.damaged} plant${report.damaged === 1 ? '' : 's'}`);
+        }
+        const restocked = Object.entries(report.restocked).sort((a, b) => b[1] - a[1]);
+        if (restocked.length) {
+            const shown = restocked.slice(0, 5).map(([type, count]) => `${nameOf(type)} +${count}`).join(', ');
+            const more = restocked.length > 5 ? ` and ${restocked.length - 5} more` : '';
+            lines.push(`🛒 Shop restocked: ${shown}${more}`);
+        }
+        if (report.sprinklersExpired > 0) {
+            lines.push(`💧 ${report.sprinklersExpired} sprinkler${report.sprinklersExpired === 1 ? '' : 's'} ran out`);
+        }
+        const hybridSeeds = Object.entries(report.hybridSeeds || {});
+        if (hybridSeeds.length) {
+            lines.push(`🧬 Your crops cross-bred ${hybridSeeds.map(([type, count]) => `${count}× ${nameOf(type)}`).join(', ')}`);
+        }
+        const infected = Object.entries(report.infected || {});
+        if (infected.length) {
+            lines.push(`🐛 Pests struck: ${infected.map(([type, count]) => `${this.pestTypes[type]?.name || this.formatKeyLabel(type)} on ${count}`).join(', ')} — use the Treat tool 🧴`);
+        }
+        const machineWork = report.machineWork || {};
+        const machineParts = [
+            machineWork.harvest ? `harvested ${machineWork.harvest}` : '',
+            machineWork.water ? `watered ${machineWork.water}` : '',
+            machineWork.plant ? `planted ${machineWork.plant}` : ''
+        ].filter(Boolean);
+        if (machineParts.length) {
+            lines.push(`🤖 Your machines ${machineParts.join(', ')}; ⛽ ${this.fuel} fuel left`);
+        }
+        if (report.ordersExpired > 0) {
+            lines.push(`📋 ${report.ordersExpired} villager order${report.ordersExpired === 1 ? '' : 's'} expired; your reputation is now ${this.reputation}`);
+        }
+        if (report.weatherChanges > 0) {
+            const weatherName = this.weatherEffects[this.weather]?.name || this.weather;
+            lines.push(`🌤️ The weather changed ${report.weatherChanges} time${report.weatherChanges === 1 ? '' : 's'}; it is now ${weatherName}`);
+        }
+        return lines;
+    }
+
+    showAwaySummary(report) {
+        const modal = document.getElementById('awaySummaryModal');
+        const intro = document.getElementById('awaySummaryIntro');
+        const list = document.getElementById('awaySummaryList');
+        const note = document.getElementById('awaySummaryNote');
+        const closeBtn = document.getElementById('awaySummaryCloseBtn');
+        if (!modal || !intro || !list || !closeBtn) {
+            return;
+        }
+
+        intro.textContent = `You were away for ${this.formatAwayDuration(report.awayMs)}.`;
+
+        list.innerHTML = '';
+        const lines = this.buildAwaySummaryLines(report);
+        if (!lines.length) {
+            lines.push('🍃 Your garden rested quietly.');
+        }
+        lines.forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            list.appendChild(item);
+        });
+
+        if (note) {
+            if (report.capped) {
+                note.textContent = `Only the last ${this.formatAwayDuration(report.simulatedMs)} were simulated.`;
+                note.removeAttribute('hidden');
+            } else {
+                note.textContent = '';
+                note.setAttribute('hidden', '');
+            }
+        }
+
+        openMenuModal(modal, { focus: closeBtn, closeButtons: [closeBtn] });
+    }
+
     // Logout method to clear multiplayer state when switching accounts
     logout() {
         // Clear multiplayer state to prevent account mixing
@@ -9950,7 +8703,7 @@ class GardenGame {
 class MenuSystem {
     constructor() {
         this.currentGame = null;
-        this.backgroundGames = new Map(); // Store background game instances
+        this.backgroundGames = new Map(); // Slots with a background simulation in progress
         this.backgroundInterval = null;
         this.pendingNewSlot = null;
         this.overwriteModal = document.getElementById('overwriteConfirmModal');
@@ -9961,6 +8714,7 @@ class MenuSystem {
         this.handleOverwriteKeydown = null;
     this.overwriteTriggerButton = null;
         this.initializeOverwriteModal();
+        this.initializeSlotLocks();
         this.initializeMenu();
         // Background processing completely disabled to prevent state bleeding
         console.log('Background processing disabled by default to prevent cross-slot interference');
@@ -9971,6 +8725,55 @@ class MenuSystem {
         this.addMenuEventListeners();
     }
 
+    // ===== CROSS-TAB LOCKS =====
+    initializeSlotLocks() {
+        slotLocks.onLockLost = (slot) => this.handleSlotLockLost(slot);
+        saveStore.onRemoteChange = (slots) => this.handleRemoteSave(slots);
+
+        const takeOverBtn = document.getElementById('takeOverBtn');
+        if (takeOverBtn) {
+            takeOverBtn.addEventListener('click', () => this.takeOverSlot());
+        }
+    }
+
+    // Another tab took this slot over: stop writing and keep showing its saves
+    handleSlotLockLost(slot) {
+        const game = this.currentGame;
+        if (!game || game.saveSlot !== slot) {
+            return;
+        }
+        saveStore.discard(slot);
+        game.setReadOnly(true);
+        game.showMessage('This garden was opened in another tab. This tab is now read-only.', 'warning');
+    }
+
+    handleRemoteSave(slots) {
+        const game = this.currentGame;
+        if (!game) {
+            this.updateSaveSlots();
+            return;
+        }
+        if (game.readOnly && slots.includes(game.saveSlot)) {
+            game.refreshFromStore();
+        }
+    }
+
+    async takeOverSlot() {
+        const game = this.currentGame;
+        if (!game || !game.readOnly) {
+            return;
+        }
+        const slot = game.saveSlot;
+        const acquired = await slotLocks.acquire(slot, { steal: true });
+        if (!acquired) {
+            game.showMessage('Could not take over this garden.', 'error');
+            return;
+        }
+        // Start from the other tab's last committed save; it drops anything it had not written yet
+        await saveStore.reload(slot);
+        this.loadGame(slot);
+    }
+
     initializeOverwriteModal() {
         if (!this.overwriteModal) {
             return;
@@ -10136,6 +8939,322 @@ class MenuSystem {
         }, 220);
     }
 
+    // ===== GARDEN EXPORT / IMPORT =====
+    // SHA-256 of the serialized save, or null where Web Crypto is unavailable (e.g. plain http)
+    async computeSaveChecksum(serializedSave) {
+        if (typeof crypto === 'undefined' || !crypto.subtle || typeof TextEncoder === 'undefined') {
+            return null;
+        }
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(serializedSave));
+        const hex = Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+        return `sha256:${hex}`;
+    }
+
+    async exportGarden(slot) {
+        const saveData = saveStore.load(slot);
+        if (!saveData) {
+            alert(`Garden Slot ${slot} is empty, so there is nothing to export.`);
+            return;
+        }
+
+        let save;
+        try {
+            save = JSON.parse(saveData);
+        } catch (error) {
+            console.error(`Unable to export slot ${slot}:`, error);
+            alert(`Garden Slot ${slot} could not be read, so it cannot be exported.`);
+            return;
+        }
+
+        const serializedSave = JSON.stringify(save);
+        const name = sanitizeGardenName(save.gardenName, `Garden Slot ${slot}`);
+        const exportData = {
+            format: GARDEN_EXPORT_FORMAT,
+            formatVersion: GARDEN_EXPORT_VERSION,
+            name,
+            schemaVersion: Number.isInteger(save.schemaVersion) ? save.schemaVersion : 0,
+            exportedAt: new Date().toISOString(),
+            checksum: await this.computeSaveChecksum(serializedSave),
+            save
+        };
+
+        const fileBase = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || `garden-slot-${slot}`;
+        const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${fileBase}.garden.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+        console.log(`Exported slot ${slot} as ${a.download}`);
+    }
+
+    promptImportGarden(slot) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.garden.json,.json,application/json';
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) {
+                return;
+            }
+            try {
+                const imported = await this.readGardenFile(file, slot);
+                this.showImportPreview(slot, imported);
+            } catch (error) {
+                console.warn(`Rejected garden import for slot ${slot}:`, error);
+                alert(`Could not import "${file.name}": ${error.message}`);
+            }
+        };
+        input.click();
+    }
+
+    // Parse and check a .garden.json file; throws with a message fit for the player
+    async readGardenFile(file, slot) {
+        const text = await file.text();
+
+        let exportData;
+        try {
+            exportData = JSON.parse(text);
+        } catch (_) {
+            throw new Error('the file is not valid JSON.');
+        }
+        if (!exportData || exportData.format !== GARDEN_EXPORT_FORMAT) {
+            throw new Error('this is not a garden export file.');
+        }
+        if (!Number.isInteger(exportData.formatVersion) || exportData.formatVersion > GARDEN_EXPORT_VERSION) {
+            throw new Error('the file was made by a newer version of the game.');
+        }
+        if (!exportData.save || typeof exportData.save !== 'object') {
+            throw new Error('the file does not contain a garden.');
+        }
+
+        const checksum = await this.computeSaveChecksum(JSON.stringify(exportData.save));
+        if (checksum && exportData.checksum && checksum !== exportData.checksum) {
+            throw new Error('the checksum does not match, so the file is damaged or was edited.');
+        }
+
+        // Same migration and validation as loading a slot
+        let save;
+        try {
+            save = new GardenSimulation(slot).migrateSaveData(exportData.save);
+        } catch (error) {
+            throw new Error(`the garden data is invalid (${error.message}).`);
+        }
+
+        // 'missing': the file carries no checksum (exported where Web Crypto was unavailable, or hand-made)
+        let checksumStatus = 'verified';
+        if (!exportData.checksum) {
+            checksumStatus = 'missing';
+        } else if (!checksum) {
+            checksumStatus = 'unavailable';
+        }
+
+        return {
+            exportData,
+            save,
+            name: sanitizeGardenName(exportData.name || save.gardenName, 'Unnamed garden'),
+            checksumStatus
+        };
+    }
+
+    showImportPreview(slot, imported) {
+        const modal = document.getElementById('importPreviewModal');
+        const message = document.getElementById('importPreviewMessage');
+        const details = document.getElementById('importPreviewDetails');
+        const note = document.getElementById('importPreviewNote');
+        const cancelBtn = document.getElementById('importCancelBtn');
+        const confirmBtn = document.getElementById('importConfirmBtn');
+        if (!modal || !message || !details || !cancelBtn || !confirmBtn) {
+            const unverified = imported.checksumStatus === 'missing' ? ' The file has no checksum, so it cannot be verified.' : '';
+            if (confirm(`Import "${imported.name}" into Garden Slot ${slot}?${unverified}`)) {
+                this.applyImport(slot, imported);
+            }
+            return;
+        }
+
+        const { exportData, save, name } = imported;
+        const hasSave = !!saveStore.load(slot);
+        const size = Number.isInteger(save.gardenSize) ? save.gardenSize : 8;
+        const fromVersion = Number.isInteger(exportData.schemaVersion) ? exportData.schemaVersion : 0;
+        const exportedAt = new Date(exportData.exportedAt);
+
+        message.textContent = hasSave
+            ? `"${name}" will replace the garden in Garden Slot ${slot}.`
+            : `"${name}" will be imported into Garden Slot ${slot}.`;
+
+        const rows = [
+            ['Money', `$${Number.isFinite(save.money) ? save.money : 0}`],
+            ['Garden size', `${size}×${size}`],
+            ['Rebirths', Number.isFinite(save.rebirths) ? save.rebirths : 0],
+            ['Score', Number.isFinite(save.score) ? save.score : 0],
+            ['Exported', Number.isNaN(exportedAt.getTime()) ? 'Unknown' : exportedAt.toLocaleString()],
+            ['Save version', fromVersion < SAVE_SCHEMA_VERSION ? `v${fromVersion} (upgraded to v${SAVE_SCHEMA_VERSION})` : `v${fromVersion}`]
+        ];
+        details.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const description = document.createElement('dd');
+            description.textContent = value;
+            details.appendChild(term);
+            details.appendChild(description);
+        });
+
+        if (note) {
+            const checksumNotes = {
+                verified: '✓ Checksum verified.',
+                unavailable: 'The checksum could not be checked in this browser.',
+                missing: '⚠️ Unverified: this file has no checksum, so damage or edits cannot be detected. Only import it if you trust where it came from.'
+            };
+            note.textContent = checksumNotes[imported.checksumStatus] + (hasSave ? ' The current garden is kept as a snapshot.' : '');
+            note.removeAttribute('hidden');
+        }
+
+        confirmBtn.classList.toggle('menu-modal__btn--danger', hasSave);
+        confirmBtn.classList.toggle('menu-modal__btn--primary', !hasSave);
+
+        const handleConfirm = () => {
+            hide();
+            this.applyImport(slot, imported);
+        };
+        const hide = openMenuModal(modal, {
+            focus: cancelBtn,
+            closeButtons: [cancelBtn],
+            onHide: () => confirmBtn.removeEventListener('click', handleConfirm)
+        });
+        confirmBtn.addEventListener('click', handleConfirm);
+    }
+
+    async applyImport(slot, { save, name }) {
+        if (!(await slotLocks.acquire(slot))) {
+            alert(`Garden Slot ${slot} is open in another tab. Close it there before importing.`);
+            return;
+        }
+
+        const isCurrentSlot = !!(this.currentGame && this.currentGame.saveSlot === slot);
+        if (isCurrentSlot) {
+            // Stop the running garden first so its autosave cannot overwrite the import
+            this.currentGame.stopGame();
+        }
+        try {
+            if (saveStore.load(slot)) {
+                saveStore.snapshot(slot, 'before import');
+            }
+            // Stamped as saved now: the time since the file was exported is not offline time in this slot
+            const importedAt = Date.now();
+            saveStore.save(slot, JSON.stringify({ ...save, saveSlot: slot, gardenName: name, saveTime: importedAt }));
+            saveStore.setMeta(slot, 'lastSaveTime', importedAt);
+            saveStore.removeMeta(slot, 'adminChange');
+            this.setSlotCustomName(slot, name === `Garden Slot ${slot}` ? '' : name);
+            await saveStore.flush();
+        } finally {
+            if (!isCurrentSlot) {
+                slotLocks.release(slot);
+            }
+        }
+
+        console.log(`Imported "${name}" into slot ${slot}`);
+        this.updateSaveSlots();
+        if (isCurrentSlot) {
+            this.loadGame(slot);
+        }
+        alert(`"${name}" was imported into Garden Slot ${slot}!`);
+    }
+
+    // ===== SAVE SNAPSHOTS =====
+    async showSnapshotModal(slot, triggerButton = null) {
+        const modal = document.getElementById('snapshotModal');
+        const intro = document.getElementById('snapshotModalIntro');
+        const list = document.getElementById('snapshotList');
+        const closeBtn = document.getElementById('snapshotCloseBtn');
+        if (!modal || !intro || !list || !closeBtn) {
+            return;
+        }
+
+        intro.textContent = `Loading snapshots for Garden Slot ${slot}...`;
+        list.innerHTML = '';
+        const hide = openMenuModal(modal, {
+            focus: closeBtn,
+            closeButtons: [closeBtn],
+            onHide: () => {
+                if (triggerButton && typeof triggerButton.focus === 'function') {
+                    triggerButton.focus();
+                }
+            }
+        });
+
+        if (!saveStore.usesIndexedDB) {
+            intro.textContent = 'Snapshots are not available in this browser.';
+            return;
+        }
+
+        try {
+            const snapshots = await saveStore.listSnapshots(slot);
+            this.renderSnapshotList(slot, snapshots, list, intro, hide);
+        } catch (error) {
+            console.error(`Unable to list snapshots for slot ${slot}:`, error);
+            intro.textContent = 'Snapshots could not be loaded.';
+        }
+    }
+
+    renderSnapshotList(slot, snapshots, list, intro, hide) {
+        const reasonLabels = {
+            auto: 'Autosave',
+            'before admin command': 'Before admin command',
+            'before new game': 'Before new garden',
+            'before clear': 'Before slot was cleared',
+            'before restore': 'Before a restore',
+            'before import': 'Before import'
+        };
+
+        intro.textContent = snapshots.length
+            ? `Garden Slot ${slot} has ${snapshots.length} snapshot${snapshots.length === 1 ? '' : 's'}. Newest first.`
+            : `Garden Slot ${slot} has no snapshots yet. They are taken automatically while you play.`;
+
+        list.innerHTML = '';
+        snapshots.forEach(snapshot => {
+            const item = document.createElement('li');
+            const details = document.createElement('div');
+            const title = document.createElement('strong');
+            title.textContent = new Date(snapshot.createdAt).toLocaleString();
+            const meta = document.createElement('span');
+            meta.className = 'snapshot-list__meta';
+            const summary = snapshot.summary || {};
+            meta.textContent = `${reasonLabels[snapshot.reason] || snapshot.reason} · $${summary.money || 0} · Score ${summary.score || 0}` +
+                (summary.rebirths ? ` · ${summary.rebirths} rebirth${summary.rebirths === 1 ? '' : 's'}` : '');
+            details.appendChild(title);
+            details.appendChild(meta);
+
+            const restoreBtn = document.createElement('button');
+            restoreBtn.type = 'button';
+            restoreBtn.className = 'menu-modal__btn menu-modal__btn--primary';
+            restoreBtn.textContent = 'Restore';
+            restoreBtn.addEventListener('click', async () => {
+                if (!confirm(`Replace Garden Slot ${slot} with the snapshot from ${title.textContent}?`)) {
+                    return;
+                }
+                restoreBtn.disabled = true;
+                try {
+                    await saveStore.restoreSnapshot(slot, snapshot.id);
+                    // Make sure background processing does not immediately advance the restored save
+                    saveStore.setMeta(slot, 'adminChange', Date.now());
+                    this.updateSaveSlots();
+                    hide();
+                    alert(`Garden Slot ${slot} restored!`);
+                } catch (error) {
+                    console.error(`Unable to restore snapshot ${snapshot.id} for slot ${slot}:`, error);
+                    restoreBtn.disabled = false;
+                    alert('That snapshot could not be restored.');
+                }
+            });
+
+            item.appendChild(details);
+            item.appendChild(restoreBtn);
+            list.appendChild(item);
+        });
+    }
+
     handleNewGameClick(slot, triggerButton) {
         console.log(`New game requested for slot ${slot}`);
         const slotElement = document.querySelector(`[data-slot="${slot}"]`);
@@ -10169,8 +9288,7 @@ class MenuSystem {
     }
 
     updateStoredGardenName(slot, customName) {
-        const saveKey = `gardenGameSave_${slot}`;
-        const serialized = localStorage.getItem(saveKey);
+        const serialized = saveStore.load(slot);
         if (!serialized) {
             return;
         }
@@ -10181,7 +9299,7 @@ class MenuSystem {
                 ? customName
                 : `Garden Slot ${slot}`;
             data.gardenName = resolved;
-            localStorage.setItem(saveKey, JSON.stringify(data));
+            saveStore.save(slot, JSON.stringify(data));
         } catch (error) {
             console.warn(`Unable to update stored garden name for slot ${slot}:`, error);
         }
@@ -10286,8 +9404,7 @@ class MenuSystem {
 
     updateSaveSlots() {
         for (let slot = 1; slot <= 3; slot++) {
-            const saveKey = `gardenGameSave_${slot}`;
-            const saveData = localStorage.getItem(saveKey);
+            const saveData = saveStore.load(slot);
             const slotElement = document.querySelector(`[data-slot="${slot}"]`);
 
             if (!slotElement) {
@@ -10297,6 +9414,7 @@ class MenuSystem {
             const statusElement = slotElement.querySelector('.slot-status');
             const dateElement = slotElement.querySelector('.slot-date');
             const loadBtn = slotElement.querySelector('.load-btn');
+            const exportBtn = slotElement.querySelector('.slot-export-btn');
             const nameWrapper = slotElement.querySelector('.slot-name');
             const slotNameDisplay = slotElement.querySelector('.slot-name-display');
             const slotNameInput = slotElement.querySelector('.slot-name-input');
@@ -10337,6 +9455,9 @@ class MenuSystem {
             if (loadBtn) {
                 loadBtn.disabled = true;
             }
+            if (exportBtn) {
+                exportBtn.disabled = true;
+            }
 
             let resolvedName = customName || '';
             let hasDisplayName = !!resolvedName;
@@ -10361,7 +9482,7 @@ class MenuSystem {
                     }
 
                     // Legacy saves may not include saveTime, so fall back to the lastSaveTime helper key.
-                    const lastSaveTime = Number(localStorage.getItem(`lastSaveTime_${slot}`));
+                    const lastSaveTime = Number(saveStore.getMeta(slot, 'lastSaveTime'));
                     candidates.push(lastSaveTime);
 
                     for (const candidate of candidates) {
@@ -10383,6 +9504,9 @@ class MenuSystem {
                     if (loadBtn) {
                         loadBtn.disabled = false;
                     }
+                    if (exportBtn) {
+                        exportBtn.disabled = false;
+                    }
 
                     if (!hasDisplayName && storedName && storedName !== defaultLabel) {
                         resolvedName = storedName;
@@ -10499,6 +9623,36 @@ class MenuSystem {
                 this.enterSlotRenameMode(saveSlot);
             });
         });
+
+        document.querySelectorAll('.slot-export-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const slot = parseInt(e.currentTarget.closest('.save-slot')?.dataset.slot, 10);
+                if (slot >= 1 && slot <= 3) {
+                    this.exportGarden(slot);
+                }
+            });
+        });
+
+        document.querySelectorAll('.slot-import-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const slot = parseInt(e.currentTarget.closest('.save-slot')?.dataset.slot, 10);
+                if (slot >= 1 && slot <= 3) {
+                    this.promptImportGarden(slot);
+                }
+            });
+        });
+
+        const historyButtons = document.querySelectorAll('.slot-history-btn');
+        historyButtons.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const slot = parseInt(e.currentTarget.dataset.slot, 10);
+                if (Number.isNaN(slot) || slot < 1 || slot > 3) {
+                    console.error(`Invalid slot number for snapshot history: ${slot}`);
+                    return;
+                }
+                this.showSnapshotModal(slot, e.currentTarget);
+            });
+        });
         
         console.log('Menu event listeners added successfully');
     }
@@ -10513,8 +9667,7 @@ class MenuSystem {
         }
         
         // Check if there's save data for this slot
-        const saveKey = `gardenGameSave_${slot}`;
-        const saveData = localStorage.getItem(saveKey);
+        const saveData = saveStore.load(slot);
         
         if (!saveData) {
             console.error(`No save data found for slot ${slot}`);
@@ -10536,7 +9689,10 @@ class MenuSystem {
             
             // Clear any admin change timestamps from the old slot to prevent interference
             if (this.currentGame.saveSlot) {
-                localStorage.removeItem(`adminChange_${this.currentGame.saveSlot}`);
+                saveStore.removeMeta(this.currentGame.saveSlot, 'adminChange');
+                if (this.currentGame.saveSlot !== slot) {
+                    slotLocks.release(this.currentGame.saveSlot);
+                }
             }
             
             // CRITICAL: Force garbage collection by clearing all references
@@ -10580,52 +9736,59 @@ class MenuSystem {
         this.clearUIState();
         
         // CRITICAL: Force a longer delay to ensure all cleanup is complete
-        setTimeout(() => {
-        // Create new game instance with the correct slot
-        console.log(`About to create GardenGame with slot: ${slot}`);
-        this.currentGame = new GardenGame(slot);
-        console.log(`Created new GardenGame instance for slot ${slot}`);
-        
-        // Verify the game was created with the correct slot
-        if (this.currentGame.saveSlot !== slot) {
-            console.error(`Game created with wrong slot! Expected: ${slot}, Got: ${this.currentGame.saveSlot}`);
-            console.error(`This could cause the slot loading issue you're experiencing`);
+        setTimeout(async () => {
+            // Only one tab may write a slot; without the lock the garden opens read-only
+            const ownsSlot = await slotLocks.acquire(slot);
+            if (!ownsSlot) {
+                await saveStore.reload(slot);
+            }
+        
+            // Create new game instance with the correct slot
+            console.log(`About to create GardenGame with slot: ${slot}`);
+            this.currentGame = new GardenGame(slot, { readOnly: !ownsSlot });
+            this.currentGame.setReadOnly(!ownsSlot);
+            console.log(`Created new GardenGame instance for slot ${slot}${ownsSlot ? '' : ' (read-only)'}`);
+        
+            // Verify the game was created with the correct slot
+            if (this.currentGame.saveSlot !== slot) {
+                console.error(`Game created with wrong slot! Expected: ${slot}, Got: ${this.currentGame.saveSlot}`);
+                console.error(`This could cause the slot loading issue you're experiencing`);
                 // Force the correct slot and reload
-            this.currentGame.saveSlot = slot;
+                this.currentGame.saveSlot = slot;
                 this.currentGame.loadGame(); // Reload with correct slot
                 console.log(`Forced saveSlot to ${slot} and reloaded`);
-        }
+            }
         
-        console.log(`Current game slot is now: ${this.currentGame.saveSlot}`);
-        console.log(`Current game instance ID: ${this.currentGame.instanceId}`);
+            console.log(`Current game slot is now: ${this.currentGame.saveSlot}`);
+            console.log(`Current game instance ID: ${this.currentGame.instanceId}`);
         
-        // Add event listeners to the new elements
-        const newMenuBtn = document.getElementById('menuBtn');
-        const newSaveBtn = document.getElementById('saveBtn');
+            // Add event listeners to the new elements
+            const newMenuBtn = document.getElementById('menuBtn');
+            const newSaveBtn = document.getElementById('saveBtn');
         
-        if (newMenuBtn) {
-            newMenuBtn.addEventListener('click', () => {
-                this.returnToMenu();
-            });
-        }
+            if (newMenuBtn) {
+                newMenuBtn.addEventListener('click', () => {
+                    this.returnToMenu();
+                });
+            }
         
-        if (newSaveBtn) {
-            newSaveBtn.addEventListener('click', () => {
-                this.currentGame.saveGame();
-                this.currentGame.showMessage('Game saved manually!', 'success');
-                this.updateSaveSlots();
-            });
-        }
+            if (newSaveBtn) {
+                newSaveBtn.addEventListener('click', () => {
+                    this.currentGame.saveGame();
+                    this.currentGame.showMessage('Game saved manually!', 'success');
+                    this.updateSaveSlots();
+                });
+            }
         
-        // Force update the save slots display to reflect the current state
-        this.updateSaveSlots();
+            // Force update the save slots display to reflect the current state
+            this.updateSaveSlots();
         
             // CRITICAL: Keep background processing disabled to prevent state bleeding
             console.log(`Background processing remains disabled to prevent cross-slot interference`);
         }, 200); // Increased delay to ensure cleanup is complete
     }
     
-    startNewGame(slot) {
+    async startNewGame(slot) {
         console.log(`Starting new game for slot ${slot}`);
         
         // Validate slot number
@@ -10634,9 +9797,14 @@ class MenuSystem {
             return;
         }
         
-        const saveKey = `gardenGameSave_${slot}`;
+        // Wiping a slot another tab is playing would fight with its saves
+        if (!(await slotLocks.acquire(slot))) {
+            alert(`Garden Slot ${slot} is open in another tab. Close it there before starting a new garden.`);
+            return;
+        }
+        
         let previousName = '';
-        const existingSaveData = localStorage.getItem(saveKey);
+        const existingSaveData = saveStore.load(slot);
         if (existingSaveData) {
             try {
                 const parsed = JSON.parse(existingSaveData);
@@ -10657,8 +9825,11 @@ class MenuSystem {
             : '';
         const initialName = this.setSlotCustomName(slot, initialCustomName);
 
-        // CRITICAL: Clear existing save data for this slot
-        localStorage.removeItem(saveKey);
+        // CRITICAL: Clear existing save data for this slot (kept as a snapshot in case it was a mistake)
+        if (existingSaveData) {
+            saveStore.snapshot(slot, 'before new game');
+        }
+        saveStore.remove(slot);
         console.log(`Cleared existing save data for slot ${slot} before starting new game`);
         const loggedName = initialName && initialName.length > 0 ? initialName : defaultLabel;
         console.log(`New garden name for slot ${slot}: ${loggedName}`);
@@ -10677,7 +9848,10 @@ class MenuSystem {
             
             // Clear any admin change timestamps from the old slot to prevent interference
             if (this.currentGame.saveSlot) {
-                localStorage.removeItem(`adminChange_${this.currentGame.saveSlot}`);
+                saveStore.removeMeta(this.currentGame.saveSlot, 'adminChange');
+                if (this.currentGame.saveSlot !== slot) {
+                    slotLocks.release(this.currentGame.saveSlot);
+                }
             }
             
             // CRITICAL: Force garbage collection by clearing all references
@@ -10725,6 +9899,7 @@ class MenuSystem {
             // Create new game instance with the correct slot
             console.log(`About to create GardenGame with slot: ${slot}`);
             this.currentGame = new GardenGame(slot, { gardenName: initialName });
+            this.currentGame.setReadOnly(false);
             const resolvedName = this.currentGame.gardenName || this.currentGame.defaultGardenName();
             console.log(`Created new GardenGame instance for slot ${slot} with name "${resolvedName}"`);
             
@@ -10770,6 +9945,8 @@ class MenuSystem {
     returnToMenu() {
         if (this.currentGame) {
             this.currentGame.stopGame();
+            this.currentGame.setReadOnly(false);
+            slotLocks.release(this.currentGame.saveSlot);
         }
         document.getElementById('gameContainer').style.display = 'none';
         document.getElementById('mainMenu').style.display = 'flex';
@@ -10942,7 +10119,7 @@ class MenuSystem {
         
         exportBtn.addEventListener('click', () => {
             if (this.currentGame) {
-                this.currentGame.exportSaveData();
+                this.exportGarden(this.currentGame.saveSlot);
             } else {
                 alert('No active game to export.');
             }
@@ -10950,7 +10127,7 @@ class MenuSystem {
         
         importBtn.addEventListener('click', () => {
             if (this.currentGame) {
-                this.currentGame.importSaveData();
+                this.promptImportGarden(this.currentGame.saveSlot);
             } else {
                 alert('No active game to import data into.');
             }
@@ -11296,11 +10473,12 @@ class MenuSystem {
                 return;
             }
             
-            const saveData = localStorage.getItem(`gardenGameSave_${slot}`);
+            const saveData = saveStore.load(slot);
             if (saveData) {
                 try {
                     const data = JSON.parse(saveData);
-                    this.processBackgroundGame(slot, data);
+                    // Skip slots another tab is playing
+                    slotLocks.runIfFree(slot, () => this.processBackgroundGame(slot, data));
                 } catch (error) {
                     console.error(`Error processing background game for slot ${slot}:`, error);
                     // Remove the background game instance on error to allow retry
@@ -11321,7 +10499,7 @@ class MenuSystem {
         
         try {
             // Check if there was a recent admin change to this slot (within last 120 seconds)
-            const adminChangeTime = localStorage.getItem(`adminChange_${slot}`);
+            const adminChangeTime = saveStore.getMeta(slot, 'adminChange');
             if (adminChangeTime) {
                 const timeSinceAdminChange = Date.now() - parseInt(adminChangeTime);
                 if (timeSinceAdminChange < 120000) { // 120 seconds (increased from 60)
@@ -11331,7 +10509,7 @@ class MenuSystem {
             }
             
             // Check if the save data is recent (within last 60 seconds) before overwriting
-            const lastSaveTime = localStorage.getItem(`lastSaveTime_${slot}`);
+            const lastSaveTime = saveStore.getMeta(slot, 'lastSaveTime');
             if (lastSaveTime) {
                 const timeSinceLastSave = Date.now() - parseInt(lastSaveTime);
                 if (timeSinceLastSave < 60000) { // 60 seconds (increased from 30)
@@ -11340,82 +10518,19 @@ class MenuSystem {
                 }
             }
             
-            // Create a temporary game instance for background processing
-            const tempGame = new GardenGame(slot);
-            tempGame.isRunning = false; // Ensure it doesn't start the game loop
-            
-            // Validate that the temp game was created with the correct slot
-            if (tempGame.saveSlot !== slot) {
-                console.error(`Background temp game created with wrong slot! Expected: ${slot}, Got: ${tempGame.saveSlot}`);
-                tempGame.stopGame();
-                return;
-            }
+            // A headless simulation of the slot: no canvas, DOM or game loop, and its presentation hooks do nothing
+            const backgroundSim = new GardenSimulation(slot);
             
-            // Store the background game instance to prevent multiple instances
-            this.backgroundGames.set(slot, tempGame);
+            // Store the background instance to prevent multiple instances
+            this.backgroundGames.set(slot, backgroundSim);
             
-            // Load the save data directly without calling loadGame() to avoid UI updates
-            tempGame.money = Math.max(0, saveData.money || 100);
-            tempGame.water = Math.max(0, saveData.water || 50);
-            tempGame.fertilizer = Math.max(0, saveData.fertilizer || 20);
-            tempGame.score = Math.max(0, saveData.score || 0);
-            if (saveData.garden) tempGame.garden = saveData.garden;
-            if (saveData.shopInventory) {
-                tempGame.shopInventory = saveData.shopInventory;
-                // Validate shop inventory data
-                Object.keys(tempGame.shopInventory).forEach(seedType => {
-                    if (tempGame.shopInventory[seedType].stock < 0) {
-                        tempGame.shopInventory[seedType].stock = 0;
-                    }
-                });
-            }
-            tempGame.lastRestockTime = saveData.lastRestockTime || Date.now();
-            if (saveData.toolLevels) tempGame.toolLevels = saveData.toolLevels;
-            if (saveData.toolUpgradeCosts) tempGame.toolUpgradeCosts = saveData.toolUpgradeCosts;
-            if (saveData.weather) tempGame.weather = saveData.weather;
-            if (saveData.achievements) tempGame.achievements = saveData.achievements;
-            if (saveData.achievementStats) {
-                tempGame.achievementStats = saveData.achievementStats;
-                if (Array.isArray(tempGame.achievementStats.differentPlantsPlanted)) {
-                    tempGame.achievementStats.differentPlantsPlanted = new Set(tempGame.achievementStats.differentPlantsPlanted);
-                } else if (!tempGame.achievementStats.differentPlantsPlanted) {
-                    tempGame.achievementStats.differentPlantsPlanted = new Set();
-                }
-            }
-            if (saveData.sprinklerInventory) {
-                tempGame.sprinklerInventory = saveData.sprinklerInventory;
-                // Validate sprinkler inventory data
-                Object.keys(tempGame.sprinklerInventory).forEach(type => {
-                    if (tempGame.sprinklerInventory[type] < 0) {
-                        tempGame.sprinklerInventory[type] = 0;
-                    }
-                });
-            }
-            if (saveData.sprinklers) {
-                // Handle both old and new sprinkler formats
-                tempGame.sprinklers = saveData.sprinklers.map(sprinkler => {
-                    if (sprinkler.expiresAt) {
-                        return sprinkler; // Already has timer data
-                    } else {
-                        // Convert old format to new format with timer
-                        const sprinklerData = tempGame.sprinklerTypes[sprinkler.type];
-                        const now = Date.now();
-                        return {
-                            ...sprinkler,
-                            placedAt: now,
-                            expiresAt: now + sprinklerData.duration
-                        };
-                    }
-                });
-            }
-            if (saveData.soundEnabled !== undefined) tempGame.soundEnabled = saveData.soundEnabled;
+            // applySaveData runs the same migrations and validation as a normal load
+            backgroundSim.applySaveData(saveData);
             
-            // Process the game in silent mode (no notifications)
-            tempGame.updatePlantsSilent();
-            tempGame.checkRestockSilent();
-            tempGame.updateWeatherSilent();
-            tempGame.checkAutoSaveSilent();
-            tempGame.checkAchievementsSilent();
+            backgroundSim.updatePlantsSilent();
+            backgroundSim.checkRestockSilent();
+            backgroundSim.updateWeatherSilent();
+            backgroundSim.checkAchievementsSilent();
             
             // Final check - ensure we're not overwriting the active game
             if (this.currentGame && this.currentGame.saveSlot === slot) {
@@ -11423,11 +10538,10 @@ class MenuSystem {
                 return;
             }
             
-            // Save the updated game state
-            tempGame.saveGame();
-            
-            // Clean up
-            tempGame.stopGame();
+            // The simulation's saveGame is a no-op, so write the slot here; page-only preferences
+            // (sound, soil overlay, quick seeds) are not simulation state and are carried over
+            saveStore.save(slot, JSON.stringify({ ...saveData, ...backgroundSim.getSaveData() }));
+            saveStore.setMeta(slot, 'lastSaveTime', Date.now());
         } catch (error) {
             console.error(`Error in background processing for slot ${slot}:`, error);
         } finally {
@@ -11445,12 +10559,12 @@ class MenuSystem {
             return;
         }
         
-        // Clear the save data from localStorage
-        const saveKey = `gardenGameSave_${slot}`;
-        localStorage.removeItem(saveKey);
+        // Clear the save data from the save store (snapshots are kept, so a cleared slot can be restored)
+        saveStore.snapshot(slot, 'before clear');
+        saveStore.remove(slot);
         
         // Clear any admin change timestamps
-        localStorage.removeItem(`adminChange_${slot}`);
+        saveStore.removeMeta(slot, 'adminChange');
         
         console.log(`Cleared all save data for slot ${slot}`);
         
@@ -11462,21 +10576,54 @@ class MenuSystem {
     }
 }
 
+// Shown in place of the save slots when the game cannot start, so the menu never sits there dead
+function showStartupError(summary, detail) {
+    const actions = document.querySelector('#mainMenu .menu-actions');
+    if (!actions) {
+        alert(`${summary}\n\n${detail}`);
+        return;
+    }
+    const title = document.createElement('h2');
+    title.className = 'menu-actions-title';
+    title.textContent = 'The garden could not start';
+    const message = document.createElement('p');
+    message.className = 'menu-note';
+    message.textContent = summary;
+    const details = document.createElement('p');
+    details.className = 'menu-note';
+    details.style.whiteSpace = 'pre-line';
+    details.textContent = detail;
+    actions.setAttribute('role', 'alert');
+    actions.replaceChildren(title, message, details);
+}
+
 // Initialize the menu system when the page loads
 let menuSystem;
 document.addEventListener('DOMContentLoaded', () => {
     console.log('DOM Content Loaded - Initializing single-player garden game...');
 
+    // Every garden is built from the data catalog, so a missing or malformed catalog stops startup here
     try {
-        menuSystem = new MenuSystem();
-        console.log('MenuSystem created successfully');
-        // Make menuSystem globally accessible for admin functions
-        window.menuSystem = menuSystem;
-        console.log('MenuSystem added to window object');
+        loadGardenCatalog();
     } catch (error) {
-        console.error('Error creating MenuSystem:', error);
-        alert('Error initializing game. Please refresh the page.');
+        console.error('Error loading garden catalog:', error);
+        showStartupError('The garden data catalog could not be loaded, so the game cannot start.', error.message);
+        return;
     }
+
+    // Saves are read from the save store, so it has to finish loading before the menu draws the slots
+    saveStore.init().then(() => {
+        try {
+            menuSystem = new MenuSystem();
+            console.log('MenuSystem created successfully');
+            // Make menuSystem globally accessible for admin functions
+            window.menuSystem = menuSystem;
+            console.log('MenuSystem added to window object');
+        } catch (error) {
+            console.error('Error creating MenuSystem:', error);
+            alert('Error initializing game. Please refresh the page.');
+        }
+    });
 });
 
 // Clean up background processing when page is unloaded
@@ -0,0 +1,177 @@
+// Garden data catalog contents, checked by validateGardenCatalog() in garden-catalog.js
+// Kept as plain JSON-style data in a script so the page can load it from file:// as well as over HTTP
+const GARDEN_CATALOG_DATA = {
+    "plantTypes": {
+        "carrot": { "name": "Carrot", "cost": 5, "growthTime": 10000, "harvestValue": 8, "season": "spring", "stages": ["🌱", "🌿", "🥕", "🥕", "🥕"] },
+        "lettuce": { "name": "Lettuce", "cost": 3, "growthTime": 8000, "harvestValue": 5, "season": "spring", "stages": ["🌱", "🌿", "🥬", "🥬", "🥬"] },
+        "radish": { "name": "Radish", "cost": 4, "growthTime": 12000, "harvestValue": 7, "season": "spring", "stages": ["🌱", "🌿", "🌶️", "🌶️", "🌶️"] },
+        "spinach": { "name": "Spinach", "cost": 6, "growthTime": 15000, "harvestValue": 10, "season": "spring", "stages": ["🌱", "🌿", "🥬", "🥬", "🥬"] },
+        "peas": { "name": "Peas", "cost": 7, "growthTime": 18000, "harvestValue": 12, "season": "spring", "stages": ["🌱", "🌿", "🟢", "🟢", "🟢"], "soilEffect": 15 },
+        "tomato": { "name": "Tomato", "cost": 8, "growthTime": 20000, "harvestValue": 15, "season": "summer", "stages": ["🌱", "🌿", "🍅", "🍅", "🍅"] },
+        "corn": { "name": "Corn", "cost": 12, "growthTime": 25000, "harvestValue": 20, "season": "summer", "stages": ["🌱", "🌿", "🌽", "🌽", "🌽"], "soilEffect": -8 },
+        "cucumber": { "name": "Cucumber", "cost": 6, "growthTime": 16000, "harvestValue": 11, "season": "summer", "stages": ["🌱", "🌿", "🥒", "🥒", "🥒"] },
+        "zucchini": { "name": "Zucchini", "cost": 9, "growthTime": 22000, "harvestValue": 16, "season": "summer", "stages": ["🌱", "🌿", "🥒", "🥒", "🥒"] },
+        "bell_pepper": { "name": "Bell Pepper", "cost": 10, "growthTime": 22000, "harvestValue": 18, "season": "summer", "stages": ["🌱", "🌿", "🫑", "🫑", "🫑"] },
+        "avocado": { "name": "Avocado", "cost": 14, "growthTime": 32000, "harvestValue": 26, "season": "summer", "stages": ["🌱", "🌿", "🥑", "🥑", "🥑"] },
+        "eggplant": { "name": "Eggplant", "cost": 11, "growthTime": 24000, "harvestValue": 19, "season": "summer", "stages": ["🌱", "🌿", "🍆", "🍆", "🍆"] },
+        "hot_pepper": { "name": "Hot Pepper", "cost": 9, "growthTime": 22000, "harvestValue": 18, "season": "summer", "stages": ["🌱", "🌿", "🌶️", "🌶️", "🌶️"] },
+        "pumpkin": { "name": "Pumpkin", "cost": 25, "growthTime": 35000, "harvestValue": 45, "season": "fall", "stages": ["🌱", "🌿", "🎃", "🎃", "🎃"] },
+        "squash": { "name": "Squash", "cost": 15, "growthTime": 28000, "harvestValue": 25, "season": "fall", "stages": ["🌱", "🌿", "🍠", "🍠", "🍠"] },
+        "broccoli": { "name": "Broccoli", "cost": 11, "growthTime": 24000, "harvestValue": 19, "season": "fall", "stages": ["🌱", "🌿", "🥦", "🥦", "🥦"] },
+        "cauliflower": { "name": "Cauliflower", "cost": 14, "growthTime": 26000, "harvestValue": 22, "season": "fall", "stages": ["🌱", "🌿", "🥦", "🥦", "🥦"] },
+        "cabbage": { "name": "Cabbage", "cost": 8, "growthTime": 20000, "harvestValue": 14, "season": "fall", "stages": ["🌱", "🌿", "🥬", "🥬", "🥬"] },
+        "sweet_potato": { "name": "Sweet Potato", "cost": 9, "growthTime": 24000, "harvestValue": 16, "season": "fall", "stages": ["🌱", "🌿", "🍠", "🍠", "🍠"] },
+        "winter_greens": { "name": "Winter Greens", "cost": 20, "growthTime": 30000, "harvestValue": 35, "season": "winter", "stages": ["🌱", "🌿", "🥬", "🥬", "🥬"] },
+        "herbs": { "name": "Herbs", "cost": 15, "growthTime": 25000, "harvestValue": 28, "season": "winter", "stages": ["🌿", "🌿", "🌿", "🌿", "🌿"] },
+        "onion": { "name": "Onion", "cost": 4, "growthTime": 14000, "harvestValue": 6, "season": "all", "stages": ["🌱", "🌿", "🧅", "🧅", "🧅"] },
+        "garlic": { "name": "Garlic", "cost": 5, "growthTime": 16000, "harvestValue": 8, "season": "all", "stages": ["🌱", "🌿", "🧄", "🧄", "🧄"] },
+        "potato": { "name": "Potato", "cost": 7, "growthTime": 18000, "harvestValue": 12, "season": "all", "stages": ["🌱", "🌿", "🥔", "🥔", "🥔"], "soilEffect": -12 },
+        "celery": { "name": "Celery", "cost": 6, "growthTime": 15000, "harvestValue": 9, "season": "all", "stages": ["🌱", "🌿", "🥬", "🥬", "🥬"] },
+        "mushroom": { "name": "Mushroom", "cost": 12, "growthTime": 20000, "harvestValue": 18, "season": "all", "stages": ["🍄", "🍄", "🍄", "🍄", "🍄"] },
+        "apple": { "name": "Apple", "cost": 12, "growthTime": 26000, "harvestValue": 22, "season": "all", "stages": ["🌱", "🌿", "🍎", "🍎", "🍎"], "perennial": { "regrowStage": 2, "maturitySeasons": 1, "peakYield": 1.3, "peakSeasons": 8, "dormantIn": ["winter"] } },
+        "green_apple": { "name": "Green Apple", "cost": 12, "growthTime": 26000, "harvestValue": 22, "season": "all", "stages": ["🌱", "🌿", "🍏", "🍏", "🍏"], "perennial": { "regrowStage": 2, "maturitySeasons": 1, "peakYield": 1.3, "peakSeasons": 8, "dormantIn": ["winter"] } },
+        "pear": { "name": "Pear", "cost": 13, "growthTime": 28000, "harvestValue": 23, "season": "all", "stages": ["🌱", "🌿", "🍐", "🍐", "🍐"], "perennial": { "regrowStage": 2, "maturitySeasons": 2, "peakYield": 1.35, "peakSeasons": 10, "dormantIn": ["winter"] } },
+        "peach": { "name": "Peach", "cost": 14, "growthTime": 28000, "harvestValue": 24, "season": "all", "stages": ["🌱", "🌿", "🍑", "🍑", "🍑"], "perennial": { "regrowStage": 2, "maturitySeasons": 1, "peakYield": 1.25, "peakSeasons": 6, "dormantIn": ["fall", "winter"] } },
+        "cherries": { "name": "Cherries", "cost": 10, "growthTime": 22000, "harvestValue": 20, "season": "all", "stages": ["🌱", "🌿", "🍒", "🍒", "🍒"], "perennial": { "regrowStage": 3, "maturitySeasons": 1, "peakYield": 1.2, "peakSeasons": 5, "dormantIn": ["winter"] } },
+        "strawberry": { "name": "Strawberry", "cost": 9, "growthTime": 20000, "harvestValue": 19, "season": "spring", "stages": ["🌱", "🌿", "🍓", "🍓", "🍓"] },
+        "orange": { "name": "Orange", "cost": 11, "growthTime": 26000, "harvestValue": 22, "season": "summer", "stages": ["🌱", "🌿", "🍊", "🍊", "🍊"] },
+        "lemon": { "name": "Lemon", "cost": 9, "growthTime": 22000, "harvestValue": 18, "season": "summer", "stages": ["🌱", "🌿", "🍋", "🍋", "🍋"] },
+        "banana": { "name": "Banana", "cost": 11, "growthTime": 26000, "harvestValue": 23, "season": "summer", "stages": ["🌱", "🌿", "🍌", "🍌", "🍌"] },
+        "watermelon": { "name": "Watermelon", "cost": 22, "growthTime": 32000, "harvestValue": 38, "season": "summer", "stages": ["🌱", "🌿", "🍉", "🍉", "🍉"], "isRare": true },
+        "melon": { "name": "Melon", "cost": 18, "growthTime": 30000, "harvestValue": 30, "season": "summer", "stages": ["🌱", "🌿", "🍈", "🍈", "🍈"], "isRare": true },
+        "blueberry": { "name": "Blueberry", "cost": 17, "growthTime": 26000, "harvestValue": 29, "season": "summer", "stages": ["🌱", "🌿", "🫐", "🫐", "🫐"], "isRare": true },
+        "kiwi": { "name": "Kiwi", "cost": 22, "growthTime": 34000, "harvestValue": 38, "season": "fall", "stages": ["🌱", "🌿", "🥝", "🥝", "🥝"], "isRare": true },
+        "coconut": { "name": "Coconut", "cost": 24, "growthTime": 36000, "harvestValue": 42, "season": "summer", "stages": ["🌱", "🌿", "🥥", "🥥", "🥥"], "isRare": true },
+        "olive": { "name": "Olive", "cost": 21, "growthTime": 32000, "harvestValue": 36, "season": "fall", "stages": ["🌱", "🌿", "🫒", "🫒", "🫒"], "isRare": true },
+        "asparagus": { "name": "Asparagus", "cost": 13, "growthTime": 26000, "harvestValue": 21, "season": "spring", "stages": ["🌱", "🌿", "🥬", "🥬", "🥬"], "isRare": true },
+        "artichoke": { "name": "Artichoke", "cost": 16, "growthTime": 32000, "harvestValue": 28, "season": "fall", "stages": ["🌱", "🌿", "🥬", "🥬", "🥬"], "isRare": true },
+        "grapes": { "name": "Grapes", "cost": 22, "growthTime": 34000, "harvestValue": 36, "season": "all", "stages": ["🌱", "🌿", "🍇", "🍇", "🍇"], "isLegendary": true },
+        "pineapple": { "name": "Pineapple", "cost": 30, "growthTime": 50000, "harvestValue": 50, "season": "all", "stages": ["🌱", "🌿", "🍍", "🍍", "🍍"], "isLegendary": true },
+        "mango": { "name": "Mango", "cost": 28, "growthTime": 48000, "harvestValue": 45, "season": "all", "stages": ["🌱", "🌿", "🥭", "🥭", "🥭"], "isLegendary": true },
+        "dragonfruit": { "name": "Dragonfruit", "cost": 35, "growthTime": 60000, "harvestValue": 60, "season": "all", "stages": ["🌱", "🌿", "🐲", "🐲", "🐉"], "isLegendary": true },
+        "golden_tomato": { "name": "Golden Tomato", "cost": 15, "growthTime": 24000, "harvestValue": 40, "season": "all", "stages": ["🌱", "🌿", "🍅", "🍅", "🌟"], "reputation": 25 },
+        "moon_melon": { "name": "Moon Melon", "cost": 25, "growthTime": 36000, "harvestValue": 75, "season": "all", "stages": ["🌱", "🌿", "🍈", "🍈", "🌙"], "isRare": true, "reputation": 60 },
+        "star_fruit": { "name": "Star Fruit", "cost": 40, "growthTime": 56000, "harvestValue": 140, "season": "all", "stages": ["🌱", "🌿", "⭐", "⭐", "🌠"], "isLegendary": true, "reputation": 120 },
+        "moonflower": { "name": "Moonflower", "cost": 14, "growthTime": 24000, "harvestValue": 30, "season": "all", "stages": ["🌱", "🌿", "🌑", "🌓", "🌕"], "nightBlooming": true },
+        "evening_primrose": { "name": "Evening Primrose", "cost": 10, "growthTime": 20000, "harvestValue": 21, "season": "summer", "stages": ["🌱", "🌿", "🌼", "🌼", "🌼"], "nightBlooming": true }
+    },
+    "sprinklerTypes": {
+        "basic": { "price": 50, "range": 1, "growthBonus": 0.2, "waterBonus": 0, "fertilizerBonus": 0, "color": "#87CEEB", "icon": "💧", "description": "+20% growth, 1 tile range", "duration": 120000 },
+        "advanced": { "price": 150, "range": 2, "growthBonus": 0.4, "waterBonus": 0.1, "fertilizerBonus": 0, "color": "#4A90E2", "icon": "🌊", "description": "+40% growth, +10% water efficiency, 2 tile range", "duration": 180000 },
+        "premium": { "price": 300, "range": 2, "growthBonus": 0.6, "waterBonus": 0.2, "fertilizerBonus": 0.1, "color": "#9B59B6", "icon": "🌈", "description": "+60% growth, +20% water, +10% fertilizer, 2 tile range", "duration": 240000 },
+        "legendary": { "price": 500, "range": 3, "growthBonus": 0.8, "waterBonus": 0.3, "fertilizerBonus": 0.2, "color": "#E74C3C", "icon": "⭐", "description": "+80% growth, +30% water, +20% fertilizer, 3 tile range", "duration": 300000 }
+    },
+    "machineTypes": {
+        "auto_waterer": { "name": "Auto-Waterer", "icon": "🚿", "action": "water", "color": "#3498db", "description": "Waters thirsty plants around it from your water stock", "tiers": [ { "range": 1, "seconds": 20, "fuel": 1, "cost": 1500 }, { "range": 2, "seconds": 15, "fuel": 1, "cost": 3000 }, { "range": 3, "seconds": 10, "fuel": 2, "cost": 7000 } ] },
+        "auto_harvester": { "name": "Auto-Harvester", "icon": "🤖", "action": "harvest", "color": "#e67e22", "description": "Harvests fully grown crops around it into the barn", "tiers": [ { "range": 1, "seconds": 30, "fuel": 1, "cost": 2500 }, { "range": 2, "seconds": 20, "fuel": 1, "cost": 5000 }, { "range": 3, "seconds": 15, "fuel": 2, "cost": 10000 } ] },
+        "seed_planter": { "name": "Seed Planter", "icon": "🚜", "action": "plant", "color": "#8e6e53", "description": "Replants empty tiles around it with its chosen seed from the shop", "tiers": [ { "range": 1, "seconds": 30, "fuel": 1, "cost": 2000 }, { "range": 2, "seconds": 20, "fuel": 1, "cost": 4000 }, { "range": 3, "seconds": 15, "fuel": 2, "cost": 8000 } ] }
+    },
+    "decorations": {
+        "stone_path": { "name": "Stone Path", "cost": 25, "type": "path", "icon": "🛣️", "bonus": "none", "description": "Beautiful stone pathway" },
+        "wooden_path": { "name": "Wooden Path", "cost": 15, "type": "path", "icon": "🛤️", "bonus": "none", "description": "Rustic wooden walkway" },
+        "garden_gnome": { "name": "Garden Gnome", "cost": 100, "type": "statue", "icon": "🧙", "bonus": "+10% harvest value", "description": "Magical garden guardian" },
+        "bird_bath": { "name": "Bird Bath", "cost": 75, "type": "statue", "icon": "🛁", "bonus": "+15% water efficiency", "description": "Attracts helpful birds" },
+        "sundial": { "name": "Sundial", "cost": 200, "type": "statue", "icon": "⏰", "bonus": "+20% growth boost", "description": "Ancient time-keeping wisdom" },
+        "crystal_fountain": { "name": "Crystal Fountain", "cost": 250, "type": "statue", "icon": "💎", "bonus": "+15% water efficiency", "description": "Sparkling centerpiece" },
+        "picket_fence": { "name": "Picket Fence", "cost": 30, "type": "fence", "icon": "🏡", "bonus": "+5% plant protection", "description": "Classic garden border" },
+        "stone_wall": { "name": "Stone Wall", "cost": 80, "type": "fence", "icon": "🧱", "bonus": "+10% plant protection", "description": "Sturdy garden defense" },
+        "fairy_lights": { "name": "Fairy Lights", "cost": 60, "type": "decoration", "icon": "✨", "bonus": "+10% growth boost", "nightBonus": "+20% growth boost", "glow": "#fff3b0", "description": "Twinkling night ambience" },
+        "fairy_lanterns": { "name": "Fairy Lanterns", "cost": 90, "type": "decoration", "icon": "🏮", "bonus": "+12% growth boost", "nightBonus": "+24% growth boost", "glow": "#ffb35c", "description": "Soft glowing lights" },
+        "butterfly_arch": { "name": "Butterfly Arch", "cost": 220, "type": "decoration", "icon": "🦋", "bonus": "+20% growth boost", "description": "Welcoming pollinators" },
+        "christmas_lights": { "name": "Christmas Lights", "cost": 150, "type": "seasonal", "icon": "🎄", "bonus": "+25% winter growth", "nightBonus": "+15% winter growth", "glow": "#ff6b6b", "season": "winter", "festival": "winter_lights", "description": "Festive winter cheer" },
+        "halloween_pumpkins": { "name": "Halloween Pumpkins", "cost": 100, "type": "seasonal", "icon": "🎃", "bonus": "+20% harvest value", "nightBonus": "+10% harvest value", "glow": "#ff9f1c", "season": "fall", "festival": "halloween", "description": "Spooky fall decoration" },
+        "spring_tulips": { "name": "Spring Tulips", "cost": 60, "type": "seasonal", "icon": "🌷", "bonus": "+15% spring growth", "season": "spring", "description": "Fresh spring blooms" },
+        "summer_sunflowers": { "name": "Summer Sunflowers", "cost": 70, "type": "seasonal", "icon": "🌻", "bonus": "+15% summer growth", "season": "summer", "description": "Bright summer beauty" },
+        "autumn_wreath": { "name": "Autumn Wreath", "cost": 60, "type": "seasonal", "icon": "🍂", "bonus": "+15% harvest value", "season": "fall", "description": "Warm fall welcome" },
+        "flower_bed": { "name": "Flower Bed", "cost": 50, "type": "flower", "icon": "🌸", "bonus": "+10% growth boost", "description": "Attracts beneficial insects" },
+        "blooming_meadow": { "name": "Blooming Meadow", "cost": 180, "type": "flower", "icon": "🌼", "bonus": "Global +35% growth boost", "description": "Global +35% growth boost", "scope": "global" },
+        "rose_arcade": { "name": "Rose Arcade", "cost": 220, "type": "flower", "icon": "🌹", "bonus": "Global +30% harvest value", "description": "Global +30% harvest value", "scope": "global" },
+        "hibiscus_sanctuary": { "name": "Hibiscus Sanctuary", "cost": 240, "type": "flower", "icon": "🌺", "bonus": "Global +25% water efficiency", "description": "Global +25% water efficiency", "scope": "global" },
+        "rosette_topiary": { "name": "Rosette Topiary", "cost": 210, "type": "flower", "icon": "🏵️", "bonus": "Global +25% plant protection", "description": "Global +25% plant protection", "scope": "global" },
+        "bouquet_cart": { "name": "Bouquet Cart", "cost": 230, "type": "flower", "icon": "💐", "bonus": "Global +20% growth boost", "description": "Global +20% growth boost", "scope": "global" },
+        "lotus_pond": { "name": "Lotus Pond", "cost": 300, "type": "flower", "icon": "🪷", "bonus": "Global +40% growth aura", "description": "Global +40% growth aura", "scope": "global" },
+        "hyacinth_grove": { "name": "Hyacinth Grove", "cost": 250, "type": "flower", "icon": "🪻", "bonus": "Global +30% water efficiency", "description": "Global +30% water efficiency", "scope": "global" },
+        "white_blossom_circle": { "name": "White Blossom Circle", "cost": 200, "type": "flower", "icon": "💮", "bonus": "Global +20% plant protection", "description": "Global +20% plant protection", "scope": "global" },
+        "eternal_bloom": { "name": "Eternal Bloom", "cost": 260, "type": "flower", "icon": "🥀", "bonus": "Global +25% harvest value", "description": "Global +25% harvest value", "scope": "global" }
+    },
+    "hybrids": {
+        "strawnana": { "name": "Strawnana", "parents": ["strawberry", "banana"], "chance": 0.2, "growthRate": 1.6, "growthTime": 30000, "harvestValue": 48, "season": "summer", "stages": ["🌱", "🌿", "🍓", "🍌", "🍨"] },
+        "pomato": { "name": "Pomato", "parents": ["tomato", "potato"], "chance": 0.25, "growthRate": 1.3, "growthTime": 26000, "harvestValue": 34, "season": "all", "stages": ["🌱", "🌿", "🥔", "🍅", "🍅"], "soilEffect": -10 },
+        "gonion": { "name": "Gonion", "parents": ["garlic", "onion"], "chance": 0.3, "growthRate": 1.0, "growthTime": 20000, "harvestValue": 22, "season": "all", "stages": ["🌱", "🌿", "🧅", "🧄", "🧄"] },
+        "broccoflower": { "name": "Broccoflower", "parents": ["broccoli", "cauliflower"], "chance": 0.25, "growthRate": 1.2, "growthTime": 30000, "harvestValue": 42, "season": "fall", "stages": ["🌱", "🌿", "🥦", "🥦", "🌼"] },
+        "orangelo": { "name": "Orangelo", "parents": ["orange", "lemon"], "chance": 0.2, "growthRate": 1.5, "growthTime": 30000, "harvestValue": 46, "season": "summer", "stages": ["🌱", "🌿", "🍋", "🍊", "🌅"] },
+        "peachberry": { "name": "Peachberry", "parents": ["peach", "cherries"], "chance": 0.2, "growthRate": 1.6, "growthTime": 32000, "harvestValue": 44, "season": "all", "stages": ["🌱", "🌿", "🌸", "🍒", "🍑"] },
+        "melonberry": { "name": "Melonberry", "parents": ["melon", "blueberry"], "chance": 0.1, "growthRate": 2.4, "growthTime": 36000, "harvestValue": 70, "season": "summer", "stages": ["🌱", "🌿", "🫐", "🍈", "💠"], "isRare": true },
+        "dragon_mango": { "name": "Dragon Mango", "parents": ["dragonfruit", "mango"], "chance": 0.05, "growthRate": 4.2, "growthTime": 64000, "harvestValue": 130, "season": "all", "stages": ["🌱", "🌿", "🥭", "🐲", "🔥"], "isLegendary": true }
+    },
+    "festivals": {
+        "new_year": { "name": "New Year Fireworks", "icon": "🎆", "from": "12-31", "to": "01-01", "boost": { "kind": "harvest", "multiplier": 1.25 }, "description": "Crops sell for 25% more while the fireworks last" },
+        "blossom_fair": { "name": "Blossom Fair", "icon": "🌸", "from": "03-19", "to": "03-25", "followsHemisphere": true, "boost": { "kind": "growth", "multiplier": 1.2 }, "description": "Everything grows 20% faster for the first week of spring" },
+        "midsummer": { "name": "Midsummer", "icon": "☀️", "from": "06-20", "to": "06-26", "followsHemisphere": true, "boost": { "kind": "growth", "multiplier": 1.3 }, "description": "The longest days grow everything 30% faster" },
+        "harvest_moon": { "name": "Harvest Moon", "icon": "🌕", "from": "09-20", "to": "09-28", "followsHemisphere": true, "boost": { "kind": "harvest", "multiplier": 1.3 }, "description": "Harvests are worth 30% more under the harvest moon" },
+        "halloween": { "name": "Halloween", "icon": "🎃", "from": "10-24", "to": "10-31", "boost": { "kind": "harvest", "multiplier": 1.2 }, "description": "Harvests are worth 20% more and Halloween Pumpkins are in the shop" },
+        "winter_lights": { "name": "Winter Lights", "icon": "🎄", "from": "12-01", "to": "12-26", "boost": { "kind": "water", "multiplier": 1.2 }, "description": "Watering goes 20% further and Christmas Lights are in the shop" }
+    },
+    "pests": {
+        "aphids": { "name": "Aphids", "icon": "🐛", "color": "#9acd32", "outbreakChance": 0.002, "spreadChance": 0.08, "growthPenalty": 0.12, "valuePenalty": 0.05, "treatCost": 15, "weather": { "sunny": 1.8, "rainy": 0.5, "cloudy": 1, "stormy": 0.3 }, "companions": ["garlic", "onion", "herbs"], "deterrents": ["bird_bath", "flower_bed", "butterfly_arch"] },
+        "blight": { "name": "Blight", "icon": "🍂", "color": "#8b5a2b", "outbreakChance": 0.0015, "spreadChance": 0.06, "growthPenalty": 0.08, "valuePenalty": 0.12, "treatCost": 25, "weather": { "sunny": 0.5, "rainy": 1.5, "cloudy": 1.8, "stormy": 1.2 }, "companions": ["herbs", "asparagus"], "deterrents": ["sundial"] },
+        "rot": { "name": "Root Rot", "icon": "🍄", "color": "#6b4f7a", "outbreakChance": 0.001, "spreadChance": 0.05, "growthPenalty": 0.1, "valuePenalty": 0.15, "treatCost": 20, "weather": { "sunny": 0.2, "rainy": 3, "cloudy": 1, "stormy": 2.5 }, "companions": ["garlic", "celery"], "deterrents": ["stone_path", "wooden_path"] }
+    },
+    "recipes": {
+        "pasta_sauce": { "name": "Pasta Sauce", "icon": "🍝", "ingredients": { "tomato": 2, "herbs": 1, "onion": 1 }, "value": 100, "buff": { "kind": "growth", "multiplier": 1.25, "minutes": 10 } },
+        "garden_salad": { "name": "Garden Salad", "icon": "🥗", "ingredients": { "lettuce": 2, "cucumber": 1, "tomato": 1 }, "value": 60, "buff": { "kind": "water", "multiplier": 1.5, "minutes": 10 } },
+        "veggie_soup": { "name": "Vegetable Soup", "icon": "🍲", "ingredients": { "carrot": 2, "potato": 1, "celery": 1 }, "value": 60, "buff": { "kind": "harvest", "multiplier": 1.1, "minutes": 10 } },
+        "stir_fry": { "name": "Stir Fry", "icon": "🥘", "ingredients": { "broccoli": 1, "bell_pepper": 1, "garlic": 1 }, "value": 75, "buff": { "kind": "growth", "multiplier": 1.15, "minutes": 15 } },
+        "salsa": { "name": "Hot Salsa", "icon": "🌮", "ingredients": { "hot_pepper": 1, "tomato": 1, "onion": 1 }, "value": 65, "buff": { "kind": "water", "multiplier": 1.3, "minutes": 15 } },
+        "mushroom_risotto": { "name": "Mushroom Risotto", "icon": "🍚", "ingredients": { "mushroom": 2, "garlic": 1 }, "value": 75, "buff": { "kind": "growth", "multiplier": 1.2, "minutes": 10 } },
+        "fruit_salad": { "name": "Fruit Salad", "icon": "🍧", "ingredients": { "strawberry": 1, "melon": 1, "blueberry": 1 }, "value": 130, "buff": { "kind": "harvest", "multiplier": 1.2, "minutes": 10 } },
+        "pumpkin_pie": { "name": "Pumpkin Pie", "icon": "🥧", "ingredients": { "pumpkin": 1, "sweet_potato": 1 }, "value": 110 },
+        "apple_crumble": { "name": "Apple Crumble", "icon": "🍰", "ingredients": { "apple": 2, "pear": 1 }, "value": 115 },
+        "guacamole": { "name": "Guacamole", "icon": "🥑", "ingredients": { "avocado": 2, "lemon": 1, "onion": 1 }, "value": 125 }
+    },
+    "villagers": {
+        "rosie": { "name": "Rosie the Baker", "icon": "👩‍🍳", "likes": ["carrot", "potato", "onion", "pumpkin", "apple", "strawberry", "tomato", "lettuce"], "minReputation": 0, "rewardMultiplier": 1.6, "reputation": 4, "hours": 2 },
+        "old_joe": { "name": "Old Joe", "icon": "👴", "likes": ["corn", "cabbage", "peas", "squash", "sweet_potato", "garlic", "radish", "spinach"], "minReputation": 0, "rewardMultiplier": 1.5, "reputation": 3, "hours": 3 },
+        "chef_marco": { "name": "Chef Marco", "icon": "👨‍🍳", "likes": ["herbs", "bell_pepper", "eggplant", "mushroom", "broccoli", "cauliflower", "zucchini", "hot_pepper"], "minReputation": 15, "rewardMultiplier": 1.9, "reputation": 6, "hours": 2 },
+        "lady_willow": { "name": "Lady Willow", "icon": "👒", "likes": ["melon", "blueberry", "kiwi", "asparagus", "artichoke", "olive", "watermelon", "coconut"], "minReputation": 40, "rewardMultiplier": 2.2, "reputation": 9, "hours": 3 },
+        "the_duke": { "name": "The Duke", "icon": "🎩", "likes": ["grapes", "pineapple", "mango", "dragonfruit", "golden_tomato", "moon_melon"], "minReputation": 90, "rewardMultiplier": 2.6, "reputation": 14, "hours": 4 }
+    },
+    "achievements": {
+        "firstHarvest": { "name": "First Harvest", "icon": "🌾", "metric": "totalHarvests", "goal": "Harvest {n} crops", "tiers": [{ "threshold": 1, "reward": { "money": 25 } }, { "threshold": 100, "reward": { "money": 250 } }, { "threshold": 1000, "reward": { "badge": "🌾" } }] },
+        "moneyMaker": { "name": "Money Maker", "icon": "💰", "metric": "totalMoney", "goal": "Earn ${n} in total", "tiers": [{ "threshold": 100, "reward": { "money": 20 } }, { "threshold": 10000, "reward": { "money": 500 } }, { "threshold": 1000000, "reward": { "badge": "💰" } }] },
+        "plantMaster": { "name": "Plant Master", "icon": "🌱", "metric": "differentPlantsPlanted", "goal": "Plant {n} different crops", "tiers": [{ "threshold": 10, "reward": { "money": 100 } }, { "threshold": 25, "reward": { "money": 400 } }, { "threshold": 50, "reward": { "badge": "🌱" } }] },
+        "waterWizard": { "name": "Water Wizard", "icon": "💧", "metric": "plantsWatered", "goal": "Water {n} plants", "tiers": [{ "threshold": 20, "reward": { "money": 30 } }, { "threshold": 250, "reward": { "money": 200 } }, { "threshold": 2000, "reward": { "badge": "💧" } }] },
+        "fertilizerFanatic": { "name": "Fertilizer Fanatic", "icon": "🌿", "metric": "plantsFertilized", "goal": "Use fertilizer {n} times", "tiers": [{ "threshold": 15, "reward": { "money": 30 } }, { "threshold": 150, "reward": { "money": 200 } }, { "threshold": 1500, "reward": { "badge": "🌿" } }] },
+        "speedGrower": { "name": "Speed Grower", "icon": "⚡", "metric": "speedGrows", "goal": "Grow {n} crops in under 30 seconds each", "tiers": [{ "threshold": 1, "reward": { "money": 50 } }, { "threshold": 10, "reward": { "money": 300 } }, { "threshold": 50, "reward": { "badge": "⚡" } }] },
+        "rareCollector": { "name": "Rare Collector", "icon": "⭐", "metric": "rareHarvests", "goal": "Harvest {n} rare crops", "tiers": [{ "threshold": 5, "reward": { "money": 100 } }, { "threshold": 50, "reward": { "money": 600 } }, { "threshold": 250, "reward": { "badge": "⭐" } }] },
+        "legendaryFarmer": { "name": "Legendary Farmer", "icon": "🌟", "metric": "legendaryHarvests", "goal": "Harvest {n} legendary crops", "tiers": [{ "threshold": 3, "reward": { "money": 200 } }, { "threshold": 25, "reward": { "money": 1000 } }, { "threshold": 100, "reward": { "badge": "🌟" } }] },
+        "hybridPioneer": { "name": "Hybrid Pioneer", "icon": "🧬", "metric": "hybridsDiscovered", "goal": "Discover {n} hybrids", "hidden": true, "tiers": [{ "threshold": 1, "reward": { "money": 150 } }, { "threshold": 4, "reward": { "money": 600 } }, { "threshold": 8, "reward": { "badge": "🧬" } }] },
+        "bornAgain": { "name": "Born Again", "icon": "🔁", "metric": "rebirths", "goal": "Rebirth {n} times", "hidden": true, "tiers": [{ "threshold": 1, "reward": { "money": 250 } }, { "threshold": 3, "reward": { "money": 1000 } }, { "threshold": 10, "reward": { "badge": "🔁" } }] }
+    },
+    "prestigeUpgrades": [
+        { "id": "harvestMastery", "name": "Harvest Mastery", "icon": "🌾", "description": "Each level adds +5% permanent harvest value.", "baseCost": 4, "costGrowth": 2, "maxLevel": 10 },
+        { "id": "seedEconomy", "name": "Seed Saver", "icon": "", "description": "Each level reduces seed prices by 4% (up to 24%).", "baseCost": 3, "costGrowth": 1, "maxLevel": 6 },
+        { "id": "starterKit", "name": "Starter Kit", "icon": "🎁", "description": "Each level grants +$150, +40 water, +25 fertilizer at the start of a run.", "baseCost": 5, "costGrowth": 3, "maxLevel": 5 }
+    ],
+    "challenges": {
+        "daily": [
+            { "challengeType": "harvest", "target": 20, "description": "Harvest 20 plants", "reward": 75 },
+            { "challengeType": "plant", "target": 25, "description": "Plant 25 seeds", "reward": 60 },
+            { "challengeType": "water", "target": 30, "description": "Water 30 plants", "reward": 55 },
+            { "challengeType": "money", "target": 400, "description": "Earn $400", "reward": 80 },
+            { "challengeType": "rare", "target": 4, "description": "Harvest 4 rare plants", "reward": 120 },
+            { "challengeType": "fertilize", "target": 10, "description": "Fertilize 10 plants", "reward": 70 }
+        ],
+        "weekly": [
+            { "challengeType": "harvest", "target": 120, "description": "Harvest 120 plants", "reward": 600 },
+            { "challengeType": "plant", "target": 160, "description": "Plant 160 seeds", "reward": 500 },
+            { "challengeType": "money", "target": 3000, "description": "Earn $3000", "reward": 700 },
+            { "challengeType": "legendary", "target": 8, "description": "Harvest 8 legendary plants", "reward": 900 },
+            { "challengeType": "expansion", "target": 2, "description": "Expand your garden twice", "reward": 800 }
+        ]
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GARDEN_CATALOG_DATA;
+}
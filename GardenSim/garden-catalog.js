@@ -0,0 +1,460 @@
+// Garden data catalog
+// Crops, hybrids, sprinklers, machines, decorations, festivals, pests, recipes, villagers, achievements,
+// prestige upgrades and challenge pools live in garden-catalog.data.js.
+// The page loads that script first and validates it before the menu starts; under Node it is required directly.
+// To add content or rebalance, edit the data file; validateGardenCatalog() lists anything malformed.
+
+const CATALOG_SEASONS = ['spring', 'summer', 'fall', 'winter', 'all'];
+const CATALOG_STAGE_COUNT = 5; // seed, sprout, small, medium, mature
+const CATALOG_MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31]; // 02-29 is allowed for leap years
+const CATALOG_WEATHER = ['sunny', 'rainy', 'cloudy', 'stormy'];
+const CATALOG_CHALLENGE_TYPES = ['harvest', 'plant', 'water', 'fertilize', 'money', 'rare', 'legendary', 'expansion'];
+const CATALOG_BUFF_KINDS = ['growth', 'water', 'harvest'];
+const CATALOG_MACHINE_ACTIONS = ['harvest', 'water', 'plant'];
+const CATALOG_ACHIEVEMENT_TIERS = ['bronze', 'silver', 'gold'];
+const CATALOG_ACHIEVEMENT_METRICS = [
+    'totalHarvests', 'totalMoney', 'differentPlantsPlanted', 'plantsWatered', 'plantsFertilized',
+    'speedGrows', 'rareHarvests', 'legendaryHarvests', 'hybridsDiscovered', 'rebirths'
+];
+
+// Field rules per entry kind: type plus optional min, max, integer, oneOf, optional
+// An 'object' rule checks its value against the nested fields schema; a 'list' rule checks every item of a non-empty list against it
+const CATALOG_PERENNIAL_SCHEMA = {
+    regrowStage: { type: 'number', min: 0, max: CATALOG_STAGE_COUNT - 2, integer: true },
+    maturitySeasons: { type: 'number', min: 0, integer: true }, // seasons after planting before the tree reaches full yield
+    peakYield: { type: 'number', min: 0.1 },
+    peakSeasons: { type: 'number', min: 1, integer: true }, // seasons at peakYield before the tree starts to decline
+    dormantIn: { type: 'seasons' }
+};
+
+const CATALOG_BUFF_SCHEMA = {
+    kind: { type: 'string', oneOf: CATALOG_BUFF_KINDS },
+    multiplier: { type: 'number', min: 1, max: 3 },
+    minutes: { type: 'number', min: 1, integer: true }
+};
+
+const CATALOG_FESTIVAL_BOOST_SCHEMA = {
+    kind: { type: 'string', oneOf: CATALOG_BUFF_KINDS },
+    multiplier: { type: 'number', min: 1, max: 3 }
+};
+
+const CATALOG_MACHINE_TIER_SCHEMA = {
+    range: { type: 'number', min: 1, integer: true },
+    seconds: { type: 'number', min: 1 }, // time between runs
+    fuel: { type: 'number', min: 0, integer: true }, // used per run that finds work
+    cost: { type: 'number', min: 0, integer: true }
+};
+
+const CATALOG_ACHIEVEMENT_REWARD_SCHEMA = {
+    money: { type: 'number', min: 1, integer: true, optional: true },
+    badge: { type: 'string', optional: true } // cosmetic shown beside the garden name
+};
+
+const CATALOG_ACHIEVEMENT_TIER_SCHEMA = {
+    threshold: { type: 'number', min: 1, integer: true },
+    reward: { type: 'object', fields: CATALOG_ACHIEVEMENT_REWARD_SCHEMA }
+};
+
+const CATALOG_SCHEMA = {
+    plantTypes: {
+        name: { type: 'string' },
+        cost: { type: 'number', min: 0 },
+        growthTime: { type: 'number', min: 1 },
+        harvestValue: { type: 'number', min: 0 },
+        season: { type: 'string', oneOf: CATALOG_SEASONS },
+        stages: { type: 'stages' },
+        isRare: { type: 'boolean', optional: true },
+        isLegendary: { type: 'boolean', optional: true },
+        soilEffect: { type: 'number', optional: true }, // nutrients added to (or taken from) the tile on harvest
+        perennial: { type: 'object', fields: CATALOG_PERENNIAL_SCHEMA, optional: true }, // regrows after harvest instead of clearing
+        reputation: { type: 'number', min: 1, integer: true, optional: true }, // villager exclusive, stocked from this reputation
+        nightBlooming: { type: 'boolean', optional: true } // only grows after dark on the player's clock
+    },
+    hybrids: {
+        name: { type: 'string' },
+        parents: { type: 'parents' },
+        chance: { type: 'number', min: 0, max: 1 },
+        growthRate: { type: 'number', min: 0.1 },
+        growthTime: { type: 'number', min: 1 },
+        harvestValue: { type: 'number', min: 0 },
+        season: { type: 'string', oneOf: CATALOG_SEASONS },
+        stages: { type: 'stages' },
+        isRare: { type: 'boolean', optional: true },
+        isLegendary: { type: 'boolean', optional: true },
+        soilEffect: { type: 'number', optional: true }
+    },
+    sprinklerTypes: {
+        price: { type: 'number', min: 0 },
+        range: { type: 'number', min: 0, integer: true },
+        growthBonus: { type: 'number', min: 0 },
+        waterBonus: { type: 'number', min: 0 },
+        fertilizerBonus: { type: 'number', min: 0 },
+        color: { type: 'string' },
+        icon: { type: 'string' },
+        description: { type: 'string' },
+        duration: { type: 'number', min: 1 }
+    },
+    machineTypes: {
+        name: { type: 'string' },
+        icon: { type: 'string' },
+        action: { type: 'string', oneOf: CATALOG_MACHINE_ACTIONS },
+        color: { type: 'string' },
+        description: { type: 'string' },
+        tiers: { type: 'list', fields: CATALOG_MACHINE_TIER_SCHEMA } // tier 0's cost is the price, later ones are upgrades
+    },
+    decorations: {
+        name: { type: 'string' },
+        cost: { type: 'number', min: 0 },
+        type: { type: 'string' },
+        icon: { type: 'string' },
+        bonus: { type: 'string' },
+        nightBonus: { type: 'string', optional: true }, // added to bonus after dark
+        glow: { type: 'string', optional: true }, // light colour at night
+        description: { type: 'string' },
+        season: { type: 'string', oneOf: CATALOG_SEASONS, optional: true },
+        festival: { type: 'string', optional: true }, // only sold while this festival runs
+        scope: { type: 'string', oneOf: ['global'], optional: true }
+    },
+    festivals: {
+        name: { type: 'string' },
+        icon: { type: 'string' },
+        description: { type: 'string' },
+        from: { type: 'monthDay' }, // real dates, inclusive
+        to: { type: 'monthDay' },
+        followsHemisphere: { type: 'boolean', optional: true }, // moves six months in the south
+        boost: { type: 'object', fields: CATALOG_FESTIVAL_BOOST_SCHEMA }
+    },
+    pests: {
+        name: { type: 'string' },
+        icon: { type: 'string' },
+        color: { type: 'string' },
+        outbreakChance: { type: 'number', min: 0, max: 1 }, // per plant per pest check, scaled by weather
+        spreadChance: { type: 'number', min: 0, max: 1 },
+        growthPenalty: { type: 'number', min: 0, max: 0.3 },
+        valuePenalty: { type: 'number', min: 0, max: 0.3 },
+        treatCost: { type: 'number', min: 0, integer: true },
+        weather: { type: 'weather' },
+        companions: { type: 'ids' },
+        deterrents: { type: 'ids' }
+    },
+    recipes: {
+        name: { type: 'string' },
+        icon: { type: 'string' },
+        ingredients: { type: 'ingredients' }, // crop id -> count, cooked from exactly these
+        value: { type: 'number', min: 0, integer: true },
+        buff: { type: 'object', fields: CATALOG_BUFF_SCHEMA, optional: true }
+    },
+    villagers: {
+        name: { type: 'string' },
+        icon: { type: 'string' },
+        likes: { type: 'ids' },
+        minReputation: { type: 'number', min: 0, integer: true }, // posts orders from this reputation
+        rewardMultiplier: { type: 'number', min: 1 },
+        reputation: { type: 'number', min: 1, integer: true }, // gained per delivered order; half is lost if one expires
+        hours: { type: 'number', min: 0.25 } // time allowed to deliver an order
+    },
+    achievements: {
+        name: { type: 'string' },
+        icon: { type: 'string' },
+        metric: { type: 'string', oneOf: CATALOG_ACHIEVEMENT_METRICS },
+        goal: { type: 'string' }, // {n} is the next tier's threshold
+        hidden: { type: 'boolean', optional: true }, // secret until bronze
+        tiers: { type: 'list', fields: CATALOG_ACHIEVEMENT_TIER_SCHEMA }
+    },
+    prestigeUpgrades: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        icon: { type: 'string' },
+        description: { type: 'string' },
+        baseCost: { type: 'number', min: 1 },
+        costGrowth: { type: 'number', min: 0 },
+        maxLevel: { type: 'number', min: 1, integer: true }
+    },
+    challenges: {
+        challengeType: { type: 'string', oneOf: CATALOG_CHALLENGE_TYPES },
+        target: { type: 'number', min: 1 },
+        description: { type: 'string' },
+        reward: { type: 'number', min: 0 }
+    }
+};
+
+let activeGardenCatalog = null;
+
+function checkCatalogField(value, rule) {
+    if (rule.type === 'stages') {
+        if (!Array.isArray(value) || value.length !== CATALOG_STAGE_COUNT || !value.every(stage => typeof stage === 'string' && stage)) {
+            return `must be a list of ${CATALOG_STAGE_COUNT} icons`;
+        }
+        return null;
+    }
+    if (rule.type === 'parents') {
+        if (!Array.isArray(value) || value.length !== 2 || !value.every(parent => typeof parent === 'string') || value[0] === value[1]) {
+            return 'must name two different crops';
+        }
+        return null;
+    }
+    if (rule.type === 'weather') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must map weather to multipliers';
+        const unknown = Object.keys(value).find(weather => !CATALOG_WEATHER.includes(weather));
+        if (unknown) return `names unknown weather "${unknown}"`;
+        if (!Object.values(value).every(weight => Number.isFinite(weight) && weight >= 0)) return 'multipliers must be numbers of at least 0';
+        return null;
+    }
+    if (rule.type === 'seasons') {
+        if (!Array.isArray(value) || !value.every(season => CATALOG_SEASONS.includes(season) && season !== 'all')) {
+            return 'must be a list of seasons';
+        }
+        return null;
+    }
+    if (rule.type === 'ingredients') {
+        if (!value || typeof value !== 'object' || Array.isArray(value) || Object.keys(value).length === 0) return 'must map crops to counts';
+        if (!Object.values(value).every(count => Number.isInteger(count) && count >= 1)) return 'counts must be whole numbers of at least 1';
+        return null;
+    }
+    if (rule.type === 'monthDay') {
+        const match = typeof value === 'string' && /^(\d{2})-(\d{2})$/.exec(value);
+        if (!match || Number(match[1]) < 1 || Number(match[1]) > 12) {
+            return 'must be a date written MM-DD';
+        }
+        if (Number(match[2]) < 1 || Number(match[2]) > CATALOG_MONTH_DAYS[Number(match[1]) - 1]) {
+            return `must be a real date (month ${match[1]} has ${CATALOG_MONTH_DAYS[Number(match[1]) - 1]} days)`;
+        }
+        return null;
+    }
+    if (rule.type === 'ids') {
+        if (!Array.isArray(value) || !value.every(id => typeof id === 'string' && id)) return 'must be a list of ids';
+        return null;
+    }
+    if (rule.type === 'number') {
+        if (!Number.isFinite(value)) return 'must be a number';
+        if (rule.integer && !Number.isInteger(value)) return 'must be a whole number';
+        if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+        if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+        return null;
+    }
+    if (typeof value !== rule.type) return `must be a ${rule.type}`;
+    if (rule.oneOf && !rule.oneOf.includes(value)) return `must be one of ${rule.oneOf.join(', ')}`;
+    return null;
+}
+
+function checkCatalogEntry(entry, schema, path, problems) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        problems.push(`${path} must be an object`);
+        return;
+    }
+    Object.entries(schema).forEach(([field, rule]) => {
+        if (entry[field] === undefined) {
+            if (!rule.optional) problems.push(`${path}.${field} is missing`);
+            return;
+        }
+        if (rule.type === 'object') {
+            checkCatalogEntry(entry[field], rule.fields, `${path}.${field}`, problems);
+            return;
+        }
+        if (rule.type === 'list') {
+            checkCatalogList(entry[field], rule.fields, `${path}.${field}`, problems);
+            return;
+        }
+        const problem = checkCatalogField(entry[field], rule);
+        if (problem) problems.push(`${path}.${field} ${problem}`);
+    });
+    Object.keys(entry).forEach(field => {
+        if (!schema[field]) problems.push(`${path}.${field} is not a known field`);
+    });
+}
+
+function checkCatalogMap(map, schema, path, problems) {
+    if (!map || typeof map !== 'object' || Array.isArray(map) || Object.keys(map).length === 0) {
+        problems.push(`${path} must be a non-empty object`);
+        return;
+    }
+    Object.entries(map).forEach(([key, entry]) => checkCatalogEntry(entry, schema, `${path}.${key}`, problems));
+}
+
+function checkCatalogList(list, schema, path, problems) {
+    if (!Array.isArray(list) || list.length === 0) {
+        problems.push(`${path} must be a non-empty list`);
+        return;
+    }
+    list.forEach((entry, index) => checkCatalogEntry(entry, schema, `${path}[${index}]`, problems));
+}
+
+// Hybrids must breed from two catalog crops, and each pair of parents can only make one hybrid
+function checkCatalogHybrids(catalog, problems) {
+    if (!catalog.hybrids || typeof catalog.hybrids !== 'object' || !catalog.plantTypes || typeof catalog.plantTypes !== 'object') {
+        return;
+    }
+    const pairs = new Map();
+    Object.entries(catalog.hybrids).forEach(([id, hybrid]) => {
+        if (catalog.plantTypes[id]) problems.push(`hybrids.${id} has the same id as a crop`);
+        if (!hybrid || !Array.isArray(hybrid.parents) || hybrid.parents.length !== 2) return;
+
+        hybrid.parents.forEach(parent => {
+            if (typeof parent === 'string' && !catalog.plantTypes[parent]) {
+                problems.push(`hybrids.${id}.parents names unknown crop "${parent}"`);
+            }
+        });
+        const pairKey = [...hybrid.parents].sort().join('+');
+        if (pairs.has(pairKey)) problems.push(`hybrids.${id} uses the same parents as hybrids.${pairs.get(pairKey)}`);
+        pairs.set(pairKey, id);
+    });
+}
+
+// Companions must be crops (or hybrids) and deterrents must be decorations
+function checkCatalogPests(catalog, problems) {
+    if (!catalog.pests || typeof catalog.pests !== 'object') return;
+    const crops = { ...(catalog.plantTypes || {}), ...(catalog.hybrids || {}) };
+    const decorations = catalog.decorations || {};
+    Object.entries(catalog.pests).forEach(([id, pest]) => {
+        if (!pest) return;
+        if (Array.isArray(pest.companions)) {
+            pest.companions.forEach(crop => {
+                if (typeof crop === 'string' && !crops[crop]) problems.push(`pests.${id}.companions names unknown crop "${crop}"`);
+            });
+        }
+        if (Array.isArray(pest.deterrents)) {
+            pest.deterrents.forEach(decoration => {
+                if (typeof decoration === 'string' && !decorations[decoration]) problems.push(`pests.${id}.deterrents names unknown decoration "${decoration}"`);
+            });
+        }
+    });
+}
+
+// Ingredients must be crops (or hybrids), and no two recipes may cook from the same ingredients
+function checkCatalogRecipes(catalog, problems) {
+    if (!catalog.recipes || typeof catalog.recipes !== 'object') return;
+    const crops = { ...(catalog.plantTypes || {}), ...(catalog.hybrids || {}) };
+    const dishes = new Map();
+    Object.entries(catalog.recipes).forEach(([id, recipe]) => {
+        if (!recipe || !recipe.ingredients || typeof recipe.ingredients !== 'object') return;
+        Object.keys(recipe.ingredients).forEach(crop => {
+            if (!crops[crop]) problems.push(`recipes.${id}.ingredients names unknown crop "${crop}"`);
+        });
+        const key = Object.keys(recipe.ingredients).sort().map(crop => `${crop}x${recipe.ingredients[crop]}`).join('+');
+        if (dishes.has(key)) problems.push(`recipes.${id} uses the same ingredients as recipes.${dishes.get(key)}`);
+        dishes.set(key, id);
+    });
+}
+
+// Villagers can only ask for crops the catalog grows, and someone must post orders at zero reputation
+function checkCatalogVillagers(catalog, problems) {
+    if (!catalog.villagers || typeof catalog.villagers !== 'object') return;
+    const crops = { ...(catalog.plantTypes || {}), ...(catalog.hybrids || {}) };
+    const villagers = Object.entries(catalog.villagers);
+    villagers.forEach(([id, villager]) => {
+        if (!villager || !Array.isArray(villager.likes)) return;
+        villager.likes.forEach(crop => {
+            if (typeof crop === 'string' && !crops[crop]) problems.push(`villagers.${id}.likes names unknown crop "${crop}"`);
+        });
+    });
+    if (villagers.length > 0 && !villagers.some(([, villager]) => villager && villager.minReputation === 0)) {
+        problems.push('villagers needs at least one villager with minReputation 0');
+    }
+}
+
+// Decorations can only be tied to festivals the catalog holds
+function checkCatalogFestivals(catalog, problems) {
+    if (!catalog.decorations || typeof catalog.decorations !== 'object') return;
+    const festivals = catalog.festivals || {};
+    Object.entries(catalog.decorations).forEach(([id, decoration]) => {
+        if (decoration && typeof decoration.festival === 'string' && !festivals[decoration.festival]) {
+            problems.push(`decorations.${id}.festival names unknown festival "${decoration.festival}"`);
+        }
+    });
+}
+
+// Every achievement has one tier per medal with rising thresholds, and every tier pays something
+function checkCatalogAchievements(catalog, problems) {
+    if (!catalog.achievements || typeof catalog.achievements !== 'object') return;
+    Object.entries(catalog.achievements).forEach(([id, achievement]) => {
+        if (!achievement || !Array.isArray(achievement.tiers)) return;
+        if (achievement.tiers.length !== CATALOG_ACHIEVEMENT_TIERS.length) {
+            problems.push(`achievements.${id}.tiers must list ${CATALOG_ACHIEVEMENT_TIERS.join(', ')}`);
+        }
+        achievement.tiers.forEach((tier, index) => {
+            if (!tier) return;
+            const previous = achievement.tiers[index - 1];
+            if (previous && Number.isFinite(previous.threshold) && !(tier.threshold > previous.threshold)) {
+                problems.push(`achievements.${id}.tiers[${index}].threshold must be higher than the tier before it`);
+            }
+            if (tier.reward && typeof tier.reward === 'object' && tier.reward.money === undefined && tier.reward.badge === undefined) {
+                problems.push(`achievements.${id}.tiers[${index}].reward needs money or a badge`);
+            }
+        });
+    });
+}
+
+// Returns a list of human-readable problems; an empty list means the catalog is usable
+function validateGardenCatalog(catalog) {
+    const problems = [];
+    if (!catalog || typeof catalog !== 'object') {
+        return ['catalog must be a JSON object'];
+    }
+
+    checkCatalogMap(catalog.plantTypes, CATALOG_SCHEMA.plantTypes, 'plantTypes', problems);
+    checkCatalogMap(catalog.hybrids, CATALOG_SCHEMA.hybrids, 'hybrids', problems);
+    checkCatalogHybrids(catalog, problems);
+    checkCatalogMap(catalog.sprinklerTypes, CATALOG_SCHEMA.sprinklerTypes, 'sprinklerTypes', problems);
+    checkCatalogMap(catalog.machineTypes, CATALOG_SCHEMA.machineTypes, 'machineTypes', problems);
+    checkCatalogMap(catalog.decorations, CATALOG_SCHEMA.decorations, 'decorations', problems);
+    checkCatalogMap(catalog.festivals, CATALOG_SCHEMA.festivals, 'festivals', problems);
+    checkCatalogFestivals(catalog, problems);
+    checkCatalogMap(catalog.pests, CATALOG_SCHEMA.pests, 'pests', problems);
+    checkCatalogPests(catalog, problems);
+    checkCatalogMap(catalog.recipes, CATALOG_SCHEMA.recipes, 'recipes', problems);
+    checkCatalogRecipes(catalog, problems);
+    checkCatalogMap(catalog.villagers, CATALOG_SCHEMA.villagers, 'villagers', problems);
+    checkCatalogVillagers(catalog, problems);
+    checkCatalogMap(catalog.achievements, CATALOG_SCHEMA.achievements, 'achievements', problems);
+    checkCatalogAchievements(catalog, problems);
+    checkCatalogList(catalog.prestigeUpgrades, CATALOG_SCHEMA.prestigeUpgrades, 'prestigeUpgrades', problems);
+
+    if (Array.isArray(catalog.prestigeUpgrades)) {
+        const seen = new Set();
+        catalog.prestigeUpgrades.forEach((upgrade, index) => {
+            if (!upgrade || typeof upgrade.id !== 'string') return;
+            if (seen.has(upgrade.id)) problems.push(`prestigeUpgrades[${index}].id "${upgrade.id}" is used twice`);
+            seen.add(upgrade.id);
+        });
+    }
+
+    if (!catalog.challenges || typeof catalog.challenges !== 'object') {
+        problems.push('challenges must be an object with daily and weekly pools');
+    } else {
+        checkCatalogList(catalog.challenges.daily, CATALOG_SCHEMA.challenges, 'challenges.daily', problems);
+        checkCatalogList(catalog.challenges.weekly, CATALOG_SCHEMA.challenges, 'challenges.weekly', problems);
+    }
+
+    return problems;
+}
+
+// Validate and install a catalog; throws with every problem listed if it is malformed
+function useGardenCatalog(catalog) {
+    const problems = validateGardenCatalog(catalog);
+    if (problems.length > 0) {
+        throw new Error(`Garden catalog is invalid:\n- ${problems.join('\n- ')}`);
+    }
+    activeGardenCatalog = catalog;
+    console.log(`Garden catalog loaded: ${Object.keys(catalog.plantTypes).length} crops, ${Object.keys(catalog.hybrids).length} hybrids, ${Object.keys(catalog.decorations).length} decorations`);
+    return catalog;
+}
+
+// Install the catalog garden-catalog.data.js defined (it has to be loaded before this script)
+function loadGardenCatalog() {
+    if (typeof GARDEN_CATALOG_DATA === 'undefined') {
+        throw new Error('garden-catalog.data.js did not load. Check that it sits next to index.html.');
+    }
+    return useGardenCatalog(GARDEN_CATALOG_DATA);
+}
+
+function getGardenCatalog() {
+    if (!activeGardenCatalog) {
+        throw new Error('Garden catalog has not been loaded yet');
+    }
+    return activeGardenCatalog;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    useGardenCatalog(require('./garden-catalog.data.js'));
+    module.exports = { validateGardenCatalog, useGardenCatalog, loadGardenCatalog, getGardenCatalog };
+}
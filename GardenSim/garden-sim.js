@@ -0,0 +1,6459 @@
+// Garden simulation core
+// All garden state and rules (grid, growth, economy, challenges, prestige) live here
+// without touching the DOM, so the simulation can run under Node as well as in the page.
+// GardenGame extends this class and overrides the presentation hooks to render and persist.
+const MAX_GARDEN_NAME_LENGTH = 40;
+
+function sanitizeGardenName(name, fallback = '') {
+    if (typeof name !== 'string') {
+        return fallback;
+    }
+
+    const trimmed = name.trim();
+    if (!trimmed) {
+        return fallback;
+    }
+
+    const collapsedWhitespace = trimmed.replace(/\s+/g, ' ');
+    const stripped = collapsedWhitespace.replace(/[<>]/g, '');
+    return stripped.slice(0, MAX_GARDEN_NAME_LENGTH);
+}
+
+// Default time source; pass { clock: { now() {...} } } to drive the simulation manually
+const SYSTEM_CLOCK = { now: () => Date.now() };
+
+// Hooks muted while replaying time the player did not see (see runSilently)
+const PRESENTATION_HOOKS = [
+    'showMessage', 'playSound', 'addParticle', 'spawnGentleBurst', 'draw', 'updateUI',
+    'updateShopDisplay', 'updateToolDisplay', 'updateSprinklerDisplay', 'updateAchievementsDisplay',
+    'updateChallengesDisplay', 'updateSeasonDisplay', 'updateActiveBonusesDisplay', 'updateBonusesPopup',
+    'updateRebirthUI', 'updateAlmanacDisplay', 'updateMarketDisplay', 'updateKitchenDisplay', 'updateOrdersDisplay',
+    'adjustCanvasForMobile', 'saveGame', 'saveGameWithProtection', 'verifySavedState', 'updateHistoryButtons',
+    'updateGardenTitle', 'updateEventLogDisplay'
+];
+
+// Player actions kept in the undo history, with how they read after "Undid the"
+const UNDOABLE_ACTIONS = {
+    plantSeed: 'planting',
+    removePlant: 'digging up',
+    harvestPlant: 'harvest',
+    placeSprinkler: 'sprinkler placement',
+    removeSprinkler: 'sprinkler removal',
+    placeDecoration: 'decoration placement',
+    removeDecoration: 'decoration removal',
+    placeMachine: 'machine placement',
+    removeMachine: 'machine removal',
+    upgradeMachine: 'machine upgrade',
+    buyWater: 'water purchase',
+    buyFertilizer: 'fertilizer purchase',
+    buySprinkler: 'sprinkler purchase',
+    buyFuel: 'fuel purchase',
+    applyArea: 'area action',
+    fillFromBlueprint: 'blueprint fill'
+};
+
+// Player actions that change the garden, refused while the garden is read-only (see wrapReadOnlyActions).
+// The last line's actions only exist on GardenGame
+const READ_ONLY_BLOCKED_ACTIONS = [
+    'plantSeed', 'waterPlant', 'fertilizePlant', 'harvestPlant', 'removePlant', 'treatPlant', 'applyArea', 'undo', 'redo',
+    'placeSprinkler', 'removeSprinkler', 'placeDecoration', 'removeDecoration', 'buySprinkler', 'buyWater', 'buyFertilizer',
+    'upgradeTool', 'expandGarden', 'collectChallengeReward', 'setActiveBadge',
+    'setSeasonMode', 'setHemisphere', 'buildGreenhouse', 'upgradeGreenhouse',
+    'placeMachine', 'removeMachine', 'upgradeMachine', 'setMachineSeed', 'buyFuel',
+    'saveBlueprint', 'deleteBlueprint', 'showBlueprint', 'setAutoReplant', 'fillFromBlueprint',
+    'sellProduce', 'sellAllProduce', 'cookDish', 'sellDish', 'serveDish', 'fulfillOrder', 'declineOrder',
+    'performRebirth', 'purchasePrestigeUpgrade',
+    'respecPrestigeUpgrades', 'toggleFavoriteSeed', 'promptRenameGarden'
+];
+
+// Tile actions a drag or rectangle can apply, as the preview and summary word them
+const AREA_ACTIONS = {
+    plantSeed: { icon: '🌱', verb: 'Plant', done: 'Planted' },
+    harvestPlant: { icon: '🧺', verb: 'Harvest', done: 'Harvested' },
+    treatPlant: { icon: '🧴', verb: 'Treat', done: 'Treated' },
+    waterPlant: { icon: '💧', verb: 'Water', done: 'Watered' },
+    fertilizePlant: { icon: '🌿', verb: 'Fertilize', done: 'Fertilized' },
+    removePlant: { icon: '🪏', verb: 'Dig up', done: 'Dug up' },
+    removeSprinkler: { icon: '🪏', verb: 'Pick up sprinklers on', done: 'Picked up sprinklers on' },
+    removeDecoration: { icon: '🪏', verb: 'Clear decorations from', done: 'Cleared decorations from' },
+    placeSprinkler: { icon: '💦', verb: 'Place sprinklers on', done: 'Placed sprinklers on' },
+    placeDecoration: { icon: '🎀', verb: 'Decorate', done: 'Decorated' }
+};
+
+const AREA_SHORTFALLS = {
+    money: 'not enough money',
+    water: 'out of water',
+    fertilizer: 'out of fertilizer',
+    seeds: 'out of seeds',
+    sprinklers: 'out of sprinklers'
+};
+
+// What the player holds; an undo or redo that would leave any of these below zero is refused
+const HISTORY_RESOURCES = ['money', 'water', 'fertilizer', 'fuel', 'shopInventory', 'sprinklerInventory', 'hybridSeeds', 'barn'];
+
+// Kinds of entry in the garden event log, in the order the log panel offers them as filters
+const EVENT_LOG_CATEGORIES = ['economy', 'weather', 'growth', 'admin'];
+
+// Local clock hour each part of the day starts at; night runs on past midnight until dawn
+const DAY_PHASE_HOURS = { dawn: 5, day: 7, dusk: 18, night: 20 };
+
+// Real-calendar season of each month (January first) in the northern hemisphere; the southern one is six months on
+const CALENDAR_SEASONS = ['winter', 'winter', 'spring', 'spring', 'spring', 'summer', 'summer', 'summer', 'fall', 'fall', 'fall', 'winter'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Fresh 32-bit seed for a new garden's random generator
+function createRngSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// Catalog data (crops, sprinklers, decorations, prestige, challenges) comes from garden-catalog.data.js
+// In the page garden-catalog.js is loaded first; under Node it is required on demand
+function defaultGardenCatalog() {
+    if (typeof getGardenCatalog === 'function') {
+        return getGardenCatalog();
+    }
+    return require('./garden-catalog.js').getGardenCatalog();
+}
+
+// ===== SAVE SCHEMA =====
+// Saves carry a schemaVersion; anything older is upgraded step by step on load.
+// To change the save shape: bump SAVE_SCHEMA_VERSION and append a migration for the new version.
+// Saves written before versioning count as version 0.
+const SAVE_SCHEMA_VERSION = 4;
+
+const SAVE_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Give sprinklers from before timers an expiry',
+        migrate(data, sim) {
+            if (!Array.isArray(data.sprinklers)) return;
+            const now = sim.now();
+            data.sprinklers = data.sprinklers
+                .filter(sprinkler => {
+                    if (sprinkler && (sprinkler.expiresAt || sim.sprinklerTypes[sprinkler.type])) return true;
+                    console.warn('Dropping legacy sprinkler of unknown type:', sprinkler);
+                    return false;
+                })
+                .map(sprinkler => {
+                    if (sprinkler.expiresAt) return sprinkler;
+                    return {
+                        ...sprinkler,
+                        placedAt: now,
+                        expiresAt: now + sim.sprinklerTypes[sprinkler.type].duration
+                    };
+                });
+        }
+    },
+    {
+        version: 2,
+        description: 'Turn the single daily challenge into a list',
+        migrate(data, sim) {
+            if (!data.challenges || typeof data.challenges !== 'object') return;
+            const legacyDaily = data.challenges.daily;
+            if (Array.isArray(legacyDaily)) return;
+
+            data.challenges.daily = [];
+            if (legacyDaily && typeof legacyDaily === 'object') {
+                const currentDay = Math.floor(sim.now() / (24 * 60 * 60 * 1000));
+                const legacyCollected = legacyDaily.collected !== undefined ? legacyDaily.collected : legacyDaily.rewardCollected;
+                const migratedDaily = {
+                    ...legacyDaily,
+                    id: legacyDaily.id || `daily-${currentDay}-${sim.random().toString(36).slice(2, 8)}`,
+                    completed: !!legacyDaily.completed
+                };
+                if (legacyCollected !== undefined) {
+                    migratedDaily.collected = legacyCollected;
+                }
+                data.challenges.daily.push(migratedDaily);
+            }
+        }
+    },
+    {
+        version: 3,
+        description: 'Track lifetime rebirths in stats',
+        migrate(data) {
+            if (data.stats && typeof data.stats === 'object' && data.stats.totalRebirths === undefined) {
+                const rebirths = Number(data.rebirths);
+                data.stats.totalRebirths = Number.isFinite(rebirths) && rebirths >= 0 ? rebirths : 0;
+            }
+        }
+    },
+    {
+        version: 4,
+        description: 'Tier achievements and count speed grows',
+        migrate(data, sim) {
+            const stats = data.achievementStats && typeof data.achievementStats === 'object' ? data.achievementStats : null;
+            // v3 only remembered whether Speed Grower was earned
+            if (stats) {
+                if (!Number.isFinite(stats.speedGrows)) {
+                    stats.speedGrows = stats.speedGrowerUnlocked ? 1 : 0;
+                }
+                delete stats.speedGrowerUnlocked;
+            }
+
+            // v3 kept one unlocked flag per achievement, which counts as bronze. Tiers the garden has
+            // already passed are marked reached without paying their rewards, so loading pays nothing
+            const saved = data.achievements && typeof data.achievements === 'object' ? data.achievements : {};
+            const metrics = {
+                differentPlantsPlanted: stats && Array.isArray(stats.differentPlantsPlanted) ? stats.differentPlantsPlanted.length : 0,
+                hybridsDiscovered: data.almanac && typeof data.almanac === 'object' ? Object.keys(data.almanac).length : 0,
+                rebirths: Number(data.rebirths) || 0
+            };
+            data.achievements = {};
+            Object.entries(sim.achievementTypes).forEach(([id, type]) => {
+                const entry = saved[id] && typeof saved[id] === 'object' ? saved[id] : {};
+                const value = type.metric in metrics ? metrics[type.metric] : Number(stats && stats[type.metric]) || 0;
+                let tier = Number.isInteger(entry.tier) ? Math.min(entry.tier, type.tiers.length) : (entry.unlocked ? 1 : 0);
+                while (tier < type.tiers.length && value >= type.tiers[tier].threshold) {
+                    tier += 1;
+                }
+                data.achievements[id] = { tier, unlocked: tier > 0 };
+            });
+        }
+    }
+];
+
+class GardenSimulation {
+    constructor(saveSlot, options = {}) {
+        this.saveSlot = saveSlot;
+        const providedName = sanitizeGardenName(options.gardenName, '');
+        this.gardenName = providedName;
+        this._initialGardenName = this.gardenName;
+
+        // Injectable clock and random source (rng returns a float in [0, 1) like Math.random)
+        // By default randomness comes from a per-save seeded generator whose state is saved
+        this.clock = options.clock && typeof options.clock.now === 'function' ? options.clock : SYSTEM_CLOCK;
+        this.rng = typeof options.rng === 'function' ? options.rng : () => this.nextSeededRandom();
+        this.seedRandom(Number.isFinite(options.seed) ? options.seed : createRngSeed());
+
+        // Each game gets its own copy of the catalog so runtime changes never leak between slots
+        const catalog = JSON.parse(JSON.stringify(options.catalog || defaultGardenCatalog()));
+
+        // Core game properties
+        this.money = 100;
+        this.water = 50;
+        this.fertilizer = 20;
+        this.score = 0;
+        this.weather = 'sunny';
+        this.weatherChangeInterval = 5 * 60 * 1000; // 5 minutes
+        this.lastWeatherChange = this.now();
+
+        // Seasonal system
+        this.currentSeason = 'spring';
+        this.seasonDay = 1;
+        this.seasonLength = 5; // real-life days per season (5 days = 1 season)
+        this.seasonMultiplier = 1.0;
+        this.seasonStartTime = null; // Will be set on first updateSeason() call
+        this.seasonMode = 'cycle'; // 'cycle' turns every seasonLength days; 'calendar' follows the real date
+        this.hemisphere = 'north'; // which half of the real year is winter in calendar mode
+
+        // Festivals run on real dates in calendar mode and boost growth, watering or harvest value while they last
+        this.festivalTypes = catalog.festivals;
+        this.activeFestivals = null; // ids running now (festivals can overlap); null until the first updateSeason()
+
+        // Day/night cycle follows the local clock; set on the first updateDayPhase() call
+        this.dayPhase = null; // 'dawn' | 'day' | 'dusk' | 'night'
+
+        // Plant growth stages
+        this.growthStages = ['seed', 'sprout', 'small', 'medium', 'mature'];
+        this.stageMultipliers = [0.1, 0.3, 0.6, 0.8, 1.0]; // harvest value multipliers
+
+        // Garden expansion
+        this.gardenSize = 8;
+        this.maxGardenSize = 16; // Increased from 12 to 16
+        this.expansionCost = 5000;
+
+        // Garden statistics
+        this.stats = {
+            totalPlantsHarvested: 0,
+            totalMoneyEarned: 0,
+            totalWaterUsed: 0,
+            totalFertilizerUsed: 0,
+            plantsByType: {},
+            bestHarvest: 0,
+            longestPlaySession: 0,
+            totalRebirths: 0,
+            sessionStartTime: this.now(),
+            adminPanelUsed: false,
+            adminPanelUsageCount: 0
+        };
+
+        // Stat snapshots: the current run's ledger is copied every statSnapshotInterval for the dashboard charts
+        // Each finished run is summarised into runHistory so rebirth runs can be compared
+        this.runStats = this.createRunStats(this.now());
+        this.statSnapshots = []; // { at, run, money, ...runStats totals }
+        this.statSnapshotInterval = 5 * 60 * 1000;
+        this.maxStatSnapshots = 288; // a day of play
+        this.lastStatSnapshot = 0;
+        this.runHistory = [];
+        this.maxRunHistory = 20;
+
+        // Event log: notable happenings, saved with the garden so the player can see what went on while away
+        // Entries are recorded even while presentation is muted, so offline catch-up and background slots fill it too
+        this.eventLog = []; // { at, category, message }
+        this.maxEventLog = 500;
+
+        // Rebirth system
+        this.rebirths = 0;
+        this.rebirthPoints = 0;
+        this.bestRebirthScore = 0;
+        this.currentRunStartTime = this.stats.sessionStartTime;
+        this.rebirthNotificationShown = false;
+        this.prestigeUpgradeCatalog = catalog.prestigeUpgrades;
+        this.prestigeUpgradeMap = this.prestigeUpgradeCatalog.reduce((map, upgrade) => {
+            map[upgrade.id] = upgrade;
+            return map;
+        }, {});
+        this.prestigeUpgrades = this.createDefaultPrestigeUpgrades();
+
+        // Garden challenges
+        this.challenges = {
+            daily: [],
+            weekly: null,
+            completed: []
+        };
+        this.lastChallengeUpdate = this.now();
+        this.challengePools = catalog.challenges;
+
+        // Plant types with seasonal availability
+        this.plantTypes = catalog.plantTypes;
+
+        // Hybrid crops are bred from two adjacent mature parents rather than bought
+        // They join plantTypes so growth, drawing and harvesting treat them like any other crop
+        this.hybridTypes = catalog.hybrids;
+        this.hybridByParents = {};
+        Object.entries(this.hybridTypes).forEach(([hybridType, hybrid]) => {
+            this.plantTypes[hybridType] = { ...hybrid, cost: 0, isHybrid: true };
+            this.hybridByParents[this.getParentPairKey(...hybrid.parents)] = hybridType;
+        });
+        this.hybridSeeds = {}; // hybridType -> seeds in the pouch
+        this.almanac = {}; // hybridType -> { discoveredAt, bred, harvested }
+        this.breedingCheckInterval = 30 * 1000;
+        this.lastBreedingCheck = this.now();
+
+        // Current selection (actions fall back to these when no explicit type is given)
+        this.selectedSeed = null;
+        this.selectedSprinkler = null;
+        this.selectedDecoration = null;
+        this.selectedMachine = null;
+        this.currentTool = 'water';
+
+        // Garden grid setup
+        this.gridSize = this.gardenSize;
+        this.cellSize = Math.floor(600 / this.gridSize);
+        this.garden = this.initializeGarden();
+
+        // Soil nutrients per tile (0-100), kept beside the garden grid so clearing a cell never resets its soil
+        // Crops change the soil when harvested: the catalog's soilEffect, or soilDefaultEffect if it has none
+        this.soilNeutralLevel = 60; // no effect on growth or value at this level
+        this.soilDefaultEffect = -3;
+        this.soilFallowRecovery = 2; // points an empty, depleted tile regains per soil check
+        this.soilCheckInterval = 60 * 1000;
+        this.lastSoilCheck = this.now();
+        this.soil = this.initializeSoil();
+
+        // Greenhouse: one glass structure over a square of tiles, anchored at its top-left tile
+        // Tiles inside ignore season locks and slow seasons, and storms can't reach them
+        this.greenhouseLevels = [
+            { size: 2, cost: 1200 },
+            { size: 3, cost: 2500 },
+            { size: 4, cost: 5000 }
+        ];
+        this.greenhouse = null; // { row, col, level } where level indexes greenhouseLevels
+
+        // Machines (catalog machineTypes) sit on a tile and work every tile in range each time their timer is up
+        // A run that gets some work done burns fuel; the auto-waterer also uses the water stock and the planter buys shop seeds
+        this.machineTypes = catalog.machineTypes;
+        this.machines = []; // { type, row, col, tier, seed, lastRun } where seed is the planter's crop
+        this.fuel = 0;
+        this.fuelCanSize = 10;
+        this.fuelCanPrice = 40;
+        this.machinesOutOfFuel = false;
+
+        // Blueprints are named layouts; the active one is drawn as ghost tiles and, with autoReplant, resows harvested tiles
+        this.blueprints = []; // { name, size, tiles: [{ row, col, kind: 'crop'|'sprinkler'|'decoration', type }], savedAt }
+        this.activeBlueprint = null;
+        this.autoReplant = false;
+        this.maxBlueprints = 6;
+
+        // Pests and diseases live on the plant (plant.infection), so harvesting or digging it up clears them
+        // Each check they worsen, spread to the four neighbouring plants and may break out on healthy ones
+        this.pestTypes = catalog.pests;
+        this.pestCheckInterval = 30 * 1000;
+        this.pestMaxSeverity = 3;
+        this.pestTreatmentImmunityMs = 2 * 60 * 1000; // a treated plant can't catch anything for this long
+        this.lastPestCheck = this.now();
+
+        // Orchard crops (a catalog perennial block) regrow after harvest instead of clearing their tile
+        this.perennialYoungYield = 0.5; // a newly planted tree
+        this.perennialOldYield = 0.6; // an old tree never drops below this
+        this.perennialDeclinePerSeason = 0.1;
+
+        // Harvests go to the barn and are sold at the market for their harvest value times the crop's price index
+        // Selling pushes a crop's index down; every market tick it drifts back toward its seasonal level
+        this.barn = {}; // seedType -> { count, value } where value is the summed harvest value at index 1
+        this.marketPrices = {}; // seedType -> { index, history }
+        this.marketInSeasonIndex = 0.9;
+        this.marketOffSeasonIndex = 1.3;
+        this.marketSaturationPerSale = 0.04;
+        this.marketMinIndex = 0.4;
+        this.marketMaxIndex = 2;
+        this.marketRecoveryRate = 0.15; // share of the gap to the seasonal level closed per tick
+        this.marketNoise = 0.05;
+        this.marketTickInterval = 60 * 1000;
+        this.marketHistoryLength = 30; // ticks kept for the price sparkline
+        this.lastMarketTick = this.now();
+
+        // Kitchen: barn produce cooks into catalog recipes; a recipe is learned the first time its exact ingredients go in the pot
+        // Dishes sell for their catalog value, or are served for a timed buff to growth speed, watering or harvest value
+        this.recipeTypes = catalog.recipes;
+        this.recipeBook = {}; // recipeId -> { discoveredAt, cooked }
+        this.pantry = {}; // recipeId -> dishes waiting to be sold or served
+        this.activeBuffs = {}; // buff kind -> { recipe, multiplier, expiresAt }
+
+        // Order board: villagers post orders for specific crops, delivered from the barn before they expire
+        // Delivering earns money and reputation; reputation brings pickier villagers and unlocks exclusive seeds
+        this.villagers = catalog.villagers;
+        this.orders = []; // { id, villager, items: { seedType: count }, reward, reputation, postedAt, expiresAt }
+        this.reputation = 0;
+        this.maxReputation = 200;
+        this.orderBoardSize = 3;
+        this.orderPostInterval = 5 * 60 * 1000; // empty spots on the board are filled at most this often
+        this.orderExpiryPenalty = 0.5; // share of an order's reputation lost when it expires or is declined
+        this.lastOrderPosted = 0;
+
+        // Achievements: catalog entries each track one metric through bronze, silver and gold tiers
+        // Reaching a tier pays its reward; badge rewards are cosmetics the player can wear beside the garden name
+        this.achievementTypes = catalog.achievements;
+        this.activeBadge = null;
+        this.achievementsDirty = true; // set when a tracked stat changes; the next tick evaluates
+
+        // Tool levels and upgrade costs
+        this.toolLevels = {
+            water: 1,
+            fertilizer: 1,
+            shovel: 1,
+            harvest: 1
+        };
+
+        // Unified upgrade pricing model (much more expensive for game-changing tools)
+        // cost(next level) = base * growth^(currentLevel - 1)
+        this.toolUpgradeConfig = {
+            // Expensive curve (one notch harsher)
+            water:      { base: 200, growth: 2.6 },
+            fertilizer: { base: 350, growth: 2.8 },
+            harvest:    { base: 250, growth: 2.6 },
+            shovel:     { base: 50,  growth: 1.6 }
+        };
+
+        this.toolUpgradeCosts = { water: 0, fertilizer: 0, shovel: 0, harvest: 0 };
+        this.recomputeAllToolUpgradeCosts();
+
+        // Base shop prices for essentials (used by dynamic pricing helpers)
+        // Keep these modest; tool levels reduce price via getToolPriceMultiplier()
+        this.waterPriceBase = Number.isFinite(this.waterPriceBase) ? this.waterPriceBase : 5;
+        this.fertilizerPriceBase = Number.isFinite(this.fertilizerPriceBase) ? this.fertilizerPriceBase : 10;
+        
+        // Tool cooldowns
+        this.toolCooldowns = {
+            water: 0,
+            fertilizer: 0
+        };
+        
+        // Plant effects
+        this.plantEffects = {
+            watered: {},
+            fertilized: {}
+        };
+        
+        // Weather system
+        this.weatherEffects = {
+            sunny: { growthMultiplier: 1.0, name: 'Sunny' },
+            rainy: { growthMultiplier: 1.5, name: 'Rainy' },
+            cloudy: { growthMultiplier: 0.8, name: 'Cloudy' },
+            stormy: { growthMultiplier: 2.0, name: 'Stormy' }
+        };
+        
+        // Sprinkler system
+        this.sprinklerTypes = catalog.sprinklerTypes;
+        
+        // Decoration system
+        this.decorations = catalog.decorations;
+
+        // Shop inventory (will be initialized in initializeFreshGame)
+        this.shopInventory = {};
+
+        // Restock system
+        this.lastRestockTime = this.now();
+        this.restockInterval = 300000; // 5 minutes
+        this.rareRestockChance = 0.25; // 25% chance for rare seeds
+        this.legendaryRestockChance = 0.12; // 12% chance for legendary seeds
+
+        // Softlock relief cadence and cap (guarantee blessing within 10–30s when softlocked)
+        this.softlockCheckInterval = 10 * 1000; // every 10 seconds
+        this.lastSoftlockCheck = this.now();
+        this.softlockMissCounter = 0; // counts consecutive eligible checks without blessing
+
+        // Passive growth tuning
+        this.passiveGrowthEnabled = true; // Allow slow growth without boosters
+        this.passiveGrowthBaseMs = 60 * 1000; // Base: ~1 minute per stage (before multipliers)
+        this.passiveIgnoreSeedMultiplier = true; // Universal rate across plants
+        this.passiveIgnoreEnvMultipliers = true; // Ignore weather/season for passive growth
+
+        // Offline catch-up: replay missed time on load, up to a cap
+        this.offlineCatchUpMinMs = 60 * 1000; // shorter gaps are not worth a summary
+        this.offlineCatchUpCapMs = 8 * 60 * 60 * 1000; // never replay more than 8 hours
+
+        // Undo/redo of the UNDOABLE_ACTIONS, newest last
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyLimit = 50;
+        this.recordingAction = null;
+        this.wrapUndoableActions();
+
+        // Set when another tab owns this slot's save lock: the garden is shown but never changed or saved
+        this.readOnly = !!options.readOnly;
+        this.wrapReadOnlyActions();
+    }
+
+    now() {
+        return this.clock.now();
+    }
+
+    random() {
+        return this.rng();
+    }
+
+    // ===== SEEDED RANDOM =====
+    // mulberry32: rngSeed identifies the garden's sequence, rngState is how far along it we are
+    seedRandom(seed) {
+        this.rngSeed = seed >>> 0;
+        this.rngState = this.rngSeed;
+    }
+
+    nextSeededRandom() {
+        this.rngState = (this.rngState + 0x6D2B79F5) >>> 0;
+        let t = this.rngState;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // ===== PRESENTATION HOOKS =====
+    // The headless simulation has no screen, speakers or storage; GardenGame overrides these.
+    showMessage(message, type) {}
+    playSound(type) {}
+    addParticle() {}
+    spawnGentleBurst() {}
+    draw() {}
+    updateUI() {}
+    updateShopDisplay() {}
+    updateToolDisplay() {}
+    updateSprinklerDisplay() {}
+    updateAchievementsDisplay() {}
+    updateChallengesDisplay() {}
+    updateSeasonDisplay() {}
+    updateActiveBonusesDisplay() {}
+    updateBonusesPopup() {}
+    updateRebirthUI() {}
+    updateAlmanacDisplay() {}
+    updateMarketDisplay() {}
+    updateKitchenDisplay() {}
+    updateOrdersDisplay() {}
+    adjustCanvasForMobile() {}
+    saveGame() {}
+    saveGameWithProtection() {
+        this.saveGame();
+    }
+    verifySavedState(label, matchesSaved) {}
+    updateHistoryButtons() {}
+    updateGardenTitle() {}
+    updateEventLogDisplay() {}
+
+    // Run rules with every presentation hook swapped for the headless no-op
+    runSilently(callback) {
+        // Already silent (a machine running during offline catch-up): the outer call restores the hooks
+        if (this.silent) return callback();
+        this.silent = true;
+        PRESENTATION_HOOKS.forEach(name => {
+            this[name] = GardenSimulation.prototype[name];
+        });
+        try {
+            return callback();
+        } finally {
+            PRESENTATION_HOOKS.forEach(name => {
+                delete this[name];
+            });
+            this.silent = false;
+        }
+    }
+
+    setGardenName(rawName) {
+        const sanitized = sanitizeGardenName(rawName, '');
+        this.gardenName = sanitized && sanitized.length > 0 ? sanitized : this.defaultGardenName();
+        return this.gardenName;
+    }
+
+    // ===== SAVE DATA =====
+    // Plain JSON-safe snapshot of the simulation state
+    getSaveData() {
+        // Validate money is not negative
+        if (this.money < 0) {
+            console.error(`Invalid money value: ${this.money}, setting to 0`);
+            this.money = 0;
+        }
+
+        // Validate sprinkler inventory is not negative
+        Object.keys(this.sprinklerInventory).forEach(type => {
+            if (this.sprinklerInventory[type] < 0) {
+                console.error(`Invalid sprinkler inventory for ${type}: ${this.sprinklerInventory[type]}, setting to 0`);
+                this.sprinklerInventory[type] = 0;
+            }
+        });
+
+        const nameForStorage = sanitizeGardenName(this.gardenName, this.defaultGardenName());
+        this.gardenName = nameForStorage;
+
+        return {
+            schemaVersion: SAVE_SCHEMA_VERSION,
+            saveSlot: this.saveSlot, // Include saveSlot in the save data for verification
+            money: this.money,
+            water: this.water,
+            fertilizer: this.fertilizer,
+            score: this.score,
+            gardenName: nameForStorage,
+            garden: this.garden,
+            shopInventory: this.shopInventory,
+            lastRestockTime: this.lastRestockTime,
+            restockInterval: this.restockInterval,
+            toolLevels: this.toolLevels,
+            toolUpgradeCosts: this.toolUpgradeCosts,
+            harvestBonus: this.harvestBonus,
+            weather: this.weather,
+            lastWeatherChange: this.lastWeatherChange,
+            achievements: this.achievements,
+            activeBadge: this.activeBadge,
+            achievementStats: {
+                ...this.achievementStats,
+                differentPlantsPlanted: Array.from(this.achievementStats.differentPlantsPlanted)
+            },
+            sprinklerInventory: this.sprinklerInventory,
+            sprinklers: this.sprinklers,
+            rebirths: this.rebirths,
+            rebirthPoints: this.rebirthPoints,
+            bestRebirthScore: this.bestRebirthScore,
+            currentRunStartTime: this.currentRunStartTime,
+            prestigeUpgrades: this.prestigeUpgrades,
+            hybridSeeds: this.hybridSeeds,
+            almanac: this.almanac,
+            lastBreedingCheck: this.lastBreedingCheck,
+            barn: this.barn,
+            marketPrices: this.marketPrices,
+            lastMarketTick: this.lastMarketTick,
+            recipeBook: this.recipeBook,
+            pantry: this.pantry,
+            activeBuffs: this.activeBuffs,
+            orders: this.orders,
+            reputation: this.reputation,
+            lastOrderPosted: this.lastOrderPosted,
+            runStats: this.runStats,
+            statSnapshots: this.statSnapshots,
+            lastStatSnapshot: this.lastStatSnapshot,
+            runHistory: this.runHistory,
+            eventLog: this.eventLog,
+
+            // New features
+            currentSeason: this.currentSeason,
+            seasonDay: this.seasonDay,
+            seasonMultiplier: this.seasonMultiplier,
+            seasonStartTime: this.seasonStartTime,
+            seasonMode: this.seasonMode,
+            hemisphere: this.hemisphere,
+            gardenSize: this.gardenSize,
+            expansionCost: this.expansionCost,
+            soil: this.soil,
+            lastSoilCheck: this.lastSoilCheck,
+            lastPestCheck: this.lastPestCheck,
+            greenhouse: this.greenhouse,
+            machines: this.machines,
+            fuel: this.fuel,
+            blueprints: this.blueprints,
+            activeBlueprint: this.activeBlueprint,
+            autoReplant: this.autoReplant,
+            stats: this.stats,
+            challenges: this.challenges,
+            lastChallengeUpdate: this.lastChallengeUpdate,
+
+            // Seeded random generator position, so events can be replayed from this save
+            rngSeed: this.rngSeed,
+            rngState: this.rngState,
+
+            saveTime: this.now()
+        };
+    }
+
+    // Upgrade a parsed save to SAVE_SCHEMA_VERSION; returns a new object and leaves the input untouched
+    migrateSaveData(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Save data is not an object');
+        }
+
+        const migrated = JSON.parse(JSON.stringify(data));
+        const fromVersion = Number.isInteger(migrated.schemaVersion) ? migrated.schemaVersion : 0;
+        if (fromVersion > SAVE_SCHEMA_VERSION) {
+            // Written by a newer build; load what we understand rather than discarding it
+            console.warn(`Save for slot ${migrated.saveSlot} uses schema v${fromVersion}, newer than v${SAVE_SCHEMA_VERSION}`);
+            return this.validateSaveData(migrated);
+        }
+
+        SAVE_MIGRATIONS.forEach(migration => {
+            if (migration.version <= fromVersion) return;
+            migration.migrate(migrated, this);
+            migrated.schemaVersion = migration.version;
+            console.log(`Migrated save for slot ${migrated.saveSlot} to schema v${migration.version}: ${migration.description}`);
+        });
+        migrated.schemaVersion = Math.max(fromVersion, SAVE_SCHEMA_VERSION);
+
+        return this.validateSaveData(migrated);
+    }
+
+    // Check a migrated save has the canonical shape; repairs small problems and throws on ones it cannot
+    validateSaveData(data) {
+        ['money', 'water', 'fertilizer', 'score'].forEach(field => {
+            if (data[field] !== undefined && !Number.isFinite(data[field])) {
+                console.warn(`Save field ${field} is not a number (${data[field]}), using default`);
+                delete data[field];
+            }
+        });
+
+        if (data.garden !== undefined) {
+            const size = Number.isInteger(data.gardenSize) ? data.gardenSize : this.gardenSize;
+            const rowsOk = Array.isArray(data.garden) && data.garden.length === size &&
+                data.garden.every(row => Array.isArray(row) && row.length === size &&
+                    row.every(cell => cell && typeof cell === 'object'));
+            if (!rowsOk) {
+                throw new Error(`Save garden grid does not match garden size ${size}`);
+            }
+        }
+
+        if (data.shopInventory !== undefined && (!data.shopInventory || typeof data.shopInventory !== 'object')) {
+            throw new Error('Save shop inventory is malformed');
+        }
+
+        if (data.sprinklers !== undefined) {
+            if (!Array.isArray(data.sprinklers)) {
+                throw new Error('Save sprinklers are not a list');
+            }
+            data.sprinklers = data.sprinklers.filter(sprinkler =>
+                sprinkler && Number.isInteger(sprinkler.row) && Number.isInteger(sprinkler.col) &&
+                typeof sprinkler.type === 'string' && Number.isFinite(sprinkler.expiresAt));
+        }
+
+        if (data.challenges !== undefined) {
+            if (!data.challenges || typeof data.challenges !== 'object') {
+                delete data.challenges;
+            } else {
+                if (!Array.isArray(data.challenges.daily)) data.challenges.daily = [];
+                if (!Array.isArray(data.challenges.completed)) data.challenges.completed = [];
+            }
+        }
+
+        return data;
+    }
+
+    // Restore state from a parsed save; throws on malformed data so callers can fall back
+    applySaveData(rawData) {
+        const data = this.migrateSaveData(rawData);
+
+        // Load game state with deep copying to prevent shared references
+        this.money = Math.max(0, data.money || 100);
+        this.water = Math.max(0, data.water || 50);
+        this.fertilizer = Math.max(0, data.fertilizer || 20);
+        this.score = Math.max(0, data.score || 0);
+
+        // Deep copy garden data to prevent cross-slot interference
+        if (data.garden) {
+            this.garden = JSON.parse(JSON.stringify(data.garden));
+        }
+
+        // Deep copy shop inventory to prevent cross-slot interference
+        if (data.shopInventory) {
+            this.shopInventory = JSON.parse(JSON.stringify(data.shopInventory));
+            // Validate shop inventory data
+            Object.keys(this.shopInventory).forEach(seedType => {
+                if (this.shopInventory[seedType].stock < 0) {
+                    this.shopInventory[seedType].stock = 0;
+                }
+            });
+            // Seeds added to the shop since this garden was saved start at their default stock
+            const defaultInventory = this.createDefaultShopInventory();
+            Object.keys(defaultInventory).forEach(seedType => {
+                if (!this.shopInventory[seedType]) {
+                    this.shopInventory[seedType] = defaultInventory[seedType];
+                }
+            });
+        }
+
+        this.lastRestockTime = data.lastRestockTime || this.now();
+        if (data.restockInterval) this.restockInterval = data.restockInterval;
+
+        // Load tool data
+        if (data.toolLevels) this.toolLevels = data.toolLevels;
+        // Ignore legacy saved upgrade costs; recompute from new model for balance
+        this.recomputeAllToolUpgradeCosts();
+        if (data.harvestBonus !== undefined) this.harvestBonus = data.harvestBonus;
+
+        // Load weather data
+        if (data.weather) this.weather = data.weather;
+        if (Number.isFinite(data.lastWeatherChange)) this.lastWeatherChange = data.lastWeatherChange;
+
+        // Load achievements
+        this.achievements = this.normalizeAchievements(data.achievements);
+        this.activeBadge = this.getEarnedBadges().includes(data.activeBadge) ? data.activeBadge : null;
+        this.achievementsDirty = true;
+        if (data.achievementStats) {
+            this.achievementStats = data.achievementStats;
+            if (Array.isArray(this.achievementStats.differentPlantsPlanted)) {
+                this.achievementStats.differentPlantsPlanted = new Set(this.achievementStats.differentPlantsPlanted);
+            } else if (!this.achievementStats.differentPlantsPlanted) {
+                this.achievementStats.differentPlantsPlanted = new Set();
+            }
+            if (!Number.isFinite(this.achievementStats.speedGrows)) {
+                this.achievementStats.speedGrows = 0;
+            }
+        }
+
+        // Deep copy sprinkler inventory to prevent cross-slot interference
+        if (data.sprinklerInventory) {
+            this.sprinklerInventory = JSON.parse(JSON.stringify(data.sprinklerInventory));
+            // Validate sprinkler inventory data
+            Object.keys(this.sprinklerInventory).forEach(type => {
+                if (this.sprinklerInventory[type] < 0) {
+                    this.sprinklerInventory[type] = 0;
+                }
+            });
+        }
+
+        // Deep copy sprinklers to prevent cross-slot interference
+        if (data.sprinklers) {
+            this.sprinklers = JSON.parse(JSON.stringify(data.sprinklers));
+        }
+
+        const savedRebirths = Number(data.rebirths);
+        this.rebirths = Number.isFinite(savedRebirths) && savedRebirths >= 0 ? savedRebirths : 0;
+
+        const savedTokens = Number(data.rebirthPoints);
+        this.rebirthPoints = Number.isFinite(savedTokens) && savedTokens >= 0 ? savedTokens : 0;
+
+        const savedBestScore = Number(data.bestRebirthScore);
+        this.bestRebirthScore = Number.isFinite(savedBestScore) && savedBestScore >= 0 ? savedBestScore : 0;
+
+        const savedRunStart = Number(data.currentRunStartTime);
+        this.currentRunStartTime = Number.isFinite(savedRunStart) && savedRunStart > 0 ? savedRunStart : this.now();
+        this.rebirthNotificationShown = false;
+        this.prestigeUpgrades = this.normalizePrestigeUpgrades(data.prestigeUpgrades);
+
+        this.barn = this.normalizeBarn(data.barn);
+        this.marketPrices = this.normalizeMarketPrices(data.marketPrices);
+        this.lastMarketTick = Number.isFinite(data.lastMarketTick) ? data.lastMarketTick : this.now();
+        this.normalizeKitchen(data);
+        this.orders = this.normalizeOrders(data.orders);
+        this.reputation = Number.isFinite(data.reputation) ? Math.max(0, Math.min(this.maxReputation, data.reputation)) : 0;
+        this.lastOrderPosted = Number.isFinite(data.lastOrderPosted) ? data.lastOrderPosted : 0;
+
+        // Hybrids that are no longer in the catalog are dropped from the pouch and almanac
+        this.hybridSeeds = {};
+        if (data.hybridSeeds && typeof data.hybridSeeds === 'object') {
+            Object.entries(data.hybridSeeds).forEach(([hybridType, count]) => {
+                if (this.hybridTypes[hybridType] && Number.isFinite(count) && count > 0) {
+                    this.hybridSeeds[hybridType] = Math.floor(count);
+                }
+            });
+        }
+        this.almanac = {};
+        if (data.almanac && typeof data.almanac === 'object') {
+            Object.entries(data.almanac).forEach(([hybridType, entry]) => {
+                if (this.hybridTypes[hybridType] && entry && typeof entry === 'object') {
+                    this.almanac[hybridType] = {
+                        discoveredAt: Number(entry.discoveredAt) || this.now(),
+                        bred: Number(entry.bred) || 0,
+                        harvested: Number(entry.harvested) || 0
+                    };
+                }
+            });
+        }
+        this.lastBreedingCheck = Number.isFinite(data.lastBreedingCheck) ? data.lastBreedingCheck : this.now();
+        this.runStats = this.normalizeRunStats(data.runStats, this.currentRunStartTime);
+        this.statSnapshots = this.normalizeStatSnapshots(data.statSnapshots);
+        this.lastStatSnapshot = Number.isFinite(data.lastStatSnapshot) ? data.lastStatSnapshot : 0;
+        this.runHistory = this.normalizeRunHistory(data.runHistory);
+        this.eventLog = this.normalizeEventLog(data.eventLog);
+
+        // Load new features
+        if (data.currentSeason) this.currentSeason = data.currentSeason;
+        if (data.seasonDay) this.seasonDay = data.seasonDay;
+        if (data.seasonMultiplier) this.seasonMultiplier = data.seasonMultiplier;
+        if (data.seasonStartTime) this.seasonStartTime = data.seasonStartTime;
+        this.seasonMode = data.seasonMode === 'calendar' ? 'calendar' : 'cycle';
+        this.hemisphere = data.hemisphere === 'south' ? 'south' : 'north';
+        if (data.gardenSize) {
+            this.gardenSize = data.gardenSize;
+            this.gridSize = this.gardenSize;
+            this.cellSize = Math.floor(600 / this.gridSize);
+        }
+        if (data.expansionCost) this.expansionCost = data.expansionCost;
+        this.soil = this.normalizeSoil(data.soil);
+        this.lastSoilCheck = Number.isFinite(data.lastSoilCheck) ? data.lastSoilCheck : this.now();
+        this.lastPestCheck = Number.isFinite(data.lastPestCheck) ? data.lastPestCheck : this.now();
+        this.normalizeInfections();
+        this.greenhouse = this.normalizeGreenhouse(data.greenhouse);
+        this.machines = this.normalizeMachines(data.machines);
+        this.fuel = Number.isInteger(data.fuel) && data.fuel > 0 ? data.fuel : 0;
+        this.blueprints = this.normalizeBlueprints(data.blueprints);
+        this.activeBlueprint = this.getBlueprint(data.activeBlueprint) ? data.activeBlueprint : null;
+        this.autoReplant = data.autoReplant === true;
+        this.clearHistory();
+        if (data.stats) this.stats = data.stats;
+        if (this.stats && (!this.stats.sessionStartTime || Number.isNaN(this.stats.sessionStartTime))) {
+            this.stats.sessionStartTime = this.currentRunStartTime;
+        }
+        if (data.challenges) this.challenges = data.challenges;
+        if (data.lastChallengeUpdate) this.lastChallengeUpdate = data.lastChallengeUpdate;
+
+        // Older saves have no seed yet; they keep the one picked at construction
+        if (Number.isFinite(data.rngSeed)) {
+            this.seedRandom(data.rngSeed);
+            if (Number.isFinite(data.rngState)) this.rngState = data.rngState >>> 0;
+        }
+
+        this.setGardenName(data.gardenName, { shouldSave: false });
+
+        // Generate challenges if they don't exist
+        this.generateChallenges();
+
+        // Ensure upgrade costs reflect new balance
+        this.recomputeAllToolUpgradeCosts();
+    }
+
+    // ===== SIMULATION STEP =====
+    // One pass of the timed rules; the page calls this every frame, headless callers as often as they like
+    tick() {
+        this.updateSeason();
+        this.updateDayPhase();
+        this.updatePlants();
+        this.checkRestock();
+        this.updateWeather();
+        this.checkStormDamage();
+        this.checkAchievements();
+        this.generateChallenges();
+
+        // Check sprinkler growth for all plants
+        this.checkAllSprinklerGrowth();
+        this.updateMachines();
+        this.checkCrossBreeding();
+        this.updateSoil();
+        this.updatePests();
+        this.updateMarket();
+        this.updateBuffs();
+        this.updateOrders();
+
+        // Periodically check for softlock and bless the player with a cheap fruit if needed
+        this.checkSoftlockRelief();
+
+        this.updateSessionTime();
+        this.updateStatSnapshots();
+    }
+
+    // ===== OFFLINE CATCH-UP =====
+    // Replay the timed rules from lastSeenTime up to now on a stepped clock and report what changed.
+    // Returns null when the gap is too short to matter.
+    catchUpOfflineProgress(lastSeenTime) {
+        const endTime = this.now();
+        const awayMs = endTime - Number(lastSeenTime);
+        if (!Number.isFinite(awayMs) || awayMs < this.offlineCatchUpMinMs) {
+            return null;
+        }
+
+        const simulatedMs = Math.min(awayMs, this.offlineCatchUpCapMs);
+        const startTime = endTime - simulatedMs;
+        const report = {
+            awayMs,
+            simulatedMs,
+            capped: awayMs > simulatedMs,
+            stagesGrown: 0,
+            matured: {},
+            damaged: 0,
+            restocked: {},
+            sprinklersExpired: 0,
+            weatherChanges: 0,
+            hybridSeeds: {},
+            infected: {},
+            ordersExpired: 0,
+            machineWork: { harvest: 0, water: 0, plant: 0 }
+        };
+
+        const startStages = this.snapshotGrowthStages();
+        const damagedCells = new Set();
+
+        const realClock = this.clock;
+        let simulatedNow = startTime;
+        this.clock = { now: () => simulatedNow };
+
+        try {
+            this.runSilently(() => {
+                while (simulatedNow < endTime) {
+                    // 1s steps while watering/fertilizer windows from before the save may still run, 5s after
+                    const step = (simulatedNow - startTime) < 2 * 60 * 1000 ? 1000 : 5000;
+                    simulatedNow = Math.min(endTime, simulatedNow + step);
+                    this.stepOfflineCatchUp(report, damagedCells);
+                }
+            });
+        } finally {
+            this.clock = realClock;
+        }
+
+        // Growth is measured end-to-end so storm damage followed by regrowth is not double counted
+        const maxStage = this.growthStages.length - 1;
+        startStages.forEach((before, key) => {
+            const [row, col] = key.split(',').map(Number);
+            const plant = this.garden[row]?.[col]?.plant;
+            if (!plant) return;
+            const after = plant.growthStage || 0;
+            if (after > before) {
+                report.stagesGrown += after - before;
+                if (after >= maxStage) {
+                    report.matured[plant.type] = (report.matured[plant.type] || 0) + 1;
+                }
+            }
+        });
+        report.damaged = damagedCells.size;
+        return report;
+    }
+
+    // Map of "row,col" -> growth stage for every planted cell
+    snapshotGrowthStages() {
+        const stages = new Map();
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                const plant = this.garden[row][col].plant;
+                if (plant) stages.set(`${row},${col}`, plant.growthStage || 0);
+            }
+        }
+        return stages;
+    }
+
+    stepOfflineCatchUp(report, damagedCells) {
+        const stagesBefore = this.snapshotGrowthStages();
+        const stockBefore = {};
+        Object.entries(this.shopInventory).forEach(([seedType, inventory]) => {
+            stockBefore[seedType] = inventory.stock;
+        });
+        const sprinklersBefore = this.sprinklers.length;
+        const weatherBefore = this.weather;
+        const pouchBefore = { ...this.hybridSeeds };
+
+        this.updateSeason();
+        this.updateDayPhase();
+        // Roll challenges over at day boundaries so away harvests count toward the right day
+        this.generateChallenges();
+        this.updatePlantsSilent();
+        this.checkRestockSilent();
+        this.updateWeatherSilent();
+        this.checkStormDamage();
+        this.checkAllSprinklerGrowth();
+        const machineWork = this.updateMachines();
+        this.checkCrossBreeding();
+        this.updateSoil();
+        const infected = this.updatePests();
+        this.updateMarket();
+        this.updateBuffs();
+        // Orders are not posted while the player is away, so none can expire unseen
+        report.ordersExpired += this.updateOrders({ post: false });
+        this.updateStatSnapshots();
+
+        stagesBefore.forEach((before, key) => {
+            const [row, col] = key.split(',').map(Number);
+            const plant = this.garden[row][col].plant;
+            if (plant && (plant.growthStage || 0) < before) {
+                damagedCells.add(key);
+            }
+        });
+
+        Object.entries(this.shopInventory).forEach(([seedType, inventory]) => {
+            const gained = inventory.stock - (stockBefore[seedType] || 0);
+            if (gained > 0) {
+                report.restocked[seedType] = (report.restocked[seedType] || 0) + gained;
+            }
+        });
+
+        Object.entries(this.hybridSeeds).forEach(([hybridType, count]) => {
+            const bred = count - (pouchBefore[hybridType] || 0);
+            if (bred > 0) {
+                report.hybridSeeds[hybridType] = (report.hybridSeeds[hybridType] || 0) + bred;
+            }
+        });
+
+        Object.entries(infected).forEach(([pestType, count]) => {
+            report.infected[pestType] = (report.infected[pestType] || 0) + count;
+        });
+
+        Object.entries(machineWork).forEach(([action, count]) => {
+            report.machineWork[action] += count;
+        });
+
+        report.sprinklersExpired += Math.max(0, sprinklersBefore - this.sprinklers.length);
+        if (this.weather !== weatherBefore) {
+            report.weatherChanges += 1;
+        }
+    }
+
+    // ===== SEASONAL SYSTEM =====
+    updateSeason() {
+        if (this.seasonMode === 'calendar') {
+            this.updateCalendarSeason();
+        } else {
+            this.updateCycleSeason();
+        }
+        this.updateFestivals();
+    }
+
+    updateCycleSeason() {
+        // For new games, always start from Spring Day 1
+        if (!this.seasonStartTime) {
+            this.seasonStartTime = this.now();
+            this.currentSeason = 'spring';
+            this.seasonDay = 1;
+            this.updateSeasonMultiplier();
+            return;
+        }
+        
+        const now = this.now();
+        const dayInMs = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+        const daysSinceStart = Math.floor((now - this.seasonStartTime) / dayInMs);
+        const seasonDay = (daysSinceStart % this.seasonLength) + 1;
+        
+        const seasons = ['spring', 'summer', 'fall', 'winter'];
+        const seasonIndex = Math.floor(daysSinceStart / this.seasonLength) % 4;
+        const newSeason = seasons[seasonIndex];
+        
+        if (newSeason !== this.currentSeason) {
+            this.changeSeason(newSeason, 1);
+        } else {
+            this.seasonDay = seasonDay;
+        }
+    }
+
+    changeSeason(season, day) {
+        this.currentSeason = season;
+        this.seasonDay = day;
+        this.updateSeasonMultiplier();
+        this.showMessage(`Season changed to ${this.currentSeason}!`, 'info');
+        this.logEvent('weather', `Season changed to ${this.currentSeason}`);
+        this.updateSeasonDisplay();
+    }
+
+    // ===== REAL-CALENDAR SEASONS =====
+    // Meteorological seasons by month: northern spring is March to May, southern spring September to November
+    getCalendarSeason(time = this.now()) {
+        const date = new Date(time);
+        const shift = this.hemisphere === 'south' ? 6 : 0;
+        const seasonOf = (month) => CALENDAR_SEASONS[(((month + shift) % 12) + 12) % 12];
+        const season = seasonOf(date.getMonth());
+
+        // Count the day of the season from the first of its first month
+        let monthsIn = 0;
+        while (monthsIn < 2 && seasonOf(date.getMonth() - monthsIn - 1) === season) monthsIn++;
+        const start = new Date(date.getFullYear(), date.getMonth() - monthsIn, 1);
+        const today = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const day = Math.round((today - start) / (24 * 60 * 60 * 1000)) + 1;
+        return { season, day };
+    }
+
+    updateCalendarSeason() {
+        const { season, day } = this.getCalendarSeason();
+
+        // A fresh or reborn garden takes the calendar's season quietly, like Spring Day 1 in cycle mode
+        if (!this.seasonStartTime) {
+            this.seasonStartTime = this.now();
+            this.currentSeason = season;
+            this.seasonDay = day;
+            this.updateSeasonMultiplier();
+            return;
+        }
+
+        if (season !== this.currentSeason) {
+            this.changeSeason(season, day);
+        } else {
+            this.seasonDay = day;
+        }
+    }
+
+    setSeasonMode(mode) {
+        const seasonMode = mode === 'calendar' ? 'calendar' : 'cycle';
+        if (seasonMode === this.seasonMode) return;
+        this.seasonMode = seasonMode;
+        this.updateSeason();
+        this.showMessage(seasonMode === 'calendar' ? '📅 Seasons now follow the real calendar.' : '🔁 Seasons now turn every few days.', 'success');
+        this.updateSeasonDisplay();
+        this.saveGame();
+    }
+
+    setHemisphere(hemisphere) {
+        const next = hemisphere === 'south' ? 'south' : 'north';
+        if (next === this.hemisphere) return;
+        this.hemisphere = next;
+        this.updateSeason();
+        this.updateSeasonDisplay();
+        this.saveGame();
+    }
+
+    // A festival's dates in this garden's hemisphere as MM-DD strings
+    getFestivalDates(id) {
+        const festival = this.festivalTypes[id];
+        const shift = festival.followsHemisphere && this.hemisphere === 'south' ? 6 : 0;
+        const move = (monthDay) => {
+            const [month, day] = monthDay.split('-').map(Number);
+            return `${String(((month - 1 + shift) % 12) + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+        };
+        return { from: move(festival.from), to: move(festival.to) };
+    }
+
+    formatFestivalDate(monthDay) {
+        const [month, day] = monthDay.split('-').map(Number);
+        return `${MONTH_NAMES[month - 1]} ${day}`;
+    }
+
+    // Festivals are held only in calendar mode; from and to are inclusive and may wrap over New Year
+    getFestivalsAt(time = this.now()) {
+        if (this.seasonMode !== 'calendar') return [];
+        const date = new Date(time);
+        const today = `${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        return Object.keys(this.festivalTypes).filter(id => {
+            const { from, to } = this.getFestivalDates(id);
+            return from <= to ? today >= from && today <= to : today >= from || today <= to;
+        });
+    }
+
+    isFestivalRunning(id) {
+        return !!this.activeFestivals && this.activeFestivals.includes(id);
+    }
+
+    updateFestivals() {
+        const running = this.getFestivalsAt();
+        const previous = this.activeFestivals;
+        this.activeFestivals = running;
+        if (!previous) return;
+
+        const ended = previous.filter(id => !running.includes(id));
+        const begun = running.filter(id => !previous.includes(id));
+        ended.forEach(id => {
+            const festival = this.festivalTypes[id];
+            this.showMessage(`${festival.icon} ${festival.name} is over for this year.`, 'info');
+            this.logEvent('weather', `${festival.name} ended`);
+        });
+        begun.forEach(id => {
+            const festival = this.festivalTypes[id];
+            this.showMessage(`${festival.icon} ${festival.name} has begun! ${festival.description}.`, 'success');
+            this.logEvent('weather', `${festival.name} began`);
+        });
+        if (ended.length > 0 || begun.length > 0) this.updateSeasonDisplay();
+    }
+
+    // Overlapping festivals with the same kind of boost multiply together
+    getFestivalMultiplier(kind) {
+        return (this.activeFestivals || []).reduce((multiplier, id) => {
+            const boost = this.festivalTypes[id].boost;
+            return boost.kind === kind ? multiplier * boost.multiplier : multiplier;
+        }, 1);
+    }
+
+    // Festival decorations follow their festival in calendar mode; otherwise decorations keep to their season
+    isDecorationInSeason(type) {
+        const decorationData = this.decorations[type];
+        if (!decorationData) return false;
+        if (this.seasonMode === 'calendar' && decorationData.festival) {
+            return this.isFestivalRunning(decorationData.festival);
+        }
+        return !decorationData.season || decorationData.season === 'all' || decorationData.season === this.currentSeason;
+    }
+
+    describeDecorationSeason(type) {
+        const decorationData = this.decorations[type];
+        if (this.seasonMode === 'calendar' && decorationData.festival) {
+            const festival = this.festivalTypes[decorationData.festival];
+            const { from, to } = this.getFestivalDates(decorationData.festival);
+            return `only available during ${festival.name} (${this.formatFestivalDate(from)} to ${this.formatFestivalDate(to)})`;
+        }
+        return `only available in ${decorationData.season}`;
+    }
+
+    // ===== DAY AND NIGHT =====
+    // Night bloomers only grow after dark, and decorations with a nightBonus add it to their usual bonus
+    getDayPhase(time = this.now()) {
+        const date = new Date(time);
+        const hour = date.getHours() + date.getMinutes() / 60;
+        if (hour >= DAY_PHASE_HOURS.night || hour < DAY_PHASE_HOURS.dawn) return 'night';
+        if (hour < DAY_PHASE_HOURS.day) return 'dawn';
+        if (hour < DAY_PHASE_HOURS.dusk) return 'day';
+        return 'dusk';
+    }
+
+    isNight(time = this.now()) {
+        return this.getDayPhase(time) === 'night';
+    }
+
+    // 0 in full daylight and 1 after dark, easing in through dusk and out through dawn
+    getNightLevel(time = this.now()) {
+        const date = new Date(time);
+        const hour = date.getHours() + date.getMinutes() / 60;
+        switch (this.getDayPhase(time)) {
+            case 'night':
+                return 1;
+            case 'dawn':
+                return 1 - (hour - DAY_PHASE_HOURS.dawn) / (DAY_PHASE_HOURS.day - DAY_PHASE_HOURS.dawn);
+            case 'dusk':
+                return (hour - DAY_PHASE_HOURS.dusk) / (DAY_PHASE_HOURS.night - DAY_PHASE_HOURS.dusk);
+            default:
+                return 0;
+        }
+    }
+
+    updateDayPhase() {
+        const phase = this.getDayPhase();
+        if (phase === this.dayPhase) return;
+
+        const previous = this.dayPhase;
+        this.dayPhase = phase;
+        if (previous === null) return;
+
+        if (phase === 'night') {
+            this.showMessage('🌙 Night has fallen: night bloomers are growing and the lights glow brighter.', 'info');
+            this.logEvent('weather', 'Night fell');
+        } else if (previous === 'night') {
+            this.showMessage('🌅 Dawn is breaking: night bloomers rest until dark.', 'info');
+            this.logEvent('weather', 'Dawn broke');
+        }
+    }
+
+    updateSeasonMultiplier() {
+        const seasonMultipliers = {
+            spring: 1.2, // 20% faster growth
+            summer: 1.0, // Normal growth
+            fall: 0.8,   // 20% slower growth
+            winter: 0.6  // 40% slower growth
+        };
+        this.seasonMultiplier = seasonMultipliers[this.currentSeason] || 1.0;
+    }
+
+    // With a tile, whether the seed can go in that tile; without one, whether the shop offers it.
+    // Off-season seeds are offered to anyone with a greenhouse, and only grow inside it.
+    isSeedAvailable(seedType, row, col) {
+        const plant = this.plantTypes[seedType];
+        if (!plant) return false;
+        
+        // Villager exclusives stay off the shelves until the player has earned the reputation
+        if (plant.reputation && this.reputation < plant.reputation) return false;
+        
+        if (plant.season === 'all') return true;
+        if (plant.season === this.currentSeason) return true;
+        if (Number.isInteger(row) && Number.isInteger(col)) return this.isGreenhouseTile(row, col);
+        return !!this.greenhouse;
+    }
+
+    // ===== PLANT GROWTH STAGES =====
+    getPlantGrowthStage(plant) {
+        if (!plant) return 0;
+        
+        // Plants now only grow through watering and fertilizing
+        // Return the stored growth stage instead of calculating from time
+        return plant.growthStage || 0;
+    }
+
+    // Pass the plant's row and col to include its soil
+    getHarvestValue(plant, row, col) {
+        const plantData = this.plantTypes[plant.type];
+        if (!plantData) return 0;
+        
+        const baseValue = plantData.harvestValue;
+        const stage = this.getPlantGrowthStage(plant);
+        const stageMultiplier = this.stageMultipliers[stage] || 1.0;
+        const decorationBonus = this.getPlantBonus(plant, 'harvestValue') / 100;
+        const toolBonus = this.harvestBonus || 0;
+        const rebirthMultiplier = 1 + this.getRebirthHarvestBonus();
+        const prestigeMultiplier = 1 + this.getPrestigeHarvestBonus();
+        const soilMultiplier = Number.isInteger(row) && Number.isInteger(col) ? this.getSoilHarvestMultiplier(row, col) : 1;
+        const pestMultiplier = this.getPestHarvestMultiplier(plant);
+        const orchardMultiplier = this.getPerennialYieldMultiplier(plant);
+        const kitchenMultiplier = this.getBuffMultiplier('harvest');
+        return Math.floor(baseValue * stageMultiplier * (1 + decorationBonus) * (1 + toolBonus) * rebirthMultiplier * prestigeMultiplier * soilMultiplier * pestMultiplier * orchardMultiplier * kitchenMultiplier);
+    }
+
+    // ===== CROSS-BREEDING =====
+    getParentPairKey(first, second) {
+        return [first, second].sort().join('+');
+    }
+
+    // Seeds left to plant: the shop stock, or the pouch for hybrids; null if the seed is never stocked
+    getSeedStock(seedType) {
+        if (this.hybridTypes[seedType]) {
+            return this.hybridSeeds[seedType] || 0;
+        }
+        const inventory = this.shopInventory[seedType];
+        return inventory ? inventory.stock : null;
+    }
+
+    // Every breedingCheckInterval each pair of touching mature crops with a hybrid gets one roll
+    // A plant can parent at most one hybrid seed, so a good pair has to be replanted to breed again
+    checkCrossBreeding() {
+        const now = this.now();
+        if (now - this.lastBreedingCheck < this.breedingCheckInterval) return;
+        this.lastBreedingCheck = now;
+
+        const maxStage = this.growthStages.length - 1;
+        const canBreed = (plant) => plant && !plant.crossBred && (plant.growthStage || 0) >= maxStage;
+
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                const plant = this.garden[row][col].plant;
+                if (!canBreed(plant)) continue;
+
+                // Right and down neighbours only, so each pair is looked at once
+                for (const [nextRow, nextCol] of [[row, col + 1], [row + 1, col]]) {
+                    const partner = this.garden[nextRow]?.[nextCol]?.plant;
+                    if (!canBreed(partner)) continue;
+
+                    const hybridType = this.hybridByParents[this.getParentPairKey(plant.type, partner.type)];
+                    if (!hybridType || this.random() >= this.hybridTypes[hybridType].chance) continue;
+
+                    plant.crossBred = true;
+                    partner.crossBred = true;
+                    this.breedHybrid(hybridType, row, col);
+                    break;
+                }
+            }
+        }
+    }
+
+    breedHybrid(hybridType, row, col) {
+        const hybrid = this.hybridTypes[hybridType];
+        const firstTime = !this.almanac[hybridType];
+        if (firstTime) {
+            this.almanac[hybridType] = { discoveredAt: this.now(), bred: 0, harvested: 0 };
+            this.achievementsDirty = true;
+        }
+        this.almanac[hybridType].bred += 1;
+        this.hybridSeeds[hybridType] = (this.hybridSeeds[hybridType] || 0) + 1;
+
+        const x = (col * this.cellSize) + (this.cellSize / 2);
+        const y = (row * this.cellSize) + (this.cellSize / 2);
+        this.spawnGentleBurst(x, y, 'harvest', 16);
+        if (firstTime) {
+            this.showMessage(`New hybrid discovered: ${hybrid.name}! Its seed is in your Seed Almanac.`, 'success');
+            this.logEvent('growth', `New hybrid discovered: ${hybrid.name}`);
+            this.playSound('achievement');
+        } else {
+            this.showMessage(`Your crops cross-bred a ${hybrid.name} seed!`, 'success');
+            this.logEvent('growth', `Crops cross-bred a ${hybrid.name} seed`);
+            this.playSound('plant');
+        }
+
+        this.updateAlmanacDisplay();
+        this.updateUI();
+        this.saveGame();
+    }
+
+    // ===== GARDEN EXPANSION =====
+    expandGarden() {
+        const oldSize = this.gardenSize;
+        if (oldSize >= this.maxGardenSize) {
+            this.showMessage('Garden is already at maximum size!', 'error');
+            return false;
+        }
+        
+        if (this.money < this.expansionCost) {
+            this.showMessage(`Not enough money! Need $${this.expansionCost}`, 'error');
+            return false;
+        }
+        
+        this.money -= this.expansionCost;
+        // Expand by two tiles on every side (total +4 per dimension), but cap at maxGardenSize
+        const proposed = oldSize + 4;
+        const newSize = Math.min(this.maxGardenSize, proposed);
+        this.gardenSize = newSize;
+        this.gridSize = newSize;
+        
+        // Expand the garden array while preserving existing plants, centered in the new grid
+        const oldGarden = this.garden;
+        this.garden = this.initializeGarden();
+        const delta = newSize - oldSize;
+        const offset = Math.floor(delta / 2);
+        for (let row = 0; row < oldSize; row++) {
+            for (let col = 0; col < oldSize; col++) {
+                const src = oldGarden[row][col];
+                if (!src) continue;
+                const dstRow = row + offset;
+                const dstCol = col + offset;
+                if (dstRow >= 0 && dstRow < newSize && dstCol >= 0 && dstCol < newSize) {
+                    this.garden[dstRow][dstCol] = {
+                        plant: src.plant,
+                        decoration: src.decoration,
+                        watered: src.watered,
+                        wateredAt: src.wateredAt,
+                        waterCooldown: src.waterCooldown,
+                        fertilized: src.fertilized,
+                        fertilizedAt: src.fertilizedAt,
+                        fertilizerCooldown: src.fertilizerCooldown,
+                        plantedAt: src.plantedAt
+                    };
+                }
+            }
+        }
+
+        // The soil moves with its tiles; the new border starts at the neutral level
+        const oldSoil = this.soil;
+        this.soil = this.initializeSoil();
+        for (let row = 0; row < oldSize; row++) {
+            for (let col = 0; col < oldSize; col++) {
+                if (oldSoil[row]?.[col]) this.soil[row + offset][col + offset] = oldSoil[row][col];
+            }
+        }
+
+        // The greenhouse and machines stay over the same tiles
+        if (this.greenhouse) {
+            this.greenhouse.row += offset;
+            this.greenhouse.col += offset;
+        }
+        this.machines.forEach(machine => {
+            machine.row += offset;
+            machine.col += offset;
+        });
+
+        // Shift existing sprinkler coordinates so the layout grows in all directions evenly
+        if (Array.isArray(this.sprinklers) && this.sprinklers.length) {
+            this.sprinklers = this.sprinklers.map(s => ({
+                ...s,
+                row: Math.min(newSize - 1, Math.max(0, s.row + offset)),
+                col: Math.min(newSize - 1, Math.max(0, s.col + offset))
+            }));
+        }
+        
+        // Update expansion cost for next expansion
+        this.expansionCost = Math.floor(this.expansionCost * 1.3);
+
+        // Recorded tiles no longer line up with the grid
+        this.clearHistory();
+        
+        // Update expansion challenge progress
+        this.updateChallengeProgress('expansion', 1);
+        
+        // Resize canvas and cell size to tightly fit the new grid without large borders
+        this.adjustCanvasForMobile();
+        this.showMessage(`Garden expanded to ${this.gardenSize}x${this.gardenSize}!`, 'success');
+        this.logEvent('economy', `Garden expanded to ${this.gardenSize}x${this.gardenSize}`);
+        this.updateUI();
+        this.draw();
+        this.saveGame();
+        return true;
+    }
+
+    // ===== GARDEN CHALLENGES =====
+    generateChallenges() {
+        const now = this.now();
+        const dayInMs = 24 * 60 * 60 * 1000;
+        const currentDay = Math.floor(now / dayInMs);
+
+        if (!this.challenges || typeof this.challenges !== 'object') {
+            this.challenges = { daily: [], weekly: null, completed: [] };
+        }
+
+        // Saves are normalised by migrateSaveData; this only guards state built in memory
+        if (!Array.isArray(this.challenges.daily)) {
+            this.challenges.daily = [];
+        }
+
+        if (!Array.isArray(this.challenges.completed)) {
+            this.challenges.completed = [];
+        }
+
+        this.challenges.daily = this.challenges.daily
+            .filter(challenge => challenge && challenge.day === currentDay)
+            .map(challenge => {
+                const collectedFlag = challenge.collected !== undefined ? !!challenge.collected : !!challenge.completed;
+                return {
+                    ...challenge,
+                    type: 'daily',
+                    id: challenge.id || `daily-${currentDay}-${this.random().toString(36).slice(2, 8)}`,
+                    progress: Math.min(challenge.progress || 0, challenge.target),
+                    completed: !!challenge.completed,
+                    collected: collectedFlag
+                };
+            });
+
+        const existingTypes = new Set(this.challenges.daily.map(challenge => challenge.challengeType));
+        while (this.challenges.daily.length < 3) {
+            const newChallenge = this.createDailyChallenge(currentDay, existingTypes);
+            existingTypes.add(newChallenge.challengeType);
+            this.challenges.daily.push(newChallenge);
+        }
+
+        const weekInMs = 7 * dayInMs;
+        const currentWeek = Math.floor(now / weekInMs);
+
+        if (!this.challenges.weekly || this.challenges.weekly.week !== currentWeek) {
+            this.challenges.weekly = this.createWeeklyChallenge(currentWeek);
+        } else {
+            const weeklyCollected = this.challenges.weekly.collected !== undefined ? !!this.challenges.weekly.collected : !!this.challenges.weekly.completed;
+            this.challenges.weekly = {
+                ...this.challenges.weekly,
+                type: 'weekly',
+                id: this.challenges.weekly.id || `weekly-${currentWeek}-${this.random().toString(36).slice(2, 8)}`,
+                progress: Math.min(this.challenges.weekly.progress || 0, this.challenges.weekly.target),
+                completed: !!this.challenges.weekly.completed,
+                collected: weeklyCollected,
+                week: currentWeek
+            };
+        }
+    }
+
+    createDailyChallenge(currentDay, existingTypes = new Set()) {
+        const challenges = this.challengePools.daily;
+
+        const available = challenges.filter(challenge => !existingTypes.has(challenge.challengeType));
+        const pool = available.length > 0 ? available : challenges;
+        const challenge = pool[Math.floor(this.random() * pool.length)];
+
+        return {
+            id: `daily-${currentDay}-${this.random().toString(36).slice(2, 8)}`,
+            type: 'daily',
+            challengeType: challenge.challengeType,
+            target: challenge.target,
+            description: challenge.description,
+            reward: challenge.reward,
+            day: currentDay,
+            progress: 0,
+            completed: false,
+            collected: false
+        };
+    }
+
+    createWeeklyChallenge(currentWeek) {
+        const challenges = this.challengePools.weekly;
+
+        const challenge = challenges[Math.floor(this.random() * challenges.length)];
+        return {
+            id: `weekly-${currentWeek}-${this.random().toString(36).slice(2, 8)}`,
+            type: 'weekly',
+            challengeType: challenge.challengeType,
+            target: challenge.target,
+            description: challenge.description,
+            reward: challenge.reward,
+            week: currentWeek,
+            progress: 0,
+            completed: false,
+            collected: false
+        };
+    }
+
+    updateChallengeProgress(type, amount = 1) {
+        if (!this.challenges) {
+            return;
+        }
+
+        const applyProgress = (challenge) => {
+            if (!challenge || challenge.challengeType !== type || challenge.completed) {
+                return;
+            }
+            challenge.progress = Math.min((challenge.progress || 0) + amount, challenge.target);
+            if (challenge.progress >= challenge.target) {
+                this.completeChallenge(challenge);
+            }
+        };
+
+        if (Array.isArray(this.challenges.daily)) {
+            this.challenges.daily.forEach(applyProgress);
+        }
+
+        if (this.challenges.weekly) {
+            applyProgress(this.challenges.weekly);
+        }
+    }
+
+    completeChallenge(challenge) {
+        if (!challenge || challenge.completed) {
+            return;
+        }
+
+        challenge.completed = true;
+        this.showMessage('Challenge complete! Tap to collect your reward.', 'success');
+        this.logEvent('economy', `Challenge complete: ${challenge.description}`);
+        this.updateChallengesDisplay();
+        this.saveGame();
+    }
+
+    collectChallengeReward(challengeId, type) {
+        let challenge = null;
+        if (type === 'daily' && Array.isArray(this.challenges.daily)) {
+            challenge = this.challenges.daily.find(item => item.id === challengeId);
+        } else if (type === 'weekly' && this.challenges.weekly && this.challenges.weekly.id === challengeId) {
+            challenge = this.challenges.weekly;
+        }
+
+        if (!challenge || !challenge.completed || challenge.collected) {
+            return;
+        }
+
+        challenge.collected = true;
+        this.money += challenge.reward;
+        this.updateStats('sale', challenge.reward);
+
+        if (Array.isArray(this.challenges.completed)) {
+            this.challenges.completed.push({ ...challenge, collectedAt: this.now() });
+            if (this.challenges.completed.length > 50) {
+                this.challenges.completed = this.challenges.completed.slice(-50);
+            }
+        }
+
+        this.showMessage(`Collected $${challenge.reward} from ${type} challenge!`, 'success');
+        this.logEvent('economy', `Collected $${challenge.reward} from the ${type} challenge`);
+        this.updateUI();
+        this.saveGame();
+    }
+
+    // Apply all currently placed global decoration bonuses to a specific cell's plant
+    applyAllGlobalBonusesToCell(row, col) {
+        const cell = this.garden?.[row]?.[col];
+        if (!cell || !cell.plant) return;
+        for (let y = 0; y < this.gridSize; y++) {
+            for (let x = 0; x < this.gridSize; x++) {
+                const deco = this.garden?.[y]?.[x]?.decoration;
+                if (!deco) continue;
+                const data = this.decorations?.[deco.type];
+                if (!data || data.bonus === 'none') continue;
+                if (data.scope === 'global') {
+                    this.applyDecorationBonusToPlant(row, col, data);
+                }
+            }
+        }
+    }
+
+    // ===== GARDEN STATISTICS =====
+    updateStats(type, amount = 1) {
+        switch (type) {
+            case 'harvest':
+                this.stats.totalPlantsHarvested += amount;
+                break;
+            case 'money':
+                this.stats.totalMoneyEarned += amount;
+                this.runStats.earned += amount;
+                if (amount > this.stats.bestHarvest) {
+                    this.stats.bestHarvest = amount;
+                }
+                break;
+            case 'harvestValue':
+                this.runStats.harvestValue += amount;
+                if (amount > this.stats.bestHarvest) {
+                    this.stats.bestHarvest = amount;
+                }
+                break;
+            case 'sale':
+                this.stats.totalMoneyEarned += amount;
+                this.runStats.earned += amount;
+                break;
+            case 'water':
+                this.stats.totalWaterUsed += amount;
+                this.runStats.waterUsed += amount;
+                break;
+            case 'fertilizer':
+                this.stats.totalFertilizerUsed += amount;
+                this.runStats.fertilizerUsed += amount;
+                break;
+            case 'waterSpent':
+                this.runStats.waterSpent += amount;
+                break;
+            case 'fertilizerSpent':
+                this.runStats.fertilizerSpent += amount;
+                break;
+            case 'plant':
+                const plantType = amount;
+                this.stats.plantsByType[plantType] = (this.stats.plantsByType[plantType] || 0) + 1;
+                this.runStats.harvests[plantType] = (this.runStats.harvests[plantType] || 0) + 1;
+                break;
+        }
+    }
+
+    // A harvest counts as the return on whatever care its plant got since the last one
+    recordCareReturn(plant, value) {
+        if (plant.wasWatered) this.runStats.wateredValue += value;
+        if (plant.wasFertilized) this.runStats.fertilizedValue += value;
+        delete plant.wasWatered;
+        delete plant.wasFertilized;
+    }
+
+    updateSessionTime() {
+        const now = this.now();
+        const sessionTime = now - this.stats.sessionStartTime;
+        if (sessionTime > this.stats.longestPlaySession) {
+            this.stats.longestPlaySession = sessionTime;
+        }
+    }
+
+    // ===== STAT SNAPSHOTS =====
+    createRunStats(startedAt) {
+        return {
+            startedAt,
+            earned: 0,
+            harvestValue: 0,
+            harvests: {}, // seedType -> harvests this run
+            waterUsed: 0,
+            fertilizerUsed: 0,
+            waterSpent: 0, // money paid for water this run
+            fertilizerSpent: 0,
+            wateredValue: 0, // harvest value from plants that were watered
+            fertilizedValue: 0
+        };
+    }
+
+    normalizeRunStats(saved, startedAt) {
+        const runStats = this.createRunStats(startedAt);
+        if (!saved || typeof saved !== 'object') return runStats;
+        Object.keys(runStats).forEach(key => {
+            if (key !== 'harvests' && Number.isFinite(saved[key]) && saved[key] >= 0) runStats[key] = saved[key];
+        });
+        if (saved.harvests && typeof saved.harvests === 'object') {
+            Object.entries(saved.harvests).forEach(([seedType, count]) => {
+                if (this.plantTypes[seedType] && Number.isInteger(count) && count > 0) runStats.harvests[seedType] = count;
+            });
+        }
+        return runStats;
+    }
+
+    normalizeStatSnapshots(saved) {
+        if (!Array.isArray(saved)) return [];
+        return saved
+            .filter(snapshot => snapshot && Number.isFinite(snapshot.at) && Number.isInteger(snapshot.run))
+            .map(snapshot => ({ ...this.normalizeRunStats(snapshot, snapshot.at), at: snapshot.at, run: snapshot.run, money: Number(snapshot.money) || 0 }))
+            .slice(-this.maxStatSnapshots);
+    }
+
+    normalizeRunHistory(saved) {
+        if (!Array.isArray(saved)) return [];
+        return saved
+            .filter(run => run && Number.isInteger(run.run) && Number.isFinite(run.startedAt) && Number.isFinite(run.endedAt))
+            .slice(-this.maxRunHistory);
+    }
+
+    takeStatSnapshot() {
+        const now = this.now();
+        this.statSnapshots.push({
+            ...this.runStats,
+            harvests: { ...this.runStats.harvests },
+            at: now,
+            run: this.rebirths,
+            money: this.money
+        });
+        if (this.statSnapshots.length > this.maxStatSnapshots) {
+            this.statSnapshots = this.statSnapshots.slice(-this.maxStatSnapshots);
+        }
+        this.lastStatSnapshot = now;
+    }
+
+    updateStatSnapshots() {
+        if (this.now() - this.lastStatSnapshot >= this.statSnapshotInterval) {
+            this.takeStatSnapshot();
+        }
+    }
+
+    getIncomePerHour(earned, duration) {
+        const hours = duration / 3600000;
+        return hours > 0 ? Math.round(earned / hours) : 0;
+    }
+
+    // One row of the run comparison; the current run is summarised as it stands
+    summarizeRun(endedAt = this.now(), score = this.score) {
+        const runStats = this.runStats;
+        const harvests = Object.values(runStats.harvests).reduce((sum, count) => sum + count, 0);
+        const topCrop = Object.entries(runStats.harvests).filter(([, count]) => count > 0).sort((a, b) => b[1] - a[1])[0];
+        return {
+            run: this.rebirths,
+            startedAt: runStats.startedAt,
+            endedAt,
+            score,
+            earned: runStats.earned,
+            harvestValue: runStats.harvestValue,
+            harvests,
+            topCrop: topCrop ? topCrop[0] : null,
+            waterSpent: runStats.waterSpent,
+            fertilizerSpent: runStats.fertilizerSpent,
+            wateredValue: runStats.wateredValue,
+            fertilizedValue: runStats.fertilizedValue,
+            incomePerHour: this.getIncomePerHour(runStats.earned, endedAt - runStats.startedAt)
+        };
+    }
+
+    // Snapshots of the current run, ending with a live reading so the charts are never empty
+    getStatTimeline() {
+        const live = { ...this.runStats, at: this.now(), run: this.rebirths, money: this.money };
+        const start = { ...this.createRunStats(this.runStats.startedAt), at: this.runStats.startedAt, run: this.rebirths, money: 0 };
+        return [start, ...this.statSnapshots.filter(snapshot => snapshot.run === this.rebirths && snapshot.at > start.at), live];
+    }
+
+    // Income per hour between consecutive snapshots of the current run
+    getIncomeSeries() {
+        const timeline = this.getStatTimeline();
+        const series = [];
+        for (let i = 1; i < timeline.length; i++) {
+            const duration = timeline[i].at - timeline[i - 1].at;
+            if (duration <= 0) continue;
+            series.push({ at: timeline[i].at, value: this.getIncomePerHour(timeline[i].earned - timeline[i - 1].earned, duration) });
+        }
+        return series;
+    }
+
+    // Harvest counts over the current run for its most harvested crops
+    getHarvestSeries(limit = 4) {
+        const timeline = this.getStatTimeline();
+        return Object.entries(this.runStats.harvests)
+            .filter(([, count]) => count > 0)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([seedType]) => ({
+                seedType,
+                name: this.plantTypes[seedType] ? this.plantTypes[seedType].name : seedType,
+                points: timeline.map(snapshot => ({ at: snapshot.at, value: snapshot.harvests[seedType] || 0 }))
+            }));
+    }
+
+    // What watering and fertilizing cost this run against the harvests they went into
+    getCareReturns() {
+        const { waterUsed, waterSpent, wateredValue, fertilizerUsed, fertilizerSpent, fertilizedValue, harvestValue } = this.runStats;
+        return {
+            harvestValue,
+            water: { used: waterUsed, spent: waterSpent, returned: wateredValue },
+            fertilizer: { used: fertilizerUsed, spent: fertilizerSpent, returned: fertilizedValue }
+        };
+    }
+
+    getRunComparison() {
+        return [...this.runHistory, { ...this.summarizeRun(), current: true }];
+    }
+
+    // ===== EVENT LOG =====
+    logEvent(category, message) {
+        this.eventLog.push({ at: this.now(), category, message });
+        if (this.eventLog.length > this.maxEventLog) {
+            this.eventLog = this.eventLog.slice(-this.maxEventLog);
+        }
+        this.updateEventLogDisplay();
+    }
+
+    normalizeEventLog(saved) {
+        if (!Array.isArray(saved)) return [];
+        return saved
+            .filter(entry => entry && Number.isFinite(entry.at) && EVENT_LOG_CATEGORIES.includes(entry.category) && typeof entry.message === 'string')
+            .map(({ at, category, message }) => ({ at, category, message }))
+            .slice(-this.maxEventLog);
+    }
+
+    // Newest first; category 'all' keeps everything
+    getEventLog(category = 'all') {
+        return this.eventLog
+            .filter(entry => category === 'all' || entry.category === category)
+            .reverse();
+    }
+
+    // The log as 'csv' or 'json' text, oldest first, limited to one category if given
+    exportEventLog(format = 'json', category = 'all') {
+        const entries = this.getEventLog(category).reverse().map(entry => ({
+            time: new Date(entry.at).toISOString(),
+            category: entry.category,
+            message: entry.message
+        }));
+        if (format === 'csv') {
+            const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+            return ['time,category,message', ...entries.map(entry => [entry.time, entry.category, quote(entry.message)].join(','))].join('\n');
+        }
+        return JSON.stringify(entries, null, 2);
+    }
+
+    initializeGarden() {
+        const garden = [];
+        for (let row = 0; row < this.gridSize; row++) {
+            garden[row] = [];
+            for (let col = 0; col < this.gridSize; col++) {
+                garden[row][col] = {
+                    plant: null,
+                    sprinkler: null,
+                    decoration: null,
+                    watered: false,
+                    wateredAt: null,
+                    waterCooldown: 0,
+                    fertilized: false,
+                    fertilizedAt: null,
+                    fertilizerCooldown: 0,
+                    plantedAt: null
+                };
+            }
+        }
+        return garden;
+    }
+
+    // ===== SOIL =====
+    initializeSoil() {
+        const soil = [];
+        for (let row = 0; row < this.gridSize; row++) {
+            soil[row] = [];
+            for (let col = 0; col < this.gridSize; col++) {
+                soil[row][col] = { nutrients: this.soilNeutralLevel, lastCrop: null };
+            }
+        }
+        return soil;
+    }
+
+    // Saved soil with the wrong shape (or none, in older saves) starts over at the neutral level
+    normalizeSoil(rawSoil) {
+        const soil = this.initializeSoil();
+        if (!Array.isArray(rawSoil) || rawSoil.length !== this.gridSize) {
+            return soil;
+        }
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                const tile = rawSoil[row]?.[col];
+                if (!tile || !Number.isFinite(tile.nutrients)) continue;
+                soil[row][col] = {
+                    nutrients: Math.max(0, Math.min(100, tile.nutrients)),
+                    lastCrop: this.plantTypes[tile.lastCrop] ? tile.lastCrop : null
+                };
+            }
+        }
+        return soil;
+    }
+
+    getSoilNutrients(row, col) {
+        const tile = this.soil?.[row]?.[col];
+        return tile ? tile.nutrients : this.soilNeutralLevel;
+    }
+
+    // 0.7x growth on exhausted soil up to 1.2x on rich soil
+    getSoilGrowthMultiplier(row, col) {
+        return 1 + (this.getSoilNutrients(row, col) - this.soilNeutralLevel) * 0.005;
+    }
+
+    // 0.76x harvest value on exhausted soil up to 1.16x on rich soil
+    getSoilHarvestMultiplier(row, col) {
+        return 1 + (this.getSoilNutrients(row, col) - this.soilNeutralLevel) * 0.004;
+    }
+
+    // Harvesting the same crop twice in a row on a tile doubles the nutrients it takes
+    // Orchard trees are never replanted, so their repeat harvests don't count as a monoculture
+    applyHarvestToSoil(row, col, seedType) {
+        const tile = this.soil?.[row]?.[col];
+        if (!tile) return 0;
+
+        const plantData = this.plantTypes[seedType];
+        let change = Number.isFinite(plantData?.soilEffect) ? plantData.soilEffect : this.soilDefaultEffect;
+        if (change < 0 && tile.lastCrop === seedType && !plantData?.perennial) {
+            change *= 2;
+        }
+
+        const before = tile.nutrients;
+        tile.nutrients = Math.max(0, Math.min(100, before + change));
+        tile.lastCrop = seedType;
+        return tile.nutrients - before;
+    }
+
+    // Empty tiles slowly recover toward the neutral level when left fallow
+    updateSoil() {
+        const now = this.now();
+        if (now - this.lastSoilCheck < this.soilCheckInterval) return;
+        this.lastSoilCheck = now;
+
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                const tile = this.soil[row]?.[col];
+                if (!tile || this.garden[row][col].plant || tile.nutrients >= this.soilNeutralLevel) continue;
+                tile.nutrients = Math.min(this.soilNeutralLevel, tile.nutrients + this.soilFallowRecovery);
+            }
+        }
+    }
+
+    // ===== PESTS & DISEASES =====
+    // Drop infections from pests the catalog no longer has and clamp the rest
+    normalizeInfections() {
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                const plant = this.garden[row]?.[col]?.plant;
+                if (!plant || !plant.infection) continue;
+                const infection = plant.infection;
+                if (!this.pestTypes[infection.type] || !Number.isFinite(infection.severity)) {
+                    delete plant.infection;
+                    continue;
+                }
+                infection.severity = Math.max(1, Math.min(this.pestMaxSeverity, Math.round(infection.severity)));
+            }
+        }
+    }
+
+    getPlantInfection(plant) {
+        const infection = plant?.infection;
+        return infection && this.pestTypes[infection.type] ? infection : null;
+    }
+
+    // Each severity level takes the pest's growthPenalty off the growth speed
+    getPestGrowthMultiplier(plant) {
+        const infection = this.getPlantInfection(plant);
+        if (!infection) return 1;
+        return Math.max(0.1, 1 - this.pestTypes[infection.type].growthPenalty * infection.severity);
+    }
+
+    getPestHarvestMultiplier(plant) {
+        const infection = this.getPlantInfection(plant);
+        if (!infection) return 1;
+        return Math.max(0.1, 1 - this.pestTypes[infection.type].valuePenalty * infection.severity);
+    }
+
+    // 0 (immune) to 1 (defenceless): fence protection, companion crops next door and deterrent decorations all help
+    getPestResistance(row, col, pestType) {
+        const plant = this.garden[row][col].plant;
+        if (!plant) return 0;
+        if (plant.treatedUntil && plant.treatedUntil > this.now()) return 0;
+
+        const pest = this.pestTypes[pestType];
+        let risk = 1 - Math.min(80, this.getPlantBonus(plant, 'protection')) / 100;
+
+        // Same 3x3 reach as decoration bonuses
+        let hasCompanion = false;
+        let hasDeterrent = false;
+        for (let y = Math.max(0, row - 1); y <= Math.min(this.gridSize - 1, row + 1); y++) {
+            for (let x = Math.max(0, col - 1); x <= Math.min(this.gridSize - 1, col + 1); x++) {
+                if (y === row && x === col) continue;
+                const cell = this.garden[y][x];
+                if (cell.plant && pest.companions.includes(cell.plant.type)) hasCompanion = true;
+                if (cell.decoration && pest.deterrents.includes(cell.decoration.type)) hasDeterrent = true;
+            }
+        }
+        if (hasCompanion) risk *= 0.5;
+        if (hasDeterrent) risk *= 0.4;
+        return risk;
+    }
+
+    getPestWeatherFactor(pestType) {
+        const factor = this.pestTypes[pestType].weather[this.weather];
+        return Number.isFinite(factor) ? factor : 1;
+    }
+
+    // Every pestCheckInterval: infections worsen, spread to neighbours and break out on healthy plants
+    // Returns pestType -> plants newly infected this check
+    updatePests() {
+        const now = this.now();
+        if (now - this.lastPestCheck < this.pestCheckInterval) return {};
+        this.lastPestCheck = now;
+
+        // Work out the new infections first so a freshly infected plant doesn't spread in the same check
+        const newInfections = new Map();
+        const infect = (row, col, pestType) => {
+            const key = `${row},${col}`;
+            if (newInfections.has(key) || this.garden[row][col].plant.infection) return;
+            if (this.random() < this.pestTypes[pestType].spreadChance * this.getPestWeatherFactor(pestType) * this.getPestResistance(row, col, pestType)) {
+                newInfections.set(key, pestType);
+            }
+        };
+
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                const plant = this.garden[row][col].plant;
+                if (!plant) continue;
+                const infection = this.getPlantInfection(plant);
+
+                if (infection) {
+                    [[row - 1, col], [row + 1, col], [row, col - 1], [row, col + 1]].forEach(([y, x]) => {
+                        if (y >= 0 && y < this.gridSize && x >= 0 && x < this.gridSize && this.garden[y][x].plant) {
+                            infect(y, x, infection.type);
+                        }
+                    });
+                    infection.severity = Math.min(this.pestMaxSeverity, infection.severity + 1);
+                    continue;
+                }
+
+                for (const pestType of Object.keys(this.pestTypes)) {
+                    const chance = this.pestTypes[pestType].outbreakChance * this.getPestWeatherFactor(pestType) * this.getPestResistance(row, col, pestType);
+                    if (!newInfections.has(`${row},${col}`) && this.random() < chance) {
+                        newInfections.set(`${row},${col}`, pestType);
+                        break;
+                    }
+                }
+            }
+        }
+
+        const counts = {};
+        newInfections.forEach((pestType, key) => {
+            const [row, col] = key.split(',').map(Number);
+            this.garden[row][col].plant.infection = { type: pestType, severity: 1, since: now };
+            counts[pestType] = (counts[pestType] || 0) + 1;
+            this.addParticle('damage', col * this.cellSize + this.cellSize / 2, row * this.cellSize + this.cellSize / 2);
+        });
+
+        if (newInfections.size > 0) {
+            const summary = Object.entries(counts)
+                .map(([pestType, count]) => `${this.pestTypes[pestType].icon} ${this.pestTypes[pestType].name} on ${count} plant${count === 1 ? '' : 's'}`)
+                .join(', ');
+            console.log(`Pest check: ${summary}`);
+            this.showMessage(`${summary}! Use the Treat tool 🧴 before it spreads.`, 'warning');
+            this.logEvent('growth', `Pests: ${summary}`);
+        }
+        return counts;
+    }
+
+    // Clears the infection for the pest's treatCost and keeps the plant clean for a while
+    treatPlant(row, col) {
+        const plant = this.garden[row][col].plant;
+        if (!plant) return;
+
+        const infection = this.getPlantInfection(plant);
+        if (!infection) {
+            this.showMessage(`${this.plantTypes[plant.type].name} is healthy, nothing to treat.`, 'info');
+            return;
+        }
+
+        const pest = this.pestTypes[infection.type];
+        if (this.money < pest.treatCost) {
+            this.showMessage(`Not enough money! Treating ${pest.name.toLowerCase()} costs $${pest.treatCost}`, 'error');
+            return;
+        }
+
+        this.money -= pest.treatCost;
+        delete plant.infection;
+        plant.treatedUntil = this.now() + this.pestTreatmentImmunityMs;
+        console.log(`Treated ${infection.type} on plant at (${row}, ${col}) for $${pest.treatCost}`);
+
+        this.showMessage(`🧴 Treated ${pest.name.toLowerCase()} for $${pest.treatCost}!`, 'success');
+        this.playSound('water');
+        const x = (col * this.cellSize) + (this.cellSize / 2);
+        const y = (row * this.cellSize) + (this.cellSize / 2);
+        this.spawnGentleBurst(x, y, 'water', 10);
+
+        this.updateUI();
+        this.saveGame();
+    }
+
+    // ===== ORCHARDS =====
+    // Orchard trees rest through their dormant seasons; night bloomers rest through the day
+    isPlantDormant(plant) {
+        const plantData = this.plantTypes[plant?.type];
+        if (plantData?.nightBlooming && !this.isNight()) return true;
+        const perennial = plantData?.perennial;
+        return !!perennial && perennial.dormantIn.includes(this.currentSeason);
+    }
+
+    // Why a dormant plant is resting, for messages and tooltips
+    describeDormancy(plant) {
+        if (this.plantTypes[plant?.type]?.nightBlooming && !this.isNight()) return 'waiting for nightfall';
+        return `dormant in ${this.currentSeason}`;
+    }
+
+    // Game time one season lasts: seasonLength days in cycle mode, a quarter of a year on the real calendar
+    getSeasonLengthMs() {
+        const dayInMs = 24 * 60 * 60 * 1000;
+        return this.seasonMode === 'calendar' ? 365.25 / 4 * dayInMs : this.seasonLength * dayInMs;
+    }
+
+    // A tree's age in seasons since it was planted (fractional; harvesting does not age it)
+    getPerennialSeasons(plant) {
+        const plantedAt = Number(plant?.plantedAt);
+        if (!Number.isFinite(plantedAt)) return 0;
+        return Math.max(0, this.now() - plantedAt) / this.getSeasonLengthMs();
+    }
+
+    // Young trees ramp from perennialYoungYield up to peakYield over maturitySeasons, hold it for
+    // peakSeasons, then lose perennialDeclinePerSeason each season after that down to perennialOldYield
+    getPerennialYieldMultiplier(plant) {
+        const perennial = this.plantTypes[plant?.type]?.perennial;
+        if (!perennial) return 1;
+        const age = this.getPerennialSeasons(plant);
+        if (age < perennial.maturitySeasons) {
+            return this.perennialYoungYield + (perennial.peakYield - this.perennialYoungYield) * age / perennial.maturitySeasons;
+        }
+        const seasonsPastPrime = Math.floor(age - perennial.maturitySeasons - perennial.peakSeasons);
+        if (seasonsPastPrime < 0) return perennial.peakYield;
+        return Math.max(this.perennialOldYield, perennial.peakYield - this.perennialDeclinePerSeason * (seasonsPastPrime + 1));
+    }
+
+    // 'young', 'prime' or 'old', or null for annual crops
+    getPerennialAge(plant) {
+        const perennial = this.plantTypes[plant?.type]?.perennial;
+        if (!perennial) return null;
+        const age = this.getPerennialSeasons(plant);
+        if (age < perennial.maturitySeasons) return 'young';
+        return age < perennial.maturitySeasons + perennial.peakSeasons ? 'prime' : 'old';
+    }
+
+    // After picking, the tree drops back to its fruiting stage; it keeps its age, bonuses and any infection
+    regrowPerennial(row, col) {
+        const cell = this.garden[row][col];
+        const plant = cell.plant;
+        plant.harvests = (plant.harvests || 0) + 1;
+        plant.growthStage = this.plantTypes[plant.type].perennial.regrowStage;
+        plant.isFullyGrown = false;
+
+        this.garden[row][col] = {
+            ...cell,
+            plant,
+            watered: false,
+            wateredAt: null,
+            waterCooldown: 0,
+            fertilized: false,
+            fertilizedAt: null,
+            fertilizerCooldown: 0
+        };
+    }
+
+    // ===== GREENHOUSE =====
+    getGreenhouseSize() {
+        return this.greenhouse ? this.greenhouseLevels[this.greenhouse.level].size : 0;
+    }
+
+    isGreenhouseTile(row, col) {
+        if (!this.greenhouse) return false;
+        const size = this.getGreenhouseSize();
+        return row >= this.greenhouse.row && row < this.greenhouse.row + size
+            && col >= this.greenhouse.col && col < this.greenhouse.col + size;
+    }
+
+    // Inside the greenhouse a slow season never slows growth; a fast one still helps
+    getSeasonMultiplierAt(row, col) {
+        const seasonMultiplier = this.seasonMultiplier || 1.0;
+        return this.isGreenhouseTile(row, col) ? Math.max(1, seasonMultiplier) : seasonMultiplier;
+    }
+
+    // Cost of the next level, or null when it is fully upgraded (or not built yet)
+    getGreenhouseUpgradeCost() {
+        if (!this.greenhouse) return null;
+        return this.greenhouseLevels[this.greenhouse.level + 1]?.cost ?? null;
+    }
+
+    // Slides the anchor so a size x size greenhouse fits inside the grid
+    fitGreenhouseAnchor(row, col, size) {
+        const limit = this.gridSize - size;
+        return {
+            row: Math.max(0, Math.min(limit, row)),
+            col: Math.max(0, Math.min(limit, col))
+        };
+    }
+
+    normalizeGreenhouse(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+        const { row, col, level } = raw;
+        if (![row, col, level].every(Number.isInteger) || !this.greenhouseLevels[level]) return null;
+        const size = this.greenhouseLevels[level].size;
+        if (size > this.gridSize) return null;
+        return { ...this.fitGreenhouseAnchor(row, col, size), level };
+    }
+
+    buildGreenhouse(row, col) {
+        if (this.greenhouse) {
+            this.showMessage('You already have a greenhouse. Upgrade it from the shop!', 'error');
+            return false;
+        }
+        const { size, cost } = this.greenhouseLevels[0];
+        if (this.money < cost) {
+            this.showMessage(`Not enough money! A greenhouse costs $${cost}`, 'error');
+            this.playSound('error');
+            return false;
+        }
+
+        this.money -= cost;
+        this.greenhouse = { ...this.fitGreenhouseAnchor(row, col, size), level: 0 };
+        this.showMessage(`🏡 Greenhouse built! Its ${size}x${size} tiles grow any crop in any season and are safe from storms.`, 'success');
+        this.playSound('success');
+        this.updateShopDisplay();
+        this.updateUI();
+        this.draw();
+        this.saveGame();
+        return true;
+    }
+
+    // Each level adds a row and a column; the greenhouse slides back inside the grid if it would overhang
+    upgradeGreenhouse() {
+        if (!this.greenhouse) {
+            this.showMessage('Build a greenhouse first!', 'error');
+            return false;
+        }
+        const next = this.greenhouseLevels[this.greenhouse.level + 1];
+        if (!next) {
+            this.showMessage('The greenhouse is fully upgraded!', 'info');
+            return false;
+        }
+        if (next.size > this.gridSize) {
+            this.showMessage('Expand your garden to make room for a bigger greenhouse.', 'error');
+            return false;
+        }
+        if (this.money < next.cost) {
+            this.showMessage(`Not enough money! Need $${next.cost}`, 'error');
+            this.playSound('error');
+            return false;
+        }
+
+        this.money -= next.cost;
+        this.greenhouse = { ...this.fitGreenhouseAnchor(this.greenhouse.row, this.greenhouse.col, next.size), level: this.greenhouse.level + 1 };
+        this.showMessage(`🏡 Greenhouse upgraded to ${next.size}x${next.size}!`, 'success');
+        this.playSound('success');
+        this.updateUI();
+        this.draw();
+        this.saveGame();
+        return true;
+    }
+
+    // ===== MACHINES =====
+    getMachineAt(row, col) {
+        return this.machines.find(machine => machine.row === row && machine.col === col) || null;
+    }
+
+    hasMachine(row, col) {
+        return this.machines.some(machine => machine.row === row && machine.col === col);
+    }
+
+    getMachineTier(machine) {
+        return this.machineTypes[machine.type].tiers[machine.tier];
+    }
+
+    // Cost of the next tier, or null at the top tier
+    getMachineUpgradeCost(machine) {
+        return this.machineTypes[machine.type].tiers[machine.tier + 1]?.cost ?? null;
+    }
+
+    // The machine's price plus every upgrade bought for it
+    getMachineInvestment(machine) {
+        return this.machineTypes[machine.type].tiers
+            .slice(0, machine.tier + 1)
+            .reduce((total, tier) => total + tier.cost, 0);
+    }
+
+    // Same square reach as sprinklers, not counting the machine's own tile
+    getMachineTiles(machine) {
+        const range = this.getMachineTier(machine).range;
+        const tiles = [];
+        for (let row = Math.max(0, machine.row - range); row <= Math.min(this.gridSize - 1, machine.row + range); row++) {
+            for (let col = Math.max(0, machine.col - range); col <= Math.min(this.gridSize - 1, machine.col + range); col++) {
+                if (row !== machine.row || col !== machine.col) tiles.push({ row, col });
+            }
+        }
+        return tiles;
+    }
+
+    // Whether a planter could put this seed in the ground right now (pouch for hybrids, stock and money otherwise)
+    hasSeedToPlant(seedType) {
+        const plantData = this.plantTypes[seedType];
+        if (!plantData) return false;
+        if (this.hybridTypes[seedType]) return (this.hybridSeeds[seedType] || 0) > 0;
+        const inventory = this.shopInventory[seedType];
+        return !!inventory && inventory.stock > 0 && this.money >= this.getDiscountedSeedCost(this.getSeedBaseCost(plantData));
+    }
+
+    // Tiles the machine would work on if it ran now
+    findMachineTargets(machine) {
+        const action = this.machineTypes[machine.type].action;
+        const now = this.now();
+        return this.getMachineTiles(machine).filter(({ row, col }) => {
+            const cell = this.garden[row][col];
+            if (action === 'harvest') {
+                return !!cell.plant && cell.plant.isFullyGrown;
+            }
+            if (action === 'water') {
+                return !!cell.plant && !cell.plant.isFullyGrown && !cell.watered && cell.waterCooldown <= now && !this.isPlantDormant(cell.plant);
+            }
+            return !!machine.seed && !cell.plant && !cell.decoration && !this.hasSprinkler(row, col) && !this.hasMachine(row, col)
+                && this.isSeedAvailable(machine.seed, row, col);
+        });
+    }
+
+    // What the machine is doing, for the tooltip and machine panel; stalled means it has work but can't do it
+    getMachineStatus(machine) {
+        const action = this.machineTypes[machine.type].action;
+        if (action === 'plant' && !machine.seed) {
+            return { state: 'stalled', text: 'Choose a seed for it to plant' };
+        }
+        if (this.findMachineTargets(machine).length === 0) {
+            return { state: 'idle', text: 'Idle: nothing in range needs it' };
+        }
+        if (this.fuel < this.getMachineTier(machine).fuel) {
+            return { state: 'stalled', text: 'Out of fuel' };
+        }
+        if (action === 'water' && this.water <= 0) {
+            return { state: 'stalled', text: 'Out of water' };
+        }
+        if (action === 'plant' && !this.hasSeedToPlant(machine.seed)) {
+            return { state: 'stalled', text: `Can't get ${this.plantTypes[machine.seed].name} seeds` };
+        }
+        return { state: 'working', text: 'Working' };
+    }
+
+    // Works through the targets until they run out or the machine runs dry; returns how many tiles it worked
+    runMachine(machine, targets) {
+        const action = this.machineTypes[machine.type].action;
+        let worked = 0;
+        for (const { row, col } of targets) {
+            if (action === 'harvest') {
+                this.harvestPlant(row, col);
+            } else if (action === 'water') {
+                this.waterPlant(row, col);
+                if (this.garden[row][col].wateredAt !== this.now()) break;
+            } else {
+                if (!this.hasSeedToPlant(machine.seed)) break;
+                this.plantSeed(row, col, machine.seed);
+                if (!this.garden[row][col].plant) break;
+            }
+            worked++;
+        }
+        return worked;
+    }
+
+    // Runs every machine whose timer is up; returns the tiles worked by action
+    updateMachines() {
+        const now = this.now();
+        const work = { harvest: 0, water: 0, plant: 0 };
+        let ran = false;
+        let outOfFuel = false;
+
+        this.machines.forEach(machine => {
+            const tier = this.getMachineTier(machine);
+            if (now - machine.lastRun < tier.seconds * 1000) return;
+            machine.lastRun = now;
+
+            const targets = this.findMachineTargets(machine);
+            if (targets.length === 0) return;
+            if (this.fuel < tier.fuel) {
+                outOfFuel = true;
+                return;
+            }
+
+            // One summary redraw below instead of a message and sound per tile
+            const worked = this.runSilently(() => this.runMachine(machine, targets));
+            if (worked > 0) {
+                this.fuel -= tier.fuel;
+                work[this.machineTypes[machine.type].action] += worked;
+                ran = true;
+            }
+        });
+
+        if (outOfFuel && !this.machinesOutOfFuel) {
+            this.showMessage('⛽ Your machines are out of fuel! Buy more in the shop.', 'warning');
+            this.logEvent('growth', 'Machines ran out of fuel');
+        }
+        if (outOfFuel || ran) {
+            this.machinesOutOfFuel = outOfFuel;
+        }
+        if (ran) {
+            this.updateUI();
+            this.updateMarketDisplay();
+            this.updateShopDisplay();
+            this.draw();
+            this.saveGame();
+        }
+        return work;
+    }
+
+    placeMachine(row, col, machineType = this.selectedMachine) {
+        const machineData = this.machineTypes[machineType];
+        if (!machineData) {
+            this.showMessage('No machine selected!', 'error');
+            return false;
+        }
+        if (row < 0 || row >= this.gridSize || col < 0 || col >= this.gridSize) {
+            this.showMessage('Invalid placement location!', 'error');
+            return false;
+        }
+        const cell = this.garden[row][col];
+        if (cell.plant || cell.decoration || this.hasSprinkler(row, col) || this.hasMachine(row, col)) {
+            this.showMessage('Machines need an empty tile!', 'error');
+            this.playSound('error');
+            return false;
+        }
+        const price = machineData.tiers[0].cost;
+        if (this.money < price) {
+            this.showMessage(`Not enough money! Need $${price}`, 'error');
+            this.playSound('error');
+            return false;
+        }
+
+        this.money -= price;
+        this.machines.push({ type: machineType, row, col, tier: 0, seed: null, lastRun: this.now() });
+        const hint = machineData.action === 'plant' ? ' Click it to choose which seed it plants.' : '';
+        this.showMessage(`${machineData.icon} ${machineData.name} placed!${hint}`, 'success');
+        this.playSound('plant');
+        this.updateUI();
+        this.draw();
+        this.saveGame();
+        return true;
+    }
+
+    removeMachine(row, col) {
+        const index = this.machines.findIndex(machine => machine.row === row && machine.col === col);
+        if (index === -1) return false;
+        const machine = this.machines[index];
+        const machineData = this.machineTypes[machine.type];
+
+        const refundAmount = this.grantShovelRefund(this.getMachineInvestment(machine), row, col);
+        const refundRatePercent = Math.round(this.getShovelRefundRate() * 100);
+        const refundText = refundAmount > 0 ? ` Returned ${refundRatePercent}% ($${refundAmount}).` : '';
+        this.machines.splice(index, 1);
+
+        this.showMessage(`${machineData.name} removed!${refundText}`, refundAmount > 0 ? 'success' : 'info');
+        const x = (col * this.cellSize) + (this.cellSize / 2);
+        const y = (row * this.cellSize) + (this.cellSize / 2);
+        this.spawnGentleBurst(x, y, 'remove', 10);
+        this.updateUI();
+        this.draw();
+        this.saveGame();
+        return true;
+    }
+
+    upgradeMachine(row, col) {
+        const machine = this.getMachineAt(row, col);
+        if (!machine) return false;
+        const machineData = this.machineTypes[machine.type];
+        const cost = this.getMachineUpgradeCost(machine);
+        if (cost === null) {
+            this.showMessage(`${machineData.name} is fully upgraded!`, 'info');
+            return false;
+        }
+        if (this.money < cost) {
+            this.showMessage(`Not enough money! Need $${cost}`, 'error');
+            this.playSound('error');
+            return false;
+        }
+
+        this.money -= cost;
+        machine.tier += 1;
+        const tier = this.getMachineTier(machine);
+        this.showMessage(`${machineData.icon} ${machineData.name} upgraded to tier ${machine.tier + 1}: range ${tier.range}, every ${tier.seconds}s!`, 'success');
+        this.playSound('success');
+        this.updateUI();
+        this.draw();
+        this.saveGame();
+        return true;
+    }
+
+    // The crop a planter replants; null leaves it switched off
+    setMachineSeed(row, col, seedType) {
+        const machine = this.getMachineAt(row, col);
+        if (!machine || this.machineTypes[machine.type].action !== 'plant') return false;
+        if (seedType !== null && !this.plantTypes[seedType]) return false;
+        machine.seed = seedType;
+        this.saveGame();
+        return true;
+    }
+
+    buyFuel() {
+        if (this.money < this.fuelCanPrice) {
+            this.showMessage(`Not enough money to buy fuel! Cost: $${this.fuelCanPrice}`, 'error');
+            this.playSound('error');
+            return false;
+        }
+        this.money -= this.fuelCanPrice;
+        this.fuel += this.fuelCanSize;
+        this.showMessage(`⛽ Bought ${this.fuelCanSize} fuel for $${this.fuelCanPrice}!`, 'success');
+        this.playSound('success');
+        this.updateUI();
+        this.saveGame();
+        return true;
+    }
+
+    // Drops machines of unknown types or off the grid, and any stacked on a taken tile
+    normalizeMachines(raw) {
+        if (!Array.isArray(raw)) return [];
+        const taken = new Set();
+        const machines = [];
+        raw.forEach(machine => {
+            const machineData = machine && this.machineTypes[machine.type];
+            if (!machineData) return;
+            const { row, col } = machine;
+            if (![row, col].every(value => Number.isInteger(value) && value >= 0 && value < this.gridSize)) return;
+            if (taken.has(`${row},${col}`)) return;
+            taken.add(`${row},${col}`);
+            machines.push({
+                type: machine.type,
+                row,
+                col,
+                tier: Number.isInteger(machine.tier) ? Math.max(0, Math.min(machineData.tiers.length - 1, machine.tier)) : 0,
+                seed: machineData.action === 'plant' && this.plantTypes[machine.seed] ? machine.seed : null,
+                lastRun: Number.isFinite(machine.lastRun) ? machine.lastRun : this.now()
+            });
+        });
+        return machines;
+    }
+
+    // ===== BLUEPRINTS =====
+    // A blueprint is a saved layout of crops, sprinklers and decorations. Gardens grow outward from the middle,
+    // so a blueprint saved on a smaller garden lines up centred on a bigger one, just as expansion moves the tiles.
+    getBlueprint(name) {
+        return this.blueprints.find(blueprint => blueprint.name === name) || null;
+    }
+
+    getActiveBlueprint() {
+        return this.getBlueprint(this.activeBlueprint);
+    }
+
+    saveBlueprint(rawName) {
+        const name = sanitizeGardenName(rawName, '');
+        if (!name) {
+            this.showMessage('Give the blueprint a name first.', 'error');
+            return false;
+        }
+        const existing = this.getBlueprint(name);
+        if (!existing && this.blueprints.length >= this.maxBlueprints) {
+            this.showMessage(`You can keep up to ${this.maxBlueprints} blueprints. Delete one first.`, 'error');
+            return false;
+        }
+
+        const tiles = [];
+        this.garden.forEach((cells, row) => cells.forEach((cell, col) => {
+            if (cell.plant) tiles.push({ row, col, kind: 'crop', type: cell.plant.type });
+            if (cell.decoration) tiles.push({ row, col, kind: 'decoration', type: cell.decoration.type });
+        }));
+        this.sprinklers.forEach(sprinkler => {
+            tiles.push({ row: sprinkler.row, col: sprinkler.col, kind: 'sprinkler', type: sprinkler.type });
+        });
+        if (tiles.length === 0) {
+            this.showMessage('There is nothing in the garden to save yet.', 'error');
+            return false;
+        }
+
+        const blueprint = { name, size: this.gridSize, tiles, savedAt: this.now() };
+        if (existing) {
+            this.blueprints[this.blueprints.indexOf(existing)] = blueprint;
+        } else {
+            this.blueprints.push(blueprint);
+        }
+        this.activeBlueprint = name;
+        this.showMessage(`📐 ${existing ? 'Updated' : 'Saved'} blueprint "${name}" with ${tiles.length} tiles.`, 'success');
+        this.draw();
+        this.saveGame();
+        return true;
+    }
+
+    deleteBlueprint(name) {
+        const blueprint = this.getBlueprint(name);
+        if (!blueprint) return false;
+        this.blueprints = this.blueprints.filter(entry => entry !== blueprint);
+        if (this.activeBlueprint === name) {
+            this.activeBlueprint = null;
+        }
+        this.showMessage(`🗑️ Deleted blueprint "${name}".`, 'info');
+        this.draw();
+        this.saveGame();
+        return true;
+    }
+
+    // Shows the blueprint as ghost tiles (null hides it); auto-replant follows the shown blueprint
+    showBlueprint(name) {
+        this.activeBlueprint = this.getBlueprint(name) ? name : null;
+        this.draw();
+        this.saveGame();
+    }
+
+    setAutoReplant(enabled) {
+        this.autoReplant = !!enabled;
+        this.saveGame();
+    }
+
+    // The blueprint's tiles moved onto the current grid; any that fall outside it are dropped
+    getBlueprintTiles(blueprint) {
+        const offset = Math.floor((this.gridSize - blueprint.size) / 2);
+        return blueprint.tiles
+            .map(tile => ({ ...tile, row: tile.row + offset, col: tile.col + offset }))
+            .filter(tile => tile.row >= 0 && tile.row < this.gridSize && tile.col >= 0 && tile.col < this.gridSize);
+    }
+
+    // 'done' when the tile already has it, 'missing' when it's free to fill, 'blocked' when something else is in the way
+    getBlueprintTileState(tile) {
+        const { row, col, kind, type } = tile;
+        const cell = this.garden[row][col];
+        const sprinkler = this.sprinklers.find(s => s.row === row && s.col === col);
+        if (kind === 'crop' && cell.plant?.type === type) return 'done';
+        if (kind === 'sprinkler' && sprinkler?.type === type) return 'done';
+        if (kind === 'decoration' && cell.decoration?.type === type) return 'done';
+
+        if (cell.plant || this.hasMachine(row, col)) return 'blocked';
+        if (kind === 'crop' && (sprinkler || cell.decoration)) return 'blocked';
+        if (kind === 'sprinkler' && sprinkler) return 'blocked';
+        if (kind === 'decoration' && cell.decoration) return 'blocked';
+        return 'missing';
+    }
+
+    getBlueprintItemCost(tile) {
+        if (tile.kind === 'crop') {
+            return this.hybridTypes[tile.type] ? 0 : this.getDiscountedSeedCost(this.getSeedBaseCost(this.plantTypes[tile.type]));
+        }
+        if (tile.kind === 'sprinkler') return this.sprinklerTypes[tile.type].price;
+        return this.decorations[tile.type].cost;
+    }
+
+    // What filling would place and cost right now, leaving out seeds the shop can't supply and off-season decorations.
+    // Sprinklers come out of the shed first and are only bought when it runs out.
+    getBlueprintFillCost(blueprint) {
+        const shed = { ...this.sprinklerInventory };
+        const seeds = {};
+        let tiles = 0;
+        let money = 0;
+        this.getBlueprintTiles(blueprint).forEach(tile => {
+            if (this.getBlueprintTileState(tile) !== 'missing') return;
+            if (tile.kind === 'crop') {
+                if (!(tile.type in seeds)) {
+                    seeds[tile.type] = this.hybridTypes[tile.type] ? (this.hybridSeeds[tile.type] || 0) : (this.shopInventory[tile.type]?.stock || 0);
+                }
+                if (!this.isSeedAvailable(tile.type, tile.row, tile.col) || seeds[tile.type] <= 0) return;
+                seeds[tile.type]--;
+            } else if (tile.kind === 'decoration') {
+                if (!this.isDecorationInSeason(tile.type)) return;
+            } else if (shed[tile.type] > 0) {
+                shed[tile.type]--;
+                tiles++;
+                return;
+            }
+            tiles++;
+            money += this.getBlueprintItemCost(tile);
+        });
+        return { tiles, money };
+    }
+
+    // Places one missing blueprint item; returns why it couldn't, or null once it's in place
+    fillBlueprintTile(tile) {
+        const { row, col, kind, type } = tile;
+        if (kind === 'crop') {
+            const isHybrid = !!this.hybridTypes[type];
+            const stock = isHybrid ? (this.hybridSeeds[type] || 0) : (this.shopInventory[type]?.stock || 0);
+            if (!this.isSeedAvailable(type, row, col)) return 'out of season';
+            if (stock <= 0) return 'out of stock';
+            if (this.money < this.getBlueprintItemCost(tile)) return 'not enough money';
+            this.plantSeed(row, col, type);
+        } else if (kind === 'sprinkler') {
+            if (!this.sprinklerInventory[type]) {
+                if (this.money < this.getBlueprintItemCost(tile)) return 'not enough money';
+                this.buySprinkler(type);
+            }
+            this.selectedSprinkler = type;
+            this.placeSprinkler(row, col);
+        } else {
+            const decorationData = this.decorations[type];
+            if (!this.isDecorationInSeason(type)) return 'out of season';
+            if (this.money < decorationData.cost) return 'not enough money';
+            this.selectedDecoration = type;
+            this.placeDecoration(row, col);
+        }
+        return this.getBlueprintTileState(tile) === 'done' ? null : 'blocked';
+    }
+
+    // Buys and places everything the blueprint has that the garden is missing; returns how many tiles were filled
+    fillFromBlueprint(name = this.activeBlueprint) {
+        const blueprint = this.getBlueprint(name);
+        if (!blueprint) {
+            this.showMessage('Choose a blueprint to fill from first.', 'error');
+            return 0;
+        }
+        const missing = this.getBlueprintTiles(blueprint).filter(tile => this.getBlueprintTileState(tile) === 'missing');
+        if (missing.length === 0) {
+            this.showMessage(`Everything in "${blueprint.name}" is already in place.`, 'info');
+            return 0;
+        }
+
+        const selection = { seed: this.selectedSeed, sprinkler: this.selectedSprinkler, decoration: this.selectedDecoration };
+        const startMoney = this.money;
+        const skipped = {};
+        let filled = 0;
+        this.runSilently(() => {
+            missing.forEach(tile => {
+                const reason = this.fillBlueprintTile(tile);
+                if (reason) {
+                    skipped[reason] = (skipped[reason] || 0) + 1;
+                } else {
+                    filled++;
+                }
+            });
+        });
+        this.selectedSeed = selection.seed;
+        this.selectedSprinkler = selection.sprinkler;
+        this.selectedDecoration = selection.decoration;
+
+        const spent = startMoney - this.money;
+        let text = `📐 Filled ${filled} tile${filled === 1 ? '' : 's'} from "${blueprint.name}"${spent > 0 ? ` for $${spent.toLocaleString()}` : ''}`;
+        const reasons = Object.entries(skipped).map(([reason, count]) => `${count} ${reason}`);
+        if (reasons.length > 0) {
+            text += `; skipped ${reasons.join(', ')}`;
+        }
+        this.showMessage(`${text}.`, filled > 0 ? 'success' : 'warning');
+        this.playSound(filled > 0 ? 'plant' : 'error');
+        this.updateUI();
+        this.updateShopDisplay();
+        this.updateSprinklerDisplay();
+        this.updateActiveBonusesDisplay();
+        this.updateAlmanacDisplay();
+        this.draw();
+        this.saveGame();
+        return filled;
+    }
+
+    // Auto-replant: a harvested tile is sown again with its crop from the shown blueprint, if the shop has the seed
+    replantFromBlueprint(row, col) {
+        const blueprint = this.autoReplant && this.getActiveBlueprint();
+        if (!blueprint) return false;
+        const tile = this.getBlueprintTiles(blueprint).find(entry => entry.row === row && entry.col === col && entry.kind === 'crop');
+        if (!tile || this.getBlueprintTileState(tile) !== 'missing') return false;
+        return this.runSilently(() => this.fillBlueprintTile(tile)) === null;
+    }
+
+    // Saved blueprints are checked against the catalog; unknown items and bad tiles are dropped
+    normalizeBlueprints(raw) {
+        if (!Array.isArray(raw)) return [];
+        const kinds = { crop: this.plantTypes, sprinkler: this.sprinklerTypes, decoration: this.decorations };
+        const blueprints = [];
+        raw.forEach(entry => {
+            const name = sanitizeGardenName(entry?.name, '');
+            if (!name || blueprints.some(blueprint => blueprint.name === name) || blueprints.length >= this.maxBlueprints) return;
+            const size = Number.isInteger(entry.size) ? Math.max(1, Math.min(this.maxGardenSize, entry.size)) : this.gridSize;
+            const tiles = (Array.isArray(entry.tiles) ? entry.tiles : []).filter(tile =>
+                tile && kinds[tile.kind] && kinds[tile.kind][tile.type] &&
+                [tile.row, tile.col].every(value => Number.isInteger(value) && value >= 0 && value < size)
+            ).map(({ row, col, kind, type }) => ({ row, col, kind, type }));
+            if (tiles.length === 0) return;
+            blueprints.push({ name, size, tiles, savedAt: Number.isFinite(entry.savedAt) ? entry.savedAt : this.now() });
+        });
+        return blueprints;
+    }
+
+    // ===== BARN & MARKET =====
+    // Out-of-season produce is scarce and sells high; crops in season flood the market
+    getSeasonalPriceTarget(seedType) {
+        const season = this.plantTypes[seedType]?.season;
+        if (!season || season === 'all') return 1;
+        return season === this.currentSeason ? this.marketInSeasonIndex : this.marketOffSeasonIndex;
+    }
+
+    getMarketEntry(seedType) {
+        if (!this.marketPrices[seedType]) {
+            const index = this.getSeasonalPriceTarget(seedType);
+            this.marketPrices[seedType] = { index, history: [index] };
+        }
+        return this.marketPrices[seedType];
+    }
+
+    getMarketIndex(seedType) {
+        return this.marketPrices[seedType]?.index ?? this.getSeasonalPriceTarget(seedType);
+    }
+
+    // Saved prices for unknown crops are dropped; anything malformed starts over at the seasonal price
+    normalizeMarketPrices(rawPrices) {
+        const prices = {};
+        if (!rawPrices || typeof rawPrices !== 'object') return prices;
+        Object.entries(rawPrices).forEach(([seedType, entry]) => {
+            if (!this.plantTypes[seedType] || !entry || !Number.isFinite(entry.index)) return;
+            const clamp = (value) => Math.max(this.marketMinIndex, Math.min(this.marketMaxIndex, value));
+            const history = Array.isArray(entry.history) ? entry.history.filter(Number.isFinite).map(clamp) : [];
+            prices[seedType] = { index: clamp(entry.index), history: history.slice(-this.marketHistoryLength) };
+        });
+        return prices;
+    }
+
+    normalizeBarn(rawBarn) {
+        const barn = {};
+        if (!rawBarn || typeof rawBarn !== 'object') return barn;
+        Object.entries(rawBarn).forEach(([seedType, stored]) => {
+            if (!this.plantTypes[seedType] || !stored || !Number.isInteger(stored.count) || stored.count <= 0) return;
+            barn[seedType] = { count: stored.count, value: Math.max(0, Number(stored.value) || 0) };
+        });
+        return barn;
+    }
+
+    // Every marketTickInterval each price drifts back toward its seasonal level, with a little random demand
+    updateMarket() {
+        const now = this.now();
+        if (now - this.lastMarketTick < this.marketTickInterval) return;
+        this.lastMarketTick = now;
+
+        Object.keys(this.plantTypes).forEach(seedType => {
+            const entry = this.getMarketEntry(seedType);
+            const target = this.getSeasonalPriceTarget(seedType);
+            const demand = (this.random() * 2 - 1) * this.marketNoise;
+            entry.index = Math.max(this.marketMinIndex, Math.min(this.marketMaxIndex,
+                entry.index + (target - entry.index) * this.marketRecoveryRate + demand));
+            entry.history.push(Math.round(entry.index * 100) / 100);
+            if (entry.history.length > this.marketHistoryLength) {
+                entry.history.splice(0, entry.history.length - this.marketHistoryLength);
+            }
+        });
+        this.updateMarketDisplay();
+    }
+
+    storeHarvest(seedType, value) {
+        const stored = this.barn[seedType] || { count: 0, value: 0 };
+        stored.count += 1;
+        stored.value += value;
+        this.barn[seedType] = stored;
+    }
+
+    // Removes units from the barn along with their share of the stored value
+    takeProduce(seedType, units) {
+        const stored = this.barn[seedType];
+        stored.value -= (stored.value / stored.count) * units;
+        stored.count -= units;
+        if (stored.count <= 0) delete this.barn[seedType];
+    }
+
+    getBarnTotals() {
+        let count = 0;
+        let worth = 0;
+        Object.keys(this.barn).forEach(seedType => {
+            count += this.barn[seedType].count;
+            worth += this.getProduceSaleValue(seedType, this.barn[seedType].count);
+        });
+        return { count, worth };
+    }
+
+    // What selling quantity units would pay right now; every unit sold pushes the price down a step
+    getProduceSaleValue(seedType, quantity) {
+        const stored = this.barn[seedType];
+        if (!stored || quantity <= 0) return 0;
+        const units = Math.min(quantity, stored.count);
+        const unitValue = stored.value / stored.count;
+        let index = this.getMarketIndex(seedType);
+        let total = 0;
+        for (let i = 0; i < units; i++) {
+            total += unitValue * index;
+            index = Math.max(this.marketMinIndex, index - this.marketSaturationPerSale);
+        }
+        return Math.floor(total);
+    }
+
+    // Sells without any feedback and returns the money made
+    sellProduceUnits(seedType, quantity) {
+        const stored = this.barn[seedType];
+        if (!stored || quantity <= 0) return 0;
+        const units = Math.min(quantity, stored.count);
+        const earned = this.getProduceSaleValue(seedType, units);
+
+        const entry = this.getMarketEntry(seedType);
+        entry.index = Math.max(this.marketMinIndex, entry.index - this.marketSaturationPerSale * units);
+        this.takeProduce(seedType, units);
+
+        this.money += earned;
+        this.score += earned;
+        this.addAchievementStat('totalMoney', earned);
+        this.updateStats('sale', earned);
+        this.updateChallengeProgress('money', earned);
+        return earned;
+    }
+
+    sellProduce(seedType, quantity = Infinity) {
+        const stored = this.barn[seedType];
+        if (!stored) {
+            this.showMessage('No produce of that kind in the barn.', 'error');
+            return 0;
+        }
+        const units = Math.min(quantity, stored.count);
+        const earned = this.sellProduceUnits(seedType, units);
+        this.showMessage(`Sold ${units}× ${this.plantTypes[seedType].name} for $${earned}!`, 'success');
+        this.logEvent('economy', `Sold ${units}× ${this.plantTypes[seedType].name} for $${earned}`);
+        this.playSound('money');
+        this.updateMarketDisplay();
+        this.updateUI();
+        this.saveGame();
+        return earned;
+    }
+
+    sellAllProduce() {
+        const seedTypes = Object.keys(this.barn);
+        if (seedTypes.length === 0) {
+            this.showMessage('The barn is empty. Harvest some crops first!', 'info');
+            return 0;
+        }
+        let units = 0;
+        let earned = 0;
+        seedTypes.forEach(seedType => {
+            units += this.barn[seedType].count;
+            earned += this.sellProduceUnits(seedType, this.barn[seedType].count);
+        });
+        this.showMessage(`Sold all ${units} crops at the market for $${earned}!`, 'success');
+        this.logEvent('economy', `Sold all ${units} crops at the market for $${earned}`);
+        this.playSound('money');
+        this.updateMarketDisplay();
+        this.updateUI();
+        this.saveGame();
+        return earned;
+    }
+
+    // ===== KITCHEN =====
+    normalizeKitchen(data) {
+        this.recipeBook = {};
+        if (data.recipeBook && typeof data.recipeBook === 'object') {
+            Object.entries(data.recipeBook).forEach(([recipeId, entry]) => {
+                if (this.recipeTypes[recipeId] && entry && typeof entry === 'object') {
+                    this.recipeBook[recipeId] = {
+                        discoveredAt: Number(entry.discoveredAt) || this.now(),
+                        cooked: Number(entry.cooked) || 0
+                    };
+                }
+            });
+        }
+        this.pantry = {};
+        if (data.pantry && typeof data.pantry === 'object') {
+            Object.entries(data.pantry).forEach(([recipeId, count]) => {
+                if (this.recipeTypes[recipeId] && Number.isInteger(count) && count > 0) {
+                    this.pantry[recipeId] = count;
+                }
+            });
+        }
+        // A buff is only kept while its recipe still grants that kind of buff
+        this.activeBuffs = {};
+        if (data.activeBuffs && typeof data.activeBuffs === 'object') {
+            Object.entries(data.activeBuffs).forEach(([kind, buff]) => {
+                const recipeBuff = buff && this.recipeTypes[buff.recipe]?.buff;
+                if (recipeBuff && recipeBuff.kind === kind && Number.isFinite(buff.expiresAt)) {
+                    this.activeBuffs[kind] = { recipe: buff.recipe, multiplier: recipeBuff.multiplier, expiresAt: buff.expiresAt };
+                }
+            });
+        }
+    }
+
+    // The recipe whose ingredients match exactly, or null
+    findRecipe(ingredients) {
+        const picked = Object.keys(ingredients).filter(seedType => ingredients[seedType] > 0);
+        return Object.keys(this.recipeTypes).find(recipeId => {
+            const needed = this.recipeTypes[recipeId].ingredients;
+            const neededTypes = Object.keys(needed);
+            return neededTypes.length === picked.length
+                && neededTypes.every(seedType => ingredients[seedType] === needed[seedType]);
+        }) || null;
+    }
+
+    // Cook barn produce (seedType -> count); nothing is used up unless it makes a dish
+    cookDish(ingredients) {
+        const picked = Object.keys(ingredients).filter(seedType => ingredients[seedType] > 0);
+        if (picked.length === 0) {
+            this.showMessage('Put some produce in the pot first!', 'error');
+            return null;
+        }
+        const missing = picked.find(seedType => (this.barn[seedType]?.count || 0) < ingredients[seedType]);
+        if (missing) {
+            this.showMessage(`Not enough ${this.plantTypes[missing]?.name || missing} in the barn.`, 'error');
+            this.playSound('error');
+            return null;
+        }
+
+        const recipeId = this.findRecipe(ingredients);
+        if (!recipeId) {
+            this.showMessage("That combination didn't turn into anything. Try a different mix!", 'info');
+            return null;
+        }
+
+        picked.forEach(seedType => this.takeProduce(seedType, ingredients[seedType]));
+        const recipe = this.recipeTypes[recipeId];
+        this.pantry[recipeId] = (this.pantry[recipeId] || 0) + 1;
+
+        const firstTime = !this.recipeBook[recipeId];
+        if (firstTime) {
+            this.recipeBook[recipeId] = { discoveredAt: this.now(), cooked: 0 };
+        }
+        this.recipeBook[recipeId].cooked += 1;
+
+        if (firstTime) {
+            this.showMessage(`📖 New recipe discovered: ${recipe.icon} ${recipe.name}!`, 'success');
+            this.playSound('achievement');
+        } else {
+            this.showMessage(`Cooked ${recipe.icon} ${recipe.name}!`, 'success');
+            this.playSound('success');
+        }
+        this.logEvent('economy', `Cooked ${recipe.name}${firstTime ? ' (new recipe)' : ''}`);
+        this.updateMarketDisplay();
+        this.updateKitchenDisplay();
+        this.saveGame();
+        return recipeId;
+    }
+
+    sellDish(recipeId) {
+        const recipe = this.recipeTypes[recipeId];
+        if (!recipe || !this.pantry[recipeId]) {
+            this.showMessage('No dish of that kind in the pantry.', 'error');
+            return 0;
+        }
+        this.takeDish(recipeId);
+
+        const earned = recipe.value;
+        this.money += earned;
+        this.score += earned;
+        this.addAchievementStat('totalMoney', earned);
+        this.updateStats('sale', earned);
+        this.updateChallengeProgress('money', earned);
+
+        this.showMessage(`Sold ${recipe.icon} ${recipe.name} for $${earned}!`, 'success');
+        this.logEvent('economy', `Sold ${recipe.name} for $${earned}`);
+        this.playSound('money');
+        this.updateKitchenDisplay();
+        this.updateUI();
+        this.saveGame();
+        return earned;
+    }
+
+    // Serving a dish starts its buff; a buff of the same kind is replaced, never stacked
+    serveDish(recipeId) {
+        const recipe = this.recipeTypes[recipeId];
+        if (!recipe || !this.pantry[recipeId]) {
+            this.showMessage('No dish of that kind in the pantry.', 'error');
+            return false;
+        }
+        if (!recipe.buff) {
+            this.showMessage(`${recipe.name} has no buff; sell it instead.`, 'info');
+            return false;
+        }
+        this.takeDish(recipeId);
+
+        const { kind, multiplier, minutes } = recipe.buff;
+        this.activeBuffs[kind] = { recipe: recipeId, multiplier, expiresAt: this.now() + minutes * 60 * 1000 };
+
+        this.showMessage(`${recipe.icon} ${recipe.name} served: ${this.describeBuff(recipe.buff)} for ${minutes} minutes!`, 'success');
+        this.logEvent('economy', `Served ${recipe.name}: ${this.describeBuff(recipe.buff)} for ${minutes} minutes`);
+        this.playSound('achievement');
+        this.updateKitchenDisplay();
+        this.updateUI();
+        this.saveGame();
+        return true;
+    }
+
+    takeDish(recipeId) {
+        this.pantry[recipeId] -= 1;
+        if (this.pantry[recipeId] <= 0) delete this.pantry[recipeId];
+    }
+
+    describeBuff(buff) {
+        const percent = Math.round((buff.multiplier - 1) * 100);
+        if (buff.kind === 'growth') return `+${percent}% growth speed`;
+        if (buff.kind === 'water') return `+${percent}% water efficiency`;
+        return `+${percent}% harvest value`;
+    }
+
+    // 1 when no buff of that kind is running
+    // A running festival's boost stacks with the kitchen buff of the same kind
+    getBuffMultiplier(kind) {
+        const buff = this.activeBuffs[kind];
+        const kitchen = buff && buff.expiresAt > this.now() ? buff.multiplier : 1;
+        return kitchen * this.getFestivalMultiplier(kind);
+    }
+
+    updateBuffs() {
+        const now = this.now();
+        Object.keys(this.activeBuffs).forEach(kind => {
+            const buff = this.activeBuffs[kind];
+            if (buff.expiresAt > now) return;
+            delete this.activeBuffs[kind];
+            this.showMessage(`The ${this.recipeTypes[buff.recipe].name} buff wore off.`, 'info');
+            this.updateKitchenDisplay();
+        });
+    }
+
+    // ===== ORDER BOARD =====
+    // Orders for villagers or crops no longer in the catalog are dropped
+    normalizeOrders(rawOrders) {
+        if (!Array.isArray(rawOrders)) return [];
+        return rawOrders.filter(order => {
+            if (!order || typeof order !== 'object' || !this.villagers[order.villager]) return false;
+            if (!order.items || typeof order.items !== 'object' || Object.keys(order.items).length === 0) return false;
+            const itemsValid = Object.entries(order.items).every(([seedType, count]) => this.plantTypes[seedType] && Number.isInteger(count) && count > 0);
+            return itemsValid && typeof order.id === 'string' && Number.isFinite(order.reward) && Number.isFinite(order.reputation) && Number.isFinite(order.expiresAt);
+        }).slice(0, this.orderBoardSize);
+    }
+
+    getAvailableVillagers() {
+        return Object.keys(this.villagers).filter(villagerId => this.villagers[villagerId].minReputation <= this.reputation);
+    }
+
+    // Exclusive seeds in the order they unlock
+    getExclusiveSeeds() {
+        return Object.keys(this.plantTypes)
+            .filter(seedType => this.plantTypes[seedType].reputation)
+            .sort((a, b) => this.plantTypes[a].reputation - this.plantTypes[b].reputation);
+    }
+
+    // Villagers ask for one or two of the crops they like, preferring ones the shop sells right now
+    createOrder() {
+        const villagerIds = this.getAvailableVillagers();
+        const villagerId = villagerIds[Math.floor(this.random() * villagerIds.length)];
+        const villager = this.villagers[villagerId];
+
+        const inSeason = villager.likes.filter(seedType => this.isSeedAvailable(seedType));
+        const pool = [...(inSeason.length > 0 ? inSeason : villager.likes)];
+        const kinds = Math.min(pool.length, 1 + Math.floor(this.random() * 2));
+        const items = {};
+        let worth = 0;
+        for (let i = 0; i < kinds; i++) {
+            const seedType = pool.splice(Math.floor(this.random() * pool.length), 1)[0];
+            const plant = this.plantTypes[seedType];
+            const count = 1 + Math.floor(this.random() * (plant.isRare || plant.isLegendary ? 2 : 3));
+            items[seedType] = count;
+            worth += plant.harvestValue * count;
+        }
+
+        const now = this.now();
+        return {
+            id: `order-${now}-${this.random().toString(36).slice(2, 8)}`,
+            villager: villagerId,
+            items,
+            reward: Math.round(worth * villager.rewardMultiplier),
+            reputation: villager.reputation,
+            postedAt: now,
+            expiresAt: now + villager.hours * 60 * 60 * 1000
+        };
+    }
+
+    changeReputation(amount) {
+        const before = this.reputation;
+        this.reputation = Math.max(0, Math.min(this.maxReputation, this.reputation + amount));
+
+        // Announce anything the new reputation opens up
+        this.getExclusiveSeeds().forEach(seedType => {
+            const needed = this.plantTypes[seedType].reputation;
+            if (before < needed && this.reputation >= needed) {
+                this.showMessage(`🔓 Villager exclusive unlocked: ${this.plantTypes[seedType].name} seeds are now in the shop!`, 'success');
+                this.logEvent('economy', `Villager exclusive unlocked: ${this.plantTypes[seedType].name} seeds`);
+                this.updateShopDisplay();
+            }
+        });
+        Object.values(this.villagers).forEach(villager => {
+            if (villager.minReputation > 0 && before < villager.minReputation && this.reputation >= villager.minReputation) {
+                this.showMessage(`${villager.icon} ${villager.name} has started posting orders!`, 'info');
+                this.logEvent('economy', `${villager.name} has started posting orders`);
+            }
+        });
+    }
+
+    // Drops expired orders and fills empty spots on the board; returns how many orders expired
+    updateOrders({ post = true } = {}) {
+        const now = this.now();
+        let expired = 0;
+        this.orders = this.orders.filter(order => {
+            if (order.expiresAt > now) return true;
+            expired++;
+            this.changeReputation(-Math.ceil(order.reputation * this.orderExpiryPenalty));
+            this.showMessage(`${this.villagers[order.villager].name}'s order expired. Your reputation dropped.`, 'error');
+            this.logEvent('economy', `${this.villagers[order.villager].name}'s order expired`);
+            return false;
+        });
+
+        let posted = false;
+        if (post && this.orders.length < this.orderBoardSize && now - this.lastOrderPosted >= this.orderPostInterval) {
+            while (this.orders.length < this.orderBoardSize) {
+                this.orders.push(this.createOrder());
+            }
+            this.lastOrderPosted = now;
+            posted = true;
+        }
+
+        if (expired > 0 || posted) {
+            this.updateOrdersDisplay();
+        }
+        return expired;
+    }
+
+    canFulfillOrder(order) {
+        return Object.entries(order.items).every(([seedType, count]) => (this.barn[seedType]?.count || 0) >= count);
+    }
+
+    fulfillOrder(orderId) {
+        const order = this.orders.find(item => item.id === orderId);
+        if (!order) {
+            this.showMessage('That order is no longer on the board.', 'error');
+            return false;
+        }
+        if (!this.canFulfillOrder(order)) {
+            this.showMessage("You don't have everything for this order in the barn yet.", 'error');
+            this.playSound('error');
+            return false;
+        }
+
+        Object.entries(order.items).forEach(([seedType, count]) => this.takeProduce(seedType, count));
+        this.orders = this.orders.filter(item => item !== order);
+
+        this.money += order.reward;
+        this.score += order.reward;
+        this.addAchievementStat('totalMoney', order.reward);
+        this.updateStats('sale', order.reward);
+        this.updateChallengeProgress('money', order.reward);
+
+        const villager = this.villagers[order.villager];
+        this.showMessage(`${villager.icon} ${villager.name} paid $${order.reward} (+${order.reputation} reputation)!`, 'success');
+        this.logEvent('economy', `${villager.name} paid $${order.reward} for an order (+${order.reputation} reputation)`);
+        this.changeReputation(order.reputation);
+        this.playSound('money');
+        this.updateMarketDisplay();
+        this.updateOrdersDisplay();
+        this.updateUI();
+        this.saveGame();
+        return true;
+    }
+
+    // Turning an order down costs the same reputation as letting it expire
+    declineOrder(orderId) {
+        const order = this.orders.find(item => item.id === orderId);
+        if (!order) return false;
+
+        this.orders = this.orders.filter(item => item !== order);
+        this.changeReputation(-Math.ceil(order.reputation * this.orderExpiryPenalty));
+        this.showMessage(`You turned down ${this.villagers[order.villager].name}'s order.`, 'info');
+        this.updateOrdersDisplay();
+        this.saveGame();
+        return true;
+    }
+
+    // ===== UNDO HISTORY =====
+    // Each recorded action keeps only what it changed: number deltas (money, stock, stats) and the tiles it touched.
+    // Undo and redo apply the deltas rather than restoring old totals, so growth, sales and machine work in between survive.
+    // The history lives for the session only; loading, rebirth and expanding the garden clear it.
+    wrapUndoableActions() {
+        Object.entries(UNDOABLE_ACTIONS).forEach(([name, label]) => {
+            const action = this[name];
+            this[name] = (...args) => this.recordUndoable(label, args, () => action.apply(this, args));
+        });
+    }
+
+    // Wraps outside the undo history, so a refused action records nothing
+    wrapReadOnlyActions() {
+        READ_ONLY_BLOCKED_ACTIONS.forEach(name => {
+            const action = this[name];
+            if (typeof action !== 'function') return;
+            this[name] = (...args) => {
+                if (this.readOnly) {
+                    this.showMessage('This garden is open in another tab. Take over to make changes here.', 'info');
+                    return false;
+                }
+                return action.apply(this, args);
+            };
+        });
+    }
+
+    recordUndoable(label, args, action) {
+        // Silent runs (machines, catch-up) and actions called from inside another action aren't player actions
+        if (this.silent || this.recordingAction) {
+            return action();
+        }
+        // The tiles acted on: (row, col) or an area's list of them
+        const tiles = Array.isArray(args[0]) ? args[0]
+            : Number.isInteger(args[0]) && Number.isInteger(args[1]) ? [{ row: args[0], col: args[1] }] : [];
+        const before = this.captureHistoryState();
+        this.recordingAction = label;
+        try {
+            return action();
+        } finally {
+            this.recordingAction = null;
+            const entry = this.diffHistoryState(label, tiles, before, this.captureHistoryState());
+            if (entry) {
+                this.undoStack.push(entry);
+                if (this.undoStack.length > this.historyLimit) {
+                    this.undoStack.shift();
+                }
+                this.redoStack = [];
+                this.updateHistoryButtons();
+            }
+        }
+    }
+
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.updateHistoryButtons();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Every number an undoable action may change, keyed by its path from the game
+    getHistoryCounters() {
+        const counters = {};
+        const add = (path, value) => {
+            if (Number.isFinite(value)) counters[path] = value;
+        };
+        ['money', 'score', 'water', 'fertilizer', 'fuel'].forEach(key => add(key, this[key]));
+        Object.entries(this.shopInventory).forEach(([seed, inventory]) => add(`shopInventory.${seed}.stock`, inventory.stock));
+        Object.entries(this.sprinklerInventory).forEach(([type, count]) => add(`sprinklerInventory.${type}`, count));
+        Object.entries(this.hybridSeeds).forEach(([seed, count]) => add(`hybridSeeds.${seed}`, count));
+        Object.entries(this.barn).forEach(([seed, stored]) => {
+            add(`barn.${seed}.count`, stored.count);
+            add(`barn.${seed}.value`, stored.value);
+        });
+        Object.entries(this.almanac).forEach(([seed, entry]) => add(`almanac.${seed}.harvested`, entry.harvested));
+        Object.entries(this.achievementStats).forEach(([key, value]) => add(`achievementStats.${key}`, value));
+        ['totalPlantsHarvested', 'totalMoneyEarned', 'totalWaterUsed', 'totalFertilizerUsed'].forEach(key => add(`stats.${key}`, this.stats[key]));
+        Object.entries(this.runStats).forEach(([key, value]) => add(`runStats.${key}`, value));
+        Object.entries(this.runStats.harvests).forEach(([seed, count]) => add(`runStats.harvests.${seed}`, count));
+        Object.entries(this.stats.plantsByType || {}).forEach(([seed, count]) => add(`stats.plantsByType.${seed}`, count));
+        this.getAllChallenges().forEach(challenge => add(`challenges.${challenge.id}`, challenge.progress));
+        return counters;
+    }
+
+    getAllChallenges() {
+        return [...this.challenges.daily, this.challenges.weekly].filter(Boolean);
+    }
+
+    // What undo checks before putting a tile back: the plant, decoration and sprinkler on it
+    getTileIdentity(cell) {
+        const plant = cell.plant ? [cell.plant.type, cell.plant.plantedAt] : null;
+        const decoration = cell.decoration ? [cell.decoration.type, cell.decoration.placedAt] : null;
+        return JSON.stringify([plant, decoration]);
+    }
+
+    getPlacedIdentity(placed) {
+        return JSON.stringify(placed ? [placed.type, placed.tier ?? null, placed.placedAt ?? null] : null);
+    }
+
+    captureHistoryState() {
+        const key = item => `${item.row},${item.col}`;
+        return {
+            counters: this.getHistoryCounters(),
+            tiles: this.garden.map(row => row.map(cell => JSON.stringify(cell))),
+            soil: this.soil.map(row => row.map(tile => JSON.stringify(tile))),
+            sprinklers: new Map(this.sprinklers.map(sprinkler => [key(sprinkler), JSON.stringify(sprinkler)])),
+            machines: new Map(this.machines.map(machine => [key(machine), JSON.stringify(machine)]))
+        };
+    }
+
+    diffHistoryState(label, actionTiles, before, after) {
+        const counters = {};
+        new Set([...Object.keys(before.counters), ...Object.keys(after.counters)]).forEach(path => {
+            const delta = (after.counters[path] || 0) - (before.counters[path] || 0);
+            if (delta !== 0) counters[path] = delta;
+        });
+
+        // Tiles that gained or lost a plant or decoration, plus the tiles acted on (a fruiting tree keeps its identity)
+        const tiles = [];
+        const acted = new Set(actionTiles.map(tile => `${tile.row},${tile.col}`));
+        before.tiles.forEach((row, rowIndex) => row.forEach((cellBefore, colIndex) => {
+            const cellAfter = after.tiles[rowIndex][colIndex];
+            const isActionTile = acted.has(`${rowIndex},${colIndex}`);
+            if (cellBefore === cellAfter) return;
+            if (!isActionTile && this.getTileIdentity(JSON.parse(cellBefore)) === this.getTileIdentity(JSON.parse(cellAfter))) return;
+            tiles.push({
+                row: rowIndex,
+                col: colIndex,
+                before: cellBefore,
+                after: cellAfter,
+                soilBefore: before.soil[rowIndex][colIndex],
+                soilAfter: after.soil[rowIndex][colIndex]
+            });
+        }));
+
+        // Sprinklers and machines that were placed, removed or upgraded
+        const placed = [];
+        ['sprinklers', 'machines'].forEach(list => {
+            new Set([...before[list].keys(), ...after[list].keys()]).forEach(at => {
+                const was = before[list].get(at) || null;
+                const now = after[list].get(at) || null;
+                if (this.getPlacedIdentity(was && JSON.parse(was)) === this.getPlacedIdentity(now && JSON.parse(now))) return;
+                const [row, col] = at.split(',').map(Number);
+                placed.push({ list, row, col, before: was, after: now });
+            });
+        });
+
+        if (Object.keys(counters).length === 0 && tiles.length === 0 && placed.length === 0) {
+            return null; // the action was refused, nothing to undo
+        }
+        return { label, counters, tiles, placed };
+    }
+
+    readHistoryCounter(path) {
+        const [root, id] = path.split('.');
+        if (root === 'challenges') {
+            const challenge = this.getAllChallenges().find(c => c.id === id);
+            return challenge ? challenge.progress : null;
+        }
+        return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), this) || 0;
+    }
+
+    writeHistoryCounter(path, value) {
+        const keys = path.split('.');
+        if (keys[0] === 'challenges') {
+            const challenge = this.getAllChallenges().find(c => c.id === keys[1]);
+            if (!challenge) return; // replaced by a newer challenge since
+            challenge.progress = value;
+            if (!challenge.collected) {
+                challenge.completed = challenge.progress >= challenge.target;
+            }
+            return;
+        }
+        const last = keys.pop();
+        const parent = keys.reduce((object, key) => {
+            if (!object[key]) object[key] = {};
+            return object[key];
+        }, this);
+        parent[last] = value;
+    }
+
+    // Why an entry can't be applied now (direction -1 undoes, 1 redoes), or null if it can
+    findHistoryConflict(entry, direction) {
+        const expected = direction < 0 ? 'after' : 'before';
+        // Only things the player holds have to stay in stock; stats and scores just follow along
+        const shortfall = Object.entries(entry.counters).find(([path, delta]) => {
+            const [root] = path.split('.');
+            const current = this.readHistoryCounter(path);
+            return HISTORY_RESOURCES.includes(root) && current + delta * direction < 0;
+        });
+        if (shortfall) {
+            const [root, id] = shortfall[0].split('.');
+            if (root === 'barn') return 'that harvest has already left the barn';
+            if (root === 'shopInventory') return `the shop is out of ${this.plantTypes[id] ? this.plantTypes[id].name : id} seeds`;
+            if (root === 'sprinklerInventory') return `no ${id} sprinklers left`;
+            if (root === 'hybridSeeds') return 'those hybrid seeds are gone';
+            return `not enough ${root}`;
+        }
+        const tileChanged = entry.tiles.some(tile => {
+            const current = this.garden[tile.row] && this.garden[tile.row][tile.col];
+            return !current || this.getTileIdentity(current) !== this.getTileIdentity(JSON.parse(tile[expected]));
+        });
+        const placedChanged = entry.placed.some(item => {
+            const current = this[item.list].find(p => p.row === item.row && p.col === item.col) || null;
+            return this.getPlacedIdentity(current) !== this.getPlacedIdentity(item[expected] && JSON.parse(item[expected]));
+        });
+        if (tileChanged || placedChanged) return 'the garden has changed since';
+        return null;
+    }
+
+    applyHistoryEntry(entry, direction) {
+        const target = direction < 0 ? 'before' : 'after';
+
+        Object.entries(entry.counters).forEach(([path, delta]) => {
+            const current = this.readHistoryCounter(path);
+            if (current !== null) this.writeHistoryCounter(path, current + delta * direction);
+        });
+        Object.keys(this.barn).forEach(seed => {
+            if (this.barn[seed].count <= 0) delete this.barn[seed];
+        });
+
+        entry.tiles.forEach(tile => {
+            const cell = JSON.parse(tile[target]);
+            const current = this.garden[tile.row][tile.col];
+            // Decorations take their bonuses along when they go and hand them out again when they come back
+            if (current.decoration) this.removeDecorationBonuses(tile.row, tile.col, current.decoration);
+            this.garden[tile.row][tile.col] = cell;
+            this.soil[tile.row][tile.col] = JSON.parse(tile[direction < 0 ? 'soilBefore' : 'soilAfter']);
+            if (cell.decoration) this.applyDecorationBonuses(tile.row, tile.col);
+        });
+
+        entry.placed.forEach(item => {
+            const list = this[item.list].filter(p => p.row !== item.row || p.col !== item.col);
+            if (item[target]) list.push(JSON.parse(item[target]));
+            this[item.list] = list;
+        });
+    }
+
+    undo() {
+        return this.stepHistory(this.undoStack, this.redoStack, -1);
+    }
+
+    redo() {
+        return this.stepHistory(this.redoStack, this.undoStack, 1);
+    }
+
+    stepHistory(from, to, direction) {
+        const verb = direction < 0 ? 'undo' : 'redo';
+        const entry = from[from.length - 1];
+        if (!entry) {
+            this.showMessage(`Nothing to ${verb}`, 'info');
+            return false;
+        }
+        const conflict = this.findHistoryConflict(entry, direction);
+        if (conflict) {
+            // A conflict never clears by itself, so the entry is dropped rather than blocking older ones
+            from.pop();
+            this.showMessage(`Can't ${verb} the ${entry.label}: ${conflict}.`, 'error');
+            this.playSound('error');
+            this.updateHistoryButtons();
+            return false;
+        }
+
+        this.applyHistoryEntry(entry, direction);
+        from.pop();
+        to.push(entry);
+
+        this.showMessage(`${direction < 0 ? '↩️ Undid' : '↪️ Redid'} the ${entry.label}`, 'info');
+        this.updateUI();
+        this.updateShopDisplay();
+        this.updateSprinklerDisplay();
+        this.updateActiveBonusesDisplay();
+        this.updateChallengesDisplay();
+        this.updateAlmanacDisplay();
+        this.updateMarketDisplay();
+        this.updateHistoryButtons();
+        this.draw();
+        this.saveGame();
+        return true;
+    }
+
+    // ===== AREA ACTIONS =====
+    // Dragging across the garden, or boxing out a rectangle, applies the current selection or tool to every tile in it.
+    // Seeds, sprinklers and decorations only ever go on empty tiles; the tools only touch tiles they would work on.
+    getAreaTileAction(row, col) {
+        const cell = this.garden[row]?.[col];
+        if (!cell || this.hasMachine(row, col)) return null;
+        const hasSprinklerHere = this.hasSprinkler(row, col);
+        const isEmpty = !cell.plant && !cell.decoration && !hasSprinklerHere;
+        const now = this.now();
+
+        if (this.currentTool === 'greenhouse' || this.currentTool === 'machine') return null;
+        if (this.selectedSeed) {
+            return isEmpty && this.isSeedAvailable(this.selectedSeed, row, col) ? 'plantSeed' : null;
+        }
+        if (this.selectedDecoration) {
+            return isEmpty && this.isDecorationInSeason(this.selectedDecoration) ? 'placeDecoration' : null;
+        }
+        if (this.currentTool === 'sprinkler') {
+            return isEmpty && this.selectedSprinkler ? 'placeSprinkler' : null;
+        }
+
+        const plant = cell.plant;
+        switch (this.currentTool) {
+            case 'harvest':
+                return plant && plant.isFullyGrown ? 'harvestPlant' : null;
+            case 'treat':
+                return plant && this.getPlantInfection(plant) ? 'treatPlant' : null;
+            case 'water':
+                return plant && !cell.watered && cell.waterCooldown <= now && !this.isPlantDormant(plant) ? 'waterPlant' : null;
+            case 'fertilizer':
+                return plant && !cell.fertilized && cell.fertilizerCooldown <= now && !this.isPlantDormant(plant) ? 'fertilizePlant' : null;
+            case 'shovel':
+                if (plant) return 'removePlant';
+                if (hasSprinklerHere) return 'removeSprinkler';
+                return cell.decoration ? 'removeDecoration' : null;
+            default:
+                return null;
+        }
+    }
+
+    // What one tile's action takes from the player, in the budget's units
+    getAreaTileCost(action, row, col) {
+        const cost = { money: 0, water: 0, fertilizer: 0, seeds: 0, sprinklers: 0 };
+        if (action === 'plantSeed') {
+            const isHybrid = !!this.hybridTypes[this.selectedSeed];
+            cost.money = isHybrid ? 0 : this.getDiscountedSeedCost(this.getSeedBaseCost(this.plantTypes[this.selectedSeed]));
+            cost.seeds = 1;
+        } else if (action === 'treatPlant') {
+            const infection = this.getPlantInfection(this.garden[row][col].plant);
+            cost.money = this.pestTypes[infection.type].treatCost;
+        } else if (action === 'waterPlant') {
+            cost.water = this.getWaterUseAt(row, col);
+        } else if (action === 'fertilizePlant') {
+            cost.fertilizer = this.getFertilizerUseAt(row, col);
+        } else if (action === 'placeSprinkler') {
+            cost.sprinklers = 1;
+        } else if (action === 'placeDecoration') {
+            cost.money = this.decorations[this.selectedDecoration].cost;
+        }
+        return cost;
+    }
+
+    getAreaBudget() {
+        const seed = this.selectedSeed;
+        const seeds = !seed ? 0 : this.hybridTypes[seed] ? (this.hybridSeeds[seed] || 0) : (this.shopInventory[seed]?.stock || 0);
+        return {
+            money: this.money,
+            water: this.water,
+            fertilizer: this.fertilizer,
+            seeds,
+            sprinklers: this.selectedSprinkler ? (this.sprinklerInventory[this.selectedSprinkler] || 0) : 0
+        };
+    }
+
+    // The first resource the cost can't be paid from, or null
+    getAreaShortfall(cost, budget) {
+        return Object.keys(cost).find(key => cost[key] > 0 && cost[key] > budget[key]) || null;
+    }
+
+    // Totals for the preview: every tile that would be worked, and how many of them the player can pay for
+    planArea(tiles) {
+        const budget = this.getAreaBudget();
+        const plan = {
+            steps: [],
+            total: { money: 0, water: 0, fertilizer: 0, seeds: 0, sprinklers: 0 },
+            affordable: 0,
+            shortfall: null
+        };
+        tiles.forEach(({ row, col }) => {
+            const action = this.getAreaTileAction(row, col);
+            if (!action) return;
+            const cost = this.getAreaTileCost(action, row, col);
+            plan.steps.push({ row, col, action });
+            Object.keys(cost).forEach(key => {
+                plan.total[key] += cost[key];
+            });
+            if (plan.shortfall) return;
+            plan.shortfall = this.getAreaShortfall(cost, budget);
+            if (plan.shortfall) return;
+            Object.keys(cost).forEach(key => {
+                budget[key] -= cost[key];
+            });
+            plan.affordable++;
+        });
+        return plan;
+    }
+
+    describeAreaPlan(plan) {
+        if (plan.steps.length === 0) return 'Nothing to do on these tiles';
+        const counts = {};
+        plan.steps.forEach(step => {
+            counts[step.action] = (counts[step.action] || 0) + 1;
+        });
+        const parts = Object.entries(counts).map(([action, count]) =>
+            `${AREA_ACTIONS[action].icon} ${AREA_ACTIONS[action].verb} ${count} tile${count === 1 ? '' : 's'}`);
+        const { money, water, fertilizer } = plan.total;
+        if (money > 0) parts.push(`$${money.toLocaleString()}`);
+        if (water > 0) parts.push(`💧 ${water} water`);
+        if (fertilizer > 0) parts.push(`🌱 ${fertilizer} fertilizer`);
+        let text = parts.join(' · ');
+        if (plan.shortfall) {
+            text += ` (stops after ${plan.affordable}: ${AREA_SHORTFALLS[plan.shortfall]})`;
+        }
+        return text;
+    }
+
+    getAreaTileSignature(row, col) {
+        return JSON.stringify([this.garden[row][col], this.sprinklers.find(s => s.row === row && s.col === col) || null]);
+    }
+
+    // Works the tiles in order and stops at the first one the player can't pay for; returns how many changed
+    applyArea(tiles) {
+        const plan = this.planArea(tiles);
+        if (plan.steps.length === 0) {
+            this.showMessage('Nothing to do on those tiles.', 'info');
+            return 0;
+        }
+
+        const counts = {};
+        let done = 0;
+        let shortfall = null;
+        // One summary instead of a message, sound and save per tile
+        this.runSilently(() => {
+            for (const { row, col } of tiles) {
+                const action = this.getAreaTileAction(row, col);
+                if (!action) continue;
+                shortfall = this.getAreaShortfall(this.getAreaTileCost(action, row, col), this.getAreaBudget());
+                if (shortfall) break;
+                const before = this.getAreaTileSignature(row, col);
+                this[action](row, col);
+                if (this.getAreaTileSignature(row, col) !== before) {
+                    counts[action] = (counts[action] || 0) + 1;
+                    done++;
+                }
+            }
+        });
+
+        const summary = Object.entries(counts).map(([action, count]) =>
+            `${AREA_ACTIONS[action].icon} ${AREA_ACTIONS[action].done} ${count} tile${count === 1 ? '' : 's'}`).join(', ');
+        if (shortfall) {
+            this.showMessage(`${summary || 'Nothing done'}; stopped: ${AREA_SHORTFALLS[shortfall]}.`, 'warning');
+        } else {
+            this.showMessage(`${summary || 'Nothing changed'}.`, done > 0 ? 'success' : 'info');
+        }
+        this.playSound(done > 0 ? 'plant' : 'error');
+        this.updateUI();
+        this.updateShopDisplay();
+        this.updateSprinklerDisplay();
+        this.updateActiveBonusesDisplay();
+        this.updateChallengesDisplay();
+        this.updateAlmanacDisplay();
+        this.updateMarketDisplay();
+        this.draw();
+        this.saveGame();
+        return done;
+    }
+
+    // ===== PRICING HELPERS =====
+    // Returns a multiplier based on tool level to reduce shop prices
+    // Each level beyond 1 reduces price by 15%, floored at 20% of base; final price has a hard floor of $1
+    getToolPriceMultiplier(tool) {
+        const lvl = Math.max(1, (this.toolLevels && this.toolLevels[tool]) || 1);
+        const reductionPerLevel = 0.15; // 15% per level beyond level 1
+        // e.g., L1=1.0, L2=0.85, L3=0.70, ... with a floor multiplier of 0.2
+        const mult = 1 - reductionPerLevel * (lvl - 1);
+        return Math.max(0.2, mult);
+    }
+
+    getWaterPurchasePrice() {
+        const unit = Math.floor(this.waterPriceBase * this.getToolPriceMultiplier('water'));
+        return Math.max(1, unit);
+    }
+
+    getFertilizerPurchasePrice() {
+        const unit = Math.floor(this.fertilizerPriceBase * this.getToolPriceMultiplier('fertilizer'));
+        return Math.max(1, unit);
+    }
+
+    hasSprinkler(row, col) {
+        return this.sprinklers.some(s => s.row === row && s.col === col);
+    }
+
+    getSprinklerBonus(row, col) {
+        let totalBonus = 0;
+        this.sprinklers.forEach(sprinkler => {
+            const distance = Math.max(Math.abs(sprinkler.row - row), Math.abs(sprinkler.col - col));
+            if (distance <= this.sprinklerTypes[sprinkler.type].range) {
+                totalBonus += this.sprinklerTypes[sprinkler.type].growthBonus;
+            }
+        });
+        return totalBonus;
+    }
+
+    getSprinklerWaterBonus(row, col) {
+        let totalBonus = 0;
+        this.sprinklers.forEach(sprinkler => {
+            const distance = Math.max(Math.abs(sprinkler.row - row), Math.abs(sprinkler.col - col));
+            if (distance <= this.sprinklerTypes[sprinkler.type].range) {
+                totalBonus += this.sprinklerTypes[sprinkler.type].waterBonus;
+            }
+        });
+        return totalBonus;
+    }
+
+    getSprinklerFertilizerBonus(row, col) {
+        let totalBonus = 0;
+        this.sprinklers.forEach(sprinkler => {
+            const distance = Math.max(Math.abs(sprinkler.row - row), Math.abs(sprinkler.col - col));
+            if (distance <= this.sprinklerTypes[sprinkler.type].range) {
+                totalBonus += this.sprinklerTypes[sprinkler.type].fertilizerBonus;
+            }
+        });
+        return totalBonus;
+    }
+
+    // Function to handle continuous growth from watering and fertilizing
+    checkContinuousGrowth(row, col) {
+        const cell = this.garden[row][col];
+        if (!cell || !cell.plant || cell.plant.isFullyGrown) return;
+        if (this.isPlantDormant(cell.plant)) return;
+        
+        const now = this.now();
+        const plantData = this.plantTypes[cell.plant.type];
+        if (!plantData) return;
+        
+        // Check water-based continuous growth
+        if (cell.watered && cell.waterGrowthStart && cell.waterGrowthDuration) {
+            const waterGrowthElapsed = now - cell.waterGrowthStart;
+            if (waterGrowthElapsed < cell.waterGrowthDuration) {
+                // Calculate growth progress (1 stage per 2 seconds when watered)
+                let growthTimePerStage = 2000; // 2 seconds per stage (base)
+                
+                // Apply custom growth rate multiplier
+                const seedType = cell.plant.type;
+                const growthMultiplier = this.getSeedGrowthMultiplier(seedType);
+                growthTimePerStage *= growthMultiplier;
+
+                const decorationGrowthBonus = this.getPlantBonus(cell.plant, 'growth') / 100;
+                if (decorationGrowthBonus > 0) {
+                    growthTimePerStage /= (1 + decorationGrowthBonus);
+                }
+                growthTimePerStage /= this.getSoilGrowthMultiplier(row, col);
+                growthTimePerStage /= this.getPestGrowthMultiplier(cell.plant);
+                
+                const lastWaterGrowthCheck = cell.lastWaterGrowthCheck || cell.waterGrowthStart;
+                const timeSinceLastCheck = now - lastWaterGrowthCheck;
+                const growthProgress = timeSinceLastCheck / growthTimePerStage;
+                
+
+                
+                if (growthProgress >= 1) {
+                    // Advance growth stage
+                    if (cell.plant.growthStage < this.growthStages.length - 1) {
+                        cell.plant.growthStage++;
+                        cell.lastWaterGrowthCheck = now;
+                        
+                        // Check if fully mature
+                        if (cell.plant.growthStage >= this.growthStages.length - 1) {
+                            cell.plant.isFullyGrown = true;
+                            this.recordSpeedGrow(row, col);
+                        }
+                        
+                        this.saveGame();
+                        this.updateUI();
+                        this.draw(); // Force immediate redraw to show growth
+                    }
+                }
+            } else {
+                // Water growth period ended
+                cell.watered = false;
+                cell.waterGrowthStart = null;
+                cell.waterGrowthDuration = null;
+                cell.lastWaterGrowthCheck = null;
+            }
+        }
+        
+        // Check fertilizer-based continuous growth
+        if (cell.fertilized && cell.fertilizerGrowthStart && cell.fertilizerGrowthDuration) {
+            const fertilizerGrowthElapsed = now - cell.fertilizerGrowthStart;
+            if (fertilizerGrowthElapsed < cell.fertilizerGrowthDuration) {
+                // Calculate growth progress (1 stage per 1.5 seconds when fertilized)
+                let growthTimePerStage = 1500; // 1.5 seconds per stage (base)
+                
+                // Apply custom growth rate multiplier
+                const seedType = cell.plant.type;
+                const growthMultiplier = this.getSeedGrowthMultiplier(seedType);
+                growthTimePerStage *= growthMultiplier;
+
+                const decorationGrowthBonus = this.getPlantBonus(cell.plant, 'growth') / 100;
+                if (decorationGrowthBonus > 0) {
+                    growthTimePerStage /= (1 + decorationGrowthBonus);
+                }
+                growthTimePerStage /= this.getSoilGrowthMultiplier(row, col);
+                growthTimePerStage /= this.getPestGrowthMultiplier(cell.plant);
+                
+                const lastFertilizerGrowthCheck = cell.lastFertilizerGrowthCheck || cell.fertilizerGrowthStart;
+                const timeSinceLastCheck = now - lastFertilizerGrowthCheck;
+                const growthProgress = timeSinceLastCheck / growthTimePerStage;
+                
+
+                
+                if (growthProgress >= 1) {
+                    // Advance growth stage
+                    if (cell.plant.growthStage < this.growthStages.length - 1) {
+                        cell.plant.growthStage++;
+                        cell.lastFertilizerGrowthCheck = now;
+                        
+                        // Check if fully mature
+                        if (cell.plant.growthStage >= this.growthStages.length - 1) {
+                            cell.plant.isFullyGrown = true;
+                            this.recordSpeedGrow(row, col);
+                        }
+                        
+                        this.saveGame();
+                        this.updateUI();
+                        this.draw(); // Force immediate redraw to show growth
+                    }
+                }
+            } else {
+                // Fertilizer growth period ended
+                cell.fertilized = false;
+                cell.fertilizerGrowthStart = null;
+                cell.fertilizerGrowthDuration = null;
+                cell.lastFertilizerGrowthCheck = null;
+            }
+        }
+    }
+
+    // Passive growth: slow stage advancement even without water/fertilizer/sprinkler
+    // Intentionally conservative so boosters remain meaningfully faster
+    checkPassiveGrowth(row, col) {
+        const cell = this.garden[row][col];
+        if (!cell || !cell.plant || cell.plant.isFullyGrown) return;
+        if (!this.passiveGrowthEnabled) return;
+        if (this.isPlantDormant(cell.plant)) {
+            cell.lastPassiveGrowth = null; // restart the clock when the tree wakes up
+            return;
+        }
+        
+        // Skip if any active boosted growth is ongoing (water/fertilizer window)
+        const now = this.now();
+        const waterActive = cell.watered && cell.waterGrowthStart && cell.waterGrowthDuration && (now - cell.waterGrowthStart) < cell.waterGrowthDuration;
+        const fertActive = cell.fertilized && cell.fertilizerGrowthStart && cell.fertilizerGrowthDuration && (now - cell.fertilizerGrowthStart) < cell.fertilizerGrowthDuration;
+        if (waterActive || fertActive) return;
+        
+        // Skip passive tick if sprinkler growth applies to this tile
+        const sprinklerBonus = this.getSprinklerBonus(row, col);
+        if (sprinklerBonus > 0) return;
+        
+        const plantData = this.plantTypes[cell.plant.type];
+        if (!plantData) return;
+        
+        // Base time per stage for passive growth
+        let growthTimePerStage = Number.isFinite(this.passiveGrowthBaseMs) && this.passiveGrowthBaseMs > 0
+            ? this.passiveGrowthBaseMs
+            : 2 * 60 * 1000; // fallback: 2 minutes
+        
+        // Apply seed-specific growth multiplier only if enabled
+        if (!this.passiveIgnoreSeedMultiplier) {
+            const seedType = cell.plant.type;
+            const growthMultiplier = this.getSeedGrowthMultiplier(seedType);
+            growthTimePerStage *= growthMultiplier;
+        }
+        
+        // Apply decorations that boost growth (same semantics as other growth paths)
+        const decorationGrowthBonus = this.getPlantBonus(cell.plant, 'growth') / 100;
+        if (decorationGrowthBonus > 0) {
+            growthTimePerStage /= (1 + decorationGrowthBonus);
+        }
+        growthTimePerStage /= this.getSoilGrowthMultiplier(row, col);
+        growthTimePerStage /= this.getPestGrowthMultiplier(cell.plant);
+        
+        // Apply weather and seasonal multipliers only if enabled (higher means faster growth => divide time)
+        if (!this.passiveIgnoreEnvMultipliers) {
+            const weatherMult = (this.weatherEffects[this.weather]?.growthMultiplier) || 1.0;
+            const seasonMult = this.getSeasonMultiplierAt(row, col);
+            growthTimePerStage /= weatherMult;
+            growthTimePerStage /= seasonMult;
+        }
+        
+        // Track per-cell passive timing
+        if (!cell.lastPassiveGrowth) {
+            cell.lastPassiveGrowth = now;
+            return;
+        }
+        
+        const elapsed = now - cell.lastPassiveGrowth;
+        if (elapsed >= growthTimePerStage) {
+            if (cell.plant.growthStage < this.growthStages.length - 1) {
+                cell.plant.growthStage++;
+                cell.lastPassiveGrowth = now;
+                
+                // Fully grown check
+                if (cell.plant.growthStage >= this.growthStages.length - 1) {
+                    cell.plant.isFullyGrown = true;
+                    this.recordSpeedGrow(row, col);
+                }
+                
+                // Persist and reflect
+                this.saveGame();
+                this.updateUI();
+                this.draw();
+            }
+        }
+    }
+
+    // Helper functions to identify seed rarity
+    isRareSeed(seedType) {
+        const rareSeeds = ['watermelon', 'melon', 'blueberry', 'kiwi', 'coconut', 'olive', 'asparagus', 'artichoke'];
+        return rareSeeds.includes(seedType);
+    }
+
+    isLegendarySeed(seedType) {
+        const legendarySeeds = ['dragonfruit', 'pineapple', 'mango', 'grapes'];
+        return legendarySeeds.includes(seedType);
+    }
+
+    // New flexible growth rate system - customize individual seed growth speeds
+    getSeedGrowthMultiplier(seedType) {
+        // Custom growth multipliers for individual seeds
+        const customGrowthRates = {
+            // Fast growing seeds (0.5x time = 2x faster)
+            'carrot': 0.5,
+            'lettuce': 0.5,
+            'radish': 0.5,
+            'spinach': 0.6,
+            'tomato': 0.7,
+            
+            // Normal growing seeds (1.0x time = standard speed)
+            'corn': 1.0,
+            'potato': 1.0,
+            'bell_pepper': 1.0,
+            'hot_pepper': 0.9,
+            'cucumber': 1.0,
+            'onion': 1.0,
+            'garlic': 1.0,
+            'broccoli': 1.0,
+            'cauliflower': 1.0,
+            'cabbage': 1.0,
+            'squash': 1.0,
+            'winter_greens': 1.0,
+            'herbs': 1.0,
+            'peas': 1.0,
+            'mushroom': 0.9,
+            
+            // Slow growing seeds (1.5x time = 1.5x slower)
+            'pumpkin': 1.5,
+            'sweet_potato': 1.4,
+            'eggplant': 1.5,
+            'avocado': 1.6,
+            
+            // Rare seeds - individual growth rates
+            'watermelon': 2.5,
+            'melon': 2.2,
+            'blueberry': 2.0,
+            'kiwi': 1.8,
+            'coconut': 2.6,
+            'olive': 2.4,
+            'asparagus': 2.0,
+            'artichoke': 2.8,
+            
+            // Legendary seeds - individual growth rates
+            'dragonfruit': 4.0,   // Slowest legendary (very rare)
+            'pineapple': 3.5,     // Very slow growing
+            'mango': 2.8,         // Faster than other legendary seeds
+            'grapes': 3.6,
+
+            // Orchard fruits
+            'apple': 1.6,
+            'green_apple': 1.6,
+            'pear': 1.7,
+            'peach': 1.7,
+            'cherries': 1.3,
+            'strawberry': 1.2,
+            'orange': 1.5,
+            'lemon': 1.2,
+            'banana': 1.8,
+
+            // Night bloomers only grow after dark, so they are quick once they do
+            'moonflower': 1.3,
+            'evening_primrose': 1.1
+        };
+        
+        // A kitchen growth buff shortens every seed's time per stage
+        const kitchenBoost = this.getBuffMultiplier('growth');
+
+        // Return custom rate if defined, otherwise use rarity-based fallback
+        if (customGrowthRates.hasOwnProperty(seedType)) {
+            return customGrowthRates[seedType] / kitchenBoost;
+        }
+
+        // Hybrids carry their own rate in the catalog
+        const hybrid = this.hybridTypes[seedType];
+        if (hybrid) {
+            return hybrid.growthRate / kitchenBoost;
+        }
+        
+        // Fallback to old rarity system for any undefined seeds
+        if (this.isLegendarySeed(seedType)) {
+            return 3.0 / kitchenBoost;
+        } else if (this.isRareSeed(seedType)) {
+            return 2.0 / kitchenBoost;
+        }
+        
+        return 1.0 / kitchenBoost; // Default normal speed
+    }
+
+    // New function to check if sprinklers should advance plant growth
+    checkSprinklerGrowth(row, col) {
+        const cell = this.garden[row][col];
+        if (!cell || !cell.plant || cell.plant.isFullyGrown) return;
+        if (this.isPlantDormant(cell.plant)) {
+            cell.lastSprinklerGrowth = null;
+            return;
+        }
+        
+        const plantData = this.plantTypes[cell.plant.type];
+        if (!plantData) return;
+        
+        // Check if plant is within sprinkler range
+        const sprinklerBonus = this.getSprinklerBonus(row, col);
+        if (sprinklerBonus > 0) {
+            // Calculate continuous growth based on time
+            const now = this.now();
+            
+            // Initialize lastSprinklerGrowth if it doesn't exist
+            if (!cell.lastSprinklerGrowth) {
+                cell.lastSprinklerGrowth = now;
+                return; // Skip this frame to start timing from now
+            }
+            
+            const timeSinceLastCheck = now - cell.lastSprinklerGrowth;
+            
+            // Growth rate: 1 stage per 30 seconds with sprinkler (base)
+            let growthTimePerStage = 30000; // 30 seconds per stage (base)
+            
+            // Apply sprinkler growth bonus (faster growth with better sprinklers)
+            growthTimePerStage = growthTimePerStage / (1 + sprinklerBonus);
+            
+            // Apply custom growth rate multiplier
+            const seedType = cell.plant.type;
+            const growthMultiplier = this.getSeedGrowthMultiplier(seedType);
+            growthTimePerStage *= growthMultiplier;
+
+            const decorationGrowthBonus = this.getPlantBonus(cell.plant, 'growth') / 100;
+            if (decorationGrowthBonus > 0) {
+                growthTimePerStage /= (1 + decorationGrowthBonus);
+            }
+            growthTimePerStage /= this.getSoilGrowthMultiplier(row, col);
+            growthTimePerStage /= this.getPestGrowthMultiplier(cell.plant);
+            
+            const growthProgress = timeSinceLastCheck / growthTimePerStage;
+            
+            if (growthProgress >= 1) {
+                // Advance growth stage
+                if (cell.plant.growthStage < this.growthStages.length - 1) {
+                    cell.plant.growthStage++;
+                    cell.lastSprinklerGrowth = now;
+                    
+                    // Show growth message
+                    this.showMessage(`${plantData.name} grew from sprinkler!`, 'success');
+                    console.log(`${plantData.name} grew to stage ${cell.plant.growthStage + 1}/${this.growthStages.length} from sprinkler`);
+                    
+                    // Check if fully mature
+                    if (cell.plant.growthStage >= this.growthStages.length - 1) {
+                        cell.plant.isFullyGrown = true;
+                        this.recordSpeedGrow(row, col);
+                    }
+                    
+                    // Save game and update UI
+                    this.saveGame();
+                    this.updateUI();
+                    this.draw(); // Force immediate redraw to show growth
+                }
+            }
+        }
+    }
+
+    // Check sprinkler growth for all plants in the garden
+    checkAllSprinklerGrowth() {
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                this.checkSprinklerGrowth(row, col);
+            }
+        }
+    }
+
+    // Count a speed grow when a plant reaches maturity within 30 seconds of planting
+    recordSpeedGrow(row, col) {
+        try {
+            if (!this.achievementStats) return;
+            const cell = this.garden?.[row]?.[col];
+            if (!cell || !cell.plant || !cell.plant.isFullyGrown) return;
+            const plantedAt = Number(cell.plantedAt || cell.plant.plantedAt);
+            if (!Number.isFinite(plantedAt) || plantedAt <= 0) return;
+            const now = this.now();
+            if ((now - plantedAt) <= 30000) {
+                this.addAchievementStat('speedGrows');
+            }
+        } catch (e) {
+            console.warn('recordSpeedGrow error:', e);
+        }
+    }
+
+    plantSeed(row, col, seedType = this.selectedSeed) {
+        
+        // Validate seed selection
+        if (!seedType) {
+            this.showMessage('No seed selected!', 'error');
+            this.playSound('error');
+            return;
+        }
+        
+        const seedData = this.plantTypes[seedType];
+        const isHybrid = !!this.hybridTypes[seedType];
+        // Hybrid seeds come from the pouch and are free to plant
+        const inventory = isHybrid ? { stock: this.hybridSeeds[seedType] || 0 } : this.shopInventory[seedType];
+        const baseCost = this.getSeedBaseCost(seedData);
+        const effectiveCost = isHybrid ? 0 : this.getDiscountedSeedCost(baseCost);
+        
+        // Validate seed data
+        if (!seedData) {
+            console.error(`No plant data found for ${seedType}`);
+            this.showMessage(`Error: Invalid seed type ${seedType}!`, 'error');
+            this.playSound('error');
+            return;
+        }
+        
+        if (!inventory) {
+            console.error(`No inventory found for ${seedType}`);
+            this.showMessage(`Error: No inventory data for ${seedType}!`, 'error');
+            this.playSound('error');
+            return;
+        }
+        
+        // Check seasonal availability
+        if (!this.isSeedAvailable(seedType, row, col)) {
+            const hint = this.isSeedAvailable(seedType) ? ' Plant it inside the greenhouse.' : '';
+            this.showMessage(`${seedData.name} is not available in ${this.currentSeason}!${hint}`, 'error');
+            this.playSound('error');
+            return;
+        }
+        
+        // Validate stock
+        if (inventory.stock <= 0) {
+            this.showMessage(isHybrid ? `No ${seedData.name} seeds left! Breed more from its parents.` : `${seedData.name} is out of stock!`, 'error');
+            this.playSound('error');
+            return;
+        }
+        
+        // Validate money
+        if (this.money < effectiveCost) {
+            this.showMessage(`Not enough money! Need $${effectiveCost.toLocaleString()}`, 'error');
+            this.playSound('error');
+            return;
+        }
+        
+        // Check if there's already a plant here
+        const cell = this.garden[row][col];
+        if (cell.plant) {
+            this.showMessage('There\'s already a plant here!', 'error');
+            this.playSound('error');
+            return;
+        }
+        
+        // Check if there's a sprinkler here
+        if (this.hasSprinkler(row, col)) {
+            this.showMessage('Cannot plant on a sprinkler!', 'error');
+            this.playSound('error');
+            return;
+        }
+        
+        if (this.hasMachine(row, col)) {
+            this.showMessage('Cannot plant on a machine!', 'error');
+            this.playSound('error');
+            return;
+        }
+        
+        // All validations passed, proceed with planting
+        
+        // Deduct money and reduce stock
+            this.money -= effectiveCost;
+            if (isHybrid) {
+                this.hybridSeeds[seedType] -= 1;
+                this.updateAlmanacDisplay();
+            } else {
+                inventory.stock--;
+            }
+            
+        // Create the plant with growth stages
+        const plantObject = {
+                    type: seedType,
+                    stage: 0,
+                    plantedAt: this.now(),
+            isFullyGrown: false,
+            growthStage: 0,
+            purchaseCost: effectiveCost
+        };
+        
+        // Create the garden cell with the plant
+        this.garden[row][col] = {
+            plant: plantObject,
+                watered: false,
+                wateredAt: null,
+                waterCooldown: 0,
+                fertilized: false,
+                fertilizedAt: null,
+                fertilizerCooldown: 0,
+                plantedAt: this.now()
+            };
+        
+        // Apply any existing global decoration bonuses to this new plant so globals affect newly planted seeds
+        this.applyAllGlobalBonusesToCell(row, col);
+        
+        // Verify the plant was actually created
+        if (!this.garden[row][col].plant) {
+            this.showMessage(`Error: Failed to plant ${seedData.name}!`, 'error');
+            return;
+        }
+            
+            this.showMessage(`Planted ${seedData.name}!`, 'success');
+            this.playSound('plant');
+            this.addAchievementStat('plantsPlanted');
+            this.achievementStats.differentPlantsPlanted.add(seedType);
+            
+            // Update daily challenge progress for planting
+            this.updateChallengeProgress('plant', 1);
+            
+            // Add plant particle effect
+            const x = (col * this.cellSize) + (this.cellSize / 2);
+            const y = (row * this.cellSize) + (this.cellSize / 2);
+            this.addParticle(x, y, 'plant', '');
+            // Gentle soft burst
+            this.spawnGentleBurst(x, y, 'plant', 12);
+        
+        // Save immediately to ensure plant is persisted
+        this.saveGame();
+        
+        // Update UI immediately and force redraw
+            this.updateUI();
+        this.draw(); // Force immediate redraw to show the new plant
+        
+        // Keep seed selected for continued planting
+        // (Removed seed selection clearing to allow multiple plantings of same seed)
+        
+        // Update shop display to reflect stock changes
+            this.updateShopDisplay();
+    }
+
+    // Water one watering takes here after plant, sprinkler and kitchen bonuses
+    getWaterUseAt(row, col) {
+        const plant = this.garden[row][col].plant;
+        const plantWaterBonus = this.getPlantBonus(plant, 'waterEfficiency') / 100;
+        const sprinklerWaterBonus = this.getSprinklerWaterBonus(row, col);
+        const kitchenWaterBonus = this.getBuffMultiplier('water') - 1;
+        const totalWaterBonus = sprinklerWaterBonus + plantWaterBonus + kitchenWaterBonus;
+        return Math.max(0, Math.ceil(1 - totalWaterBonus));
+    }
+
+    // Any sprinkler fertilizer bonus makes fertilizing here free
+    getFertilizerUseAt(row, col) {
+        return this.getSprinklerFertilizerBonus(row, col) > 0 ? 0 : 1;
+    }
+
+    waterPlant(row, col) {
+        const cell = this.garden[row][col];
+        const now = this.now();
+        
+        if (this.isPlantDormant(cell.plant)) {
+            this.showMessage(`${this.plantTypes[cell.plant.type].name} is ${this.describeDormancy(cell.plant)}; no need to water it.`, 'info');
+            return;
+        }
+        
+        if (cell.waterCooldown > now) {
+            const remainingTime = Math.ceil((cell.waterCooldown - now) / 1000);
+            this.showMessage(`Water cooldown: ${remainingTime}s remaining`, 'error');
+            return;
+        }
+        
+        const plantWaterBonus = this.getPlantBonus(cell.plant, 'waterEfficiency') / 100;
+        const sprinklerWaterBonus = this.getSprinklerWaterBonus(row, col);
+        const kitchenWaterBonus = this.getBuffMultiplier('water') - 1;
+        const totalWaterBonus = sprinklerWaterBonus + plantWaterBonus + kitchenWaterBonus;
+        const waterUsed = this.getWaterUseAt(row, col);
+
+        if (this.water <= 0 && waterUsed > 0) {
+            this.showMessage('No water left!', 'error');
+            this.playSound('error');
+            return;
+        }
+        
+        if (this.water > 0 || waterUsed === 0) {
+            if (waterUsed > 0) {
+                this.water -= waterUsed;
+                this.updateStats('water', waterUsed);
+            }
+            
+            const effectiveWaterBonus = totalWaterBonus;
+            const bonusSegments = [];
+            if (sprinklerWaterBonus > 0) {
+                bonusSegments.push(`${Math.round(sprinklerWaterBonus * 100)}% from sprinklers`);
+            }
+            if (plantWaterBonus > 0) {
+                bonusSegments.push(`${Math.round(plantWaterBonus * 100)}% from decorations`);
+            }
+            if (kitchenWaterBonus > 0) {
+                bonusSegments.push(`${Math.round(kitchenWaterBonus * 100)}% from the kitchen`);
+            }
+            const bonusText = bonusSegments.length ? ` (${bonusSegments.join(' + ')})` : '';
+            
+            const growthDuration = Math.round(8000 * (1 + effectiveWaterBonus));
+            
+            cell.watered = true;
+            cell.wateredAt = now;
+            cell.waterCooldown = now + 8000;
+            if (cell.plant) cell.plant.wasWatered = true;
+            
+            // Start continuous growth when watered
+            if (cell.plant && cell.plant.growthStage < this.growthStages.length - 1) {
+                const plantData = this.plantTypes[cell.plant.type];
+                this.showMessage(`${plantData.name} watered! Will grow continuously for ${(growthDuration / 1000).toFixed(1)} seconds!${bonusText}`, 'success');
+                
+                // Set up continuous growth tracking
+                cell.waterGrowthStart = now;
+                cell.waterGrowthDuration = growthDuration;
+            } else {
+                const plantData = this.plantTypes[cell.plant.type];
+                this.showMessage(`${plantData.name} watered! (Already fully grown)${bonusText}`, 'success');
+            }
+            
+            // Update daily challenge progress for watering
+            this.updateChallengeProgress('water', 1);
+            
+            this.playSound('water');
+            this.addAchievementStat('plantsWatered');
+            
+            // Add water particle effect
+            const x = (col * this.cellSize) + (this.cellSize / 2);
+            const y = (row * this.cellSize) + (this.cellSize / 2);
+            this.addParticle(x, y, 'water', '');
+            // Gentle soft burst
+            this.spawnGentleBurst(x, y, 'water', 12);
+            
+            this.updateUI();
+            this.saveGame();
+        }
+    }
+
+    fertilizePlant(row, col) {
+        const cell = this.garden[row][col];
+        const now = this.now();
+        
+        if (this.isPlantDormant(cell.plant)) {
+            this.showMessage(`${this.plantTypes[cell.plant.type].name} is ${this.describeDormancy(cell.plant)}; no need to fertilize it.`, 'info');
+            return;
+        }
+        
+        if (cell.fertilizerCooldown > now) {
+            const remainingTime = Math.ceil((cell.fertilizerCooldown - now) / 1000);
+            this.showMessage(`Fertilizer cooldown: ${remainingTime}s remaining`, 'error');
+            return;
+        }
+        
+            const fertilizerBonus = this.getSprinklerFertilizerBonus(row, col);
+            const fertilizerUsed = this.getFertilizerUseAt(row, col);
+
+            if (this.fertilizer <= 0 && fertilizerUsed > 0) {
+                this.showMessage('No fertilizer left!', 'error');
+                this.playSound('error');
+                return;
+            }
+
+            if (this.fertilizer > 0 || fertilizerUsed === 0) {
+                const fertilizerEfficiency = 1 + fertilizerBonus; // e.g., 1.1 for 10% bonus
+
+                if (fertilizerUsed > 0) {
+                    this.fertilizer -= fertilizerUsed;
+                    this.updateStats('fertilizer', fertilizerUsed);
+                }
+            
+            cell.fertilized = true;
+            cell.fertilizedAt = now;
+            cell.fertilizerCooldown = now + 12000;
+            if (cell.plant) cell.plant.wasFertilized = true;
+            
+            // Start continuous growth when fertilized
+            if (cell.plant && cell.plant.growthStage < this.growthStages.length - 1) {
+                const plantData = this.plantTypes[cell.plant.type];
+                const bonusText = fertilizerBonus > 0 ? ` (${Math.round(fertilizerBonus * 100)}% fertilizer efficiency from sprinkler!)` : '';
+                this.showMessage(`${plantData.name} fertilized! Will grow continuously for 12 seconds!${bonusText}`, 'success');
+                
+                // Set up continuous growth tracking
+                cell.fertilizerGrowthStart = now;
+                cell.fertilizerGrowthDuration = 12000; // 12 seconds of continuous growth
+            } else {
+                const plantData = this.plantTypes[cell.plant.type];
+                const bonusText = fertilizerBonus > 0 ? ` (${Math.round(fertilizerBonus * 100)}% fertilizer efficiency from sprinkler!)` : '';
+                this.showMessage(`${plantData.name} fertilized! (Already fully grown)${bonusText}`, 'success');
+            }
+            
+            this.playSound('fertilizer');
+            this.addAchievementStat('plantsFertilized');
+            
+            // Add fertilizer particle effect
+            const x = (col * this.cellSize) + (this.cellSize / 2);
+            const y = (row * this.cellSize) + (this.cellSize / 2);
+            this.addParticle(x, y, 'fertilizer', '');
+            // Gentle soft burst
+            this.spawnGentleBurst(x, y, 'fertilizer', 12);
+
+            this.updateChallengeProgress('fertilize', 1);
+            
+            this.updateUI();
+            this.saveGame();
+        }
+    }
+
+    harvestPlant(row, col) {
+        const cell = this.garden[row][col];
+        if (cell.plant) {
+            const plantData = this.plantTypes[cell.plant.type];
+            
+            // Worth exactly what getHarvestValue shows; the stage-only value and multipliers below explain the bonus
+            const finalValue = this.getHarvestValue(cell.plant, row, col);
+            const growthStage = this.getPlantGrowthStage(cell.plant);
+            const baseHarvest = Math.floor(plantData.harvestValue * (this.stageMultipliers[growthStage] || 1.0));
+            const harvestDecorationBonus = this.getPlantBonus(cell.plant, 'harvestValue') / 100;
+            const soilMultiplier = this.getSoilHarvestMultiplier(row, col);
+            const pestMultiplier = this.getPestHarvestMultiplier(cell.plant);
+            const orchardMultiplier = this.getPerennialYieldMultiplier(cell.plant);
+            const kitchenMultiplier = this.getBuffMultiplier('harvest');
+            this.applyHarvestToSoil(row, col, cell.plant.type);
+            
+            // The crop goes to the barn; money comes when it is sold at the market
+            this.storeHarvest(cell.plant.type, finalValue);
+            this.addAchievementStat('totalHarvests');
+            
+            // Update statistics
+            this.updateStats('harvest', 1);
+            this.updateStats('harvestValue', finalValue);
+            this.updateStats('plant', cell.plant.type);
+            this.recordCareReturn(cell.plant, finalValue);
+            
+            // Update challenge progress
+            this.updateChallengeProgress('harvest', 1);
+            
+            // Update rare/legendary challenge progress
+            if (plantData.isRare) {
+                this.updateChallengeProgress('rare', 1);
+                this.addAchievementStat('rareHarvests');
+            }
+            if (plantData.isLegendary) {
+                this.updateChallengeProgress('legendary', 1);
+                this.addAchievementStat('legendaryHarvests');
+            }
+            if (this.almanac[cell.plant.type]) {
+                this.almanac[cell.plant.type].harvested += 1;
+                this.updateAlmanacDisplay();
+            }
+            
+            // Add particle effect
+            const x = (col * this.cellSize) + (this.cellSize / 2);
+            const y = (row * this.cellSize) + (this.cellSize / 2);
+            // Gentle soft burst
+            this.spawnGentleBurst(x, y, 'harvest', 14);
+            
+            // Show bonus message if harvest tool is upgraded
+            if (this.harvestBonus > 0 || harvestDecorationBonus > 0 || this.rebirths > 0 || this.getPrestigeHarvestBonus() > 0 || soilMultiplier !== 1 || pestMultiplier !== 1 || orchardMultiplier !== 1 || kitchenMultiplier !== 1) {
+                const bonusAmount = finalValue - baseHarvest;
+                const bonusBreakdown = [];
+                if (this.harvestBonus > 0) {
+                    bonusBreakdown.push(`${Math.round(this.harvestBonus * 100)}% tool bonus`);
+                }
+                if (harvestDecorationBonus > 0) {
+                    bonusBreakdown.push(`${Math.round(harvestDecorationBonus * 100)}% decoration bonus`);
+                }
+                if (this.rebirths > 0) {
+                    bonusBreakdown.push(`${Math.round(this.getRebirthHarvestBonus() * 100)}% rebirth boost`);
+                }
+                if (this.getPrestigeHarvestBonus() > 0) {
+                    bonusBreakdown.push(`${Math.round(this.getPrestigeHarvestBonus() * 100)}% prestige bonus`);
+                }
+                if (soilMultiplier !== 1) {
+                    const soilPercent = Math.round((soilMultiplier - 1) * 100);
+                    bonusBreakdown.push(`${soilPercent > 0 ? '+' : ''}${soilPercent}% soil`);
+                }
+                if (pestMultiplier !== 1) {
+                    const pestName = this.pestTypes[cell.plant.infection.type].name.toLowerCase();
+                    bonusBreakdown.push(`-${Math.round((1 - pestMultiplier) * 100)}% ${pestName}`);
+                }
+                if (orchardMultiplier !== 1) {
+                    const orchardPercent = Math.round((orchardMultiplier - 1) * 100);
+                    bonusBreakdown.push(`${orchardPercent > 0 ? '+' : ''}${orchardPercent}% ${this.getPerennialAge(cell.plant)} tree`);
+                }
+                if (kitchenMultiplier !== 1) {
+                    bonusBreakdown.push(`${Math.round((kitchenMultiplier - 1) * 100)}% ${this.recipeTypes[this.activeBuffs.harvest.recipe].name.toLowerCase()}`);
+                }
+                const amountText = bonusAmount >= 0 ? `+$${bonusAmount}` : `-$${Math.abs(bonusAmount)}`;
+                const breakdownText = bonusBreakdown.length ? ` (${amountText} from ${bonusBreakdown.join(' & ')})` : '';
+                this.showMessage(`Harvested ${plantData.name} worth $${finalValue}${breakdownText} and stored it in the barn!`, 'success');
+            } else {
+                this.showMessage(`Harvested ${plantData.name} worth $${finalValue} and stored it in the barn!`, 'success');
+            }
+            this.playSound('harvest');
+            this.updateMarketDisplay();
+            
+            if (plantData.perennial) {
+                // Orchard trees stay put and fruit again
+                this.regrowPerennial(row, col);
+            } else {
+                // Clear the cell completely
+                this.garden[row][col] = {
+                    plant: null,
+                    watered: false,
+                    wateredAt: null,
+                    waterCooldown: 0,
+                    fertilized: false,
+                    fertilizedAt: null,
+                    fertilizerCooldown: 0,
+                    plantedAt: null
+                };
+                this.replantFromBlueprint(row, col);
+            }
+            
+            this.updateUI();
+            this.saveGame();
+        }
+    }
+
+    removePlant(row, col) {
+        const cell = this.garden[row][col];
+        if (cell.plant) {
+            const plantData = this.plantTypes[cell.plant.type];
+            const baseCost = this.getSeedBaseCost(plantData);
+            const purchaseCost = cell.plant?.purchaseCost ?? baseCost;
+            const refundAmount = this.grantShovelRefund(purchaseCost, row, col);
+            const refundRatePercent = Math.round(this.getShovelRefundRate() * 100);
+            const refundText = refundAmount > 0 ? ` Returned ${refundRatePercent}% ($${refundAmount}).` : '';
+            this.showMessage(`Removed ${plantData.name}!${refundText}`, refundAmount > 0 ? 'success' : 'info');
+            
+            this.garden[row][col] = {
+                plant: null,
+                watered: false,
+                wateredAt: null,
+                waterCooldown: 0,
+                fertilized: false,
+                fertilizedAt: null,
+                fertilizerCooldown: 0,
+                plantedAt: null
+            };
+            // Gentle soft burst for shovel/remove
+            const x = (col * this.cellSize) + (this.cellSize / 2);
+            const y = (row * this.cellSize) + (this.cellSize / 2);
+            this.spawnGentleBurst(x, y, 'remove', 10);
+            
+            this.updateUI();
+            this.saveGame();
+        }
+    }
+
+    updatePlants() {
+        this.updatePlantsSilent();
+    }
+
+    updatePlantsSilent() {
+        const now = this.now();
+        
+        // Check for expired sprinklers
+        this.sprinklers = this.sprinklers.filter(sprinkler => {
+            if (now >= sprinkler.expiresAt) {
+                const sprinklerData = this.sprinklerTypes[sprinkler.type];
+                const durationMinutes = Math.floor(sprinklerData.duration / 60000);
+                this.showMessage(`${sprinkler.type} sprinkler expired after ${durationMinutes} minutes!`, 'info');
+                this.logEvent('growth', `${sprinkler.type} sprinkler expired after ${durationMinutes} minutes`);
+                return false; // Remove expired sprinkler
+            }
+            return true; // Keep active sprinkler
+        });
+        
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                const cell = this.garden[row][col];
+                if (cell.plant && !cell.plant.isFullyGrown) {
+                    const plantData = this.plantTypes[cell.plant.type];
+                    const timeSincePlanted = now - cell.plantedAt;
+                    const growthProgress = timeSincePlanted / plantData.growthTime;
+                    
+                    if (cell.watered && cell.wateredAt && (now - cell.wateredAt) > 15000) {
+                        cell.watered = false;
+                        cell.wateredAt = null;
+                    }
+                    
+                    if (cell.fertilized && cell.fertilizedAt && (now - cell.fertilizedAt) > 20000) {
+                        cell.fertilized = false;
+                        cell.fertilizedAt = null;
+                    }
+                    
+                    let growthMultiplier = 0.3;
+                    if (cell.watered) growthMultiplier = 1.8;
+                    if (cell.fertilized) growthMultiplier = 2.5;
+                    if (cell.watered && cell.fertilized) growthMultiplier = 3.2;
+                    
+                    // Apply sprinkler effects
+                    const sprinklerBonus = this.getSprinklerBonus(row, col);
+                    growthMultiplier += sprinklerBonus;
+                    
+                    // Apply weather effects
+                    growthMultiplier *= this.weatherEffects[this.weather].growthMultiplier;
+                    
+                    // Apply seasonal effects
+                    growthMultiplier *= this.getSeasonMultiplierAt(row, col);
+                    
+                    // Plants now only grow when watered or fertilized
+                    // No automatic growth updates in the game loop
+                    
+                    // Check if plant is fully mature for achievement tracking
+                    const currentStage = this.getPlantGrowthStage(cell.plant);
+                    if (currentStage >= this.growthStages.length - 1 && !cell.plant.isFullyGrown) {
+                        cell.plant.isFullyGrown = true;
+                    }
+                    
+                    // Check for continuous growth from watering and fertilizing
+                    this.checkContinuousGrowth(row, col);
+                    
+                    // Check for sprinkler growth
+                    this.checkSprinklerGrowth(row, col);
+                    
+                    // Check for slow passive growth (no boosters)
+                    this.checkPassiveGrowth(row, col);
+                }
+            }
+        }
+    }
+
+    checkRestock() {
+        this.checkRestockSilent();
+    }
+
+    checkRestockSilent() {
+        const now = this.now();
+        const timeSinceLastRestock = now - this.lastRestockTime;
+        
+        if (timeSinceLastRestock >= this.restockInterval) {
+            this.restockShopSilent();
+            this.lastRestockTime = now;
+            this.updateShopDisplay(); // Force update the shop display
+        }
+    }
+
+    restockShop() {
+        this.restockShopSilent();
+        this.updateShopDisplay();
+        this.showMessage('Shop restocked!', 'info');
+    }
+
+    restockShopSilent() {
+        let restockedSeeds = [];
+        
+        for (const [seedType, inventory] of Object.entries(this.shopInventory)) {
+            const plantData = this.plantTypes[seedType];
+            
+            // Locked villager exclusives keep their starting stock
+            if (plantData.reputation && this.reputation < plantData.reputation) continue;
+            
+            if (inventory.stock < inventory.maxStock) {
+                let shouldRestock = true;
+                let restockAmount = inventory.restockAmount;
+                
+                // Check rare and legendary restock chances
+                if (plantData.isRare && this.random() > this.rareRestockChance) {
+                    shouldRestock = false;
+                }
+                if (plantData.isLegendary && this.random() > this.legendaryRestockChance) {
+                    shouldRestock = false;
+                }
+                
+                if (shouldRestock) {
+                    // For rare and legendary seeds, give higher quantities when they do restock
+                    if (plantData.isRare) {
+                        restockAmount = inventory.restockAmount * 3; // Triple the amount
+                    } else if (plantData.isLegendary) {
+                        restockAmount = inventory.restockAmount * 5; // 5x the amount
+                    }
+                    
+                    // Ensure we don't exceed max stock
+                    restockAmount = Math.min(
+                        restockAmount,
+                        inventory.maxStock - inventory.stock
+                    );
+                    
+                    if (restockAmount > 0) {
+                        const oldStock = inventory.stock;
+                        inventory.stock += restockAmount;
+                        restockedSeeds.push(`${plantData.name} (${oldStock}→${inventory.stock})`);
+                    }
+                }
+            }
+        }
+        
+        if (restockedSeeds.length > 0) {
+            this.showMessage(`Shop restocked: ${restockedSeeds.join(', ')}`, 'info');
+            this.logEvent('economy', `Shop restocked: ${restockedSeeds.join(', ')}`);
+            
+            // Force immediate shop display update
+            this.updateShopDisplay();
+        }
+    }
+
+    defaultGardenName() {
+        return `Garden Slot ${this.saveSlot}`;
+    }
+
+    // Softlock relief: grant a fully grown cheap fruit on a random empty tile
+    // Runs every softlockCheckInterval (10s). If softlocked, 50% chance each check,
+    // but forces a blessing on the 3rd consecutive eligible check to cap wait at <=30s.
+    checkSoftlockRelief() {
+        const now = this.now();
+        if (!this.lastSoftlockCheck) this.lastSoftlockCheck = 0;
+        if ((now - this.lastSoftlockCheck) < (this.softlockCheckInterval || 180000)) {
+            return;
+        }
+        this.lastSoftlockCheck = now;
+
+        // Determine if the player is softlocked: no affordable seeds and at least one empty tile
+        const hasEmptyTile = (() => {
+            for (let r = 0; r < this.gridSize; r++) {
+                for (let c = 0; c < this.gridSize; c++) {
+                    const cell = this.garden[r][c];
+                    if (!cell.plant && !this.hasSprinkler(r, c)) return true;
+                }
+            }
+            return false;
+        })();
+        // Produce waiting in the barn can always be sold for seed money
+        if (!hasEmptyTile || Object.keys(this.barn).length > 0) {
+            this.softlockMissCounter = 0;
+            return;
+        }
+
+        // Is there any seed the player can afford right now?
+        const canAffordAny = (() => {
+            let affordable = false;
+            for (const [seedType, inv] of Object.entries(this.shopInventory)) {
+                const plantData = this.plantTypes[seedType];
+                if (!plantData || !inv || inv.stock <= 0) continue;
+                if (!this.isSeedAvailable(seedType)) continue;
+                const baseCost = this.getSeedBaseCost(plantData);
+                const price = this.getDiscountedSeedCost(baseCost);
+                if (this.money >= price) { affordable = true; break; }
+            }
+            return affordable;
+        })();
+
+        // Not softlocked if we can afford something; reset miss counter
+        if (canAffordAny) {
+            this.softlockMissCounter = 0;
+            return;
+        }
+
+        // Softlocked path: increment consecutive miss counter
+        if (!Number.isFinite(this.softlockMissCounter)) this.softlockMissCounter = 0;
+        this.softlockMissCounter += 1;
+
+        // Chance gating to feel occasional, but force on the 3rd eligible check
+        const shouldBless = (this.softlockMissCounter >= 3) || (this.random() < 0.5);
+        if (!shouldBless) {
+            return;
+        }
+
+        // Choose a very cheap fruit type; prefer lettuce if available, else carrot, else any
+        const candidateTypes = ['lettuce', 'carrot'];
+        let chosenType = candidateTypes.find(t => this.plantTypes[t]);
+        if (!chosenType) {
+            // Fallback to any defined plant type
+            const keys = Object.keys(this.plantTypes || {});
+            if (!keys.length) return;
+            chosenType = keys[0];
+        }
+
+        // Pick a random empty tile
+        const empties = [];
+        for (let r = 0; r < this.gridSize; r++) {
+            for (let c = 0; c < this.gridSize; c++) {
+                const cell = this.garden[r][c];
+                if (!cell.plant && !this.hasSprinkler(r, c)) empties.push([r, c]);
+            }
+        }
+        if (!empties.length) {
+            this.softlockMissCounter = 0;
+            return;
+        }
+        const [row, col] = empties[Math.floor(this.random() * empties.length)];
+
+        const plantObject = {
+            type: chosenType,
+            stage: this.growthStages.length - 1,
+            plantedAt: now,
+            isFullyGrown: true,
+            growthStage: this.growthStages.length - 1,
+            purchaseCost: 0
+        };
+
+        this.garden[row][col] = {
+            plant: plantObject,
+            watered: false,
+            wateredAt: null,
+            waterCooldown: 0,
+            fertilized: false,
+            fertilizedAt: null,
+            fertilizerCooldown: 0,
+            plantedAt: now
+        };
+
+        const plantName = this.plantTypes[chosenType]?.name || chosenType;
+        this.showMessage(`✨ A blessing arrives: ${plantName}!`, 'success');
+        this.logEvent('growth', `A blessing arrived: a free ${plantName}`);
+        // Reset the miss counter after a successful blessing
+        this.softlockMissCounter = 0;
+        this.saveGame();
+        this.updateUI();
+        this.draw();
+    }
+
+    createDefaultShopInventory() {
+        return {
+            carrot: { stock: 7, maxStock: 10, restockAmount: 5 },
+            lettuce: { stock: 8, maxStock: 10, restockAmount: 5 },
+            tomato: { stock: 6, maxStock: 8, restockAmount: 4 },
+            corn: { stock: 4, maxStock: 6, restockAmount: 3 },
+            cucumber: { stock: 6, maxStock: 8, restockAmount: 4 },
+            zucchini: { stock: 5, maxStock: 7, restockAmount: 3 },
+            radish: { stock: 8, maxStock: 10, restockAmount: 5 },
+            spinach: { stock: 7, maxStock: 9, restockAmount: 4 },
+            peas: { stock: 8, maxStock: 10, restockAmount: 5 },
+            onion: { stock: 6, maxStock: 8, restockAmount: 4 },
+            garlic: { stock: 5, maxStock: 7, restockAmount: 3 },
+            potato: { stock: 6, maxStock: 8, restockAmount: 4 },
+            celery: { stock: 6, maxStock: 8, restockAmount: 4 },
+            bell_pepper: { stock: 4, maxStock: 6, restockAmount: 3 },
+            hot_pepper: { stock: 5, maxStock: 7, restockAmount: 3 },
+            avocado: { stock: 4, maxStock: 6, restockAmount: 3 },
+            eggplant: { stock: 4, maxStock: 6, restockAmount: 3 },
+            sweet_potato: { stock: 5, maxStock: 7, restockAmount: 3 },
+            mushroom: { stock: 4, maxStock: 6, restockAmount: 3 },
+            winter_greens: { stock: 4, maxStock: 6, restockAmount: 3 },
+            herbs: { stock: 6, maxStock: 8, restockAmount: 4 },
+            broccoli: { stock: 3, maxStock: 5, restockAmount: 2 },
+            cauliflower: { stock: 2, maxStock: 4, restockAmount: 2 },
+            cabbage: { stock: 5, maxStock: 7, restockAmount: 3 },
+            squash: { stock: 5, maxStock: 7, restockAmount: 3 },
+            pumpkin: { stock: 2, maxStock: 3, restockAmount: 1 },
+            watermelon: { stock: 2, maxStock: 3, restockAmount: 1 },
+            melon: { stock: 3, maxStock: 4, restockAmount: 2 },
+            blueberry: { stock: 3, maxStock: 4, restockAmount: 2 },
+            strawberry: { stock: 6, maxStock: 8, restockAmount: 4 },
+            banana: { stock: 6, maxStock: 8, restockAmount: 4 },
+            apple: { stock: 6, maxStock: 8, restockAmount: 4 },
+            green_apple: { stock: 5, maxStock: 7, restockAmount: 3 },
+            pear: { stock: 5, maxStock: 7, restockAmount: 3 },
+            peach: { stock: 5, maxStock: 7, restockAmount: 3 },
+            cherries: { stock: 6, maxStock: 8, restockAmount: 4 },
+            orange: { stock: 6, maxStock: 8, restockAmount: 4 },
+            lemon: { stock: 6, maxStock: 8, restockAmount: 4 },
+            kiwi: { stock: 2, maxStock: 3, restockAmount: 1 },
+            coconut: { stock: 1, maxStock: 2, restockAmount: 1 },
+            olive: { stock: 2, maxStock: 3, restockAmount: 1 },
+            asparagus: { stock: 3, maxStock: 4, restockAmount: 2 },
+            artichoke: { stock: 2, maxStock: 3, restockAmount: 1 },
+            grapes: { stock: 3, maxStock: 4, restockAmount: 2 },
+            pineapple: { stock: 1, maxStock: 2, restockAmount: 1 },
+            mango: { stock: 2, maxStock: 3, restockAmount: 1 },
+            dragonfruit: { stock: 1, maxStock: 1, restockAmount: 1 },
+            golden_tomato: { stock: 4, maxStock: 6, restockAmount: 3 },
+            moon_melon: { stock: 2, maxStock: 4, restockAmount: 2 },
+            star_fruit: { stock: 1, maxStock: 2, restockAmount: 1 },
+            moonflower: { stock: 3, maxStock: 5, restockAmount: 2 },
+            evening_primrose: { stock: 4, maxStock: 6, restockAmount: 3 }
+        };
+    }
+
+    createDefaultSprinklerInventory() {
+        return {
+            basic: 0,
+            advanced: 0,
+            premium: 0,
+            legendary: 0
+        };
+    }
+
+    createDefaultPrestigeUpgrades() {
+        const upgrades = {};
+        if (Array.isArray(this.prestigeUpgradeCatalog)) {
+            this.prestigeUpgradeCatalog.forEach(upgrade => {
+                upgrades[upgrade.id] = { level: 0 };
+            });
+        }
+        return upgrades;
+    }
+
+    normalizePrestigeUpgrades(rawUpgrades = {}) {
+        const normalized = this.createDefaultPrestigeUpgrades();
+        Object.keys(normalized).forEach(id => {
+            const stored = rawUpgrades?.[id];
+            let level = 0;
+            if (stored && typeof stored === 'object') {
+                level = stored.level;
+            } else if (typeof stored === 'number') {
+                level = stored;
+            }
+
+            if (!Number.isFinite(level)) {
+                level = 0;
+            }
+
+            level = Math.max(0, Math.floor(level));
+            const maxLevel = this.prestigeUpgradeMap?.[id]?.maxLevel ?? 0;
+            if (maxLevel > 0) {
+                level = Math.min(level, maxLevel);
+            }
+            normalized[id].level = level;
+        });
+        return normalized;
+    }
+
+    getRebirthTargetScore() {
+        const baseTarget = 5000;
+        const scalingFactor = 1.75;
+        return Math.floor(baseTarget * Math.pow(scalingFactor, this.rebirths));
+    }
+
+    getRebirthHarvestIncrement() {
+        return 0.25;
+    }
+
+    getRebirthHarvestBonus() {
+        return this.rebirths * this.getRebirthHarvestIncrement();
+    }
+
+    getRebirthStartingResourceMultiplier() {
+        return 1 + (this.rebirths * 0.15);
+    }
+
+    getPrestigeUpgradeLevel(upgradeId) {
+        return this.prestigeUpgrades?.[upgradeId]?.level ?? 0;
+    }
+
+    // Global multiplier to make prestige upgrades cheaper in tokens
+    // Assumption: reduce costs by 30% (multiplier = 0.7). Adjust here if needed.
+    getPrestigeCostMultiplier() {
+        return 0.7;
+    }
+
+    getPrestigeUpgradeCost(upgradeId) {
+        const config = this.prestigeUpgradeMap?.[upgradeId];
+        if (!config) {
+            return Number.POSITIVE_INFINITY;
+        }
+        const level = this.getPrestigeUpgradeLevel(upgradeId);
+        const rawCost = config.baseCost + (config.costGrowth * level);
+        const scaled = rawCost * this.getPrestigeCostMultiplier();
+        return Math.max(1, Math.floor(scaled));
+    }
+
+    getPrestigeSeedDiscount() {
+        const level = this.getPrestigeUpgradeLevel('seedEconomy');
+        if (level <= 0) {
+            return 0;
+        }
+        return Math.min(level * 0.04, 0.4);
+    }
+
+    getPrestigeSeedCostMultiplier() {
+        return Math.max(0.3, 1 - this.getPrestigeSeedDiscount());
+    }
+
+    getDiscountedSeedCost(baseCost) {
+        const cost = Number.isFinite(baseCost) ? baseCost : 0;
+        const multiplier = this.getPrestigeSeedCostMultiplier();
+        return Math.max(1, Math.round(cost * multiplier));
+    }
+
+    getSeedBaseCost(seedData) {
+        if (!seedData || typeof seedData !== 'object') {
+            return 0;
+        }
+        if (Number.isFinite(seedData.cost)) {
+            return seedData.cost;
+        }
+        if (Number.isFinite(seedData.price)) {
+            return seedData.price;
+        }
+        return 0;
+    }
+
+    getPrestigeHarvestBonus() {
+        const level = this.getPrestigeUpgradeLevel('harvestMastery');
+        if (level <= 0) {
+            return 0;
+        }
+        return level * 0.05;
+    }
+
+    getPrestigeStartingResources() {
+        const level = this.getPrestigeUpgradeLevel('starterKit');
+        if (level <= 0) {
+            return { money: 0, water: 0, fertilizer: 0 };
+        }
+        return {
+            money: level * 150,
+            water: level * 40,
+            fertilizer: level * 25
+        };
+    }
+
+    getPrestigeEffectDetails(upgradeId, level) {
+        const resolvedLevel = Math.max(0, level);
+        const formatNumber = (value) => Number(value || 0).toLocaleString();
+
+        switch (upgradeId) {
+            case 'harvestMastery': {
+                const total = Math.round(resolvedLevel * 5);
+                return resolvedLevel > 0 ? `+${total}% harvest value` : 'No harvest bonus yet';
+            }
+            case 'seedEconomy': {
+                const total = Math.round(resolvedLevel * 4);
+                return resolvedLevel > 0 ? `${total}% seed discount` : 'No seed discount yet';
+            }
+            case 'starterKit': {
+                if (resolvedLevel <= 0) {
+                    return 'No starting resource bonus yet';
+                }
+                const money = formatNumber(resolvedLevel * 150);
+                const water = formatNumber(resolvedLevel * 40);
+                const fertilizer = formatNumber(resolvedLevel * 25);
+                return `Start with +$${money}, +${water} water, +${fertilizer} fertilizer`;
+            }
+            default:
+                return '';
+        }
+    }
+
+    calculatePrestigeRefundTotal() {
+        if (!this.prestigeUpgrades || !this.prestigeUpgradeMap) {
+            return 0;
+        }
+
+        let total = 0;
+        Object.keys(this.prestigeUpgrades).forEach(upgradeId => {
+            const config = this.prestigeUpgradeMap[upgradeId];
+            if (!config) {
+                return;
+            }
+            const level = this.getPrestigeUpgradeLevel(upgradeId);
+            if (level <= 0) {
+                return;
+            }
+
+            const n = level;
+            const base = Number(config.baseCost || 0);
+            const growth = Number(config.costGrowth || 0);
+            const refund = (n / 2) * ((2 * base) + ((n - 1) * growth));
+            // Scale refund by the same cost multiplier to match current pricing
+            total += refund * this.getPrestigeCostMultiplier();
+        });
+
+        return Math.max(0, Math.floor(total));
+    }
+
+    canRebirth() {
+        return this.score >= this.getRebirthTargetScore();
+    }
+
+    performRebirth() {
+        const currentTarget = this.getRebirthTargetScore();
+        const runScore = this.score;
+        const runStart = this.stats.sessionStartTime || this.currentRunStartTime || this.now();
+        const now = this.now();
+        const runDuration = now - runStart;
+
+        if (runDuration > (this.stats.longestPlaySession || 0)) {
+            this.stats.longestPlaySession = runDuration;
+        }
+
+        this.bestRebirthScore = Math.max(this.bestRebirthScore || 0, runScore);
+
+        const rewardPoints = Math.max(1, Math.floor(runScore / Math.max(1, currentTarget)));
+    this.rebirthPoints = Math.floor((this.rebirthPoints || 0) + rewardPoints);
+
+        // Close the run's ledger before the counters reset
+        this.takeStatSnapshot();
+        this.runHistory.push(this.summarizeRun(now, runScore));
+        if (this.runHistory.length > this.maxRunHistory) {
+            this.runHistory = this.runHistory.slice(-this.maxRunHistory);
+        }
+        this.runStats = this.createRunStats(now);
+
+        this.rebirths += 1;
+        this.stats.totalRebirths = (this.stats.totalRebirths || 0) + 1;
+        this.achievementsDirty = true;
+
+        this.currentRunStartTime = now;
+        this.stats.sessionStartTime = now;
+        this.rebirthNotificationShown = false;
+
+    this.gardenSize = 8;
+    this.gridSize = this.gardenSize;
+    this.cellSize = Math.floor(600 / this.gridSize);
+    this.expansionCost = 1500;
+        this.garden = this.initializeGarden();
+        this.soil = this.initializeSoil();
+        this.lastSoilCheck = now;
+        this.lastPestCheck = now;
+        this.greenhouse = null;
+        this.machines = [];
+        this.fuel = 0;
+        this.machinesOutOfFuel = false;
+        this.clearHistory();
+        // Blueprints are kept so the new run can be rebuilt with one fill
+
+        this.shopInventory = this.createDefaultShopInventory();
+        this.sprinklerInventory = this.createDefaultSprinklerInventory();
+        this.sprinklers = [];
+        this.lastRestockTime = now;
+        // The almanac is a lifetime collection; only the seeds in the pouch are lost
+        this.hybridSeeds = {};
+        this.lastBreedingCheck = now;
+        this.barn = {};
+        this.marketPrices = {};
+        this.lastMarketTick = now;
+        // Like the almanac, the recipe book is kept; dishes and buffs are not
+        this.pantry = {};
+        this.activeBuffs = {};
+        // Villagers remember the player; only the orders on the board are dropped
+        this.orders = [];
+        this.lastOrderPosted = 0;
+
+    this.toolLevels = { water: 1, fertilizer: 1, shovel: 1, harvest: 1 };
+    this.recomputeAllToolUpgradeCosts();
+        this.harvestBonus = 0;
+
+        this.selectedSeed = null;
+        this.selectedSprinkler = null;
+        this.selectedDecoration = null;
+        this.selectedMachine = null;
+        this.currentTool = 'water';
+        this.toolCooldowns = { water: 0, fertilizer: 0 };
+        this.plantEffects = { watered: {}, fertilized: {} };
+
+        const resourceMultiplier = this.getRebirthStartingResourceMultiplier();
+    const prestigeStartingBonus = this.getPrestigeStartingResources();
+    this.money = Math.floor(100 * resourceMultiplier) + (prestigeStartingBonus.money || 0);
+    this.water = Math.floor(50 * resourceMultiplier) + (prestigeStartingBonus.water || 0);
+    this.fertilizer = Math.floor(20 * resourceMultiplier) + (prestigeStartingBonus.fertilizer || 0);
+        this.score = 0;
+
+        this.currentSeason = 'spring';
+        this.seasonDay = 1;
+        this.seasonMultiplier = 1.0;
+        this.seasonStartTime = null;
+        this.weather = 'sunny';
+        this.lastWeatherChange = now;
+
+        this.challenges = { daily: [], weekly: null, completed: [] };
+        this.lastChallengeUpdate = now;
+        this.generateChallenges();
+
+        this.particles = [];
+        this.animations = [];
+
+    // Recalculate canvas for the reset size
+    this.adjustCanvasForMobile();
+    this.updateUI();
+        this.updateToolDisplay();
+        this.updateSprinklerDisplay();
+        this.updateAchievementsDisplay();
+        this.updateAlmanacDisplay();
+        this.saveGame();
+
+    const totalBonusPercent = Math.round(this.getRebirthHarvestBonus() * 100);
+    const nextBonusPercent = Math.round(this.getRebirthHarvestIncrement() * 100);
+    const tokenText = rewardPoints === 1 ? '1 token' : `${rewardPoints} tokens`;
+    this.logEvent('economy', `Rebirth ${this.rebirths}: earned ${tokenText}, harvest bonus now +${totalBonusPercent}%`);
+    this.showMessage(`Rebirth complete! Permanent harvest bonus is now +${totalBonusPercent}%. You earned ${tokenText}. Next rebirth adds another +${nextBonusPercent}%.`, 'success');
+        this.playSound('achievement');
+    }
+
+    purchasePrestigeUpgrade(upgradeId) {
+        const config = this.prestigeUpgradeMap?.[upgradeId];
+        if (!config) {
+            return;
+        }
+
+        if (!this.prestigeUpgrades[upgradeId]) {
+            this.prestigeUpgrades[upgradeId] = { level: 0 };
+        }
+
+        const currentLevel = this.getPrestigeUpgradeLevel(upgradeId);
+        if (currentLevel >= config.maxLevel) {
+            this.showMessage(`${config.name} is already at maximum level.`, 'info');
+            return;
+        }
+
+        const cost = this.getPrestigeUpgradeCost(upgradeId);
+        const tokens = this.rebirthPoints || 0;
+        if (tokens < cost) {
+            const missing = cost - tokens;
+            this.showMessage(`Need ${missing} more token${missing === 1 ? '' : 's'} for ${config.name}.`, 'error');
+            return;
+        }
+
+        this.rebirthPoints = Math.max(0, Math.floor(tokens - cost));
+    const newLevel = Math.min(currentLevel + 1, config.maxLevel);
+    this.prestigeUpgrades[upgradeId].level = newLevel;
+
+        const effectSummary = this.getPrestigeEffectDetails(upgradeId, newLevel);
+        this.showMessage(`${config.name} upgraded to Lv.${newLevel}! ${effectSummary}.`, 'success');
+        this.playSound('achievement');
+
+        this.updateRebirthUI();
+        this.updateShopDisplay();
+        this.updateBonusesPopup();
+        this.saveGame();
+    }
+
+    initializeFreshGame() {
+        console.log(`Initializing fresh game for slot ${this.saveSlot}`);
+
+        const pendingName = this._initialGardenName ?? this.gardenName;
+        this.setGardenName(pendingName, { shouldSave: false });
+        this._initialGardenName = null;
+
+        // A new garden starts at the beginning of its random sequence
+        this.rngState = this.rngSeed;
+
+    const runStart = this.now();
+    this.rebirths = 0;
+    this.rebirthPoints = 0;
+    this.bestRebirthScore = 0;
+    this.currentRunStartTime = runStart;
+    this.rebirthNotificationShown = false;
+    this.prestigeUpgrades = this.createDefaultPrestigeUpgrades();
+        
+        // Initialize fresh garden
+        this.garden = this.initializeGarden();
+        this.soil = this.initializeSoil();
+        this.lastSoilCheck = runStart;
+        this.lastPestCheck = runStart;
+        this.greenhouse = null;
+        this.machines = [];
+        this.fuel = 0;
+        this.machinesOutOfFuel = false;
+        this.blueprints = [];
+        this.activeBlueprint = null;
+        this.autoReplant = false;
+        this.clearHistory();
+        
+        // Initialize fresh inventories with correct structure
+        this.shopInventory = this.createDefaultShopInventory();
+        this.sprinklerInventory = this.createDefaultSprinklerInventory();
+        this.hybridSeeds = {};
+        this.almanac = {};
+        this.lastBreedingCheck = runStart;
+        this.runStats = this.createRunStats(runStart);
+        this.statSnapshots = [];
+        this.lastStatSnapshot = 0;
+        this.runHistory = [];
+        this.eventLog = [];
+        this.barn = {};
+        this.marketPrices = {};
+        this.lastMarketTick = runStart;
+        this.recipeBook = {};
+        this.pantry = {};
+        this.activeBuffs = {};
+        this.orders = [];
+        this.reputation = 0;
+        this.lastOrderPosted = 0;
+        
+        // Reset other game state
+        this.money = 100;
+        this.water = 50;
+        this.fertilizer = 20;
+    const prestigeStartingBonus = this.getPrestigeStartingResources();
+    this.money += prestigeStartingBonus.money || 0;
+    this.water += prestigeStartingBonus.water || 0;
+    this.fertilizer += prestigeStartingBonus.fertilizer || 0;
+        this.score = 0;
+        this.sprinklers = [];
+    this.lastRestockTime = runStart;
+    this.weather = 'sunny';
+    this.lastWeatherChange = runStart;
+        
+        // Reset tool levels and upgrade costs
+        this.toolLevels = {
+            water: 1,
+            fertilizer: 1,
+            shovel: 1,
+            harvest: 1
+        };
+        // Use unified pricing model for next-level costs
+        this.recomputeAllToolUpgradeCosts();
+        
+        // Harvest bonus from upgraded harvest tool
+        this.harvestBonus = 0;
+        this.toolCooldowns = { water: 0, fertilizer: 0 };
+        this.plantEffects = { watered: {}, fertilized: {} };
+    this.selectedSeed = null;
+    this.selectedSprinkler = null;
+    this.selectedDecoration = null;
+    this.currentTool = 'water';
+        
+
+        
+        // Initialize new features
+        this.currentSeason = 'spring';
+        this.seasonDay = 1;
+        this.seasonMultiplier = 1.0;
+        this.seasonStartTime = null; // Will be set on first updateSeason() call
+        this.seasonMode = 'cycle';
+        this.hemisphere = 'north';
+    this.gardenSize = 8;
+    this.expansionCost = 1500;
+        
+        // Initialize statistics
+        this.stats = {
+            totalPlantsHarvested: 0,
+            totalMoneyEarned: 0,
+            totalWaterUsed: 0,
+            totalFertilizerUsed: 0,
+            plantsByType: {},
+            bestHarvest: 0,
+            longestPlaySession: 0,
+            totalRebirths: 0,
+            sessionStartTime: runStart,
+            adminPanelUsed: false,
+            adminPanelUsageCount: 0
+        };
+        
+        // Initialize challenges
+        this.challenges = {
+            daily: [],
+            weekly: null,
+            completed: []
+        };
+    this.lastChallengeUpdate = runStart;
+        
+        // Initialize visual feedback
+        this.particles = [];
+        this.animations = [];
+        
+        // Reset achievements; every tier starts locked
+        this.achievements = this.createDefaultAchievements();
+        this.activeBadge = null;
+        this.achievementsDirty = true;
+        
+        this.achievementStats = {
+            totalHarvests: 0,
+            totalMoney: 0,
+            plantsPlanted: 0,
+            plantsWatered: 0,
+            plantsFertilized: 0,
+            rareHarvests: 0,
+            legendaryHarvests: 0,
+            differentPlantsPlanted: new Set(),
+            speedGrows: 0
+        };
+        
+        // Save the fresh game immediately
+        this.saveGame();
+        console.log(`Fresh game initialized and saved for slot ${this.saveSlot}`);
+        
+        // Generate challenges for the new game
+        this.generateChallenges();
+    }
+
+    // Tool Upgrade System
+    getToolUpgradeCostForNext(toolType) {
+        const level = (this.toolLevels && this.toolLevels[toolType]) || 1;
+        const cfg = (this.toolUpgradeConfig && this.toolUpgradeConfig[toolType]) || { base: 100, growth: 2 };
+        const cost = Math.floor(cfg.base * Math.pow(cfg.growth, Math.max(0, level - 1)));
+        return Math.max(1, cost);
+    }
+
+    recomputeToolUpgradeCost(toolType) {
+        if (!this.toolUpgradeCosts) this.toolUpgradeCosts = {};
+        this.toolUpgradeCosts[toolType] = this.getToolUpgradeCostForNext(toolType);
+    }
+
+    recomputeAllToolUpgradeCosts() {
+        const tools = ['water', 'fertilizer', 'harvest', 'shovel'];
+        tools.forEach(t => this.recomputeToolUpgradeCost(t));
+        return this.toolUpgradeCosts;
+    }
+
+    upgradeTool(toolType) {
+        const currentLevel = this.toolLevels[toolType];
+        
+        if (currentLevel >= 5) {
+            this.showMessage(`${toolType} tool is already at maximum level!`, 'error');
+            return;
+        }
+        
+        const upgradeCost = this.getToolUpgradeCostForNext(toolType);
+        
+        // Check if player has enough money
+        if (this.money < upgradeCost) {
+            this.showMessage(`Not enough money! Need $${upgradeCost}`, 'error');
+            return;
+        }
+        
+        // Deduct money and upgrade tool
+        this.money -= upgradeCost;
+        this.toolLevels[toolType]++;
+
+        // Compute cost for the next level from the unified model
+        this.recomputeToolUpgradeCost(toolType);
+        
+        // Add resource bonuses for water and fertilizer tools
+        if (toolType === 'water') {
+            this.water += 10;
+        } else if (toolType === 'fertilizer') {
+            this.fertilizer += 5;
+        } else if (toolType === 'harvest') {
+            // Increase harvest bonus by 10% per level
+            this.harvestBonus += 0.1;
+        }
+
+        const newLevel = this.toolLevels[toolType];
+        let upgradeMessage = `${toolType} tool upgraded to level ${newLevel}!`;
+        if (toolType === 'shovel') {
+            const refundPercent = Math.round(this.getShovelRefundRate() * 100);
+            upgradeMessage += ` Salvage refunds now ${refundPercent}%.`;
+        }
+
+        this.showMessage(upgradeMessage, 'success');
+        this.playSound('achievement');
+        
+        // Add upgrade particle effect (show in center of the garden)
+        const x = (this.gridSize * this.cellSize) / 2;
+        const y = (this.gridSize * this.cellSize) / 2;
+        this.addParticle(x, y, 'upgrade', toolType);
+        
+        this.updateToolDisplay();
+        this.updateUI();
+        this.updateBonusesPopup();
+        this.saveGame();
+    }
+
+    getShovelRefundRate() {
+        const shovelLevel = (this.toolLevels && this.toolLevels.shovel) || 1;
+        const ratePerLevel = 0.1;
+        const calculatedRate = shovelLevel * ratePerLevel;
+        return Math.min(calculatedRate, 0.5);
+    }
+
+    calculateShovelRefund(cost) {
+        if (!cost) {
+            return 0;
+        }
+        const refundRate = this.getShovelRefundRate();
+        if (refundRate <= 0) {
+            return 0;
+        }
+        return Math.max(1, Math.round(cost * refundRate));
+    }
+
+    grantShovelRefund(cost, row, col) {
+        const refundAmount = this.calculateShovelRefund(cost);
+        if (refundAmount <= 0) {
+            return 0;
+        }
+        this.money += refundAmount;
+        const x = (col * this.cellSize) + (this.cellSize / 2);
+        const y = (row * this.cellSize) + (this.cellSize / 2);
+        this.addParticle(x, y, 'money', refundAmount);
+        this.playSound('money');
+        return refundAmount;
+    }
+
+    // Sprinkler System
+    buySprinkler(sprinklerType) {
+        const sprinklerData = this.sprinklerTypes[sprinklerType];
+        
+        console.log(`[${new Date().toLocaleTimeString()}] Attempting to buy ${sprinklerType} sprinkler. Current money: $${this.money}, Cost: $${sprinklerData.price}`);
+        console.log(`[${new Date().toLocaleTimeString()}] Current sprinkler inventory:`, this.sprinklerInventory);
+        
+        // Validate sprinkler type exists
+        if (!sprinklerData) {
+            console.error(`Invalid sprinkler type: ${sprinklerType}`);
+            this.showMessage('Invalid sprinkler type!', 'error');
+            return;
+        }
+        
+        // Validate money is sufficient
+        if (this.money < sprinklerData.price) {
+            console.log(`[${new Date().toLocaleTimeString()}] Not enough money to buy ${sprinklerType} sprinkler. Have: $${this.money}, Need: $${sprinklerData.price}`);
+            this.showMessage('Not enough money!', 'error');
+            return;
+        }
+        
+        // Validate money is not negative
+        if (this.money < 0) {
+            console.error(`[${new Date().toLocaleTimeString()}] Money is negative: $${this.money}, setting to 0`);
+            this.money = 0;
+            this.showMessage('Money error detected and fixed!', 'error');
+            return;
+        }
+        
+        // Store the old values for comparison
+        const oldMoney = this.money;
+        const oldInventory = { ...this.sprinklerInventory };
+        
+        // Perform the purchase
+        this.money -= sprinklerData.price;
+        this.sprinklerInventory[sprinklerType]++;
+        
+        console.log(`[${new Date().toLocaleTimeString()}] Successfully bought ${sprinklerType} sprinkler. Money: $${oldMoney} -> $${this.money}, Inventory: ${oldInventory[sprinklerType]} -> ${this.sprinklerInventory[sprinklerType]}`);
+        
+        // Update UI immediately
+        this.showMessage(`Bought ${sprinklerType} sprinkler!`, 'success');
+        this.playSound('money');
+        this.updateSprinklerDisplay();
+        this.updateUI();
+        
+        // Force immediate save with protection
+        this.saveGameWithProtection();
+        
+        // Verify the save was successful
+        this.verifySavedState(`${sprinklerType} purchase`, (saved) =>
+            saved.money === this.money &&
+            saved.sprinklerInventory[sprinklerType] === this.sprinklerInventory[sprinklerType]
+        );
+    }
+
+    buyWater() {
+        const waterCost = this.getWaterPurchasePrice();
+        if (this.money >= waterCost) {
+            this.money -= waterCost;
+            this.water += 1;
+            this.updateStats('waterSpent', waterCost);
+            this.updateUI();
+            this.showMessage(`💧 Water purchased for $${waterCost}! You can now water your plants.`, 'success');
+            this.playSound('success');
+            this.saveGame();
+        } else {
+            this.showMessage(`Not enough money to buy water! Cost: $${waterCost}`, 'error');
+            this.playSound('error');
+        }
+    }
+
+    buyFertilizer() {
+        const fertilizerCost = this.getFertilizerPurchasePrice();
+        if (this.money >= fertilizerCost) {
+            this.money -= fertilizerCost;
+            this.fertilizer += 1;
+            this.updateStats('fertilizerSpent', fertilizerCost);
+            this.updateUI();
+            this.showMessage(`🌱 Fertilizer purchased for $${fertilizerCost}! You can now fertilize your plants.`, 'success');
+            this.playSound('success');
+            this.saveGame();
+        } else {
+            this.showMessage(`Not enough money to buy fertilizer! Cost: $${fertilizerCost}`, 'error');
+            this.playSound('error');
+        }
+    }
+
+    placeSprinkler(row, col) {
+        console.log(`[${new Date().toLocaleTimeString()}] Attempting to place sprinkler at (${row}, ${col})`);
+        console.log(`[${new Date().toLocaleTimeString()}] Selected sprinkler: ${this.selectedSprinkler}`);
+        console.log(`[${new Date().toLocaleTimeString()}] Current sprinkler inventory:`, this.sprinklerInventory);
+        
+        // Validate selected sprinkler
+        if (!this.selectedSprinkler) {
+            console.error(`[${new Date().toLocaleTimeString()}] No sprinkler selected`);
+            this.showMessage('No sprinkler selected!', 'error');
+            return;
+        }
+        
+        // Validate sprinkler type exists
+        if (!this.sprinklerTypes[this.selectedSprinkler]) {
+            console.error(`[${new Date().toLocaleTimeString()}] Invalid sprinkler type: ${this.selectedSprinkler}`);
+            this.showMessage('Invalid sprinkler type!', 'error');
+            return;
+        }
+        
+        // Validate inventory
+        if (!this.sprinklerInventory[this.selectedSprinkler] || this.sprinklerInventory[this.selectedSprinkler] <= 0) {
+            console.error(`[${new Date().toLocaleTimeString()}] No ${this.selectedSprinkler} sprinklers available. Inventory: ${this.sprinklerInventory[this.selectedSprinkler]}`);
+            this.showMessage('No sprinklers available!', 'error');
+            return;
+        }
+        
+        // Validate coordinates
+        if (row < 0 || row >= this.gridSize || col < 0 || col >= this.gridSize) {
+            console.error(`[${new Date().toLocaleTimeString()}] Invalid coordinates: (${row}, ${col})`);
+            this.showMessage('Invalid placement location!', 'error');
+            return;
+        }
+        
+        // Check if there's already a plant at this location
+        const cell = this.garden[row][col];
+        if (cell.plant) {
+            console.log(`[${new Date().toLocaleTimeString()}] Cannot place sprinkler on plant at (${row}, ${col})`);
+            this.showMessage('Cannot place sprinkler on a plant!', 'error');
+            return;
+        }
+        
+        // Check if there's already a sprinkler at this location
+        const existingSprinkler = this.sprinklers.find(s => s.row === row && s.col === col);
+        if (existingSprinkler) {
+            console.log(`[${new Date().toLocaleTimeString()}] Cannot place sprinkler on existing sprinkler at (${row}, ${col})`);
+            this.showMessage('Cannot place sprinkler on another sprinkler!', 'error');
+            return;
+        }
+        
+        if (this.hasMachine(row, col)) {
+            this.showMessage('Cannot place sprinkler on a machine!', 'error');
+            return;
+        }
+        
+        // Store old values for comparison
+        const oldInventory = this.sprinklerInventory[this.selectedSprinkler];
+        const oldSprinklerCount = this.sprinklers.length;
+        
+        console.log(`[${new Date().toLocaleTimeString()}] Placing ${this.selectedSprinkler} sprinkler at (${row}, ${col}). Inventory before: ${oldInventory}`);
+        
+        // Place the sprinkler
+        const sprinklerData = this.sprinklerTypes[this.selectedSprinkler];
+        const now = this.now();
+        const newSprinkler = {
+            type: this.selectedSprinkler,
+            row: row,
+            col: col,
+            placedAt: now,
+            expiresAt: now + sprinklerData.duration
+        };
+        
+        this.sprinklers.push(newSprinkler);
+        this.sprinklerInventory[this.selectedSprinkler]--;
+        
+        console.log(`[${new Date().toLocaleTimeString()}] Successfully placed sprinkler. Inventory after: ${this.sprinklerInventory[this.selectedSprinkler]}, Total sprinklers: ${this.sprinklers.length}`);
+        
+        // Update UI
+        this.showMessage(`${this.selectedSprinkler} sprinkler placed!`, 'success');
+        this.playSound('plant');
+        
+        // Add sprinkler particle effect
+        const x = (col * this.cellSize) + (this.cellSize / 2);
+        const y = (row * this.cellSize) + (this.cellSize / 2);
+        this.addParticle(x, y, 'sprinkler', '');
+    // Gentle soft burst
+    this.spawnGentleBurst(x, y, 'sprinkler', 12);
+        
+        this.updateSprinklerDisplay();
+        
+        // Force immediate save with protection
+        this.saveGameWithProtection();
+        
+        // Verify the save was successful
+        const placedType = this.selectedSprinkler;
+        this.verifySavedState('sprinkler placement', (saved) =>
+            saved.sprinklerInventory[placedType] === this.sprinklerInventory[placedType] &&
+            saved.sprinklers.length === this.sprinklers.length
+        );
+    }
+
+    removeSprinkler(row, col) {
+        const sprinklerIndex = this.sprinklers.findIndex(s => s.row === row && s.col === col);
+        if (sprinklerIndex !== -1) {
+            const sprinkler = this.sprinklers[sprinklerIndex];
+            this.sprinklerInventory[sprinkler.type]++;
+            this.sprinklers.splice(sprinklerIndex, 1);
+            this.showMessage(`${sprinkler.type} sprinkler removed!`, 'info');
+            // Gentle soft burst for remove
+            const x = (col * this.cellSize) + (this.cellSize / 2);
+            const y = (row * this.cellSize) + (this.cellSize / 2);
+            this.spawnGentleBurst(x, y, 'remove', 10);
+            this.updateSprinklerDisplay();
+            this.saveGame();
+        }
+    }
+
+    placeDecoration(row, col) {
+        console.log(`Attempting to place decoration at (${row}, ${col})`);
+        console.log(`Selected decoration: ${this.selectedDecoration}`);
+        
+        // Validate selected decoration
+        if (!this.selectedDecoration) {
+            console.error('No decoration selected');
+            this.showMessage('No decoration selected!', 'error');
+            return;
+        }
+        
+        // Validate decoration type exists
+        if (!this.decorations[this.selectedDecoration]) {
+            console.error(`Invalid decoration type: ${this.selectedDecoration}`);
+            this.showMessage('Invalid decoration type!', 'error');
+            return;
+        }
+        
+        // Validate coordinates
+        if (row < 0 || row >= this.gridSize || col < 0 || col >= this.gridSize) {
+            console.error(`Invalid coordinates: (${row}, ${col})`);
+            this.showMessage('Invalid placement location!', 'error');
+            return;
+        }
+        
+        // Check if there's already something at this location
+        const cell = this.garden[row][col];
+        if (cell.plant || cell.sprinkler || cell.decoration || this.hasMachine(row, col)) {
+            console.log(`Cannot place decoration at (${row}, ${col}) - space occupied`);
+            this.showMessage('Cannot place decoration here - space occupied!', 'error');
+            return;
+        }
+        
+        // Check if player has enough money
+        const decorationData = this.decorations[this.selectedDecoration];
+        if (this.money < decorationData.cost) {
+            console.log(`Not enough money for ${this.selectedDecoration}. Need: ${decorationData.cost}, Have: ${this.money}`);
+            this.showMessage(`Not enough money! Need $${decorationData.cost}`, 'error');
+            return;
+        }
+        
+        // Check seasonal restrictions
+        if (!this.isDecorationInSeason(this.selectedDecoration)) {
+            console.log(`Cannot place ${this.selectedDecoration} in ${this.currentSeason} season`);
+            this.showMessage(`This decoration is ${this.describeDecorationSeason(this.selectedDecoration)}!`, 'error');
+            return;
+        }
+        
+        console.log(`Placing ${this.selectedDecoration} at (${row}, ${col})`);
+        
+        // Place the decoration
+        this.garden[row][col].decoration = {
+            type: this.selectedDecoration,
+            placedAt: this.now(),
+            active: true
+        };
+        
+        // Deduct money
+        this.money -= decorationData.cost;
+        
+        // Apply decoration bonuses to nearby plants
+        this.applyDecorationBonuses(row, col);
+        
+        // Update UI
+        this.showMessage(`${decorationData.name} placed!`, 'success');
+        this.playSound('plant');
+        
+        // Add decoration particle effect
+        const x = (col * this.cellSize) + (this.cellSize / 2);
+        const y = (row * this.cellSize) + (this.cellSize / 2);
+        this.addParticle(x, y, 'decoration', decorationData.icon);
+    // Gentle soft burst
+    this.spawnGentleBurst(x, y, 'decoration', 12);
+        
+        this.updateUI();
+        this.updateActiveBonusesDisplay();
+        this.updateBonusesPopup();
+        this.saveGame();
+    }
+
+    removeDecoration(row, col) {
+        const cell = this.garden[row][col];
+        if (cell.decoration) {
+            const placedDecoration = cell.decoration;
+            const decorationData = this.decorations[placedDecoration.type];
+
+            // Remove decoration bonuses before clearing cell state
+            this.removeDecorationBonuses(row, col, placedDecoration);
+
+            const refundAmount = this.grantShovelRefund(decorationData.cost, row, col);
+            const refundRatePercent = Math.round(this.getShovelRefundRate() * 100);
+            const refundText = refundAmount > 0 ? ` Returned ${refundRatePercent}% ($${refundAmount}).` : '';
+
+            this.garden[row][col].decoration = null;
+
+            this.showMessage(`${decorationData.name} removed!${refundText}`, refundAmount > 0 ? 'success' : 'info');
+            // Gentle soft burst for remove
+            const x = (col * this.cellSize) + (this.cellSize / 2);
+            const y = (row * this.cellSize) + (this.cellSize / 2);
+            this.spawnGentleBurst(x, y, 'remove', 10);
+            this.updateActiveBonusesDisplay();
+            this.updateBonusesPopup();
+            this.updateUI();
+            this.saveGame();
+        }
+    }
+
+    applyDecorationBonuses(row, col) {
+        const decoration = this.garden[row][col].decoration;
+        if (!decoration) return;
+        
+        const decorationData = this.decorations[decoration.type];
+        if (!decorationData || decorationData.bonus === 'none') return;
+        
+        const range = decorationData.range ?? 1;
+
+        if (decorationData.scope === 'global') {
+            for (let y = 0; y < this.gridSize; y++) {
+                for (let x = 0; x < this.gridSize; x++) {
+                    if (this.garden[y][x].plant) {
+                        this.applyDecorationBonusToPlant(y, x, decorationData);
+                    }
+                }
+            }
+            return;
+        }
+
+        // Apply to local area around the decoration
+        for (let y = Math.max(0, row - range); y <= Math.min(this.gridSize - 1, row + range); y++) {
+            for (let x = Math.max(0, col - range); x <= Math.min(this.gridSize - 1, col + range); x++) {
+                if (this.garden[y][x].plant) {
+                    this.applyDecorationBonusToPlant(y, x, decorationData);
+                }
+            }
+        }
+    }
+
+    removeDecorationBonuses(row, col, decorationOverride = null) {
+        const decoration = decorationOverride || this.garden[row][col].decoration;
+        if (!decoration) return;
+        
+        const decorationData = this.decorations[decoration.type];
+        if (!decorationData || decorationData.bonus === 'none') return;
+        
+        const range = decorationData.range ?? 1;
+
+        if (decorationData.scope === 'global') {
+            for (let y = 0; y < this.gridSize; y++) {
+                for (let x = 0; x < this.gridSize; x++) {
+                    if (this.garden[y][x].plant) {
+                        this.removeDecorationBonusFromPlant(y, x, decorationData);
+                    }
+                }
+            }
+            return;
+        }
+
+        for (let y = Math.max(0, row - range); y <= Math.min(this.gridSize - 1, row + range); y++) {
+            for (let x = Math.max(0, col - range); x <= Math.min(this.gridSize - 1, col + range); x++) {
+                if (this.garden[y][x].plant) {
+                    this.removeDecorationBonusFromPlant(y, x, decorationData);
+                }
+            }
+        }
+    }
+
+    // A decoration's nightBonus is kept apart from its bonus in plant.bonuses.night and only counts after dark
+    applyDecorationBonusToPlant(row, col, decorationData) {
+        this.applyPlantBonus(row, col, decorationData.bonus);
+        if (decorationData.nightBonus) {
+            this.applyPlantBonus(row, col, decorationData.nightBonus, true);
+        }
+    }
+
+    removeDecorationBonusFromPlant(row, col, decorationData) {
+        this.removePlantBonus(row, col, decorationData.bonus);
+        if (decorationData.nightBonus) {
+            this.removePlantBonus(row, col, decorationData.nightBonus, true);
+        }
+    }
+
+    // kind is 'growth', 'harvestValue', 'waterEfficiency' or 'protection'
+    getPlantBonus(plant, kind) {
+        const bonus = plant?.bonuses?.[kind] || 0;
+        return this.isNight() ? bonus + (plant?.bonuses?.night?.[kind] || 0) : bonus;
+    }
+
+    applyPlantBonus(row, col, bonus, night = false) {
+        const plant = this.garden[row][col].plant;
+        if (!plant) return;
+        
+        // Initialize plant bonuses if they don't exist
+        if (!plant.bonuses) {
+            plant.bonuses = {};
+        }
+        if (night && !plant.bonuses.night) {
+            plant.bonuses.night = {};
+        }
+        const bonuses = night ? plant.bonuses.night : plant.bonuses;
+        
+        // Apply the specific bonus
+        if (bonus.includes('plant protection')) {
+            const protectionAmount = parseInt(bonus.match(/(\d+)%/)[1]);
+            bonuses.protection = (bonuses.protection || 0) + protectionAmount;
+            console.log(`Applied ${protectionAmount}% plant protection${night ? ' (night)' : ''} to plant at (${row}, ${col})`);
+        } else if (bonus.includes('growth')) {
+            const growthAmount = parseInt(bonus.match(/(\d+)%/)[1]);
+            bonuses.growth = (bonuses.growth || 0) + growthAmount;
+            console.log(`Applied ${growthAmount}% growth bonus${night ? ' (night)' : ''} to plant at (${row}, ${col})`);
+        } else if (bonus.includes('harvest value')) {
+            const harvestAmount = parseInt(bonus.match(/(\d+)%/)[1]);
+            bonuses.harvestValue = (bonuses.harvestValue || 0) + harvestAmount;
+            console.log(`Applied ${harvestAmount}% harvest value bonus${night ? ' (night)' : ''} to plant at (${row}, ${col})`);
+        } else if (bonus.includes('water efficiency')) {
+            const waterAmount = parseInt(bonus.match(/(\d+)%/)[1]);
+            bonuses.waterEfficiency = (bonuses.waterEfficiency || 0) + waterAmount;
+            console.log(`Applied ${waterAmount}% water efficiency bonus${night ? ' (night)' : ''} to plant at (${row}, ${col})`);
+        }
+    }
+
+    removePlantBonus(row, col, bonus, night = false) {
+        const plant = this.garden[row][col].plant;
+        if (!plant || !plant.bonuses) return;
+        const bonuses = night ? plant.bonuses.night : plant.bonuses;
+        if (!bonuses) return;
+        
+        // Remove the specific bonus
+        if (bonus.includes('plant protection')) {
+            const protectionAmount = parseInt(bonus.match(/(\d+)%/)[1]);
+            bonuses.protection = Math.max(0, (bonuses.protection || 0) - protectionAmount);
+            console.log(`Removed ${protectionAmount}% plant protection${night ? ' (night)' : ''} from plant at (${row}, ${col})`);
+        } else if (bonus.includes('growth')) {
+            const growthAmount = parseInt(bonus.match(/(\d+)%/)[1]);
+            bonuses.growth = Math.max(0, (bonuses.growth || 0) - growthAmount);
+            console.log(`Removed ${growthAmount}% growth bonus${night ? ' (night)' : ''} from plant at (${row}, ${col})`);
+        } else if (bonus.includes('harvest value')) {
+            const harvestAmount = parseInt(bonus.match(/(\d+)%/)[1]);
+            bonuses.harvestValue = Math.max(0, (bonuses.harvestValue || 0) - harvestAmount);
+            console.log(`Removed ${harvestAmount}% harvest value bonus${night ? ' (night)' : ''} from plant at (${row}, ${col})`);
+        } else if (bonus.includes('water efficiency')) {
+            const waterAmount = parseInt(bonus.match(/(\d+)%/)[1]);
+            bonuses.waterEfficiency = Math.max(0, (bonuses.waterEfficiency || 0) - waterAmount);
+            console.log(`Removed ${waterAmount}% water efficiency bonus${night ? ' (night)' : ''} from plant at (${row}, ${col})`);
+        }
+    }
+
+    // Storm damage system
+    checkStormDamage() {
+        if (this.weather !== 'stormy') return;
+        
+        // Only check for storm damage every 30 seconds during stormy weather
+        const now = this.now();
+        if (!this.lastStormDamageCheck) {
+            this.lastStormDamageCheck = now;
+        }
+        
+        if (now - this.lastStormDamageCheck < 30000) return; // 30 seconds
+        this.lastStormDamageCheck = now;
+        
+        console.log(`Storm damage check triggered at ${new Date().toLocaleTimeString()}`);
+        
+        let damagedPlants = 0;
+        let protectedPlants = 0;
+        
+        // Check all plants in the garden
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                const cell = this.garden[row][col];
+                // The greenhouse keeps storms off its plants entirely
+                if (cell.plant && !this.isGreenhouseTile(row, col)) {
+                    const protection = this.getPlantBonus(cell.plant, 'protection');
+                    
+                    // 15% chance of storm damage per plant (reduced by protection)
+                    const damageChance = Math.max(0, 15 - protection);
+                    const random = this.random() * 100;
+                    
+                    if (random < damageChance) {
+                        // Plant gets damaged
+                        console.log(`Storm damage check: Plant at (${row}, ${col}) hit! Random: ${random.toFixed(1)}, Damage chance: ${damageChance}%`);
+                        this.damagePlant(row, col);
+                        damagedPlants++;
+                    } else if (protection > 0 && random >= 15) {
+                        // Only count as protected if they would have been damaged without protection
+                        // (random >= 15 means they would have been damaged without protection)
+                        protectedPlants++;
+                    }
+                }
+            }
+        }
+        
+        // Show feedback to player
+        if (damagedPlants > 0 || protectedPlants > 0) {
+            let message = '';
+            if (damagedPlants > 0) {
+                message += `⛈️ Storm damaged ${damagedPlants} unprotected plants!`;
+                this.addParticle('damage', (this.gridSize * this.cellSize) / 2, (this.gridSize * this.cellSize) / 2);
+            }
+            if (protectedPlants > 0) {
+                if (message) message += ' ';
+                message += `🛡️ ${protectedPlants} plants were protected by fences!`;
+            }
+            this.showMessage(message, damagedPlants > 0 ? 'warning' : 'info');
+            this.logEvent('weather', message);
+        }
+    }
+
+    damagePlant(row, col) {
+        const plant = this.garden[row][col].plant;
+        if (!plant) return;
+        
+        // Reduce plant growth stage by 1 (but not below seed stage)
+        const currentStage = plant.growthStage || 0;
+        if (currentStage > 0) {
+            plant.growthStage = currentStage - 1;
+            plant.recentlyDamaged = true; // Mark as recently damaged
+            
+            // Update isFullyGrown status
+            const maxStage = this.growthStages.length - 1;
+            plant.isFullyGrown = (plant.growthStage >= maxStage);
+            
+            console.log(`Plant at (${row}, ${col}) was damaged by storm, regressed to stage ${plant.growthStage}, isFullyGrown: ${plant.isFullyGrown}`);
+            
+            // Add visual feedback
+            this.addParticle('damage', 
+                col * this.cellSize + this.cellSize / 2, 
+                row * this.cellSize + this.cellSize / 2
+            );
+            
+            // Force a redraw to show the stage change immediately
+            this.draw();
+        }
+    }
+
+    // ===== ACTIVE BONUSES =====
+    computeGlobalBonusesSummary() {
+        const totals = { growth: 0, harvest: 0, water: 0, protection: 0 };
+        const items = {};
+        for (let r = 0; r < this.gridSize; r++) {
+            for (let c = 0; c < this.gridSize; c++) {
+                const deco = this.garden?.[r]?.[c]?.decoration;
+                if (!deco) continue;
+                const data = this.decorations?.[deco.type];
+                if (!data || data.bonus === 'none') continue;
+                if (data.scope !== 'global') continue;
+
+                // Track items count by type
+                if (!items[deco.type]) {
+                    items[deco.type] = { name: data.name || deco.type, icon: data.icon || '🌸', count: 0, bonus: data.bonus };
+                }
+                items[deco.type].count += 1;
+
+                // Parse percent from bonus string
+                const match = String(data.bonus).match(/(\d+)%/);
+                const pct = match ? parseInt(match[1], 10) : 0;
+                if (/harvest value/i.test(data.bonus)) totals.harvest += pct;
+                else if (/water efficiency/i.test(data.bonus)) totals.water += pct;
+                else if (/protection/i.test(data.bonus)) totals.protection += pct;
+                else if (/growth/i.test(data.bonus)) totals.growth += pct;
+            }
+        }
+        return { totals, items };
+    }
+
+    // Weather System
+    updateWeather() {
+        const oldWeather = this.weather;
+        this.updateWeatherSilent();
+        
+        // Show weather change message if weather actually changed
+        if (oldWeather !== this.weather) {
+            const weatherName = this.weatherEffects[this.weather].name;
+            this.showMessage(`🌤️ Weather changed to ${weatherName}!`, 'info');
+            
+            // Special warning for stormy weather
+            if (this.weather === 'stormy') {
+                this.showMessage(`⛈️ Stormy weather can damage unprotected plants!`, 'warning');
+            }
+            if (this.weather === 'rainy') {
+                this.showMessage(`🍄 Wet weather raises the risk of root rot!`, 'warning');
+            }
+        }
+    }
+
+    updateWeatherSilent() {
+        const now = this.now();
+        if (now - this.lastWeatherChange >= this.weatherChangeInterval) {
+            const weatherTypes = Object.keys(this.weatherEffects);
+            const currentIndex = weatherTypes.indexOf(this.weather);
+            const nextIndex = (currentIndex + 1) % weatherTypes.length;
+            this.weather = weatherTypes[nextIndex];
+            this.lastWeatherChange = now;
+            this.logEvent('weather', `Weather changed to ${this.weatherEffects[this.weather].name}`);
+            
+            // Don't show weather change message in silent mode
+            // this.showMessage(`Weather changed to ${this.weatherEffects[this.weather].name}!`, 'info');
+            // this.updateUI();
+        }
+    }
+
+    // ===== ACHIEVEMENTS =====
+    createDefaultAchievements() {
+        const achievements = {};
+        Object.keys(this.achievementTypes).forEach(id => {
+            achievements[id] = { tier: 0, unlocked: false };
+        });
+        return achievements;
+    }
+
+    // Keeps catalog achievements only (saves from before tiers are converted by the v4 migration)
+    normalizeAchievements(saved) {
+        const achievements = this.createDefaultAchievements();
+        if (!saved || typeof saved !== 'object') return achievements;
+        Object.entries(achievements).forEach(([id, state]) => {
+            const entry = saved[id];
+            if (!entry || typeof entry !== 'object') return;
+            const maxTier = this.achievementTypes[id].tiers.length;
+            const tier = Number.isInteger(entry.tier) ? entry.tier : 0;
+            state.tier = Math.max(0, Math.min(maxTier, tier));
+            state.unlocked = state.tier > 0;
+        });
+        return achievements;
+    }
+
+    addAchievementStat(key, amount = 1) {
+        this.achievementStats[key] = (Number(this.achievementStats[key]) || 0) + amount;
+        this.achievementsDirty = true;
+    }
+
+    getAchievementMetric(metric) {
+        const stats = this.achievementStats || {};
+        if (metric === 'differentPlantsPlanted') return stats.differentPlantsPlanted ? stats.differentPlantsPlanted.size : 0;
+        if (metric === 'hybridsDiscovered') return Object.keys(this.almanac || {}).length;
+        if (metric === 'rebirths') return this.rebirths || 0;
+        return Number(stats[metric]) || 0;
+    }
+
+    getAchievementTierName(tier) {
+        return ['Bronze', 'Silver', 'Gold'][tier - 1] || '';
+    }
+
+    // Goal text for a tier, e.g. "Harvest 100 crops"
+    describeAchievementGoal(id, tierIndex) {
+        const type = this.achievementTypes[id];
+        const tier = type.tiers[Math.min(tierIndex, type.tiers.length - 1)];
+        return type.goal.replace('{n}', tier.threshold.toLocaleString());
+    }
+
+    describeAchievementReward(reward) {
+        const parts = [];
+        if (reward.money) parts.push(`$${reward.money.toLocaleString()}`);
+        if (reward.badge) parts.push(`${reward.badge} badge`);
+        return parts.join(' + ');
+    }
+
+    // Where an achievement stands: reached tier, the next goal and how far along it the player is
+    getAchievementProgress(id) {
+        const type = this.achievementTypes[id];
+        const state = this.achievements?.[id] || { tier: 0 };
+        const value = this.getAchievementMetric(type.metric);
+        const next = type.tiers[state.tier] || null;
+        const floor = state.tier > 0 ? type.tiers[state.tier - 1].threshold : 0;
+        const percent = next
+            ? Math.max(0, Math.min(100, Math.floor(((value - floor) / (next.threshold - floor)) * 100)))
+            : 100;
+        return {
+            id,
+            type,
+            tier: state.tier,
+            value,
+            next,
+            percent,
+            complete: !next,
+            hidden: !!type.hidden && state.tier === 0
+        };
+    }
+
+    // Badges from every tier reached so far, in catalog order
+    getEarnedBadges() {
+        const badges = [];
+        Object.entries(this.achievements || {}).forEach(([id, state]) => {
+            const type = this.achievementTypes[id];
+            if (!type) return;
+            type.tiers.slice(0, state.tier).forEach(tier => {
+                if (tier.reward.badge && !badges.includes(tier.reward.badge)) badges.push(tier.reward.badge);
+            });
+        });
+        return badges;
+    }
+
+    setActiveBadge(badge) {
+        if (badge !== null && !this.getEarnedBadges().includes(badge)) return false;
+        this.activeBadge = badge;
+        this.updateGardenTitle();
+        this.saveGame();
+        return true;
+    }
+
+    checkAchievements() {
+        if (!this.achievementsDirty) return;
+        this.checkAchievementsSilent();
+    }
+
+    // Generic evaluator: advance every achievement through each tier its metric has reached
+    checkAchievementsSilent() {
+        if (!this.achievements || !this.achievementStats) return;
+        this.achievementsDirty = false;
+        Object.entries(this.achievementTypes).forEach(([id, type]) => {
+            const value = this.getAchievementMetric(type.metric);
+            while (this.achievements[id].tier < type.tiers.length && value >= type.tiers[this.achievements[id].tier].threshold) {
+                this.unlockAchievement(id);
+            }
+        });
+    }
+
+    // Reach the next tier of an achievement and pay its reward
+    unlockAchievement(achievementId) {
+        // Guard against invalid ids
+        if (!this.achievements || !this.achievements[achievementId]) return;
+        const type = this.achievementTypes[achievementId];
+        // Gold is the last tier
+        if (this.achievements[achievementId].tier >= type.tiers.length) return;
+
+        const tier = this.unlockAchievementSilent(achievementId);
+        const tierName = this.getAchievementTierName(this.achievements[achievementId].tier);
+        this.showMessage(`🏆 Achievement Unlocked: ${type.name} (${tierName})! Reward: ${this.describeAchievementReward(tier.reward)}`, 'success');
+        this.logEvent('economy', `Achievement unlocked: ${type.name} (${tierName}), rewarded ${this.describeAchievementReward(tier.reward)}`);
+        this.playSound('achievement');
+        this.updateAchievementsDisplay();
+        this.updateUI();
+        // Persist immediately so unlock survives reloads
+        this.saveGame();
+    }
+
+    unlockAchievementSilent(achievementId) {
+        const state = this.achievements[achievementId];
+        const tier = this.achievementTypes[achievementId].tiers[state.tier];
+        state.tier += 1;
+        state.unlocked = true;
+        if (tier.reward.money) this.money += tier.reward.money;
+        // A new badge is worn straight away; the player can switch back from the achievements list
+        if (tier.reward.badge) {
+            this.activeBadge = tier.reward.badge;
+            this.updateGardenTitle();
+        }
+        return tier;
+    }
+
+    // Get garden data for multiplayer sharing
+    getGardenData() {
+        return {
+            money: this.money,
+            water: this.water,
+            fertilizer: this.fertilizer,
+            score: this.score,
+            weather: this.weather,
+            currentSeason: this.currentSeason,
+            seasonDay: this.seasonDay,
+            garden: this.garden,
+            stats: this.stats,
+            rebirths: this.rebirths,
+            gardenName: this.gardenName,
+            saveSlot: this.saveSlot
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GardenSimulation, sanitizeGardenName, MAX_GARDEN_NAME_LENGTH, SAVE_SCHEMA_VERSION, SAVE_MIGRATIONS, READ_ONLY_BLOCKED_ACTIONS };
+}
@@ -2,6 +2,8 @@
     const MOBILE_MAX_WIDTH = 768;
     const SECTION_CONFIGS = [
         { selector: '.tools', label: 'Tools', openByDefault: true },
+        { selector: '.barn-section', label: 'Barn & Market', openByDefault: false },
+        { selector: '.orders-section', label: 'Order Board', openByDefault: false },
         { selector: '.purchase-shop', label: 'Water & Fertilizer', openByDefault: false },
         { selector: '.seed-shop', label: 'Seed Shop', openByDefault: true },
         { selector: '.sprinkler-shop', label: 'Sprinklers', openByDefault: false },
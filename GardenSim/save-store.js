@@ -0,0 +1,482 @@
+// Garden save storage
+// Save slots and their bookkeeping (lastSaveTime, adminChange) live in IndexedDB.
+// Reads come from an in-memory copy loaded at startup, so callers stay synchronous;
+// writes are batched into one IndexedDB transaction a moment after the last change.
+// Each slot also keeps a history of snapshots, thinned as they age, that can be restored from the menu.
+// Without IndexedDB (old browsers, some private modes) the store falls back to localStorage.
+// Tabs tell each other about committed writes over a BroadcastChannel so their copies stay current.
+const SAVE_DB_NAME = 'gardenGame';
+const SAVE_DB_VERSION = 1;
+const SAVE_SLOT_COUNT = 3;
+const LEGACY_SAVE_KEY_PREFIX = 'gardenGameSave_';
+const LEGACY_META_KEYS = ['lastSaveTime', 'adminChange'];
+const SAVE_CHANNEL_NAME = 'gardenGameSaves';
+
+// Automatic snapshots get sparser with age so the history reaches back days, not minutes:
+// one per 10 minutes over the last hour, one per hour over the last day, then one per day
+const SNAPSHOT_RETENTION = [
+    { maxAgeMs: 60 * 60 * 1000, spacingMs: 10 * 60 * 1000 },
+    { maxAgeMs: 24 * 60 * 60 * 1000, spacingMs: 60 * 60 * 1000 },
+    { maxAgeMs: Infinity, spacingMs: 24 * 60 * 60 * 1000 }
+];
+
+// Wrap an IDBRequest in a promise
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Resolve once an IDB transaction commits
+function idbTransactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+class SaveStore {
+    constructor(options = {}) {
+        this.snapshotLimit = options.snapshotLimit || 40;
+        this.snapshotIntervalMs = options.snapshotIntervalMs || 10 * 60 * 1000; // 10 minutes
+        this.writeDelayMs = options.writeDelayMs || 500;
+
+        this.db = null;
+        this.ready = false;
+        this.saves = new Map();      // slot -> serialized save
+        this.meta = new Map();       // `${name}_${slot}` -> number
+        this.dirtySaves = new Set(); // slots written since the last flush
+        this.dirtyMeta = new Set();
+        this.queuedSnapshots = [];   // snapshots waiting for the next flush
+        this.lastSnapshotAt = new Map();
+        this.flushTimer = null;
+        this.flushing = null;
+        this.channel = null;
+        this.onRemoteChange = null; // (slots) => void, after another tab saved
+    }
+
+    get usesIndexedDB() {
+        return !!this.db;
+    }
+
+    // ===== STARTUP =====
+    // Never rejects: if IndexedDB is unavailable the store runs on localStorage
+    async init() {
+        if (this.ready) return this;
+
+        try {
+            if (typeof indexedDB === 'undefined') {
+                throw new Error('IndexedDB is not available');
+            }
+            this.db = await this.openDatabase();
+            await this.loadFromDatabase();
+            this.importLegacyLocalStorage();
+            console.log(`SaveStore ready (IndexedDB, ${this.saves.size} slot(s) loaded)`);
+        } catch (error) {
+            console.warn('SaveStore falling back to localStorage:', error);
+            this.db = null;
+            this.loadFromLocalStorage();
+        }
+
+        this.ready = true;
+
+        if (this.db && typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(SAVE_CHANNEL_NAME);
+            this.channel.onmessage = (event) => this.handleRemoteWrite(event.data);
+        }
+
+        // Anything not yet in IndexedDB is parked in localStorage on the way out and picked up next start
+        window.addEventListener('pagehide', () => this.flushToLocalStorage());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        });
+
+        if (this.dirtySaves.size || this.dirtyMeta.size) {
+            this.scheduleFlush();
+        }
+        return this;
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(SAVE_DB_NAME, SAVE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('saves')) {
+                    db.createObjectStore('saves', { keyPath: 'slot' });
+                }
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains('snapshots')) {
+                    const snapshots = db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+                    snapshots.createIndex('slot', 'slot', { unique: false });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+        });
+    }
+
+    async loadFromDatabase() {
+        const transaction = this.db.transaction(['saves', 'meta', 'snapshots'], 'readonly');
+        const [saves, meta, snapshots] = await Promise.all([
+            idbRequest(transaction.objectStore('saves').getAll()),
+            idbRequest(transaction.objectStore('meta').getAll()),
+            idbRequest(transaction.objectStore('snapshots').getAll())
+        ]);
+
+        saves.forEach(record => this.saves.set(record.slot, record.data));
+        meta.forEach(record => this.meta.set(record.key, record.value));
+        snapshots.forEach(snapshot => {
+            const last = this.lastSnapshotAt.get(snapshot.slot) || 0;
+            this.lastSnapshotAt.set(snapshot.slot, Math.max(last, snapshot.createdAt));
+        });
+    }
+
+    // First run after the switch, or a save parked by pagehide: adopt localStorage copies newer than ours
+    importLegacyLocalStorage() {
+        for (let slot = 1; slot <= SAVE_SLOT_COUNT; slot++) {
+            const legacyKey = `${LEGACY_SAVE_KEY_PREFIX}${slot}`;
+            const legacy = localStorage.getItem(legacyKey);
+            if (legacy) {
+                if (this.readSaveTime(legacy) >= this.readSaveTime(this.saves.get(slot))) {
+                    console.log(`SaveStore importing slot ${slot} from localStorage`);
+                    this.saves.set(slot, legacy);
+                    this.dirtySaves.add(slot);
+                }
+                localStorage.removeItem(legacyKey);
+            }
+
+            LEGACY_META_KEYS.forEach(name => {
+                const key = `${name}_${slot}`;
+                const value = Number(localStorage.getItem(key));
+                if (Number.isFinite(value) && value > 0 && value > (this.meta.get(key) || 0)) {
+                    this.meta.set(key, value);
+                    this.dirtyMeta.add(key);
+                }
+                localStorage.removeItem(key);
+            });
+        }
+    }
+
+    loadFromLocalStorage() {
+        for (let slot = 1; slot <= SAVE_SLOT_COUNT; slot++) {
+            const saved = localStorage.getItem(`${LEGACY_SAVE_KEY_PREFIX}${slot}`);
+            if (saved) this.saves.set(slot, saved);
+            LEGACY_META_KEYS.forEach(name => {
+                const key = `${name}_${slot}`;
+                const value = Number(localStorage.getItem(key));
+                if (Number.isFinite(value) && value > 0) this.meta.set(key, value);
+            });
+        }
+    }
+
+    readSaveTime(serialized) {
+        if (!serialized) return -1;
+        try {
+            const saveTime = Number(JSON.parse(serialized).saveTime);
+            return Number.isFinite(saveTime) ? saveTime : 0;
+        } catch (_) {
+            return 0;
+        }
+    }
+
+    // ===== SLOTS =====
+    // Serialized save for a slot, or null
+    load(slot) {
+        return this.saves.has(slot) ? this.saves.get(slot) : null;
+    }
+
+    save(slot, serialized) {
+        // The snapshot holds the state being replaced, so a bad write never lands in the history with it
+        const lastSnapshot = this.lastSnapshotAt.get(slot) || 0;
+        if (Date.now() - lastSnapshot >= this.snapshotIntervalMs) {
+            this.queueSnapshot(slot, 'auto');
+        }
+
+        this.saves.set(slot, serialized);
+        this.dirtySaves.add(slot);
+        this.scheduleFlush();
+    }
+
+    remove(slot) {
+        this.saves.delete(slot);
+        this.dirtySaves.add(slot);
+        this.scheduleFlush();
+    }
+
+    // ===== SLOT BOOKKEEPING =====
+    getMeta(slot, name) {
+        const value = this.meta.get(`${name}_${slot}`);
+        return value === undefined ? null : value;
+    }
+
+    setMeta(slot, name, value) {
+        const key = `${name}_${slot}`;
+        this.meta.set(key, value);
+        this.dirtyMeta.add(key);
+        this.scheduleFlush();
+    }
+
+    removeMeta(slot, name) {
+        const key = `${name}_${slot}`;
+        this.meta.delete(key);
+        this.dirtyMeta.add(key);
+        this.scheduleFlush();
+    }
+
+    // ===== WRITING =====
+    scheduleFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, this.writeDelayMs);
+    }
+
+    // Write everything changed since the last flush in one go
+    flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        // Chain behind a flush already in progress so writes land in order
+        const previous = this.flushing || Promise.resolve();
+        const current = previous.then(() => this.writeChanges()).catch(error => {
+            console.error('SaveStore write failed:', error);
+        });
+        this.flushing = current;
+        current.then(() => {
+            if (this.flushing === current) this.flushing = null;
+        });
+        return current;
+    }
+
+    async writeChanges() {
+        const slots = Array.from(this.dirtySaves);
+        const metaKeys = Array.from(this.dirtyMeta);
+        const snapshots = this.queuedSnapshots;
+        this.dirtySaves.clear();
+        this.dirtyMeta.clear();
+        this.queuedSnapshots = [];
+        if (!slots.length && !metaKeys.length && !snapshots.length) return;
+
+        if (!this.db) {
+            this.writeToLocalStorage(slots, metaKeys);
+            return;
+        }
+
+        try {
+            const transaction = this.db.transaction(['saves', 'meta', 'snapshots'], 'readwrite');
+            const savesStore = transaction.objectStore('saves');
+            const metaStore = transaction.objectStore('meta');
+            const snapshotStore = transaction.objectStore('snapshots');
+
+            slots.forEach(slot => {
+                if (this.saves.has(slot)) {
+                    savesStore.put({ slot, data: this.saves.get(slot) });
+                } else {
+                    savesStore.delete(slot);
+                }
+            });
+            metaKeys.forEach(key => {
+                if (this.meta.has(key)) {
+                    metaStore.put({ key, value: this.meta.get(key) });
+                } else {
+                    metaStore.delete(key);
+                }
+            });
+            snapshots.forEach(snapshot => snapshotStore.add(snapshot));
+
+            // Thin out aged automatic snapshots, then drop the oldest beyond the limit
+            new Set(snapshots.map(snapshot => snapshot.slot)).forEach(slot => {
+                const slotRequest = snapshotStore.index('slot').getAll(slot);
+                slotRequest.onsuccess = () => {
+                    this.pickExpiredSnapshots(slotRequest.result).forEach(id => snapshotStore.delete(id));
+                };
+            });
+
+            await idbTransactionDone(transaction);
+            if (this.channel && slots.length) {
+                this.channel.postMessage({ type: 'saved', slots });
+            }
+        } catch (error) {
+            // Put the work back so the next flush retries it
+            slots.forEach(slot => this.dirtySaves.add(slot));
+            metaKeys.forEach(key => this.dirtyMeta.add(key));
+            this.queuedSnapshots = snapshots.concat(this.queuedSnapshots);
+            throw error;
+        }
+    }
+
+    writeToLocalStorage(slots, metaKeys) {
+        slots.forEach(slot => {
+            const key = `${LEGACY_SAVE_KEY_PREFIX}${slot}`;
+            if (this.saves.has(slot)) {
+                localStorage.setItem(key, this.saves.get(slot));
+            } else {
+                localStorage.removeItem(key);
+            }
+        });
+        metaKeys.forEach(key => {
+            if (this.meta.has(key)) {
+                localStorage.setItem(key, String(this.meta.get(key)));
+            } else {
+                localStorage.removeItem(key);
+            }
+        });
+    }
+
+    // IndexedDB writes may not finish while the page unloads; park unwritten saves in localStorage instead
+    flushToLocalStorage() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        if (!this.dirtySaves.size && !this.dirtyMeta.size) return;
+        try {
+            this.writeToLocalStorage(Array.from(this.dirtySaves), Array.from(this.dirtyMeta));
+        } catch (error) {
+            console.error('SaveStore could not park unsaved data:', error);
+        }
+    }
+
+    // ===== OTHER TABS =====
+    async handleRemoteWrite(message) {
+        if (!message || message.type !== 'saved' || !Array.isArray(message.slots)) return;
+        try {
+            await Promise.all(message.slots.map(slot => this.reload(slot)));
+            if (typeof this.onRemoteChange === 'function') {
+                this.onRemoteChange(message.slots);
+            }
+        } catch (error) {
+            console.warn('SaveStore could not pick up another tab\'s save:', error);
+        }
+    }
+
+    // Re-read one slot from IndexedDB, e.g. after another tab wrote it; unsaved local changes win
+    async reload(slot) {
+        if (!this.db) return;
+        const transaction = this.db.transaction(['saves', 'meta'], 'readonly');
+        const record = await idbRequest(transaction.objectStore('saves').get(slot));
+        const metaRecords = await Promise.all(LEGACY_META_KEYS.map(name =>
+            idbRequest(transaction.objectStore('meta').get(`${name}_${slot}`))));
+
+        if (!this.dirtySaves.has(slot)) {
+            if (record) {
+                this.saves.set(slot, record.data);
+            } else {
+                this.saves.delete(slot);
+            }
+        }
+        LEGACY_META_KEYS.forEach((name, index) => {
+            const key = `${name}_${slot}`;
+            if (this.dirtyMeta.has(key)) return;
+            if (metaRecords[index]) {
+                this.meta.set(key, metaRecords[index].value);
+            } else {
+                this.meta.delete(key);
+            }
+        });
+    }
+
+    // Forget unwritten changes to a slot (its lock moved to another tab, which now owns the data)
+    discard(slot) {
+        this.dirtySaves.delete(slot);
+        LEGACY_META_KEYS.forEach(name => this.dirtyMeta.delete(`${name}_${slot}`));
+        this.queuedSnapshots = this.queuedSnapshots.filter(snapshot => snapshot.slot !== slot);
+    }
+
+    // ===== SNAPSHOTS =====
+    queueSnapshot(slot, reason) {
+        const data = this.load(slot);
+        if (!data || !this.db) return;
+
+        this.queuedSnapshots.push({
+            slot,
+            reason,
+            createdAt: Date.now(),
+            summary: this.summarizeSave(data),
+            data
+        });
+        this.lastSnapshotAt.set(slot, Date.now());
+    }
+
+    // Ids of a slot's snapshots that SNAPSHOT_RETENTION and snapshotLimit no longer keep.
+    // Named snapshots (before restore, before reset, ...) are only dropped by the limit.
+    pickExpiredSnapshots(slotSnapshots, now = Date.now()) {
+        const newestFirst = slotSnapshots.slice().sort((a, b) => b.id - a.id);
+        const expired = new Set();
+        let lastKeptAt = Infinity;
+        newestFirst.forEach(snapshot => {
+            if (snapshot.reason !== 'auto') return;
+            const age = now - snapshot.createdAt;
+            const { spacingMs } = SNAPSHOT_RETENTION.find(rule => age <= rule.maxAgeMs);
+            if (lastKeptAt - snapshot.createdAt < spacingMs) {
+                expired.add(snapshot.id);
+            } else {
+                lastKeptAt = snapshot.createdAt;
+            }
+        });
+
+        const kept = newestFirst.filter(snapshot => !expired.has(snapshot.id));
+        kept.slice(this.snapshotLimit).forEach(snapshot => expired.add(snapshot.id));
+        return Array.from(expired);
+    }
+
+    // Take a snapshot now, e.g. before something that overwrites the slot
+    snapshot(slot, reason = 'manual') {
+        this.queueSnapshot(slot, reason);
+        return this.flush();
+    }
+
+    summarizeSave(serialized) {
+        try {
+            const data = JSON.parse(serialized);
+            return {
+                gardenName: data.gardenName || '',
+                money: Number.isFinite(data.money) ? data.money : 0,
+                score: Number.isFinite(data.score) ? data.score : 0,
+                rebirths: Number.isFinite(data.rebirths) ? data.rebirths : 0,
+                saveTime: Number(data.saveTime) || null
+            };
+        } catch (_) {
+            return { gardenName: '', money: 0, score: 0, rebirths: 0, saveTime: null };
+        }
+    }
+
+    // Newest first, without the save payloads
+    async listSnapshots(slot) {
+        if (!this.db) return [];
+        await this.flush();
+        const transaction = this.db.transaction('snapshots', 'readonly');
+        const snapshots = await idbRequest(transaction.objectStore('snapshots').index('slot').getAll(slot));
+        return snapshots
+            .map(({ data, ...rest }) => rest)
+            .sort((a, b) => b.id - a.id);
+    }
+
+    // Put a snapshot back into its slot; the state being replaced is snapshotted first so this can be undone
+    async restoreSnapshot(slot, id) {
+        if (!this.db) throw new Error('Snapshots need IndexedDB');
+        const transaction = this.db.transaction('snapshots', 'readonly');
+        const snapshot = await idbRequest(transaction.objectStore('snapshots').get(id));
+        if (!snapshot || snapshot.slot !== slot) {
+            throw new Error(`Snapshot ${id} does not belong to slot ${slot}`);
+        }
+
+        this.queueSnapshot(slot, 'before restore');
+        this.saves.set(slot, snapshot.data);
+        this.dirtySaves.add(slot);
+        await this.flush();
+        console.log(`Restored slot ${slot} from snapshot ${id} (${new Date(snapshot.createdAt).toLocaleString()})`);
+        return snapshot.data;
+    }
+}
+
+const saveStore = new SaveStore();
+window.saveStore = saveStore;
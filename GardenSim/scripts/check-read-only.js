@@ -0,0 +1,144 @@
+// Read-only guard check on the headless simulation
+// Builds a garden where every player action has something to act on, then calls each of
+// READ_ONLY_BLOCKED_ACTIONS twice from the same save: once on a read-only copy, which must
+// leave the save exactly as it was, and once on a writable copy to show the call was a real change.
+//
+//   node scripts/check-read-only.js
+//
+// Exits with status 1 if any action changed a read-only garden.
+const { GardenSimulation, READ_ONLY_BLOCKED_ACTIONS } = require('../garden-sim.js');
+
+const reportLog = console.log;
+console.log = () => {};
+console.error = () => {};
+
+let now = Date.UTC(2024, 5, 1, 9, 0, 0);
+const clock = { now: () => now };
+
+// One of everything: a sick crop, a ripe one, a barn, a pantry, an order, a machine, sprinklers,
+// a decoration, a finished challenge, a badge, rebirth tokens and a saved blueprint
+const setup = new GardenSimulation(1, { seed: 7, clock });
+setup.initializeFreshGame();
+setup.money = 1000000;
+setup.water = 50;
+setup.fertilizer = 50;
+setup.fuel = 20;
+setup.score = setup.getRebirthTargetScore();
+setup.rebirthPoints = 100;
+setup.plantSeed(0, 0, 'carrot');
+setup.plantSeed(0, 1, 'carrot');
+setup.garden[0][1].plant.isFullyGrown = true;
+setup.garden[0][1].plant.growthStage = 4;
+setup.sprinklerInventory.basic = 3;
+setup.garden[0][0].plant.infection = { type: Object.keys(setup.pestTypes)[0], severity: 1 };
+setup.selectedDecoration = Object.keys(setup.decorations)[0];
+setup.placeDecoration(5, 0);
+setup.challenges.daily[0].completed = true;
+const badgeAchievement = Object.keys(setup.achievementTypes).find(id => setup.achievementTypes[id].tiers.some(tier => tier.reward.badge));
+setup.achievements[badgeAchievement] = { tier: setup.achievementTypes[badgeAchievement].tiers.length, unlocked: true };
+['tomato', 'herbs', 'onion', 'carrot'].forEach(seedType => {
+    for (let i = 0; i < 5; i++) setup.storeHarvest(seedType, setup.plantTypes[seedType].harvestValue);
+});
+setup.pantry.pasta_sauce = 2;
+setup.orders = [{ ...setup.createOrder(), items: { carrot: 1 } }];
+setup.selectedMachine = 'auto_waterer';
+setup.placeMachine(2, 2);
+setup.placeSprinkler(1, 0);
+setup.selectedSprinkler = 'basic';
+setup.placeSprinkler(1, 1);
+setup.saveBlueprint('Check');
+setup.showBlueprint(null);
+const savedState = JSON.stringify(setup.getSaveData());
+
+const orderId = setup.orders[0].id;
+const prestigeUpgrade = Object.keys(setup.prestigeUpgradeMap)[0];
+const calls = {
+    plantSeed: [3, 3, 'carrot'],
+    waterPlant: [0, 0],
+    fertilizePlant: [0, 0],
+    harvestPlant: [0, 1],
+    removePlant: [0, 0],
+    treatPlant: [0, 0],
+    applyArea: [[{ row: 4, col: 4 }, { row: 4, col: 5 }]],
+    placeSprinkler: [3, 0],
+    removeSprinkler: [1, 1],
+    placeDecoration: [5, 5],
+    removeDecoration: [5, 0],
+    buySprinkler: ['basic'],
+    upgradeTool: ['water'],
+    collectChallengeReward: [setup.challenges.daily[0].id, 'daily'],
+    setActiveBadge: [setup.getEarnedBadges()[0]],
+    setSeasonMode: ['calendar'],
+    setHemisphere: ['south'],
+    buildGreenhouse: [6, 6],
+    placeMachine: [3, 4],
+    removeMachine: [2, 2],
+    upgradeMachine: [2, 2],
+    setMachineSeed: [3, 4, 'carrot'],
+    saveBlueprint: ['Second'],
+    deleteBlueprint: ['Check'],
+    showBlueprint: ['Check'],
+    setAutoReplant: [true],
+    fillFromBlueprint: ['Check'],
+    sellProduce: ['carrot', 1],
+    cookDish: [{ tomato: 2, herbs: 1, onion: 1 }],
+    sellDish: ['pasta_sauce'],
+    serveDish: ['pasta_sauce'],
+    fulfillOrder: [orderId],
+    declineOrder: [orderId],
+    purchasePrestigeUpgrade: [prestigeUpgrade]
+};
+
+// What a few actions need first, done before the copy turns read-only
+const prepare = {
+    undo: sim => sim.buyWater(),
+    redo: sim => {
+        sim.buyWater();
+        sim.undo();
+    },
+    upgradeGreenhouse: sim => sim.buildGreenhouse(6, 6),
+    setMachineSeed: sim => sim.placeMachine(3, 4, 'seed_planter'),
+    fillFromBlueprint: sim => sim.removePlant(0, 0)
+};
+
+const load = (name, readOnly) => {
+    const sim = new GardenSimulation(1, { seed: 7, clock });
+    sim.applySaveData(JSON.parse(savedState));
+    sim.selectedSprinkler = 'basic';
+    sim.selectedMachine = 'auto_waterer';
+    sim.selectedDecoration = Object.keys(sim.decorations)[0];
+    sim.selectedSeed = 'carrot';
+    if (prepare[name]) prepare[name](sim);
+    sim.readOnly = readOnly;
+    return sim;
+};
+
+const results = [];
+READ_ONLY_BLOCKED_ACTIONS.forEach(name => {
+    if (typeof GardenSimulation.prototype[name] !== 'function') {
+        results.push({ action: name, readOnly: 'GardenGame only' });
+        return;
+    }
+    const args = calls[name] || [];
+    const readOnlySim = load(name, true);
+    const readOnlyBefore = JSON.stringify(readOnlySim.getSaveData());
+    readOnlySim[name](...args);
+    const readOnlyChanged = JSON.stringify(readOnlySim.getSaveData()) !== readOnlyBefore;
+
+    const writableSim = load(name, false);
+    const before = JSON.stringify(writableSim.getSaveData());
+    writableSim[name](...args);
+    const writableChanged = JSON.stringify(writableSim.getSaveData()) !== before;
+
+    results.push({ action: name, readOnly: readOnlyChanged ? 'CHANGED' : 'unchanged', writable: writableChanged ? 'changed' : 'no-op' });
+});
+
+console.log = reportLog;
+console.table(results);
+const leaks = results.filter(result => result.readOnly === 'CHANGED');
+if (leaks.length > 0) {
+    console.log(`Read-only garden changed by: ${leaks.map(result => result.action).join(', ')}`);
+    process.exitCode = 1;
+} else {
+    console.log('No action changed the read-only garden.');
+}
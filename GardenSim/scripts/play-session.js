@@ -0,0 +1,78 @@
+// Scripted garden session on the headless simulation
+// Plays an hour of game time on a stepped clock: plant a row of carrots, water them,
+// harvest whatever ripens, sell the barn, replant, and print where the garden ended up.
+//
+//   node scripts/play-session.js [seed] [--verbose]
+//
+// The same seed always gives the same result; --verbose keeps the simulation's own logging.
+const { GardenSimulation } = require('../garden-sim.js');
+
+const args = process.argv.slice(2);
+const seed = Number.parseInt(args.find(arg => /^\d+$/.test(arg)) || '1', 10);
+const verbose = args.includes('--verbose');
+
+const SESSION_MS = 60 * 60 * 1000;
+const STEP_MS = 1000;
+const CROP = 'carrot';
+const ROW = 0;
+
+const reportLog = console.log;
+if (!verbose) {
+    console.log = () => {};
+}
+
+let now = Date.UTC(2024, 3, 1, 9, 0, 0);
+const sim = new GardenSimulation(1, { seed, clock: { now: () => now } });
+sim.initializeFreshGame();
+
+const totals = { planted: 0, watered: 0, harvested: 0, earned: 0 };
+
+const plantRow = () => {
+    for (let col = 0; col < sim.gridSize; col++) {
+        const cell = sim.garden[ROW][col];
+        if (cell.plant || cell.decoration) continue;
+        sim.plantSeed(ROW, col, CROP);
+        if (sim.garden[ROW][col].plant) totals.planted += 1;
+    }
+};
+
+const tendRow = () => {
+    for (let col = 0; col < sim.gridSize; col++) {
+        const cell = sim.garden[ROW][col];
+        if (!cell.plant) continue;
+        if (cell.plant.isFullyGrown) {
+            sim.harvestPlant(ROW, col);
+            if (!sim.garden[ROW][col].plant) totals.harvested += 1;
+        } else if (!cell.watered && sim.water > 0) {
+            const before = sim.water;
+            sim.waterPlant(ROW, col);
+            if (sim.water < before) totals.watered += 1;
+        }
+    }
+};
+
+const startMoney = sim.money;
+plantRow();
+for (let elapsed = 0; elapsed < SESSION_MS; elapsed += STEP_MS) {
+    now += STEP_MS;
+    sim.tick();
+
+    // The player checks in every half minute
+    if (elapsed % 30000 === 0) {
+        tendRow();
+        totals.earned += sim.sellAllProduce() || 0;
+        plantRow();
+    }
+}
+
+console.log = reportLog;
+console.log(JSON.stringify({
+    seed,
+    minutes: SESSION_MS / 60000,
+    ...totals,
+    money: { start: startMoney, end: sim.money },
+    score: sim.score,
+    season: sim.currentSeason,
+    weather: sim.weather,
+    schemaVersion: sim.getSaveData().schemaVersion
+}, null, 2));
@@ -0,0 +1,90 @@
+// Single-writer locks for save slots
+// Only the tab holding a slot's lock may save it; other tabs open the slot read-only.
+// Built on the Web Locks API, so a lock is freed automatically when its tab closes or crashes.
+// A tab can take a slot over with steal, which tells the previous holder via onLockLost.
+class SlotLockManager {
+    constructor() {
+        this.held = new Map(); // slot -> { release }
+        this.onLockLost = null; // (slot) => void
+    }
+
+    get supported() {
+        return typeof navigator !== 'undefined' && !!navigator.locks && typeof navigator.locks.request === 'function';
+    }
+
+    lockName(slot) {
+        return `gardenSlot_${slot}`;
+    }
+
+    holds(slot) {
+        return this.held.has(slot) || !this.supported;
+    }
+
+    // Resolves true if this tab now owns the slot; steal takes it from whichever tab has it
+    acquire(slot, { steal = false } = {}) {
+        if (this.held.has(slot)) {
+            return Promise.resolve(true);
+        }
+        if (!this.supported) {
+            console.warn('Web Locks are not available; slots are not protected across tabs');
+            return Promise.resolve(true);
+        }
+
+        return new Promise(resolve => {
+            const token = {};
+            const options = steal ? { steal: true } : { ifAvailable: true };
+
+            navigator.locks.request(this.lockName(slot), options, lock => {
+                if (!lock) {
+                    resolve(false);
+                    return null;
+                }
+                // Hold the lock until release() resolves this promise
+                return new Promise(release => {
+                    token.release = release;
+                    this.held.set(slot, token);
+                    console.log(`Acquired save lock for slot ${slot}${steal ? ' (taken over)' : ''}`);
+                    resolve(true);
+                });
+            }).catch(error => {
+                // The request rejects when another tab steals the lock from us
+                if (this.held.get(slot) !== token) {
+                    resolve(false);
+                    return;
+                }
+                this.held.delete(slot);
+                console.warn(`Lost save lock for slot ${slot}:`, error && error.name);
+                if (typeof this.onLockLost === 'function') {
+                    this.onLockLost(slot);
+                }
+            });
+        });
+    }
+
+    release(slot) {
+        const token = this.held.get(slot);
+        if (!token) return;
+        this.held.delete(slot);
+        token.release();
+        console.log(`Released save lock for slot ${slot}`);
+    }
+
+    // Run callback only if no tab holds the slot; the lock is held for the duration of the call
+    runIfFree(slot, callback) {
+        if (!this.supported) {
+            callback();
+            return Promise.resolve(true);
+        }
+        if (this.held.has(slot)) {
+            return Promise.resolve(false);
+        }
+        return navigator.locks.request(this.lockName(slot), { ifAvailable: true }, lock => {
+            if (!lock) return false;
+            callback();
+            return true;
+        });
+    }
+}
+
+const slotLocks = new SlotLockManager();
+window.slotLocks = slotLocks;